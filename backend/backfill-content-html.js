@@ -0,0 +1,65 @@
+// backend/backfill-content-html.js
+// Fills posts.content_html and comments.content_html for rows written before
+// markdown rendering, so the read routes can serve the stored HTML as-is.
+// Posts are rendered from their markdown; older comments were stored as HTML
+// and are only sanitized. Deleted comments keep content_html empty.
+// Usage: node backfill-content-html.js
+
+const path = require("path");
+require("dotenv").config({ path: path.join(__dirname, ".env") });
+
+const supabase = require("./config/supabase");
+const markdownService = require("./services/markdownService");
+
+const PAGE_SIZE = 200;
+
+// Walk the rows without content_html in id order and store the rendered HTML
+async function backfill(table, render, { skipDeleted = false } = {}) {
+  let lastId = null;
+  let updated = 0;
+
+  for (;;) {
+    let query = supabase
+      .from(table)
+      .select("id, content")
+      .is("content_html", null)
+      .order("id", { ascending: true })
+      .limit(PAGE_SIZE);
+    if (skipDeleted) query = query.eq("is_deleted", false);
+    if (lastId !== null) query = query.gt("id", lastId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    if (!data || data.length === 0) break;
+
+    for (const row of data) {
+      const { error: updateError } = await supabase
+        .from(table)
+        .update({ content_html: render(row.content || "") })
+        .eq("id", row.id);
+      if (updateError) throw updateError;
+      updated += 1;
+    }
+    lastId = data[data.length - 1].id;
+  }
+  return updated;
+}
+
+async function run() {
+  const posts = await backfill("posts", markdownService.renderMarkdown);
+  const comments = await backfill(
+    "comments",
+    markdownService.sanitizeLegacyHtml,
+    { skipDeleted: true }
+  );
+  console.log(
+    `✅ Stored content_html for ${posts} posts and ${comments} comments`
+  );
+}
+
+run()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("❌ ERROR:", err.message);
+    process.exit(1);
+  });
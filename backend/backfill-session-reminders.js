@@ -0,0 +1,44 @@
+// backend/backfill-session-reminders.js
+// Sets nextOccurrenceAt on study sessions created before the reminder job
+// queried it (sessions without it are never reminded).
+// Usage: node backfill-session-reminders.js
+
+const path = require("path");
+require("dotenv").config({ path: path.join(__dirname, ".env") });
+
+const admin = require("./config/firebase-admin");
+const roomAccess = require("./services/roomAccessService");
+const sessionService = require("./services/sessionService");
+
+const BATCH_SIZE = 400;
+const db = admin.firestore();
+
+async function backfill() {
+  const snapshot = await db
+    .collectionGroup(sessionService.SESSIONS_SUBCOLLECTION)
+    .get();
+  // Only sessions that belong to a study room
+  const sessions = snapshot.docs.filter(
+    (doc) => doc.ref.parent.parent?.parent.id === roomAccess.ROOMS_COLLECTION
+  );
+  const now = new Date();
+
+  for (let i = 0; i < sessions.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    sessions.slice(i, i + BATCH_SIZE).forEach((doc) =>
+      batch.update(doc.ref, {
+        nextOccurrenceAt: sessionService.getNextReminderStart(doc.data(), now),
+      })
+    );
+    await batch.commit();
+  }
+
+  console.log(`✅ Set nextOccurrenceAt on ${sessions.length} sessions`);
+}
+
+backfill()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("❌ ERROR:", err.message);
+    process.exit(1);
+  });
@@ -2,8 +2,19 @@
 // Centralized backend constants and environment fallbacks.
 
 const DEFAULT_INSTITUTION_EMAIL_DOMAIN = "paterostechnologicalcollege.edu.ph";
+const DEFAULT_FRONTEND_DOMAIN = "studygroup.app";
+
+// Courses offered by the institution (sign-up and study room course codes)
+const ALLOWED_COURSES = ["BSIT", "CCS", "BSOA", "COA", "ABA"];
+const YEAR_LEVELS = ["1st Year", "2nd Year", "3rd Year", "4th Year"];
 
 module.exports = {
+  ALLOWED_COURSES,
+  YEAR_LEVELS,
   INSTITUTION_EMAIL_DOMAIN:
     process.env.INSTITUTION_EMAIL_DOMAIN || DEFAULT_INSTITUTION_EMAIL_DOMAIN,
+  // Used to build absolute links (calendar feeds, emails) back to the frontend
+  FRONTEND_BASE_URL: `${process.env.FRONTEND_PROTOCOL || "https"}://${
+    process.env.FRONTEND_DOMAIN || DEFAULT_FRONTEND_DOMAIN
+  }`,
 };
@@ -0,0 +1,145 @@
+// backend/jobs/roomArchiver.js
+// Periodically archives study rooms with no activity. The owner is warned
+// ROOM_ARCHIVE_WARNING_DAYS before; any activity after the warning resets it.
+// Each step is claimed in a transaction so several server instances never
+// warn or archive twice.
+
+const admin = require("../config/firebase-admin");
+const notificationService = require("../services/notificationService");
+const roomAccess = require("../services/roomAccessService");
+const roomArchive = require("../services/roomArchiveService");
+const roomCatalog = require("../services/roomCatalogService");
+
+const CHECK_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+let timer = null;
+let running = false;
+
+// Re-check the stage inside a transaction and apply it.
+// Returns the room data if this instance made the change.
+async function claimStage(roomRef, stage, now) {
+  const db = admin.firestore();
+  return db.runTransaction(async (tx) => {
+    const doc = await tx.get(roomRef);
+    if (!doc.exists) return null;
+    const data = doc.data();
+    if (roomArchive.getArchiveStage(data, now) !== stage) return null;
+
+    if (stage === "warn") {
+      const archiveWarningSentAt = new Date(now);
+      tx.update(roomRef, { archiveWarningSentAt });
+      return { ...data, archiveWarningSentAt };
+    }
+    tx.update(
+      roomRef,
+      roomArchive.archiveFields(roomArchive.SYSTEM_ACTOR, "inactive")
+    );
+    return data;
+  });
+}
+
+// Archived rooms leave the browse listing and its facet counts
+async function removeFromFacets(roomId, room) {
+  try {
+    await roomCatalog.updateFacetCounts(admin.firestore(), room, {
+      ...room,
+      archived: true,
+    });
+  } catch (err) {
+    console.warn(
+      `[room-archiver] Failed to update facet counts for ${roomId}:`,
+      err.message
+    );
+  }
+}
+
+async function runRoomArchiver(now = Date.now()) {
+  if (running) return;
+  running = true;
+
+  let warned = 0;
+  let archived = 0;
+
+  try {
+    const db = admin.firestore();
+    const snapshot = await db.collection(roomAccess.ROOMS_COLLECTION).get();
+
+    for (const doc of snapshot.docs) {
+      const stage = roomArchive.getArchiveStage(doc.data(), now);
+      if (!stage) continue;
+
+      try {
+        const room = await claimStage(doc.ref, stage, now);
+        if (!room) continue;
+        const roomName = room.name || "Study Room";
+
+        if (stage === "warn") {
+          warned += 1;
+          if (room.creator) {
+            await notificationService.notifyRoomArchiveWarning(
+              room.creator,
+              roomName,
+              doc.id,
+              roomArchive.getScheduledArchiveDate(room).toISOString()
+            );
+          }
+        } else {
+          archived += 1;
+          await removeFromFacets(doc.id, room);
+          if (room.creator) {
+            await notificationService.notifyRoomArchived(
+              room.creator,
+              roomName,
+              doc.id,
+              "inactive"
+            );
+          }
+        }
+      } catch (err) {
+        console.error(
+          `[room-archiver] Failed to process room ${doc.id}:`,
+          err.message
+        );
+      }
+    }
+
+    if (warned > 0 || archived > 0) {
+      console.log(
+        `[room-archiver] Warned ${warned} room owner(s), archived ${archived} room(s)`
+      );
+    }
+  } catch (error) {
+    console.error("[room-archiver] Error running archiver:", error);
+  } finally {
+    running = false;
+  }
+}
+
+function startRoomArchiverJob() {
+  if (timer) return;
+  if (!(roomArchive.ARCHIVE_AFTER_DAYS > 0)) {
+    console.log("[room-archiver] Disabled (ROOM_ARCHIVE_INACTIVE_DAYS <= 0)");
+    return;
+  }
+  timer = setInterval(() => runRoomArchiver(), CHECK_INTERVAL_MS);
+  // Don't keep the process alive just for this job
+  if (typeof timer.unref === "function") timer.unref();
+  console.log(
+    `[room-archiver] Scheduled every ${
+      CHECK_INTERVAL_MS / 60000
+    } min (archive after ${roomArchive.ARCHIVE_AFTER_DAYS} days, warning ${
+      roomArchive.ARCHIVE_WARNING_DAYS
+    } days before)`
+  );
+}
+
+function stopRoomArchiverJob() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  runRoomArchiver,
+  startRoomArchiverJob,
+  stopRoomArchiverJob,
+};
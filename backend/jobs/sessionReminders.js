@@ -0,0 +1,160 @@
+// backend/jobs/sessionReminders.js
+// Periodically sends "session starting soon" notifications for scheduled study sessions.
+// Each occurrence is reminded at most once (tracked in remindedOccurrences on the session);
+// only sessions whose nextOccurrenceAt is due are read.
+
+const admin = require("../config/firebase-admin");
+const notificationService = require("../services/notificationService");
+const sessionService = require("../services/sessionService");
+const roomAccess = require("../services/roomAccessService");
+const roomArchive = require("../services/roomArchiveService");
+
+const REMINDER_LEAD_MINUTES = parseInt(
+  process.env.SESSION_REMINDER_MINUTES || "30",
+  10
+);
+const CHECK_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+const MAX_REMEMBERED_OCCURRENCES = 20;
+
+let timer = null;
+let running = false;
+
+// Atomically move a session past its due occurrence so multiple server
+// instances never handle it twice; `remind` also records it as reminded.
+// Returns the session data if this instance made the change.
+async function claimOccurrence(
+  sessionRef,
+  occurrenceStart,
+  { remind = true } = {}
+) {
+  const db = admin.firestore();
+  return db.runTransaction(async (tx) => {
+    const doc = await tx.get(sessionRef);
+    if (!doc.exists) return null;
+    const data = doc.data();
+    const reminded = data.remindedOccurrences || [];
+    const due = data.nextOccurrenceAt?.toDate?.().toISOString();
+    if (due !== occurrenceStart || reminded.includes(occurrenceStart)) {
+      return null;
+    }
+
+    const remindedOccurrences = remind
+      ? [...reminded, occurrenceStart].slice(-MAX_REMEMBERED_OCCURRENCES)
+      : reminded;
+    tx.update(sessionRef, {
+      remindedOccurrences,
+      nextOccurrenceAt: sessionService.getNextReminderStart(
+        { ...data, remindedOccurrences },
+        occurrenceStart
+      ),
+    });
+    return data;
+  });
+}
+
+// Rooms that can get reminders (null if gone, deactivated or archived);
+// cached for the run since a room can have several due sessions
+async function loadRemindableRoom(roomRef, cache) {
+  if (!cache.has(roomRef.id)) {
+    const roomDoc = await roomRef.get();
+    const room = roomDoc.exists ? roomDoc.data() : null;
+    const remindable =
+      room && room.isActive !== false && !roomArchive.isArchived(room);
+    cache.set(roomRef.id, remindable ? room : null);
+  }
+  return cache.get(roomRef.id);
+}
+
+async function runSessionReminders(now = new Date()) {
+  if (running) return;
+  running = true;
+
+  const windowEnd = new Date(now.getTime() + REMINDER_LEAD_MINUTES * 60 * 1000);
+  let sent = 0;
+
+  try {
+    const db = admin.firestore();
+    // Only sessions whose next occurrence starts within the lead time
+    // (or was missed while the job wasn't running)
+    const snapshot = await db
+      .collectionGroup(sessionService.SESSIONS_SUBCOLLECTION)
+      .where("nextOccurrenceAt", "<=", windowEnd)
+      .get();
+    const rooms = new Map();
+
+    for (const doc of snapshot.docs) {
+      try {
+        const session = doc.data();
+        // Only sessions that belong to a study room
+        const roomRef = doc.ref.parent.parent;
+        if (!roomRef || roomRef.parent.id !== roomAccess.ROOMS_COLLECTION) {
+          continue;
+        }
+
+        const occurrenceStart = session.nextOccurrenceAt.toDate().toISOString();
+        const room = await loadRemindableRoom(roomRef, rooms);
+
+        // Missed occurrences and rooms that can't be used are skipped
+        // without a reminder
+        if (!room || new Date(occurrenceStart) < now) {
+          await claimOccurrence(doc.ref, occurrenceStart, { remind: false });
+          continue;
+        }
+
+        const claimed = await claimOccurrence(doc.ref, occurrenceStart);
+        if (!claimed) continue;
+
+        const rsvps = claimed.rsvps || {};
+        const recipients = (room.participants || []).filter(
+          (uid) => rsvps[uid] !== "declined"
+        );
+
+        await notificationService.notifySessionReminder(
+          recipients,
+          claimed.title,
+          room.name || "Study Room",
+          roomRef.id,
+          doc.id,
+          occurrenceStart
+        );
+        sent += recipients.length;
+      } catch (err) {
+        console.error(
+          `[session-reminders] Failed to process session ${doc.id}:`,
+          err.message
+        );
+      }
+    }
+
+    if (sent > 0) {
+      console.log(`[session-reminders] Sent ${sent} reminder notifications`);
+    }
+  } catch (error) {
+    console.error("[session-reminders] Error running reminders:", error);
+  } finally {
+    running = false;
+  }
+}
+
+function startSessionReminderJob() {
+  if (timer) return;
+  timer = setInterval(() => runSessionReminders(), CHECK_INTERVAL_MS);
+  // Don't keep the process alive just for this job
+  if (typeof timer.unref === "function") timer.unref();
+  console.log(
+    `[session-reminders] Scheduled every ${
+      CHECK_INTERVAL_MS / 60000
+    } min (lead time ${REMINDER_LEAD_MINUTES} min)`
+  );
+}
+
+function stopSessionReminderJob() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
+
+module.exports = {
+  runSessionReminders,
+  startSessionReminderJob,
+  stopSessionReminderJob,
+};
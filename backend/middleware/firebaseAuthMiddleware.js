@@ -82,4 +82,15 @@ async function firebaseAuthMiddleware(req, res, next) {
   }
 }
 
+// For routes that also serve signed-out callers: without a Bearer token the
+// request continues with req.user unset; a token that is sent must be valid
+function optionalFirebaseAuth(req, res, next) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith("Bearer ")) {
+    return next();
+  }
+  return firebaseAuthMiddleware(req, res, next);
+}
+
 module.exports = firebaseAuthMiddleware;
+module.exports.optional = optionalFirebaseAuth;
@@ -0,0 +1,66 @@
+// backend/rebuild-room-catalog.js
+// Backfills the study room fields the browse query filters and sorts on
+// (isActive, archived, subjectKey, participantCount, lastActivityAt) and
+// recounts study-group-stats/facets. Run once after deploying the query-based
+// listing, or whenever the facet counts look off.
+// Usage: node rebuild-room-catalog.js
+
+const path = require("path");
+require("dotenv").config({ path: path.join(__dirname, ".env") });
+
+const admin = require("./config/firebase-admin");
+const roomCatalog = require("./services/roomCatalogService");
+
+const BATCH_SIZE = 400;
+const db = admin.firestore();
+
+// Only the fields that are missing or out of date
+function missingFields(room) {
+  const fields = {};
+  const subjectKey = roomCatalog.toSubjectKey(room.subject);
+  const participantCount = (room.participants || []).length;
+
+  if (typeof room.isActive !== "boolean") fields.isActive = true;
+  if (typeof room.archived !== "boolean") fields.archived = false;
+  if ((room.subjectKey ?? null) !== subjectKey) fields.subjectKey = subjectKey;
+  if (room.participantCount !== participantCount) {
+    fields.participantCount = participantCount;
+  }
+  if (!room.lastActivityAt) {
+    fields.lastActivityAt = room.createdAt || new Date();
+  }
+  return fields;
+}
+
+async function rebuild() {
+  const rooms = await db.collection("study-groups").get();
+
+  const updates = rooms.docs
+    .map((doc) => ({ ref: doc.ref, fields: missingFields(doc.data()) }))
+    .filter(({ fields }) => Object.keys(fields).length > 0);
+  for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    updates
+      .slice(i, i + BATCH_SIZE)
+      .forEach(({ ref, fields }) => batch.update(ref, fields));
+    await batch.commit();
+  }
+
+  const facets = roomCatalog.countFacets(
+    rooms.docs.map((doc) => ({ ...doc.data(), ...missingFields(doc.data()) }))
+  );
+  await roomCatalog
+    .getFacetStatsRef(db)
+    .set({ ...facets, updatedAt: new Date() });
+
+  console.log(
+    `✅ Updated ${updates.length} of ${rooms.size} rooms and recounted facets`
+  );
+}
+
+rebuild()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("❌ ERROR:", err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,62 @@
+// backend/rebuild-search-index.js
+// Rebuilds the Firestore search_index from all resources and study rooms
+// (first deploy of unified search, or after editing documents by hand).
+// Usage: node rebuild-search-index.js
+
+const path = require("path");
+require("dotenv").config({ path: path.join(__dirname, ".env") });
+
+const admin = require("./config/firebase-admin");
+const searchIndex = require("./services/searchIndexService");
+
+const BATCH_SIZE = 400;
+const db = admin.firestore();
+
+async function writeInBatches(items, apply) {
+  for (let i = 0; i < items.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    items.slice(i, i + BATCH_SIZE).forEach((item) => apply(batch, item));
+    await batch.commit();
+  }
+}
+
+async function rebuild() {
+  const [resources, rooms, existing] = await Promise.all([
+    db.collection("resources").get(),
+    db.collection("study-groups").get(),
+    db.collection(searchIndex.INDEX_COLLECTION).get(),
+  ]);
+
+  const entries = [
+    ...resources.docs.map((doc) =>
+      searchIndex.buildResourceEntry(doc.id, doc.data())
+    ),
+    ...rooms.docs.map((doc) => searchIndex.buildRoomEntry(doc.id, doc.data())),
+  ];
+  const keep = new Set(
+    entries.map((entry) => searchIndex.entryId(entry.type, entry.refId))
+  );
+  const stale = existing.docs.filter((doc) => !keep.has(doc.id));
+
+  const now = admin.firestore.FieldValue.serverTimestamp();
+  await writeInBatches(entries, (batch, entry) =>
+    batch.set(
+      db
+        .collection(searchIndex.INDEX_COLLECTION)
+        .doc(searchIndex.entryId(entry.type, entry.refId)),
+      { ...entry, updatedAt: now }
+    )
+  );
+  await writeInBatches(stale, (batch, doc) => batch.delete(doc.ref));
+
+  console.log(
+    `✅ Indexed ${resources.size} resources and ${rooms.size} rooms, removed ${stale.length} stale entries`
+  );
+}
+
+rebuild()
+  .then(() => process.exit(0))
+  .catch((err) => {
+    console.error("❌ ERROR:", err.message);
+    process.exit(1);
+  });
@@ -3,9 +3,26 @@ const express = require("express");
 const router = express.Router();
 const admin = require("../../config/firebase-admin");
 const adminAuthMiddleware = require("../../middleware/adminAuthMiddleware");
+const chatExport = require("../../services/chatExportService");
+const roomArchive = require("../../services/roomArchiveService");
+const roomCatalog = require("../../services/roomCatalogService");
+const notificationService = require("../../services/notificationService");
+const searchIndex = require("../../services/searchIndexService");
 
 const db = admin.firestore();
 
+// Facet counts only cover listed rooms; a failed update is only logged
+async function updateFacetCounts(roomId, before, after) {
+  try {
+    await roomCatalog.updateFacetCounts(db, before, after);
+  } catch (err) {
+    console.warn(
+      `[study-rooms] Failed to update facet counts for ${roomId}:`,
+      err
+    );
+  }
+}
+
 // ===== Helper: Get user by UID (uses admin endpoint logic) =====
 async function getUser(uid) {
   if (!uid) return null;
@@ -84,7 +101,7 @@ router.get("/", adminAuthMiddleware, async (req, res) => {
 
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
-    const status = req.query.status; // active, inactive
+    const status = req.query.status; // active, inactive, archived
     const privacy = req.query.privacy; // public, private
     const search = req.query.search || "";
 
@@ -105,6 +122,7 @@ router.get("/", adminAuthMiddleware, async (req, res) => {
         participants: data.participants || [],
         privacy: data.privacy || "public",
         isActive: data.isActive !== false,
+        ...roomArchive.formatArchiveState(data),
         createdAt: data.createdAt,
         sessionDate: data.sessionDate || null,
         sessionTime: data.sessionTime || null,
@@ -129,6 +147,11 @@ router.get("/", adminAuthMiddleware, async (req, res) => {
       console.log(
         `[study-rooms] After status filter (inactive): ${rooms.length} rooms`
       );
+    } else if (status === "archived") {
+      rooms = rooms.filter((room) => room.archived);
+      console.log(
+        `[study-rooms] After status filter (archived): ${rooms.length} rooms`
+      );
     }
 
     // Privacy filter
@@ -168,12 +191,14 @@ router.get("/", adminAuthMiddleware, async (req, res) => {
       (r) => (r.privacy || "public") === "public"
     ).length;
     const privateRooms = allRooms.filter((r) => r.privacy === "private").length;
+    const archivedRooms = allRooms.filter(roomArchive.isArchived).length;
 
     console.log("[study-rooms] Statistics:", {
       totalRooms,
       activeRooms,
       publicRooms,
       privateRooms,
+      archivedRooms,
     });
 
     // ===== Pagination =====
@@ -199,6 +224,7 @@ router.get("/", adminAuthMiddleware, async (req, res) => {
         activeRooms,
         publicRooms,
         privateRooms,
+        archivedRooms,
       },
       filters: {
         status: status || "all",
@@ -263,6 +289,7 @@ router.get("/:roomId", adminAuthMiddleware, async (req, res) => {
       participants: data.participants || [],
       privacy: data.privacy || "public",
       isActive: data.isActive !== false,
+      ...roomArchive.formatArchiveState(data),
       createdAt: data.createdAt,
       sessionDate: data.sessionDate || null,
       sessionTime: data.sessionTime || null,
@@ -304,6 +331,7 @@ router.put("/:roomId/deactivate", adminAuthMiddleware, async (req, res) => {
       deactivatedAt: new Date(),
       deactivatedBy: adminUid,
     });
+    await updateFacetCounts(roomId, roomData, { ...roomData, isActive: false });
 
     // Log to audit logs
     await db.collection("auditLogs").add({
@@ -362,6 +390,7 @@ router.put("/:roomId/activate", adminAuthMiddleware, async (req, res) => {
       activatedAt: new Date(),
       activatedBy: adminUid,
     });
+    await updateFacetCounts(roomId, roomData, { ...roomData, isActive: true });
 
     // Log to audit logs
     await db.collection("auditLogs").add({
@@ -396,6 +425,167 @@ router.put("/:roomId/activate", adminAuthMiddleware, async (req, res) => {
   }
 });
 
+// PUT /api/admin/study-rooms/:roomId/archive
+// PUT /api/admin/study-rooms/:roomId/unarchive
+// Archived rooms are read-only and cannot be joined
+async function setRoomArchived(req, res, archived) {
+  const roomId = req.params.roomId;
+  const adminUid = req.user.uid;
+  const adminName = req.user.name || "Unknown";
+  const action = archived ? "archive" : "unarchive";
+
+  try {
+    console.log(`[study-rooms] ${action} room ${roomId}...`);
+
+    const roomRef = db.collection("study-groups").doc(roomId);
+    const roomDoc = await roomRef.get();
+    if (!roomDoc.exists) {
+      return res.status(404).json({ error: "Room not found" });
+    }
+
+    const roomData = roomDoc.data();
+    if (roomArchive.isArchived(roomData) === archived) {
+      return res.status(400).json({
+        error: archived ? "Room is already archived" : "Room is not archived",
+      });
+    }
+
+    const updates = archived
+      ? roomArchive.archiveFields(adminUid, "manual")
+      : roomArchive.unarchiveFields(adminUid);
+    await roomRef.update(updates);
+    await updateFacetCounts(roomId, roomData, { ...roomData, ...updates });
+
+    // Log to audit logs
+    await db.collection("auditLogs").add({
+      timestamp: new Date(),
+      adminUid,
+      adminName,
+      action: `${action}_study_room`,
+      targetRoomId: roomId,
+      targetName: roomData.name || "Unknown Room",
+      changes: {
+        field: "archived",
+        from: !archived,
+        to: archived,
+      },
+      reason: `Room ${action}d by admin`,
+      status: "completed",
+    });
+
+    if (archived && roomData.creator) {
+      notificationService
+        .notifyRoomArchived(
+          roomData.creator,
+          roomData.name || "Study Room",
+          roomId,
+          "manual"
+        )
+        .catch((err) =>
+          console.error("[study-rooms] Archive notification failed:", err)
+        );
+    }
+
+    console.log(`[study-rooms] ✅ Room ${roomId} ${action}d`);
+
+    res.json({
+      success: true,
+      message: `Room ${action}d successfully`,
+      archived,
+    });
+  } catch (err) {
+    console.error("[study-rooms] Error:", err.message);
+    res.status(500).json({
+      error: `Failed to ${action} room`,
+      details: err.message,
+    });
+  }
+}
+
+router.put("/:roomId/archive", adminAuthMiddleware, (req, res) =>
+  setRoomArchived(req, res, true)
+);
+
+router.put("/:roomId/unarchive", adminAuthMiddleware, (req, res) =>
+  setRoomArchived(req, res, false)
+);
+
+// GET /api/admin/study-rooms/:roomId/messages/export
+// Export a room's chat (same output as the host export in the room)
+// Query: format (markdown | html | json), from?, to?, utcOffsetMinutes?
+router.get(
+  "/:roomId/messages/export",
+  adminAuthMiddleware,
+  async (req, res) => {
+    try {
+      const roomId = req.params.roomId;
+      const adminUid = req.user.uid;
+      const adminName = req.user.name || "Unknown";
+      const format = req.query.format || "markdown";
+
+      if (!chatExport.EXPORT_FORMATS[format]) {
+        return res.status(400).json({
+          error: "Unsupported export format",
+          allowed: Object.keys(chatExport.EXPORT_FORMATS),
+        });
+      }
+      const range = chatExport.parseExportRange(req.query);
+      if (range.error) {
+        return res.status(400).json({ error: range.error });
+      }
+
+      console.log(`[study-rooms] Exporting chat for room ${roomId}...`);
+
+      const roomDoc = await db.collection("study-groups").doc(roomId).get();
+      if (!roomDoc.exists) {
+        return res.status(404).json({ error: "Room not found" });
+      }
+      const roomData = roomDoc.data();
+
+      const result = await chatExport.exportRoomChat(db, roomId, roomData, {
+        format,
+        ...range,
+        exportedBy: `${adminName} (admin)`,
+      });
+
+      // Log to audit logs
+      await db.collection("auditLogs").add({
+        timestamp: new Date(),
+        adminUid,
+        adminName,
+        action: "export_room_chat",
+        targetRoomId: roomId,
+        targetName: roomData.name || "Unknown Room",
+        changes: {
+          format,
+          from: range.from ? range.from.toISOString() : null,
+          to: range.to ? range.to.toISOString() : null,
+          messageCount: result.messageCount,
+        },
+        reason: "Room chat exported by admin",
+        status: "completed",
+      });
+
+      console.log(
+        `[study-rooms] ✅ Exported ${result.messageCount} messages from room ${roomId}`
+      );
+
+      res.setHeader("Content-Type", result.contentType);
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${result.fileName}"`
+      );
+      res.send(result.body);
+    } catch (err) {
+      console.error("[study-rooms] Error:", err.message);
+      res.status(500).json({
+        error: "Failed to export room chat",
+        details: err.message,
+      });
+    }
+  }
+);
+
 // DELETE /api/admin/study-rooms/:roomId
 // Delete a study room permanently
 router.delete("/:roomId", adminAuthMiddleware, async (req, res) => {
@@ -416,6 +606,12 @@ router.delete("/:roomId", adminAuthMiddleware, async (req, res) => {
 
     // Delete the room
     await db.collection("study-groups").doc(roomId).delete();
+    try {
+      await searchIndex.removeEntry("room", roomId);
+    } catch (err) {
+      console.warn(`[study-rooms] Failed to unindex room ${roomId}:`, err);
+    }
+    await updateFacetCounts(roomId, roomData, null);
 
     // Log to audit logs
     await db.collection("auditLogs").add({
@@ -4,7 +4,10 @@ const admin = require("../config/firebase-admin");
 const nodemailer = require("nodemailer");
 const crypto = require("crypto");
 const rateLimit = require("express-rate-limit");
-const { INSTITUTION_EMAIL_DOMAIN } = require("../config/constants");
+const {
+  INSTITUTION_EMAIL_DOMAIN,
+  ALLOWED_COURSES,
+} = require("../config/constants");
 const notificationService = require("../services/notificationService");
 
 // ===== NODEMAILER CONFIGURATION =====
@@ -65,9 +68,6 @@ const PASSWORD_REQUIREMENTS = {
   specialChars: "!@#$%^&*()",
 };
 
-// ===== SECURITY: Allowed courses =====
-const ALLOWED_COURSES = ["BSIT", "CCS", "BSOA", "COA", "ABA"];
-
 // ===== SECURITY: Rate limiters =====
 const verifyOtpLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
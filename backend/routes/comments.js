@@ -4,7 +4,7 @@
  * Hardened comments API:
  * - Consistent response shapes
  * - Robust RPC normalization and fallbacks
- * - Use sanitize-html for content sanitization
+ * - Markdown comments rendered once on write into sanitized HTML (content_html)
  * - Use .select().single() on inserts/updates to return created/updated rows
  * - Rate limiting on create comment and like endpoints to reduce abuse
  * - Clear server-side logging and friendly client error messages
@@ -23,8 +23,10 @@ const supabase = require("../config/supabase");
 const admin = require("../config/firebase-admin");
 const firebaseAuthMiddleware = require("../middleware/firebaseAuthMiddleware");
 const notificationService = require("../services/notificationService");
+const markdownService = require("../services/markdownService");
+const mentionService = require("../services/mentionService");
+const subscriptionService = require("../services/subscriptionService");
 
-const sanitizeHtml = require("sanitize-html");
 const rateLimit = require("express-rate-limit");
 
 // Rate limiters
@@ -36,6 +38,14 @@ const createCommentLimiter = rateLimit({
   message: { error: "Too many requests, slow down" },
 });
 
+const previewLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 60, // preview is requested while typing (debounced client-side)
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: "Too many requests, slow down" },
+});
+
 const likeToggleLimiter = rateLimit({
   windowMs: 60 * 1000,
   max: 60, // likes are lightweight, slightly higher limit
@@ -74,28 +84,27 @@ function friendlyServerError(res, err, logMessage = "Server error") {
   return res.status(500).json({ error: "An internal server error occurred" });
 }
 
-function sanitizeContent(content) {
-  // Allow minimal formatting for comments: bold, italics, code, links
-  return sanitizeHtml(content || "", {
-    allowedTags: ["b", "i", "em", "strong", "code", "pre", "a", "br", "p"],
-    allowedAttributes: {
-      a: ["href", "target", "rel"],
-    },
-    transformTags: {
-      a: (tagName, attribs) => {
-        // ensure external links open safely
-        const href = attribs.href || "";
-        return {
-          tagName: "a",
-          attribs: {
-            href,
-            target: "_blank",
-            rel: "noopener noreferrer",
-          },
-        };
+// Mention notifications for a created or edited comment (one per user per comment)
+async function notifyCommentMentions(mentions, uid, authorName, comment) {
+  if (!mentions.length) return;
+  try {
+    await notificationService.notifyMentions(mentions, uid, authorName, {
+      where: "a comment",
+      text: mentionService.toPlainText(comment.content || ""),
+      link: `/student/pages/post.html?topic=${comment.topic_id}&post=${comment.post_id}`,
+      messageKey: `comment_${comment.id}`,
+      data: {
+        topicId: comment.topic_id,
+        postId: comment.post_id,
+        commentId: comment.id,
       },
-    },
-  });
+    });
+  } catch (notifErr) {
+    console.warn(
+      "[comments] Failed to send mention notifications:",
+      notifErr.message
+    );
+  }
 }
 
 // Light legacy fallback — we keep it for minimal script-stripping, but prefer sanitizeHtml above
@@ -121,10 +130,10 @@ router.post(
     if (!content || String(content).trim() === "") {
       return res.status(400).json({ error: "Comment content required" });
     }
-    if (String(content).length > 3000) {
-      return res
-        .status(400)
-        .json({ error: "Comment too long (max 3000 characters)" });
+    if (String(content).length > markdownService.MAX_COMMENT_LENGTH) {
+      return res.status(400).json({
+        error: `Comment too long (max ${markdownService.MAX_COMMENT_LENGTH} characters)`,
+      });
     }
 
     try {
@@ -161,8 +170,11 @@ router.post(
         console.warn("Could not resolve author snapshot for comments:", e);
       }
 
-      // Sanitize content
-      const safeContent = sanitizeContent(String(content).trim());
+      // Keep the markdown source (mentions validated); the rendered HTML is sanitized
+      const { text: source, mentions } = await mentionService.resolveMentions(
+        admin.firestore(),
+        String(content).trim()
+      );
 
       // Insert comment and return created row
       const payload = {
@@ -172,7 +184,8 @@ router.post(
         author_id: uid,
         author_name,
         author_avatar,
-        content: safeContent,
+        content: source,
+        content_html: markdownService.renderMarkdown(source),
         created_at: new Date().toISOString(),
         edited_at: null,
         is_deleted: false,
@@ -213,24 +226,29 @@ router.post(
         );
       }
 
-      // ===== NOTIFICATION: Notify post owner about new comment =====
+      // ===== NOTIFICATION: Notify post followers about new comment =====
+      // Mentioned users get the mention notification instead
       try {
-        // Get post info to find owner
         const { data: postData } = await supabase
           .from("posts")
-          .select("author_id, title")
+          .select("title")
           .eq("id", postId)
           .single();
 
-        if (postData && postData.author_id && postData.author_id !== uid) {
-          const postTitle = postData.title || "your post";
-          await notificationService.notifyPostComment(
-            postData.author_id,
-            author_name,
-            postTitle,
-            postId
-          );
-        }
+        const subscriberIds = await subscriptionService.getSubscriberIds(
+          "post",
+          postId
+        );
+        await notificationService.notifyPostComment(
+          subscriberIds.filter(
+            (subscriberId) => !mentions.includes(subscriberId)
+          ),
+          uid,
+          author_name,
+          (postData && postData.title) || "a post",
+          topicId,
+          postId
+        );
       } catch (notifErr) {
         console.warn(
           "[comments] Failed to send comment notification:",
@@ -238,6 +256,23 @@ router.post(
         );
       }
 
+      // Commenting follows the post
+      try {
+        await subscriptionService.ensureSubscribed(
+          uid,
+          "post",
+          postId,
+          topicId
+        );
+      } catch (subErr) {
+        console.warn(
+          "[comments] Failed to subscribe commenter:",
+          subErr.message
+        );
+      }
+
+      await notifyCommentMentions(mentions, uid, author_name, data);
+
       return res.status(201).json({ comment: data });
     } catch (err) {
       return friendlyServerError(res, err, "Server error creating comment:");
@@ -260,7 +295,7 @@ router.get("/topics/:topicId/posts/:postId/comments", async (req, res) => {
     let qb = supabase
       .from("comments")
       .select(
-        "id, topic_id, post_id, parent_id, author_id, author_name, author_avatar, content, created_at, edited_at, is_deleted, likes_count"
+        "id, topic_id, post_id, parent_id, author_id, author_name, author_avatar, content, content_html, created_at, edited_at, is_deleted, likes_count"
       )
       .eq("post_id", postId);
 
@@ -310,8 +345,10 @@ router.patch(
     if (!content || String(content).trim() === "") {
       return res.status(400).json({ error: "Content required" });
     }
-    if (String(content).length > 3000) {
-      return res.status(400).json({ error: "Comment too long (max 3000)" });
+    if (String(content).length > markdownService.MAX_COMMENT_LENGTH) {
+      return res.status(400).json({
+        error: `Comment too long (max ${markdownService.MAX_COMMENT_LENGTH})`,
+      });
     }
 
     try {
@@ -335,11 +372,18 @@ router.patch(
         return res.status(403).json({ error: "Forbidden" });
       }
 
-      const safeContent = sanitizeContent(String(content).trim());
+      const { text: source, mentions } = await mentionService.resolveMentions(
+        admin.firestore(),
+        String(content).trim()
+      );
 
       const { data, error } = await supabase
         .from("comments")
-        .update({ content: safeContent, edited_at: new Date().toISOString() })
+        .update({
+          content: source,
+          content_html: markdownService.renderMarkdown(source),
+          edited_at: new Date().toISOString(),
+        })
         .eq("id", commentId)
         .select()
         .single();
@@ -348,6 +392,13 @@ router.patch(
         console.error("Supabase UPDATE comment error:", error);
         return res.status(500).json({ error: "Could not update comment" });
       }
+
+      await notifyCommentMentions(
+        mentions,
+        existing.author_id,
+        existing.author_name || "Someone",
+        data
+      );
       return res.json({ comment: data });
     } catch (err) {
       return friendlyServerError(res, err, "Server error PATCH comment:");
@@ -391,7 +442,11 @@ router.delete(
 
       const { error } = await supabase
         .from("comments")
-        .update({ is_deleted: true, content: "[Comment deleted]" })
+        .update({
+          is_deleted: true,
+          content: "[Comment deleted]",
+          content_html: null,
+        })
         .eq("id", commentId);
 
       if (error) {
@@ -517,4 +572,31 @@ router.post(
   }
 );
 
+/**
+ * Render markdown for the editor's live preview (same renderer as on save)
+ * POST /api/markdown/preview
+ * Response: { html: "<p>...</p>" }
+ */
+router.post(
+  "/markdown/preview",
+  firebaseAuthMiddleware,
+  previewLimiter,
+  (req, res) => {
+    const { content } = req.body || {};
+    if (typeof content !== "string") {
+      return res.status(400).json({ error: "Content required" });
+    }
+    if (content.length > markdownService.MAX_POST_LENGTH) {
+      return res.status(400).json({
+        error: `Content too long (max ${markdownService.MAX_POST_LENGTH} characters)`,
+      });
+    }
+    try {
+      return res.json({ html: markdownService.renderMarkdown(content) });
+    } catch (err) {
+      return friendlyServerError(res, err, "Server error rendering preview:");
+    }
+  }
+);
+
 module.exports = router;
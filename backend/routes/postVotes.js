@@ -0,0 +1,157 @@
+// backend/routes/postVotes.js
+// Up/down votes on answers in "question" topics (Supabase post_votes table).
+// Mounted at /api/posts next to postLikes.js
+
+const express = require("express");
+const router = express.Router();
+const supabase = require("../config/supabase");
+const firebaseAuthMiddleware = require("../middleware/firebaseAuthMiddleware");
+const postVoteService = require("../services/postVoteService");
+const rateLimit = require("express-rate-limit");
+
+const MAX_POSTS_PER_REQUEST = 100;
+
+// Rate limiter for votes
+const voteLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 60,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: "Too many vote requests, slow down" },
+});
+
+async function getVoteResult(postId, uid) {
+  const [summary, userVotes] = await Promise.all([
+    postVoteService.getVoteSummary([postId]),
+    postVoteService.getUserVotes(uid, [postId]),
+  ]);
+  const totals = summary[String(postId)] || {
+    score: 0,
+    upvotes: 0,
+    downvotes: 0,
+  };
+  return {
+    post_id: postId,
+    ...totals,
+    userVote: userVotes[String(postId)] || 0,
+  };
+}
+
+/**
+ * GET /votes?ids=1,2,3
+ * Scores and the current user's votes for several posts
+ */
+router.get("/votes", firebaseAuthMiddleware, async (req, res) => {
+  const ids = String(req.query.ids || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter(Boolean)
+    .slice(0, MAX_POSTS_PER_REQUEST);
+
+  if (ids.length === 0) {
+    return res.json({ votes: {} });
+  }
+
+  try {
+    const [summary, userVotes] = await Promise.all([
+      postVoteService.getVoteSummary(ids),
+      postVoteService.getUserVotes(req.user.uid, ids),
+    ]);
+    const votes = {};
+    ids.forEach((id) => {
+      votes[id] = {
+        ...(summary[id] || { score: 0, upvotes: 0, downvotes: 0 }),
+        userVote: userVotes[id] || 0,
+      };
+    });
+    return res.json({ votes });
+  } catch (err) {
+    console.error("[postVotes] GET /votes error:", err);
+    return res.status(500).json({ error: "Could not load votes" });
+  }
+});
+
+/**
+ * GET /:postId/votes
+ * Score and the current user's vote
+ */
+router.get("/:postId/votes", firebaseAuthMiddleware, async (req, res) => {
+  const { postId } = req.params;
+  if (!postId || postId.trim() === "") {
+    return res.status(400).json({ error: "Post ID required" });
+  }
+
+  try {
+    return res.json(await getVoteResult(postId, req.user.uid));
+  } catch (err) {
+    console.error("[postVotes] GET error:", err);
+    return res.status(500).json({ error: "Could not load votes" });
+  }
+});
+
+/**
+ * POST /:postId/vote
+ * Body: { value: 1 | -1 }. Sending the current vote again removes it.
+ * Only answers in question topics can be voted on, and not by their author.
+ */
+router.post(
+  "/:postId/vote",
+  voteLimiter,
+  firebaseAuthMiddleware,
+  async (req, res) => {
+    const { postId } = req.params;
+    const uid = req.user && req.user.uid;
+    const value = Number((req.body || {}).value);
+
+    if (!uid) {
+      return res.status(401).json({ error: "Unauthorized - Please sign in" });
+    }
+    if (!postId || postId.trim() === "") {
+      return res.status(400).json({ error: "Post ID required" });
+    }
+    if (value !== 1 && value !== -1) {
+      return res.status(400).json({ error: "Vote must be 1 or -1" });
+    }
+
+    try {
+      const { data: post, error: postErr } = await supabase
+        .from("posts")
+        .select("id, topic_id, author_id")
+        .eq("id", postId)
+        .maybeSingle();
+
+      if (postErr) {
+        console.error("[postVotes] Error loading post:", postErr);
+        return res.status(500).json({ error: "Could not process vote" });
+      }
+      if (!post) {
+        return res.status(404).json({ error: "Post not found" });
+      }
+
+      const { data: topic } = await supabase
+        .from("topics")
+        .select("*")
+        .eq("id", post.topic_id)
+        .maybeSingle();
+
+      if (!postVoteService.isQuestionTopic(topic)) {
+        return res
+          .status(400)
+          .json({ error: "Only answers to questions can be voted on" });
+      }
+      if (String(post.author_id) === String(uid)) {
+        return res
+          .status(403)
+          .json({ error: "You can't vote on your own answer" });
+      }
+
+      await postVoteService.castVote(uid, postId, value);
+      return res.json(await getVoteResult(postId, uid));
+    } catch (err) {
+      console.error("[postVotes] POST error:", err);
+      return res.status(500).json({ error: "Could not process vote" });
+    }
+  }
+);
+
+module.exports = router;
@@ -18,6 +18,7 @@ const fs = require("fs");
 const { JWT } = require("google-auth-library");
 const supabase = require("../config/supabase");
 const firebaseAuthMiddleware = require("../middleware/firebaseAuthMiddleware");
+const searchIndex = require("../services/searchIndexService");
 
 // ===== SECURITY: File type whitelist =====
 const ALLOWED_FILE_TYPES = new Set(["pdf", "doc", "docx", "ppt", "pptx"]);
@@ -666,6 +667,15 @@ router.post(
       const docData = docSnap.data() || {};
       const { supabaseFile, coverFile, ...publicData } = docData;
 
+      try {
+        await searchIndex.indexResource(docRef.id, docData);
+      } catch (e) {
+        console.warn(
+          "[resources] failed to index resource for search:",
+          e && e.message ? e.message : e
+        );
+      }
+
       console.log(
         `[resources] ✅ Resource created: id=${docRef.id} by user=${uid} ownerId=${uid}`
       );
@@ -823,6 +833,15 @@ router.put(
       const updatedData = updatedDoc.data() || {};
       const { supabaseFile, coverFile, ...publicData } = updatedData;
 
+      try {
+        await searchIndex.indexResource(docRef.id, updatedData);
+      } catch (e) {
+        console.warn(
+          "[resources] failed to re-index resource for search:",
+          e && e.message ? e.message : e
+        );
+      }
+
       console.log(
         `[resources] Resource updated: id=${req.params.id} by user=${uid}`
       );
@@ -886,6 +905,14 @@ router.delete("/:id", firebaseAuthMiddleware, async (req, res) => {
     }
 
     await docRef.delete();
+    try {
+      await searchIndex.removeEntry("resource", req.params.id);
+    } catch (e) {
+      console.warn(
+        "[resources] failed to remove resource from search index:",
+        e && e.message ? e.message : e
+      );
+    }
     console.log(
       `[resources] Resource deleted: id=${req.params.id} by user=${uid}`
     );
@@ -0,0 +1,178 @@
+// backend/routes/room-templates.js
+// Saved room templates (mounted at /api/room-templates)
+//
+// GET    /api/room-templates        - List my templates
+// POST   /api/room-templates        - Save a room as a template { roomId, name? } (room hosts)
+// GET    /api/room-templates/:id    - Template details (owner)
+// DELETE /api/room-templates/:id    - Delete template (owner)
+//
+// New rooms are created from a template with POST /api/study-groups
+// { templateId, name, ... } (see services/roomTemplateService.js).
+
+const express = require("express");
+const router = express.Router();
+const admin = require("../config/firebase-admin");
+const firebaseAuthMiddleware = require("../middleware/firebaseAuthMiddleware");
+const rateLimit = require("express-rate-limit");
+const roomAccess = require("../services/roomAccessService");
+const roomTemplates = require("../services/roomTemplateService");
+
+// ===== SECURITY: Rate limiters =====
+const templateLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 30, // Max 30 template saves / deletions per hour per user
+  keyGenerator: (req) => req.user?.uid || req.ip,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    error: "Too many template changes. Please try again later.",
+  },
+  skip: (req) => !req.user,
+});
+
+function sanitizeString(str, maxLength = 255) {
+  if (typeof str !== "string") return "";
+  return str.trim().substring(0, maxLength);
+}
+
+function logSecurityEvent(eventType, uid, details) {
+  const timestamp = new Date().toISOString();
+  console.warn(
+    `[SECURITY] ${timestamp} | Event: ${eventType} | User: ${uid} | Details:`,
+    details
+  );
+}
+
+// The template document if the caller owns it
+async function getOwnTemplate(templateId, uid) {
+  const doc = await roomTemplates
+    .getTemplatesRef(admin.firestore())
+    .doc(templateId)
+    .get();
+  if (!doc.exists) return { status: 404, error: "Template not found" };
+  if (doc.data().ownerId !== uid) {
+    logSecurityEvent("UNAUTHORIZED_TEMPLATE_ACCESS", uid, { templateId });
+    return { status: 404, error: "Template not found" };
+  }
+  return { doc };
+}
+
+// ===== GET /api/room-templates - List my templates =====
+router.get("/", firebaseAuthMiddleware, async (req, res) => {
+  try {
+    const snapshot = await roomTemplates
+      .getTemplatesRef(admin.firestore())
+      .where("ownerId", "==", req.user.uid)
+      .get();
+
+    const templates = snapshot.docs
+      .map((doc) => roomTemplates.formatTemplate(doc.id, doc.data()))
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    res.json({ templates });
+  } catch (error) {
+    console.error("[room-templates] Error listing templates:", error);
+    res.status(500).json({ error: "Failed to fetch templates" });
+  }
+});
+
+// ===== POST /api/room-templates - Save a room as a template (hosts) =====
+router.post("/", firebaseAuthMiddleware, templateLimiter, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const roomId = sanitizeString(req.body.roomId, 128);
+    if (!roomId) {
+      return res.status(400).json({ error: "roomId is required" });
+    }
+
+    const access = await roomAccess.resolveRoomAccess(roomId, req.user, {
+      requireHost: true,
+    });
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const db = admin.firestore();
+    const existing = await roomTemplates
+      .getTemplatesRef(db)
+      .where("ownerId", "==", uid)
+      .get();
+    if (existing.size >= roomTemplates.MAX_TEMPLATES_PER_USER) {
+      return res.status(400).json({
+        error: `You can save at most ${roomTemplates.MAX_TEMPLATES_PER_USER} templates. Delete one first.`,
+      });
+    }
+
+    const name =
+      sanitizeString(req.body.name, roomTemplates.MAX_TEMPLATE_NAME_LENGTH) ||
+      sanitizeString(
+        access.room.name || "Study Room",
+        roomTemplates.MAX_TEMPLATE_NAME_LENGTH
+      );
+    const snapshot = await roomTemplates.snapshotRoom(db, roomId, access.room);
+
+    const templateData = {
+      ...snapshot,
+      ownerId: uid,
+      name,
+      sourceRoomId: roomId,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    const ref = await roomTemplates.getTemplatesRef(db).add(templateData);
+
+    console.log(
+      `[room-templates] Template ${ref.id} saved from room ${roomId} by ${uid}`
+    );
+    res.status(201).json({
+      success: true,
+      template: roomTemplates.formatTemplate(ref.id, {
+        ...templateData,
+        createdAt: new Date(),
+      }),
+    });
+  } catch (error) {
+    console.error("[room-templates] Error saving template:", error);
+    res.status(500).json({ error: "Failed to save template" });
+  }
+});
+
+// ===== GET /api/room-templates/:id - Template details (owner) =====
+router.get("/:id", firebaseAuthMiddleware, async (req, res) => {
+  try {
+    const result = await getOwnTemplate(req.params.id, req.user.uid);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+    res.json(roomTemplates.formatTemplate(result.doc.id, result.doc.data()));
+  } catch (error) {
+    console.error("[room-templates] Error fetching template:", error);
+    res.status(500).json({ error: "Failed to fetch template" });
+  }
+});
+
+// ===== DELETE /api/room-templates/:id - Delete template (owner) =====
+router.delete(
+  "/:id",
+  firebaseAuthMiddleware,
+  templateLimiter,
+  async (req, res) => {
+    try {
+      const result = await getOwnTemplate(req.params.id, req.user.uid);
+      if (result.error) {
+        return res.status(result.status).json({ error: result.error });
+      }
+      await result.doc.ref.delete();
+
+      console.log(
+        `[room-templates] Template ${req.params.id} deleted by ${req.user.uid}`
+      );
+      res.json({ success: true });
+    } catch (error) {
+      console.error("[room-templates] Error deleting template:", error);
+      res.status(500).json({ error: "Failed to delete template" });
+    }
+  }
+);
+
+module.exports = router;
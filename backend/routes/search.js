@@ -0,0 +1,60 @@
+// backend/routes/search.js
+// Unified search across topics, posts, comments, resources and study rooms.
+// See services/searchService.js for ranking and permission filtering.
+
+const express = require("express");
+const router = express.Router();
+const firebaseAuthMiddleware = require("../middleware/firebaseAuthMiddleware");
+const searchService = require("../services/searchService");
+const rateLimit = require("express-rate-limit");
+
+// Search-as-you-type sends a request per pause in typing
+const searchLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 60,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => req.user?.uid || req.ip,
+  skip: (req) => !req.user,
+  message: { error: "Too many searches, slow down" },
+});
+
+/**
+ * GET /api/search?q=&type=&limit=
+ * type: all (default) | topic | post | comment | resource | room
+ * Returns { query, results, facets: { [type]: count }, total }; facets and
+ * total cover every type so the filter chips keep their counts
+ */
+router.get("/", firebaseAuthMiddleware, searchLimiter, async (req, res) => {
+  const q = typeof req.query.q === "string" ? req.query.q : "";
+  const type = String(req.query.type || "all").toLowerCase();
+  const limit = parseInt(req.query.limit, 10) || searchService.DEFAULT_LIMIT;
+
+  if (type !== "all" && !searchService.RESULT_TYPES.includes(type)) {
+    return res.status(400).json({
+      error: `Type must be all or one of: ${searchService.RESULT_TYPES.join(
+        ", "
+      )}`,
+    });
+  }
+  if (q.length > searchService.MAX_QUERY_LENGTH) {
+    return res.status(400).json({
+      error: `Search is limited to ${searchService.MAX_QUERY_LENGTH} characters`,
+    });
+  }
+
+  try {
+    const result = await searchService.search({
+      q,
+      type,
+      limit,
+      user: req.user,
+    });
+    res.json(result);
+  } catch (err) {
+    console.error("[search] GET / error:", err);
+    res.status(500).json({ error: "Search failed" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,211 @@
+// backend/routes/study-group-announcements.js
+// Room announcements board (mounted at /api/study-groups)
+//
+// GET    /api/study-groups/:id/announcements                   - List announcements (participants)
+// POST   /api/study-groups/:id/announcements                   - Post announcement { text } (hosts)
+// DELETE /api/study-groups/:id/announcements/:announcementId   - Remove announcement (hosts)
+//
+// Announcements live on the room document (see services/announcementService.js)
+// and are also returned by GET /api/study-groups/:id.
+
+const express = require("express");
+const router = express.Router();
+const admin = require("../config/firebase-admin");
+const firebaseAuthMiddleware = require("../middleware/firebaseAuthMiddleware");
+const rateLimit = require("express-rate-limit");
+const roomAccess = require("../services/roomAccessService");
+const roomArchive = require("../services/roomArchiveService");
+const announcements = require("../services/announcementService");
+const notificationService = require("../services/notificationService");
+
+// ===== SECURITY: Rate limiters =====
+const announcementLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 20, // Max 20 announcements / removals per hour per user
+  keyGenerator: (req) => req.user?.uid || req.ip,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    error: "Too many announcements. Please try again later.",
+  },
+  skip: (req) => !req.user,
+});
+
+function sanitizeString(str, maxLength = 255) {
+  if (typeof str !== "string") return "";
+  return str.trim().substring(0, maxLength);
+}
+
+function logSecurityEvent(eventType, uid, details) {
+  const timestamp = new Date().toISOString();
+  console.warn(
+    `[SECURITY] ${timestamp} | Event: ${eventType} | User: ${uid} | Details:`,
+    details
+  );
+}
+
+async function getUserName(uid, fallback) {
+  try {
+    const userDoc = await admin.firestore().collection("users").doc(uid).get();
+    return (userDoc.exists && userDoc.data().name) || fallback || null;
+  } catch (err) {
+    return fallback || null;
+  }
+}
+
+// ===== GET /api/study-groups/:id/announcements - List announcements =====
+router.get("/:id/announcements", firebaseAuthMiddleware, async (req, res) => {
+  try {
+    const access = await roomAccess.resolveRoomAccess(req.params.id, req.user);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    res.json({
+      announcements: announcements.formatAnnouncements(
+        access.room.announcements
+      ),
+    });
+  } catch (error) {
+    console.error("[announcements] Error listing announcements:", error);
+    res.status(500).json({ error: "Failed to fetch announcements" });
+  }
+});
+
+// ===== POST /api/study-groups/:id/announcements - Post announcement (hosts) =====
+router.post(
+  "/:id/announcements",
+  firebaseAuthMiddleware,
+  announcementLimiter,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const uid = req.user.uid;
+      const text = sanitizeString(
+        req.body?.text,
+        announcements.MAX_ANNOUNCEMENT_LENGTH
+      );
+      if (!text) {
+        return res.status(400).json({ error: "Announcement text is required" });
+      }
+
+      const access = await roomAccess.resolveRoomAccess(id, req.user, {
+        requireHost: true,
+      });
+      if (access.error) {
+        logSecurityEvent("UNAUTHORIZED_ANNOUNCEMENT_POST", uid, {
+          roomId: id,
+        });
+        return res.status(access.status).json({ error: access.error });
+      }
+      if (access.room.isActive === false) {
+        return res.status(403).json({
+          error: "This room has been deactivated by an admin.",
+        });
+      }
+      if (roomArchive.isArchived(access.room)) {
+        return res.status(403).json({ error: roomArchive.ARCHIVED_ERROR });
+      }
+
+      const authorName = await getUserName(uid, req.user.name);
+      const announcement = announcements.buildAnnouncement(
+        text,
+        req.user,
+        authorName
+      );
+
+      const roomRef = roomAccess.getRoomRef(id);
+      const room = await admin.firestore().runTransaction(async (tx) => {
+        const roomDoc = await tx.get(roomRef);
+        const data = roomDoc.data();
+        tx.update(roomRef, {
+          announcements: announcements.addAnnouncement(
+            data.announcements,
+            announcement
+          ),
+        });
+        return data;
+      });
+
+      // Notify everyone else in the room; a failure must not undo the post
+      const recipients = (room.participants || []).filter((p) => p !== uid);
+      if (recipients.length > 0) {
+        notificationService
+          .notifyRoomAnnouncement(
+            recipients,
+            announcement.createdByName,
+            text,
+            room.name || "Study room",
+            id,
+            announcement.id
+          )
+          .catch((err) =>
+            console.error(
+              "[announcements] Failed to notify participants:",
+              err.message
+            )
+          );
+      }
+
+      res.status(201).json({
+        announcement: announcements.formatAnnouncements([announcement])[0],
+      });
+    } catch (error) {
+      console.error("[announcements] Error posting announcement:", error);
+      res.status(500).json({ error: "Failed to post announcement" });
+    }
+  }
+);
+
+// ===== DELETE /api/study-groups/:id/announcements/:announcementId - Remove announcement (hosts) =====
+router.delete(
+  "/:id/announcements/:announcementId",
+  firebaseAuthMiddleware,
+  announcementLimiter,
+  async (req, res) => {
+    try {
+      const { id, announcementId } = req.params;
+      const uid = req.user.uid;
+
+      const access = await roomAccess.resolveRoomAccess(id, req.user, {
+        requireHost: true,
+      });
+      if (access.error) {
+        logSecurityEvent("UNAUTHORIZED_ANNOUNCEMENT_DELETE", uid, {
+          roomId: id,
+          announcementId,
+        });
+        return res.status(access.status).json({ error: access.error });
+      }
+
+      if (access.room.isActive === false) {
+        return res.status(403).json({
+          error: "This room has been deactivated by an admin.",
+        });
+      }
+      if (roomArchive.isArchived(access.room)) {
+        return res.status(403).json({ error: roomArchive.ARCHIVED_ERROR });
+      }
+
+      const roomRef = roomAccess.getRoomRef(id);
+      const removed = await admin.firestore().runTransaction(async (tx) => {
+        const roomDoc = await tx.get(roomRef);
+        const current = roomDoc.data().announcements || [];
+        const next = announcements.removeAnnouncement(current, announcementId);
+        if (next.length === current.length) return false;
+        tx.update(roomRef, { announcements: next });
+        return true;
+      });
+
+      if (!removed) {
+        return res.status(404).json({ error: "Announcement not found" });
+      }
+      res.json({ success: true, message: "Announcement removed" });
+    } catch (error) {
+      console.error("[announcements] Error removing announcement:", error);
+      res.status(500).json({ error: "Failed to remove announcement" });
+    }
+  }
+);
+
+module.exports = router;
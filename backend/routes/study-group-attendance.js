@@ -0,0 +1,265 @@
+// backend/routes/study-group-attendance.js
+// Room attendance tracking and reports (mounted at /api/study-groups)
+//
+// POST  /api/study-groups/:id/attendance/visits            - Start a visit (participant opened the room)
+// PATCH /api/study-groups/:id/attendance/visits/:visitId   - Heartbeat { inCall?, left? }
+// GET   /api/study-groups/:id/attendance                   - Attendance report, JSON or CSV (hosts)
+//
+// Personal totals across rooms: GET /api/users/me/study-stats (routes/users.js).
+// Storage and bucketing: services/attendanceService.js.
+
+const express = require("express");
+const router = express.Router();
+const admin = require("../config/firebase-admin");
+const firebaseAuthMiddleware = require("../middleware/firebaseAuthMiddleware");
+const rateLimit = require("express-rate-limit");
+const roomAccess = require("../services/roomAccessService");
+const roomArchive = require("../services/roomArchiveService");
+const roomCatalog = require("../services/roomCatalogService");
+const attendance = require("../services/attendanceService");
+const { resolveDisplayNames } = require("../services/chatExportService");
+
+// ===== SECURITY: Rate limiters =====
+const visitLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30, // Heartbeats are sent once a minute per open room
+  keyGenerator: (req) => req.user?.uid || req.ip,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    error: "Too many attendance updates. Please slow down.",
+  },
+  skip: (req) => !req.user,
+});
+
+const reportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 60, // Max 60 attendance reports per hour per user
+  keyGenerator: (req) => req.user?.uid || req.ip,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    error: "Too many attendance reports. Please try again later.",
+  },
+  skip: (req) => !req.user,
+});
+
+function sanitizeString(str, maxLength = 255) {
+  if (typeof str !== "string") return "";
+  return str.trim().substring(0, maxLength);
+}
+
+function logSecurityEvent(eventType, uid, details) {
+  const timestamp = new Date().toISOString();
+  console.warn(
+    `[SECURITY] ${timestamp} | Event: ${eventType} | User: ${uid} | Details:`,
+    details
+  );
+}
+
+function slugify(name) {
+  return (
+    String(name || "room")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 40) || "room"
+  );
+}
+
+// ===== POST /api/study-groups/:id/attendance/visits - Start a visit =====
+router.post(
+  "/:id/attendance/visits",
+  firebaseAuthMiddleware,
+  visitLimiter,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const uid = req.user.uid;
+
+      const access = await roomAccess.resolveRoomAccess(id, req.user);
+      if (access.error) {
+        return res.status(access.status).json({ error: access.error });
+      }
+      // Admins looking around are not attendance
+      if (!roomAccess.isParticipant(access.room, uid)) {
+        return res.status(204).end();
+      }
+      if (access.room.isActive === false) {
+        return res.status(403).json({
+          error: "This room has been deactivated by an admin.",
+        });
+      }
+      if (roomArchive.isArchived(access.room)) {
+        return res.status(403).json({ error: roomArchive.ARCHIVED_ERROR });
+      }
+
+      const db = admin.firestore();
+      const roomVisitRef = attendance.getRoomAttendanceRef(db, id).doc();
+      const visit = attendance.buildVisit(uid, id, access.room.name);
+      const batch = db.batch();
+      batch.set(roomVisitRef, visit);
+      batch.set(
+        attendance.getUserVisitsRef(db, uid).doc(roomVisitRef.id),
+        visit
+      );
+      // Visits count as room activity ("activity" sort, auto-archive)
+      if (roomCatalog.shouldTouchActivity(access.room)) {
+        batch.update(roomAccess.getRoomRef(id), { lastActivityAt: new Date() });
+      }
+      await batch.commit();
+
+      res.status(201).json({
+        visitId: roomVisitRef.id,
+        heartbeatSeconds: attendance.HEARTBEAT_INTERVAL_SECONDS,
+      });
+    } catch (error) {
+      console.error("[attendance] Error starting visit:", error);
+      res.status(500).json({ error: "Failed to record attendance" });
+    }
+  }
+);
+
+// ===== PATCH /api/study-groups/:id/attendance/visits/:visitId - Heartbeat =====
+// Body: { inCall?: boolean, left?: boolean }. 409 { expired: true } when the
+// visit already ended (heartbeats stopped) - the client starts a new one.
+router.patch(
+  "/:id/attendance/visits/:visitId",
+  firebaseAuthMiddleware,
+  visitLimiter,
+  async (req, res) => {
+    try {
+      const { id, visitId } = req.params;
+      const uid = req.user.uid;
+      const update = {
+        inCall:
+          typeof req.body?.inCall === "boolean" ? req.body.inCall : undefined,
+        left: req.body?.left === true,
+      };
+
+      const db = admin.firestore();
+      const roomVisitRef = attendance.getRoomAttendanceRef(db, id).doc(visitId);
+      const userVisitRef = attendance.getUserVisitsRef(db, uid).doc(visitId);
+
+      const result = await db.runTransaction(async (tx) => {
+        const visitDoc = await tx.get(roomVisitRef);
+        if (!visitDoc.exists || visitDoc.data().userId !== uid) {
+          return { status: 404, body: { error: "Visit not found" } };
+        }
+        const visit = visitDoc.data();
+        if (visit.leftAt) {
+          return {
+            status: 409,
+            body: { error: "This visit has ended", expired: true },
+          };
+        }
+
+        const { changes, expired } = attendance.applyVisitUpdate(visit, update);
+        tx.update(roomVisitRef, changes);
+        tx.set(userVisitRef, changes, { merge: true });
+        if (expired) {
+          return {
+            status: 409,
+            body: { error: "This visit has ended", expired: true },
+          };
+        }
+        return { status: 200, body: { success: true } };
+      });
+
+      if (result.status === 404) {
+        logSecurityEvent("ATTENDANCE_VISIT_MISMATCH", uid, {
+          roomId: id,
+          visitId,
+        });
+      }
+      res.status(result.status).json(result.body);
+    } catch (error) {
+      console.error("[attendance] Error updating visit:", error);
+      res.status(500).json({ error: "Failed to update attendance" });
+    }
+  }
+);
+
+// ===== GET /api/study-groups/:id/attendance - Attendance report (hosts) =====
+// Query: from?, to? (YYYY-MM-DD, local), utcOffsetMinutes?, format? (json | csv)
+router.get(
+  "/:id/attendance",
+  firebaseAuthMiddleware,
+  reportLimiter,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const uid = req.user.uid;
+      const format = sanitizeString(req.query.format, 10) || "json";
+      if (!["json", "csv"].includes(format)) {
+        return res.status(400).json({ error: "Format must be json or csv" });
+      }
+
+      const range = attendance.parseStatsRange(req.query);
+      if (range.error) {
+        return res.status(400).json({ error: range.error });
+      }
+
+      // ===== SECURITY: Hosts only (class reps keep records for their group) =====
+      const access = await roomAccess.resolveRoomAccess(id, req.user, {
+        requireHost: true,
+      });
+      if (access.error) {
+        logSecurityEvent("UNAUTHORIZED_ATTENDANCE_REPORT", uid, {
+          roomId: id,
+        });
+        return res.status(access.status).json({ error: access.error });
+      }
+
+      const db = admin.firestore();
+      const { visits, truncated } = await attendance.loadVisits(
+        attendance.getRoomAttendanceRef(db, id),
+        range
+      );
+      const names = await resolveDisplayNames(db, [
+        ...new Set(visits.map((v) => v.userId)),
+      ]);
+
+      if (format === "csv") {
+        const fromDay = new Date(
+          range.from.getTime() + range.utcOffsetMinutes * 60 * 1000
+        )
+          .toISOString()
+          .slice(0, 10);
+        const fileName = `${slugify(
+          access.room.name
+        )}-attendance-${fromDay}.csv`;
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="${fileName}"`
+        );
+        return res.send(
+          attendance.visitsToCsv(visits, names, range.utcOffsetMinutes)
+        );
+      }
+
+      const { totals, daily, weekly } = attendance.aggregateVisits(
+        visits,
+        range.utcOffsetMinutes
+      );
+      res.json({
+        range: { from: range.from.toISOString(), to: range.to.toISOString() },
+        totals,
+        members: attendance.summarizeMembers(
+          visits,
+          names,
+          range.utcOffsetMinutes
+        ),
+        daily,
+        weekly,
+        truncated,
+      });
+    } catch (error) {
+      console.error("[attendance] Error building attendance report:", error);
+      res.status(500).json({ error: "Failed to load attendance" });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,365 @@
+// backend/routes/study-group-invites.js
+// Signed invite links for study rooms (mounted at /api/study-groups)
+//
+// POST   /api/study-groups/:id/invites             - Create invite (hosts)
+// GET    /api/study-groups/:id/invites             - List active invites (hosts; co-host invites: owner)
+// DELETE /api/study-groups/:id/invites/:inviteId   - Revoke invite (hosts; co-host invites: owner)
+//
+// Invites are redeemed through POST /api/study-groups/:id/join { inviteToken },
+// which skips the password / approval checks (see study-groups.js).
+
+const express = require("express");
+const router = express.Router();
+const crypto = require("crypto");
+const admin = require("../config/firebase-admin");
+const firebaseAuthMiddleware = require("../middleware/firebaseAuthMiddleware");
+const rateLimit = require("express-rate-limit");
+const roomAccess = require("../services/roomAccessService");
+const roomArchive = require("../services/roomArchiveService");
+const inviteService = require("../services/inviteService");
+const notificationService = require("../services/notificationService");
+
+// ===== SECURITY: Rate limiters =====
+const createInviteLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 50, // Max 50 invites per hour per user
+  keyGenerator: (req) => req.user?.uid || req.ip,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    error: "Too many invites created. Please try again later.",
+  },
+  skip: (req) => !req.user,
+});
+
+// ===== SECURITY: Constants =====
+const MAX_INVITE_USES = 100;
+const MAX_INVITE_EXPIRY_HOURS = 30 * 24; // 30 days
+const MAX_ACTIVE_INVITES_PER_ROOM = 50;
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function sanitizeString(str, maxLength = 255) {
+  if (typeof str !== "string") return "";
+  return str.trim().substring(0, maxLength);
+}
+
+function logSecurityEvent(eventType, uid, details) {
+  const timestamp = new Date().toISOString();
+  console.warn(
+    `[SECURITY] ${timestamp} | Event: ${eventType} | User: ${uid} | Details:`,
+    details
+  );
+}
+
+function invitesRef(roomId) {
+  return roomAccess
+    .getRoomRef(roomId)
+    .collection(inviteService.INVITES_SUBCOLLECTION);
+}
+
+function invitePath(roomId, token) {
+  return `/student/pages/study-room-inside.html?room=${encodeURIComponent(
+    roomId
+  )}&invite=${encodeURIComponent(token)}`;
+}
+
+// Co-host invites are owner-only: other hosts can't see, copy or revoke them
+function canManageInvite(room, uid, invite) {
+  return (
+    invite.role !== roomAccess.ROOM_ROLES.CO_HOST ||
+    roomAccess.isRoomOwner(room, uid)
+  );
+}
+
+// ===== SECURITY: Input validation =====
+function validateInviteInput(data) {
+  const errors = [];
+  const values = {
+    role: "member",
+    maxUses: null,
+    expiresAt: null,
+    targetEmail: null,
+  };
+
+  if (data.role !== undefined && data.role !== null) {
+    if (!inviteService.INVITE_ROLES.includes(data.role)) {
+      errors.push(
+        `Role must be one of: ${inviteService.INVITE_ROLES.join(", ")}`
+      );
+    } else {
+      values.role = data.role;
+    }
+  }
+
+  if (
+    data.maxUses !== undefined &&
+    data.maxUses !== null &&
+    data.maxUses !== ""
+  ) {
+    const maxUses = parseInt(data.maxUses, 10);
+    if (!(maxUses >= 1 && maxUses <= MAX_INVITE_USES)) {
+      errors.push(`maxUses must be between 1 and ${MAX_INVITE_USES}`);
+    } else {
+      values.maxUses = maxUses;
+    }
+  }
+
+  if (
+    data.expiresInHours !== undefined &&
+    data.expiresInHours !== null &&
+    data.expiresInHours !== ""
+  ) {
+    const hours = Number(data.expiresInHours);
+    if (!(hours > 0 && hours <= MAX_INVITE_EXPIRY_HOURS)) {
+      errors.push(
+        `expiresInHours must be between 1 and ${MAX_INVITE_EXPIRY_HOURS}`
+      );
+    } else {
+      values.expiresAt = new Date(
+        Date.now() + hours * 60 * 60 * 1000
+      ).toISOString();
+    }
+  }
+
+  if (data.targetEmail) {
+    const email = sanitizeString(data.targetEmail, 254).toLowerCase();
+    if (!EMAIL_REGEX.test(email)) {
+      errors.push("targetEmail must be a valid email address");
+    } else {
+      values.targetEmail = email;
+      // An invite for one person is single-use unless told otherwise
+      if (values.maxUses === null) values.maxUses = 1;
+    }
+  }
+
+  return { errors, values };
+}
+
+// ===== POST /api/study-groups/:id/invites - Create invite (hosts) =====
+router.post(
+  "/:id/invites",
+  firebaseAuthMiddleware,
+  createInviteLimiter,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const uid = req.user.uid;
+
+      if (!inviteService.getInviteSecret()) {
+        console.error("[invites] ROOM_INVITE_SECRET is not configured");
+        return res
+          .status(503)
+          .json({ error: "Invite links are not configured on the server" });
+      }
+
+      const access = await roomAccess.resolveRoomAccess(id, req.user, {
+        requireHost: true,
+      });
+      if (access.error) {
+        logSecurityEvent("UNAUTHORIZED_INVITE_CREATE", uid, { roomId: id });
+        return res.status(access.status).json({ error: access.error });
+      }
+      const room = access.room;
+
+      if (room.isActive === false) {
+        return res.status(403).json({
+          error:
+            "This room has been deactivated by an admin. You cannot invite members.",
+        });
+      }
+      if (roomArchive.isArchived(room)) {
+        return res.status(403).json({ error: roomArchive.ARCHIVED_ERROR });
+      }
+
+      const { errors, values } = validateInviteInput(req.body || {});
+      if (errors.length > 0) {
+        return res
+          .status(400)
+          .json({ error: "Validation failed", details: errors });
+      }
+
+      // ===== SECURITY: Only the owner can hand out co-host invites =====
+      if (
+        values.role === roomAccess.ROOM_ROLES.CO_HOST &&
+        !roomAccess.isRoomOwner(room, uid)
+      ) {
+        return res.status(403).json({
+          error: "Forbidden: Only the room owner can create co-host invites",
+        });
+      }
+
+      const existing = await invitesRef(id).where("revoked", "==", false).get();
+      const activeCount = existing.docs.filter((doc) =>
+        inviteService.isInviteActive(doc.data())
+      ).length;
+      if (activeCount >= MAX_ACTIVE_INVITES_PER_ROOM) {
+        return res.status(400).json({
+          error: `Rooms can have at most ${MAX_ACTIVE_INVITES_PER_ROOM} active invites. Revoke some first.`,
+        });
+      }
+
+      const inviteId = crypto.randomBytes(12).toString("hex");
+      const inviteData = {
+        ...values,
+        uses: 0,
+        redeemedBy: [],
+        revoked: false,
+        createdBy: uid,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
+      await invitesRef(id).doc(inviteId).set(inviteData);
+
+      const token = inviteService.signInviteToken(id, inviteId);
+
+      logSecurityEvent("ROOM_INVITE_CREATED", uid, {
+        roomId: id,
+        inviteId,
+        role: values.role,
+        maxUses: values.maxUses,
+        expiresAt: values.expiresAt,
+        targeted: !!values.targetEmail,
+      });
+
+      // ===== NOTIFICATION: Invite aimed at an existing account =====
+      if (values.targetEmail) {
+        try {
+          const db = admin.firestore();
+          const [userSnap, inviterDoc] = await Promise.all([
+            db
+              .collection("users")
+              .where("email", "==", values.targetEmail)
+              .limit(1)
+              .get(),
+            db.collection("users").doc(uid).get(),
+          ]);
+
+          if (!userSnap.empty) {
+            const inviterName =
+              (inviterDoc.exists && inviterDoc.data().name) ||
+              req.user.email ||
+              "Someone";
+            await notificationService.notifyRoomInvite(
+              userSnap.docs[0].id,
+              inviterName,
+              room.name || "Study Room",
+              id,
+              invitePath(id, token)
+            );
+          }
+        } catch (notifErr) {
+          console.warn(
+            "[invites] Failed to send invite notification:",
+            notifErr.message
+          );
+        }
+      }
+
+      res.status(201).json({
+        invite: inviteService.formatInviteResponse(inviteId, {
+          ...inviteData,
+          createdAt: new Date().toISOString(),
+        }),
+        token,
+        path: invitePath(id, token),
+      });
+    } catch (error) {
+      console.error("[invites] Error creating invite:", error);
+      logSecurityEvent("ROOM_INVITE_CREATE_ERROR", req.user?.uid, {
+        error: error.message,
+      });
+      res.status(500).json({ error: "Failed to create invite" });
+    }
+  }
+);
+
+// ===== GET /api/study-groups/:id/invites - Active invites (hosts) =====
+router.get("/:id/invites", firebaseAuthMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const access = await roomAccess.resolveRoomAccess(id, req.user, {
+      requireHost: true,
+    });
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const snapshot = await invitesRef(id).where("revoked", "==", false).get();
+    const canSign = !!inviteService.getInviteSecret();
+
+    const invites = snapshot.docs
+      .filter(
+        (doc) =>
+          inviteService.isInviteActive(doc.data()) &&
+          canManageInvite(access.room, req.user.uid, doc.data())
+      )
+      .map((doc) => {
+        const invite = inviteService.formatInviteResponse(doc.id, doc.data());
+        // Tokens are deterministic, so hosts can copy an existing link again
+        if (canSign) {
+          invite.token = inviteService.signInviteToken(id, doc.id);
+          invite.path = invitePath(id, invite.token);
+        }
+        return invite;
+      })
+      .sort((a, b) => (b.createdAt || "").localeCompare(a.createdAt || ""));
+
+    res.json({ invites });
+  } catch (error) {
+    console.error("[invites] Error listing invites:", error);
+    res.status(500).json({ error: "Failed to fetch invites" });
+  }
+});
+
+// ===== DELETE /api/study-groups/:id/invites/:inviteId - Revoke invite (hosts) =====
+router.delete(
+  "/:id/invites/:inviteId",
+  firebaseAuthMiddleware,
+  async (req, res) => {
+    try {
+      const { id, inviteId } = req.params;
+      const uid = req.user.uid;
+
+      const access = await roomAccess.resolveRoomAccess(id, req.user, {
+        requireHost: true,
+      });
+      if (access.error) {
+        logSecurityEvent("UNAUTHORIZED_INVITE_REVOKE", uid, {
+          roomId: id,
+          inviteId,
+        });
+        return res.status(access.status).json({ error: access.error });
+      }
+
+      const inviteRef = invitesRef(id).doc(inviteId);
+      const inviteDoc = await inviteRef.get();
+      if (!inviteDoc.exists) {
+        return res.status(404).json({ error: "Invite not found" });
+      }
+      if (!canManageInvite(access.room, uid, inviteDoc.data())) {
+        logSecurityEvent("UNAUTHORIZED_INVITE_REVOKE", uid, {
+          roomId: id,
+          inviteId,
+          role: inviteDoc.data().role,
+        });
+        return res.status(403).json({
+          error: "Forbidden: Only the room owner can revoke co-host invites",
+        });
+      }
+
+      await inviteRef.update({
+        revoked: true,
+        revokedBy: uid,
+        revokedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      logSecurityEvent("ROOM_INVITE_REVOKED", uid, { roomId: id, inviteId });
+      res.json({ success: true, message: "Invite revoked" });
+    } catch (error) {
+      console.error("[invites] Error revoking invite:", error);
+      res.status(500).json({ error: "Failed to revoke invite" });
+    }
+  }
+);
+
+module.exports = router;
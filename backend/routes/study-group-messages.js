@@ -0,0 +1,1146 @@
+// backend/routes/study-group-messages.js
+// Room chat moderation and search (mounted at /api/study-groups)
+//
+// GET    /api/study-groups/messages/search                      - Search chat in the caller's rooms
+// POST   /api/study-groups/:id/messages                         - Send message (mute / slow mode / word filter applied)
+// GET    /api/study-groups/:id/messages/export                  - Export chat as Markdown / HTML / JSON (hosts)
+// PATCH  /api/study-groups/:id/messages/:messageId              - Edit own text message
+// DELETE /api/study-groups/:id/messages/:messageId              - Delete own message (hosts: any message)
+// POST   /api/study-groups/:id/messages/:messageId/reactions    - Toggle a reaction { emoji }
+// POST   /api/study-groups/:id/messages/:messageId/pin          - Pin message (hosts)
+// DELETE /api/study-groups/:id/messages/:messageId/pin          - Unpin message (hosts)
+// GET    /api/study-groups/:id/moderation                       - Moderation settings (hosts) / own mute state
+// PUT    /api/study-groups/:id/moderation                       - Update slow mode and banned words (hosts)
+// POST   /api/study-groups/:id/moderation/mutes                 - Mute a participant for a duration (hosts)
+// DELETE /api/study-groups/:id/moderation/mutes/:userId         - Unmute a participant (hosts)
+//
+// firestore.rules only lets clients read messages, so every user message (and
+// every later change) goes through these checks; system messages are written
+// by the backend too (chatMessageService.addSystemMessages).
+
+const express = require("express");
+const router = express.Router();
+const admin = require("../config/firebase-admin");
+const firebaseAuthMiddleware = require("../middleware/firebaseAuthMiddleware");
+const rateLimit = require("express-rate-limit");
+const roomAccess = require("../services/roomAccessService");
+const roomArchive = require("../services/roomArchiveService");
+const chatMessages = require("../services/chatMessageService");
+const chatExport = require("../services/chatExportService");
+const moderation = require("../services/chatModerationService");
+const roomCatalog = require("../services/roomCatalogService");
+const mentionService = require("../services/mentionService");
+const notificationService = require("../services/notificationService");
+
+// ===== SECURITY: Rate limiters =====
+const messageSearchLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 20, // Max 20 searches per minute per user
+  keyGenerator: (req) => req.user?.uid || req.ip,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    error: "Too many searches. Please wait a moment.",
+  },
+  skip: (req) => !req.user,
+});
+
+const messageExportLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 10, // Max 10 exports per hour per user
+  keyGenerator: (req) => req.user?.uid || req.ip,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    error: "Too many chat exports. Please try again later.",
+  },
+  skip: (req) => !req.user,
+});
+
+const messageActionLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 60, // Max 60 edits / deletes / reactions / pins per minute per user
+  keyGenerator: (req) => req.user?.uid || req.ip,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    error: "Too many message actions. Please slow down.",
+  },
+  skip: (req) => !req.user,
+});
+
+const messageSendLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 60, // Max 60 messages per minute per user (rooms can add slow mode)
+  keyGenerator: (req) => req.user?.uid || req.ip,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    error: "You are sending messages too fast. Please slow down.",
+  },
+  skip: (req) => !req.user,
+});
+
+const moderationLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 60, // Max 60 moderation changes per hour per user
+  keyGenerator: (req) => req.user?.uid || req.ip,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    error: "Too many moderation changes. Please try again later.",
+  },
+  skip: (req) => !req.user,
+});
+
+// ===== SECURITY: Constants =====
+const MAX_SEARCH_QUERY_LENGTH = 200;
+const DEFAULT_SEARCH_LIMIT = 20;
+const MAX_SEARCH_LIMIT = 50;
+const MAX_SEARCH_ROOMS = 10; // rooms scanned when no roomId is given
+const SEARCH_SCAN_BATCH = 200;
+const MAX_SEARCH_SCAN = 2000; // messages read per request, split across rooms
+const SEARCH_HAS_FILTERS = ["file", "image"];
+
+function sanitizeString(str, maxLength = 255) {
+  if (typeof str !== "string") return "";
+  return str.trim().substring(0, maxLength);
+}
+
+function logSecurityEvent(eventType, uid, details) {
+  const timestamp = new Date().toISOString();
+  console.warn(
+    `[SECURITY] ${timestamp} | Event: ${eventType} | User: ${uid} | Details:`,
+    details
+  );
+}
+
+async function getUserName(uid, fallback) {
+  try {
+    const userDoc = await admin.firestore().collection("users").doc(uid).get();
+    return (userDoc.exists && userDoc.data().name) || fallback || null;
+  } catch (err) {
+    return fallback || null;
+  }
+}
+
+// @mentions in chat only reach room participants
+function resolveChatMentions(text, room) {
+  return mentionService.resolveMentions(admin.firestore(), text, {
+    isAllowed: (mentionedUid) => roomAccess.isParticipant(room, mentionedUid),
+  });
+}
+
+async function notifyChatMentions(mentions, uid, authorName, room, message) {
+  if (!mentions.length) return;
+  try {
+    await notificationService.notifyMentions(mentions, uid, authorName, {
+      where: `"${room.name || "Study Room"}" chat`,
+      text: mentionService.toPlainText(message.text),
+      link: `/student/pages/study-room-inside.html?room=${room.id}`,
+      messageKey: `chat_${room.id}_${message.id}`,
+      data: { roomId: room.id, roomName: room.name, messageId: message.id },
+    });
+  } catch (err) {
+    console.warn(
+      "[messages] Failed to send mention notifications:",
+      err.message
+    );
+  }
+}
+
+// Accepts ISO timestamps or plain dates ("2025-03-01"); a plain `to` date
+// covers that whole day.
+function parseDateParam(value, { endOfDay = false } = {}) {
+  if (!value || typeof value !== "string") return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return undefined;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+}
+
+function toIso(value) {
+  if (!value) return null;
+  if (typeof value.toDate === "function") return value.toDate().toISOString();
+  return new Date(value).toISOString();
+}
+
+// Search position: (timestamp, roomId, messageId), newest first. The message
+// id breaks ties between messages sent in the same instant.
+function messageKey(roomId, doc) {
+  const { timestamp } = doc.data();
+  return {
+    seconds: timestamp.seconds,
+    nanos: timestamp.nanoseconds,
+    roomId,
+    messageId: doc.id,
+  };
+}
+
+function compareKeys(a, b) {
+  return (
+    a.seconds - b.seconds ||
+    a.nanos - b.nanos ||
+    (a.roomId < b.roomId ? -1 : a.roomId > b.roomId ? 1 : 0) ||
+    (a.messageId < b.messageId ? -1 : a.messageId > b.messageId ? 1 : 0)
+  );
+}
+
+function encodeCursor(key) {
+  return Buffer.from(
+    JSON.stringify([key.seconds, key.nanos, key.roomId, key.messageId])
+  ).toString("base64url");
+}
+
+// null when missing, undefined when malformed
+function decodeCursor(value) {
+  if (!value || typeof value !== "string") return null;
+  try {
+    const [seconds, nanos, roomId, messageId] = JSON.parse(
+      Buffer.from(value, "base64url").toString("utf8")
+    );
+    if (
+      !Number.isInteger(seconds) ||
+      !Number.isInteger(nanos) ||
+      typeof roomId !== "string" ||
+      typeof messageId !== "string"
+    ) {
+      return undefined;
+    }
+    return { seconds, nanos, roomId, messageId };
+  } catch (err) {
+    return undefined;
+  }
+}
+
+/**
+ * Newest-first scan of one room's messages between `from` and `to`, after
+ * the cursor, reading at most `budget` messages.
+ * @returns {Promise<{ matches: object[], scannedUntil: object|null }>}
+ *   scannedUntil - key of the oldest message looked at, or null once the
+ *   whole range has been scanned
+ */
+async function searchRoomMessages(
+  room,
+  terms,
+  filters,
+  { from, to, cursor, limit, budget }
+) {
+  let query = chatMessages
+    .getMessagesRef(admin.firestore(), room.id)
+    .orderBy("timestamp", "desc")
+    .orderBy(admin.firestore.FieldPath.documentId(), "desc");
+  if (to) query = query.where("timestamp", "<=", to);
+  if (from) query = query.where("timestamp", ">=", from);
+  if (cursor) {
+    // Rooms sort by id within one instant, so this room continues at, after
+    // or inside the cursor's timestamp
+    const at = new admin.firestore.Timestamp(cursor.seconds, cursor.nanos);
+    if (room.id === cursor.roomId) {
+      query = query.startAfter(at, cursor.messageId);
+    } else if (room.id < cursor.roomId) {
+      query = query.startAt(at);
+    } else {
+      query = query.startAfter(at);
+    }
+  }
+
+  const batchSize = Math.min(SEARCH_SCAN_BATCH, budget);
+  const matches = [];
+  let scanned = 0;
+  let lastDoc = null;
+  while (matches.length < limit && scanned < budget) {
+    let page = query.limit(batchSize);
+    if (lastDoc) page = page.startAfter(lastDoc);
+    const snapshot = await page.get();
+    if (snapshot.empty) return { matches, scannedUntil: null };
+
+    for (const doc of snapshot.docs) {
+      lastDoc = doc;
+      scanned++;
+      const message = doc.data();
+      if (!chatMessages.matchesSearch(message, terms, filters)) continue;
+      const { snippet, highlights } = chatMessages.buildSnippet(
+        message.text || message.fileName || "",
+        terms
+      );
+      matches.push({
+        key: messageKey(room.id, doc),
+        roomId: room.id,
+        roomName: room.name || "Study Room",
+        messageId: doc.id,
+        authorUid: message.authorUid || null,
+        author: message.author || null,
+        timestamp: toIso(message.timestamp),
+        snippet,
+        highlights,
+        hasImage: !!message.imageUrl,
+        hasFile: !!message.fileUrl,
+        fileName: message.fileName || null,
+      });
+      if (matches.length >= limit) break;
+    }
+
+    if (
+      snapshot.size < batchSize &&
+      lastDoc === snapshot.docs[snapshot.size - 1]
+    ) {
+      return { matches, scannedUntil: null };
+    }
+  }
+  return { matches, scannedUntil: messageKey(room.id, lastDoc) };
+}
+
+/**
+ * Shared checks for every message action: caller is in the (active) room
+ * and the message exists. Runs the update inside a transaction.
+ * @param {function} update - (message, room) => { status, body } | { changes, body }
+ */
+async function updateMessage(req, update) {
+  const { id, messageId } = req.params;
+
+  const access = await roomAccess.resolveRoomAccess(id, req.user);
+  if (access.error) {
+    return { status: access.status, body: { error: access.error } };
+  }
+  if (access.room.isActive === false) {
+    return {
+      status: 403,
+      body: { error: "This room has been deactivated by an admin." },
+    };
+  }
+  if (roomArchive.isArchived(access.room)) {
+    return { status: 403, body: { error: roomArchive.ARCHIVED_ERROR } };
+  }
+
+  const messageRef = chatMessages
+    .getMessagesRef(admin.firestore(), id)
+    .doc(messageId);
+
+  return admin.firestore().runTransaction(async (tx) => {
+    const messageDoc = await tx.get(messageRef);
+    if (!messageDoc.exists) {
+      return { status: 404, body: { error: "Message not found" } };
+    }
+
+    const outcome = update(messageDoc.data(), access.room);
+    if (outcome.status) return outcome;
+
+    tx.update(messageRef, outcome.changes);
+    return { status: 200, body: outcome.body };
+  });
+}
+
+// ===== GET /api/study-groups/messages/search - Search chat history =====
+// Query: q, roomId?, author? (uid), from?, to?, has? (file | image), before? (nextBefore cursor), limit?
+// Only rooms the caller participates in are searched; without roomId the
+// MAX_SEARCH_ROOMS most active ones, the others come back as skippedRooms.
+router.get(
+  "/messages/search",
+  firebaseAuthMiddleware,
+  messageSearchLimiter,
+  async (req, res) => {
+    try {
+      const uid = req.user.uid;
+      const terms = chatMessages.tokenizeQuery(
+        sanitizeString(req.query.q, MAX_SEARCH_QUERY_LENGTH)
+      );
+      const authorUid = sanitizeString(req.query.author, 128) || null;
+      const has = SEARCH_HAS_FILTERS.includes(req.query.has)
+        ? req.query.has
+        : null;
+
+      if (terms.length === 0 && !authorUid && !has) {
+        return res.status(400).json({
+          error: "Enter search text or pick a filter",
+        });
+      }
+
+      const from = parseDateParam(req.query.from);
+      const to = parseDateParam(req.query.to, { endOfDay: true });
+      const cursor = decodeCursor(req.query.before);
+      if (from === undefined || to === undefined) {
+        return res.status(400).json({ error: "Invalid date filter" });
+      }
+      if (cursor === undefined) {
+        return res.status(400).json({ error: "Invalid cursor" });
+      }
+
+      const limit = Math.min(
+        Math.max(parseInt(req.query.limit, 10) || DEFAULT_SEARCH_LIMIT, 1),
+        MAX_SEARCH_LIMIT
+      );
+
+      // ===== SECURITY: Only rooms the caller belongs to =====
+      let rooms;
+      let skippedRooms = [];
+      const roomId = sanitizeString(req.query.roomId, 128);
+      if (roomId) {
+        const access = await roomAccess.resolveRoomAccess(roomId, req.user);
+        if (access.error) {
+          logSecurityEvent("UNAUTHORIZED_MESSAGE_SEARCH", uid, { roomId });
+          return res.status(access.status).json({ error: access.error });
+        }
+        rooms = [{ id: roomId, ...access.room }];
+      } else {
+        // The most recently active rooms are searched; the rest are listed
+        // so the caller can search them one at a time with roomId
+        const snapshot = await admin
+          .firestore()
+          .collection(roomAccess.ROOMS_COLLECTION)
+          .where("participants", "array-contains", uid)
+          .get();
+        const memberRooms = snapshot.docs
+          .map((doc) => ({ id: doc.id, ...doc.data() }))
+          .sort(
+            (a, b) =>
+              (b.lastActivityAt?.toMillis?.() || 0) -
+              (a.lastActivityAt?.toMillis?.() || 0)
+          );
+        rooms = memberRooms.slice(0, MAX_SEARCH_ROOMS);
+        skippedRooms = memberRooms.slice(MAX_SEARCH_ROOMS).map((room) => ({
+          roomId: room.id,
+          roomName: room.name || "Study Room",
+        }));
+      }
+
+      const budget = Math.floor(MAX_SEARCH_SCAN / Math.max(rooms.length, 1));
+      const perRoom = await Promise.all(
+        rooms.map((room) =>
+          searchRoomMessages(
+            room,
+            terms,
+            { authorUid, has },
+            { from, to, cursor, limit, budget }
+          )
+        )
+      );
+
+      let results = perRoom
+        .flatMap((result) => result.matches)
+        .sort((a, b) => compareKeys(b.key, a.key));
+
+      // Next page starts at the newest point not fully covered yet: the
+      // limit cut-off, or a room whose scan stopped early. Results past
+      // that point are left for the next page so none repeat or go missing.
+      const stops = perRoom
+        .map((result) => result.scannedUntil)
+        .filter(Boolean);
+      if (results.length > limit) stops.push(results[limit - 1].key);
+      const next = stops.sort(compareKeys).pop() || null;
+      results = results
+        .slice(0, limit)
+        .filter((result) => !next || compareKeys(result.key, next) >= 0)
+        .map(({ key, ...result }) => result);
+
+      res.json({
+        results,
+        terms,
+        hasMore: !!next,
+        nextBefore: next ? encodeCursor(next) : null,
+        skippedRooms,
+      });
+    } catch (error) {
+      console.error("[messages] Error searching messages:", error);
+      res.status(500).json({ error: "Failed to search messages" });
+    }
+  }
+);
+
+// ===== POST /api/study-groups/:id/messages - Send message =====
+// Body: { text?, replyTo?: { id }, file?: { url, name, type, size } }
+// Applies the room's moderation (mute, slow mode, banned words) before writing.
+router.post(
+  "/:id/messages",
+  firebaseAuthMiddleware,
+  messageSendLimiter,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const uid = req.user.uid;
+      const text = sanitizeString(
+        req.body?.text,
+        chatMessages.MAX_MESSAGE_LENGTH
+      );
+      const replyToId = sanitizeString(req.body?.replyTo?.id, 128) || null;
+
+      let attachment = null;
+      if (req.body?.file) {
+        const parsed = chatMessages.parseAttachment(req.body.file);
+        if (parsed.error) {
+          return res.status(400).json({ error: parsed.error });
+        }
+        attachment = parsed.fields;
+      }
+      if (!text && !attachment) {
+        return res.status(400).json({ error: "Message text is required" });
+      }
+
+      const access = await roomAccess.resolveRoomAccess(id, req.user);
+      if (access.error) {
+        return res.status(access.status).json({ error: access.error });
+      }
+      if (access.room.isActive === false) {
+        return res.status(403).json({
+          error: "This room has been deactivated by an admin.",
+        });
+      }
+      if (roomArchive.isArchived(access.room)) {
+        return res.status(403).json({ error: roomArchive.ARCHIVED_ERROR });
+      }
+
+      const db = admin.firestore();
+      const authorName = await getUserName(uid, req.user.name);
+      const mentioned = await resolveChatMentions(text, access.room);
+      const roomRef = roomAccess.getRoomRef(id);
+      const senderRef = moderation.getSenderRef(db, id, uid);
+      const messagesRef = chatMessages.getMessagesRef(db, id);
+      const messageRef = messagesRef.doc();
+
+      const result = await db.runTransaction(async (tx) => {
+        const reads = [tx.get(roomRef), tx.get(senderRef)];
+        if (replyToId) reads.push(tx.get(messagesRef.doc(replyToId)));
+        const [roomDoc, senderDoc, parentDoc] = await Promise.all(reads);
+        const room = roomDoc.data();
+        const exempt = roomAccess.isRoomHost(room, uid) || !!req.user.admin;
+        const settings = moderation.getSettings(room);
+
+        // ===== SECURITY: Moderation (hosts and admins are exempt from mutes / slow mode) =====
+        if (!exempt) {
+          const mutedUntil = moderation.getMutedUntil(room, uid);
+          if (mutedUntil) {
+            return {
+              status: 403,
+              body: {
+                error: "You are muted in this room",
+                mutedUntil: mutedUntil.toISOString(),
+              },
+            };
+          }
+          const wait = moderation.getSlowModeWait(
+            senderDoc.exists ? senderDoc.data().lastMessageAt : null,
+            settings.slowModeSeconds
+          );
+          if (wait > 0) {
+            return {
+              status: 429,
+              body: {
+                error: `Slow mode is on. You can send another message in ${wait}s.`,
+                retryAfterSeconds: wait,
+              },
+            };
+          }
+        }
+
+        const filtered = moderation.applyWordFilter(mentioned.text, settings);
+        if (filtered.blocked) {
+          return {
+            status: 400,
+            body: {
+              error: "Your message contains words that are not allowed here",
+              blockedWords: filtered.matched,
+            },
+          };
+        }
+
+        let replyTo = null;
+        if (replyToId) {
+          if (!parentDoc.exists) {
+            return {
+              status: 400,
+              body: { error: "The message you replied to no longer exists" },
+            };
+          }
+          replyTo = chatMessages.buildReplyTo(replyToId, parentDoc.data());
+        }
+
+        const now = admin.firestore.FieldValue.serverTimestamp();
+        tx.set(messageRef, {
+          authorUid: uid,
+          author: authorName,
+          text: filtered.text || "",
+          isSystem: false,
+          ...(attachment || {}),
+          ...(replyTo ? { replyTo } : {}),
+          ...(mentioned.mentions.length
+            ? { mentions: mentioned.mentions }
+            : {}),
+          timestamp: now,
+        });
+        tx.set(senderRef, { lastMessageAt: now }, { merge: true });
+        // Room activity for the "activity" sort on the rooms page
+        if (roomCatalog.shouldTouchActivity(room)) {
+          tx.update(roomRef, { lastActivityAt: now });
+        }
+        return {
+          status: 201,
+          body: {
+            message: {
+              id: messageRef.id,
+              text: filtered.text || "",
+              mentions: mentioned.mentions,
+              masked: filtered.matched.length > 0,
+            },
+            slowModeSeconds: exempt ? 0 : settings.slowModeSeconds,
+          },
+        };
+      });
+
+      if (result.status === 403 && result.body.mutedUntil) {
+        logSecurityEvent("MUTED_MESSAGE_ATTEMPT", uid, { roomId: id });
+      }
+      res.status(result.status).json(result.body);
+
+      if (result.status === 201) {
+        await notifyChatMentions(
+          mentioned.mentions,
+          uid,
+          authorName,
+          access.room,
+          result.body.message
+        );
+      }
+    } catch (error) {
+      console.error("[messages] Error sending message:", error);
+      res.status(500).json({ error: "Failed to send message" });
+    }
+  }
+);
+
+// ===== GET /api/study-groups/:id/moderation - Chat moderation state =====
+// Hosts get the full settings and active mutes; participants their own state.
+router.get("/:id/moderation", firebaseAuthMiddleware, async (req, res) => {
+  try {
+    const access = await roomAccess.resolveRoomAccess(req.params.id, req.user);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+    const isHost =
+      roomAccess.isRoomHost(access.room, req.user.uid) || !!req.user.admin;
+    res.json(
+      moderation.formatModeration(access.room, req.user.uid, { isHost })
+    );
+  } catch (error) {
+    console.error("[messages] Error loading moderation settings:", error);
+    res.status(500).json({ error: "Failed to load moderation settings" });
+  }
+});
+
+// ===== PUT /api/study-groups/:id/moderation - Update slow mode / word filter (hosts) =====
+// Body: { slowModeSeconds?, bannedWords?: string[], wordFilterAction?: "mask" | "block" }
+router.put(
+  "/:id/moderation",
+  firebaseAuthMiddleware,
+  moderationLimiter,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const uid = req.user.uid;
+
+      const access = await roomAccess.resolveRoomAccess(id, req.user, {
+        requireHost: true,
+      });
+      if (access.error) {
+        logSecurityEvent("UNAUTHORIZED_MODERATION_UPDATE", uid, {
+          roomId: id,
+        });
+        return res.status(access.status).json({ error: access.error });
+      }
+
+      const current = moderation.getSettings(access.room);
+      const { settings, error } = moderation.normalizeSettings(
+        req.body || {},
+        current
+      );
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      await roomAccess.getRoomRef(id).update({
+        "chatModeration.slowModeSeconds": settings.slowModeSeconds,
+        "chatModeration.bannedWords": settings.bannedWords,
+        "chatModeration.wordFilterAction": settings.wordFilterAction,
+        "chatModeration.updatedBy": uid,
+        "chatModeration.updatedAt":
+          admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      console.log(`[messages] Moderation settings updated for room ${id}`);
+      res.json(
+        moderation.formatModeration(
+          { ...access.room, chatModeration: { ...current, ...settings } },
+          uid,
+          { isHost: true }
+        )
+      );
+    } catch (error) {
+      console.error("[messages] Error updating moderation settings:", error);
+      res.status(500).json({ error: "Failed to update moderation settings" });
+    }
+  }
+);
+
+// ===== POST /api/study-groups/:id/moderation/mutes - Mute a participant (hosts) =====
+// Body: { userId, durationMinutes }
+router.post(
+  "/:id/moderation/mutes",
+  firebaseAuthMiddleware,
+  moderationLimiter,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const uid = req.user.uid;
+      const targetUid = sanitizeString(req.body?.userId, 128);
+      if (!targetUid) {
+        return res.status(400).json({ error: "userId is required" });
+      }
+      const { minutes, error } = moderation.parseMuteMinutes(
+        req.body?.durationMinutes
+      );
+      if (error) {
+        return res.status(400).json({ error });
+      }
+
+      const access = await roomAccess.resolveRoomAccess(id, req.user, {
+        requireHost: true,
+      });
+      if (access.error) {
+        logSecurityEvent("UNAUTHORIZED_MUTE", uid, { roomId: id, targetUid });
+        return res.status(access.status).json({ error: access.error });
+      }
+      if (!roomAccess.isParticipant(access.room, targetUid)) {
+        return res
+          .status(404)
+          .json({ error: "User is not a participant in this room" });
+      }
+      if (roomAccess.isRoomHost(access.room, targetUid)) {
+        return res.status(400).json({ error: "Room hosts cannot be muted" });
+      }
+
+      const until = new Date(Date.now() + minutes * 60 * 1000);
+      const mutedByName = await getUserName(uid, req.user.name);
+      const roomRef = roomAccess.getRoomRef(id);
+      await admin.firestore().runTransaction(async (tx) => {
+        const roomDoc = await tx.get(roomRef);
+        const mutes = moderation.pruneMutes(
+          moderation.getSettings(roomDoc.data()).mutes
+        );
+        mutes[targetUid] = {
+          until: admin.firestore.Timestamp.fromDate(until),
+          mutedBy: uid,
+          mutedByName,
+          mutedAt: admin.firestore.FieldValue.serverTimestamp(),
+        };
+        tx.update(roomRef, { "chatModeration.mutes": mutes });
+      });
+
+      console.log(
+        `[messages] ${targetUid} muted in room ${id} for ${minutes} min by ${uid}`
+      );
+      res.status(201).json({
+        success: true,
+        userId: targetUid,
+        until: until.toISOString(),
+      });
+    } catch (error) {
+      console.error("[messages] Error muting participant:", error);
+      res.status(500).json({ error: "Failed to mute participant" });
+    }
+  }
+);
+
+// ===== DELETE /api/study-groups/:id/moderation/mutes/:userId - Unmute (hosts) =====
+router.delete(
+  "/:id/moderation/mutes/:userId",
+  firebaseAuthMiddleware,
+  moderationLimiter,
+  async (req, res) => {
+    try {
+      const { id, userId } = req.params;
+      const uid = req.user.uid;
+
+      const access = await roomAccess.resolveRoomAccess(id, req.user, {
+        requireHost: true,
+      });
+      if (access.error) {
+        logSecurityEvent("UNAUTHORIZED_UNMUTE", uid, {
+          roomId: id,
+          targetUid: userId,
+        });
+        return res.status(access.status).json({ error: access.error });
+      }
+
+      const roomRef = roomAccess.getRoomRef(id);
+      const removed = await admin.firestore().runTransaction(async (tx) => {
+        const roomDoc = await tx.get(roomRef);
+        const mutes = moderation.pruneMutes(
+          moderation.getSettings(roomDoc.data()).mutes
+        );
+        const wasMuted = !!mutes[userId];
+        delete mutes[userId];
+        tx.update(roomRef, { "chatModeration.mutes": mutes });
+        return wasMuted;
+      });
+
+      if (!removed) {
+        return res.status(404).json({ error: "User is not muted" });
+      }
+      res.json({ success: true, message: "Participant unmuted" });
+    } catch (error) {
+      console.error("[messages] Error unmuting participant:", error);
+      res.status(500).json({ error: "Failed to unmute participant" });
+    }
+  }
+);
+
+// ===== GET /api/study-groups/:id/messages/export - Export chat (hosts) =====
+// Query: format (markdown | html | json), from?, to?, utcOffsetMinutes?
+router.get(
+  "/:id/messages/export",
+  firebaseAuthMiddleware,
+  messageExportLimiter,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const uid = req.user.uid;
+      const format = req.query.format || "markdown";
+      if (!chatExport.EXPORT_FORMATS[format]) {
+        return res.status(400).json({
+          error: "Unsupported export format",
+          allowed: Object.keys(chatExport.EXPORT_FORMATS),
+        });
+      }
+
+      const range = chatExport.parseExportRange(req.query);
+      if (range.error) {
+        return res.status(400).json({ error: range.error });
+      }
+
+      // ===== SECURITY: Hosts only (admins export from the admin panel too) =====
+      const access = await roomAccess.resolveRoomAccess(id, req.user, {
+        requireHost: true,
+      });
+      if (access.error) {
+        logSecurityEvent("UNAUTHORIZED_CHAT_EXPORT", uid, { roomId: id });
+        return res.status(access.status).json({ error: access.error });
+      }
+
+      const exportedBy = (
+        await chatExport.resolveDisplayNames(admin.firestore(), [uid])
+      )[uid];
+      const result = await chatExport.exportRoomChat(
+        admin.firestore(),
+        id,
+        access.room,
+        { format, ...range, exportedBy }
+      );
+
+      console.log(
+        `[messages] Chat export (${format}, ${result.messageCount} messages) for room ${id} by ${uid}`
+      );
+      res.setHeader("Content-Type", result.contentType);
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="${result.fileName}"`
+      );
+      res.send(result.body);
+    } catch (error) {
+      console.error("[messages] Error exporting chat:", error);
+      res.status(500).json({ error: "Failed to export chat" });
+    }
+  }
+);
+
+// ===== PATCH /api/study-groups/:id/messages/:messageId - Edit own message =====
+router.patch(
+  "/:id/messages/:messageId",
+  firebaseAuthMiddleware,
+  messageActionLimiter,
+  async (req, res) => {
+    try {
+      const uid = req.user.uid;
+      const text = sanitizeString(
+        req.body?.text,
+        chatMessages.MAX_MESSAGE_LENGTH
+      );
+      if (!text) {
+        return res.status(400).json({ error: "Message text is required" });
+      }
+
+      // Mention checks need the room's participants (only read when there are tokens)
+      const mentionRoom = mentionService.extractMentionUids(text).length
+        ? await roomAccess.getRoom(req.params.id)
+        : null;
+      const mentioned = mentionRoom
+        ? await resolveChatMentions(text, mentionRoom)
+        : { text: mentionService.toPlainText(text), mentions: [] };
+
+      const result = await updateMessage(req, (message, room) => {
+        const editError = chatMessages.getEditError(message, uid);
+        if (editError) {
+          return { status: 403, body: { error: editError } };
+        }
+        const mutedUntil = roomAccess.isRoomHost(room, uid)
+          ? null
+          : moderation.getMutedUntil(room, uid);
+        if (mutedUntil) {
+          return {
+            status: 403,
+            body: {
+              error: "You are muted in this room",
+              mutedUntil: mutedUntil.toISOString(),
+            },
+          };
+        }
+        const filtered = moderation.applyWordFilter(
+          mentioned.text,
+          moderation.getSettings(room)
+        );
+        if (filtered.blocked) {
+          return {
+            status: 400,
+            body: {
+              error: "Your message contains words that are not allowed here",
+              blockedWords: filtered.matched,
+            },
+          };
+        }
+        if (message.text === filtered.text) {
+          return {
+            status: 200,
+            body: {
+              success: true,
+              text: filtered.text,
+              mentions: mentioned.mentions,
+            },
+          };
+        }
+        return {
+          changes: {
+            text: filtered.text,
+            mentions: mentioned.mentions.length
+              ? mentioned.mentions
+              : admin.firestore.FieldValue.delete(),
+            edited: true,
+            editedAt: admin.firestore.FieldValue.serverTimestamp(),
+          },
+          body: {
+            success: true,
+            text: filtered.text,
+            mentions: mentioned.mentions,
+          },
+        };
+      });
+
+      if (result.status === 403 && !result.body.mutedUntil) {
+        logSecurityEvent("UNAUTHORIZED_MESSAGE_EDIT", uid, {
+          roomId: req.params.id,
+          messageId: req.params.messageId,
+        });
+      }
+      res.status(result.status).json(result.body);
+
+      // Users already notified for this message are skipped (dedupe key)
+      if (result.status === 200 && mentionRoom) {
+        await notifyChatMentions(
+          mentioned.mentions,
+          uid,
+          await getUserName(uid, req.user.name),
+          mentionRoom,
+          { id: req.params.messageId, text: result.body.text }
+        );
+      }
+    } catch (error) {
+      console.error("[messages] Error editing message:", error);
+      res.status(500).json({ error: "Failed to edit message" });
+    }
+  }
+);
+
+// ===== DELETE /api/study-groups/:id/messages/:messageId - Delete message =====
+// Leaves a tombstone so replies and the conversation order stay intact.
+router.delete(
+  "/:id/messages/:messageId",
+  firebaseAuthMiddleware,
+  messageActionLimiter,
+  async (req, res) => {
+    try {
+      const uid = req.user.uid;
+
+      const result = await updateMessage(req, (message, room) => {
+        const deleteError = chatMessages.getDeleteError(message, uid, {
+          canModerate:
+            roomAccess.isRoomHost(room, uid) || req.user.admin === true,
+        });
+        if (deleteError) {
+          return { status: 403, body: { error: deleteError } };
+        }
+        return {
+          changes: chatMessages.buildTombstone(
+            uid,
+            admin.firestore.FieldValue.serverTimestamp()
+          ),
+          body: {
+            success: true,
+            message: "Message deleted",
+            moderated: message.authorUid !== uid,
+          },
+        };
+      });
+
+      if (result.status === 403) {
+        logSecurityEvent("UNAUTHORIZED_MESSAGE_DELETE", uid, {
+          roomId: req.params.id,
+          messageId: req.params.messageId,
+        });
+      } else if (result.body.moderated) {
+        logSecurityEvent("ROOM_MESSAGE_DELETED_BY_HOST", uid, {
+          roomId: req.params.id,
+          messageId: req.params.messageId,
+        });
+      }
+      res.status(result.status).json(result.body);
+    } catch (error) {
+      console.error("[messages] Error deleting message:", error);
+      res.status(500).json({ error: "Failed to delete message" });
+    }
+  }
+);
+
+// ===== POST /api/study-groups/:id/messages/:messageId/reactions - Toggle reaction =====
+router.post(
+  "/:id/messages/:messageId/reactions",
+  firebaseAuthMiddleware,
+  messageActionLimiter,
+  async (req, res) => {
+    try {
+      const uid = req.user.uid;
+      const emoji = req.body?.emoji;
+      if (!chatMessages.ALLOWED_REACTIONS.includes(emoji)) {
+        return res.status(400).json({
+          error: "Unsupported reaction",
+          allowed: chatMessages.ALLOWED_REACTIONS,
+        });
+      }
+
+      const result = await updateMessage(req, (message) => {
+        if (message.isSystem || message.deleted) {
+          return {
+            status: 400,
+            body: { error: "You cannot react to this message" },
+          };
+        }
+        const reactions = chatMessages.toggleReaction(
+          message.reactions,
+          emoji,
+          uid
+        );
+        return {
+          changes: { reactions },
+          body: { success: true, reactions },
+        };
+      });
+
+      res.status(result.status).json(result.body);
+    } catch (error) {
+      console.error("[messages] Error updating reaction:", error);
+      res.status(500).json({ error: "Failed to update reaction" });
+    }
+  }
+);
+
+// ===== POST /api/study-groups/:id/messages/:messageId/pin - Pin message (hosts) =====
+router.post(
+  "/:id/messages/:messageId/pin",
+  firebaseAuthMiddleware,
+  messageActionLimiter,
+  async (req, res) => {
+    try {
+      const uid = req.user.uid;
+      const pinnedSnapshot = await chatMessages
+        .getMessagesRef(admin.firestore(), req.params.id)
+        .where("pinned", "==", true)
+        .count()
+        .get();
+      const pinnedCount = pinnedSnapshot.data().count;
+
+      const result = await updateMessage(req, (message, room) => {
+        if (!roomAccess.isRoomHost(room, uid) && req.user.admin !== true) {
+          return {
+            status: 403,
+            body: { error: "Only room hosts can pin messages" },
+          };
+        }
+        const pinError = chatMessages.getPinError(message, pinnedCount);
+        if (pinError) {
+          return { status: 400, body: { error: pinError } };
+        }
+        if (message.pinned) {
+          return { status: 200, body: { success: true, pinned: true } };
+        }
+        return {
+          changes: {
+            pinned: true,
+            pinnedBy: uid,
+            pinnedAt: admin.firestore.FieldValue.serverTimestamp(),
+          },
+          body: { success: true, pinned: true },
+        };
+      });
+
+      if (result.status === 403) {
+        logSecurityEvent("UNAUTHORIZED_MESSAGE_PIN", uid, {
+          roomId: req.params.id,
+          messageId: req.params.messageId,
+        });
+      }
+      res.status(result.status).json(result.body);
+    } catch (error) {
+      console.error("[messages] Error pinning message:", error);
+      res.status(500).json({ error: "Failed to pin message" });
+    }
+  }
+);
+
+// ===== DELETE /api/study-groups/:id/messages/:messageId/pin - Unpin message (hosts) =====
+router.delete(
+  "/:id/messages/:messageId/pin",
+  firebaseAuthMiddleware,
+  messageActionLimiter,
+  async (req, res) => {
+    try {
+      const uid = req.user.uid;
+
+      const result = await updateMessage(req, (message, room) => {
+        if (!roomAccess.isRoomHost(room, uid) && req.user.admin !== true) {
+          return {
+            status: 403,
+            body: { error: "Only room hosts can unpin messages" },
+          };
+        }
+        if (!message.pinned) {
+          return { status: 200, body: { success: true, pinned: false } };
+        }
+        return {
+          changes: { pinned: false, pinnedBy: null, pinnedAt: null },
+          body: { success: true, pinned: false },
+        };
+      });
+
+      if (result.status === 403) {
+        logSecurityEvent("UNAUTHORIZED_MESSAGE_UNPIN", uid, {
+          roomId: req.params.id,
+          messageId: req.params.messageId,
+        });
+      }
+      res.status(result.status).json(result.body);
+    } catch (error) {
+      console.error("[messages] Error unpinning message:", error);
+      res.status(500).json({ error: "Failed to unpin message" });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,299 @@
+// backend/routes/study-group-notes.js
+// Shared notes versions for study rooms (mounted at /api/study-groups)
+//
+// GET  /api/study-groups/:id/notes                                - Current notes (participants)
+// GET  /api/study-groups/:id/notes/versions                       - List snapshots (participants)
+// GET  /api/study-groups/:id/notes/versions/:versionId            - Snapshot content (participants)
+// POST /api/study-groups/:id/notes/versions                       - Save snapshot (hosts)
+// POST /api/study-groups/:id/notes/versions/:versionId/restore    - Restore snapshot (hosts)
+//
+// Live editing happens client-side in Firestore (see services/notesService.js);
+// these endpoints cover what clients must not do on their own.
+
+const express = require("express");
+const router = express.Router();
+const admin = require("../config/firebase-admin");
+const firebaseAuthMiddleware = require("../middleware/firebaseAuthMiddleware");
+const rateLimit = require("express-rate-limit");
+const roomAccess = require("../services/roomAccessService");
+const roomArchive = require("../services/roomArchiveService");
+const notesService = require("../services/notesService");
+
+// ===== SECURITY: Rate limiters =====
+const notesVersionLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 30, // Max 30 snapshots / restores per hour per user
+  keyGenerator: (req) => req.user?.uid || req.ip,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    error: "Too many note snapshots. Please try again later.",
+  },
+  skip: (req) => !req.user,
+});
+
+// ===== SECURITY: Constants =====
+const MAX_VERSION_LABEL_LENGTH = 80;
+const BATCH_LIMIT = 450; // Firestore allows 500 writes per batch
+
+function sanitizeString(str, maxLength = 255) {
+  if (typeof str !== "string") return "";
+  return str.trim().substring(0, maxLength);
+}
+
+function logSecurityEvent(eventType, uid, details) {
+  const timestamp = new Date().toISOString();
+  console.warn(
+    `[SECURITY] ${timestamp} | Event: ${eventType} | User: ${uid} | Details:`,
+    details
+  );
+}
+
+function versionsRef(roomId) {
+  return roomAccess
+    .getRoomRef(roomId)
+    .collection(notesService.NOTE_VERSIONS_SUBCOLLECTION);
+}
+
+async function loadCurrentBlocks(roomId) {
+  const snapshot = await notesService
+    .getBlocksRef(admin.firestore(), roomId)
+    .get();
+  return notesService.normalizeBlocks(
+    snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }))
+  );
+}
+
+async function getUserName(uid, fallback) {
+  try {
+    const userDoc = await admin.firestore().collection("users").doc(uid).get();
+    return (userDoc.exists && userDoc.data().name) || fallback || null;
+  } catch (err) {
+    return fallback || null;
+  }
+}
+
+async function createVersion(roomId, user, label) {
+  const blocks = await loadCurrentBlocks(roomId);
+  const data = {
+    label,
+    blocks,
+    blockCount: blocks.length,
+    createdBy: user.uid,
+    createdByName: await getUserName(user.uid, user.email),
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+  };
+  const ref = await versionsRef(roomId).add(data);
+
+  // Keep the most recent snapshots only
+  const existing = await versionsRef(roomId).orderBy("createdAt", "desc").get();
+  const stale = existing.docs.slice(notesService.MAX_VERSIONS_PER_ROOM);
+  if (stale.length > 0) {
+    const batch = admin.firestore().batch();
+    stale.forEach((doc) => batch.delete(doc.ref));
+    await batch.commit();
+  }
+
+  return notesService.formatVersionResponse(ref.id, {
+    ...data,
+    createdAt: new Date().toISOString(),
+  });
+}
+
+// ===== GET /api/study-groups/:id/notes - Current notes =====
+// Stays readable after the room is deactivated so notes outlive the session.
+router.get("/:id/notes", firebaseAuthMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const access = await roomAccess.resolveRoomAccess(id, req.user);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const blocks = await loadCurrentBlocks(id);
+    res.json({ blocks, markdown: notesService.blocksToMarkdown(blocks) });
+  } catch (error) {
+    console.error("[notes] Error fetching notes:", error);
+    res.status(500).json({ error: "Failed to fetch notes" });
+  }
+});
+
+// ===== GET /api/study-groups/:id/notes/versions - List snapshots =====
+router.get("/:id/notes/versions", firebaseAuthMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const access = await roomAccess.resolveRoomAccess(id, req.user);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const snapshot = await versionsRef(id).orderBy("createdAt", "desc").get();
+    res.json({
+      versions: snapshot.docs.map((doc) =>
+        notesService.formatVersionResponse(doc.id, doc.data())
+      ),
+    });
+  } catch (error) {
+    console.error("[notes] Error listing versions:", error);
+    res.status(500).json({ error: "Failed to fetch note versions" });
+  }
+});
+
+// ===== GET /api/study-groups/:id/notes/versions/:versionId - Snapshot content =====
+router.get(
+  "/:id/notes/versions/:versionId",
+  firebaseAuthMiddleware,
+  async (req, res) => {
+    try {
+      const { id, versionId } = req.params;
+
+      const access = await roomAccess.resolveRoomAccess(id, req.user);
+      if (access.error) {
+        return res.status(access.status).json({ error: access.error });
+      }
+
+      const versionDoc = await versionsRef(id).doc(versionId).get();
+      if (!versionDoc.exists) {
+        return res.status(404).json({ error: "Version not found" });
+      }
+
+      const data = versionDoc.data();
+      res.json({
+        version: notesService.formatVersionResponse(versionDoc.id, data),
+        blocks: data.blocks || [],
+        markdown: notesService.blocksToMarkdown(data.blocks || []),
+      });
+    } catch (error) {
+      console.error("[notes] Error fetching version:", error);
+      res.status(500).json({ error: "Failed to fetch note version" });
+    }
+  }
+);
+
+// ===== POST /api/study-groups/:id/notes/versions - Save snapshot (hosts) =====
+router.post(
+  "/:id/notes/versions",
+  firebaseAuthMiddleware,
+  notesVersionLimiter,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const uid = req.user.uid;
+
+      const access = await roomAccess.resolveRoomAccess(id, req.user, {
+        requireHost: true,
+      });
+      if (access.error) {
+        logSecurityEvent("UNAUTHORIZED_NOTES_SNAPSHOT", uid, { roomId: id });
+        return res.status(access.status).json({ error: access.error });
+      }
+
+      if (access.room.isActive === false) {
+        return res.status(403).json({
+          error: "This room has been deactivated by an admin.",
+        });
+      }
+      if (roomArchive.isArchived(access.room)) {
+        return res.status(403).json({ error: roomArchive.ARCHIVED_ERROR });
+      }
+
+      const label =
+        sanitizeString(req.body?.label, MAX_VERSION_LABEL_LENGTH) ||
+        `Snapshot ${new Date().toISOString().slice(0, 16).replace("T", " ")}`;
+
+      const version = await createVersion(id, req.user, label);
+      res.status(201).json({ version });
+    } catch (error) {
+      console.error("[notes] Error saving version:", error);
+      res.status(500).json({ error: "Failed to save note version" });
+    }
+  }
+);
+
+// ===== POST /api/study-groups/:id/notes/versions/:versionId/restore - Restore (hosts) =====
+router.post(
+  "/:id/notes/versions/:versionId/restore",
+  firebaseAuthMiddleware,
+  notesVersionLimiter,
+  async (req, res) => {
+    try {
+      const { id, versionId } = req.params;
+      const uid = req.user.uid;
+
+      const access = await roomAccess.resolveRoomAccess(id, req.user, {
+        requireHost: true,
+      });
+      if (access.error) {
+        logSecurityEvent("UNAUTHORIZED_NOTES_RESTORE", uid, {
+          roomId: id,
+          versionId,
+        });
+        return res.status(access.status).json({ error: access.error });
+      }
+
+      if (access.room.isActive === false) {
+        return res.status(403).json({
+          error: "This room has been deactivated by an admin.",
+        });
+      }
+      if (roomArchive.isArchived(access.room)) {
+        return res.status(403).json({ error: roomArchive.ARCHIVED_ERROR });
+      }
+
+      const versionDoc = await versionsRef(id).doc(versionId).get();
+      if (!versionDoc.exists) {
+        return res.status(404).json({ error: "Version not found" });
+      }
+      const version = versionDoc.data();
+
+      // Restoring is undoable: snapshot what is there now first
+      await createVersion(
+        id,
+        req.user,
+        sanitizeString(
+          `Before restoring "${version.label || "snapshot"}"`,
+          MAX_VERSION_LABEL_LENGTH
+        )
+      );
+
+      const db = admin.firestore();
+      const blocksRef = notesService.getBlocksRef(db, id);
+      const current = await blocksRef.get();
+      const writes = [
+        ...current.docs.map((doc) => (batch) => batch.delete(doc.ref)),
+        ...(version.blocks || []).map(
+          (block) => (batch) =>
+            batch.set(blocksRef.doc(block.id || blocksRef.doc().id), {
+              text: block.text || "",
+              order: block.order || 0,
+              editingBy: null,
+              editingName: null,
+              editingAt: null,
+              updatedBy: uid,
+              updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+            })
+        ),
+      ];
+
+      for (let i = 0; i < writes.length; i += BATCH_LIMIT) {
+        const batch = db.batch();
+        writes.slice(i, i + BATCH_LIMIT).forEach((write) => write(batch));
+        await batch.commit();
+      }
+
+      logSecurityEvent("ROOM_NOTES_RESTORED", uid, { roomId: id, versionId });
+      res.json({
+        success: true,
+        message: "Notes restored",
+        blockCount: (version.blocks || []).length,
+      });
+    } catch (error) {
+      console.error("[notes] Error restoring version:", error);
+      res.status(500).json({ error: "Failed to restore note version" });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,619 @@
+// backend/routes/study-group-sessions.js
+// Scheduled study sessions for study rooms (mounted at /api/study-groups)
+//
+// GET    /api/study-groups/:id/sessions                    - List sessions (participants)
+// POST   /api/study-groups/:id/sessions                    - Create session (hosts)
+// PUT    /api/study-groups/:id/sessions/:sessionId         - Update session (hosts)
+// DELETE /api/study-groups/:id/sessions/:sessionId         - Delete session (hosts)
+// PUT    /api/study-groups/:id/sessions/:sessionId/rsvp    - RSVP (participants)
+// POST   /api/study-groups/calendar/token                  - Create/rotate calendar feed token
+// GET    /api/study-groups/calendar/:token.ics             - Per-user calendar feed
+// GET    /api/study-groups/:id/sessions.ics?token=...      - Per-room calendar feed
+//
+// Calendar apps cannot send a Firebase ID token, so .ics feeds are authorized
+// with a per-user secret feed token instead.
+
+const express = require("express");
+const router = express.Router();
+const crypto = require("crypto");
+const admin = require("../config/firebase-admin");
+const firebaseAuthMiddleware = require("../middleware/firebaseAuthMiddleware");
+const rateLimit = require("express-rate-limit");
+const roomAccess = require("../services/roomAccessService");
+const roomArchive = require("../services/roomArchiveService");
+const sessionService = require("../services/sessionService");
+const calendarService = require("../services/calendarService");
+const { FRONTEND_BASE_URL } = require("../config/constants");
+
+// ===== SECURITY: Rate limiters =====
+const sessionWriteLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 20, // Max 20 session changes per minute per user
+  keyGenerator: (req) => req.user?.uid || req.ip,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    error: "Too many session changes. Please try again later.",
+  },
+  skip: (req) => !req.user,
+});
+
+const calendarFeedLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30, // Calendar apps poll, but not this often
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    error: "Too many calendar requests. Please try again later.",
+  },
+});
+
+// ===== SECURITY: Constants =====
+const MAX_SESSION_TITLE_LENGTH = 120;
+const MAX_AGENDA_LENGTH = 2000;
+const MAX_SESSION_DURATION_MS = 12 * 60 * 60 * 1000; // 12 hours
+const MAX_SESSIONS_PER_ROOM = 50;
+const MAX_INTERVAL_WEEKS = 4;
+const CALENDAR_FEEDS_COLLECTION = "calendarFeeds";
+
+function sanitizeString(str, maxLength = 255) {
+  if (typeof str !== "string") return "";
+  return str.trim().substring(0, maxLength);
+}
+
+function logSecurityEvent(eventType, uid, details) {
+  const timestamp = new Date().toISOString();
+  console.warn(
+    `[SECURITY] ${timestamp} | Event: ${eventType} | User: ${uid} | Details:`,
+    details
+  );
+}
+
+function sessionsRef(roomId) {
+  return roomAccess
+    .getRoomRef(roomId)
+    .collection(sessionService.SESSIONS_SUBCOLLECTION);
+}
+
+function roomLink(roomId) {
+  return `${FRONTEND_BASE_URL}/student/pages/study-room-inside.html?room=${encodeURIComponent(
+    roomId
+  )}`;
+}
+
+function backendBaseUrl(req) {
+  const protocol = req.get("x-forwarded-proto") || req.protocol;
+  return `${protocol}://${req.get("host")}`;
+}
+
+// ===== SECURITY: Input validation =====
+// Returns { errors, values } where values only contains provided fields
+function validateSessionInput(data, { partial = false } = {}) {
+  const errors = [];
+  const values = {};
+
+  if (!partial || data.title !== undefined) {
+    const title = sanitizeString(data.title, MAX_SESSION_TITLE_LENGTH);
+    if (!title) errors.push("Session title is required");
+    else values.title = title;
+  }
+
+  if (data.agenda !== undefined) {
+    if (data.agenda !== null && typeof data.agenda !== "string") {
+      errors.push("Agenda must be a string");
+    } else if ((data.agenda || "").length > MAX_AGENDA_LENGTH) {
+      errors.push(`Agenda must be ${MAX_AGENDA_LENGTH} characters or less`);
+    } else {
+      values.agenda = sanitizeString(data.agenda || "", MAX_AGENDA_LENGTH);
+    }
+  }
+
+  if (!partial || data.startTime !== undefined || data.endTime !== undefined) {
+    const start = new Date(data.startTime);
+    const end = new Date(data.endTime);
+    if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+      errors.push("Valid startTime and endTime are required");
+    } else if (end <= start) {
+      errors.push("endTime must be after startTime");
+    } else if (end - start > MAX_SESSION_DURATION_MS) {
+      errors.push("Sessions cannot be longer than 12 hours");
+    } else {
+      values.startTime = start.toISOString();
+      values.endTime = end.toISOString();
+    }
+  }
+
+  if (data.utcOffsetMinutes !== undefined) {
+    const offset = parseInt(data.utcOffsetMinutes, 10);
+    if (Number.isNaN(offset) || offset < -14 * 60 || offset > 14 * 60) {
+      errors.push("utcOffsetMinutes is invalid");
+    } else {
+      values.utcOffsetMinutes = offset;
+    }
+  } else if (!partial) {
+    values.utcOffsetMinutes = 0;
+  }
+
+  if (data.recurrence !== undefined && data.recurrence !== null) {
+    const r = data.recurrence;
+    const frequency = r.frequency || "none";
+    if (!sessionService.RECURRENCE_FREQUENCIES.includes(frequency)) {
+      errors.push(
+        `Recurrence must be one of: ${sessionService.RECURRENCE_FREQUENCIES.join(
+          ", "
+        )}`
+      );
+    } else {
+      const recurrence = {
+        frequency,
+        daysOfWeek: [],
+        intervalWeeks: 1,
+        until: null,
+      };
+
+      if (frequency === "custom") {
+        const days = Array.isArray(r.daysOfWeek)
+          ? r.daysOfWeek.map((d) => parseInt(d, 10))
+          : [];
+        if (days.length === 0 || days.some((d) => !(d >= 0 && d <= 6))) {
+          errors.push("Custom recurrence needs daysOfWeek between 0 and 6");
+        }
+        recurrence.daysOfWeek = Array.from(new Set(days)).sort((a, b) => a - b);
+      }
+
+      if (r.intervalWeeks !== undefined) {
+        const interval = parseInt(r.intervalWeeks, 10);
+        if (!(interval >= 1 && interval <= MAX_INTERVAL_WEEKS)) {
+          errors.push(
+            `intervalWeeks must be between 1 and ${MAX_INTERVAL_WEEKS}`
+          );
+        }
+        recurrence.intervalWeeks = interval;
+      }
+
+      if (r.until) {
+        const until = new Date(r.until);
+        if (Number.isNaN(until.getTime())) {
+          errors.push("Recurrence until date is invalid");
+        } else {
+          recurrence.until = until.toISOString();
+        }
+      }
+
+      values.recurrence = recurrence;
+    }
+  } else if (!partial) {
+    values.recurrence = {
+      frequency: "none",
+      daysOfWeek: [],
+      intervalWeeks: 1,
+      until: null,
+    };
+  }
+
+  return { errors, values };
+}
+
+// Resolve a calendar feed token to its owner uid
+async function resolveFeedToken(token) {
+  if (!token || typeof token !== "string" || !/^[a-f0-9]{48}$/.test(token)) {
+    return null;
+  }
+  const doc = await admin
+    .firestore()
+    .collection(CALENDAR_FEEDS_COLLECTION)
+    .doc(token)
+    .get();
+  return doc.exists ? doc.data().uid : null;
+}
+
+async function loadRoomSessions(room) {
+  const snapshot = await sessionsRef(room.id).get();
+  return snapshot.docs.map((doc) => ({
+    id: doc.id,
+    ...doc.data(),
+    roomName: room.name,
+    link: roomLink(room.id),
+  }));
+}
+
+function sendCalendar(res, name, sessions) {
+  res.set("Content-Type", "text/calendar; charset=utf-8");
+  res.set("Cache-Control", "private, max-age=300");
+  res.send(calendarService.buildCalendar({ name, sessions }));
+}
+
+// ===== POST /api/study-groups/calendar/token - Create or rotate feed token =====
+router.post("/calendar/token", firebaseAuthMiddleware, async (req, res) => {
+  try {
+    const uid = req.user.uid;
+    const db = admin.firestore();
+    const feeds = db.collection(CALENDAR_FEEDS_COLLECTION);
+
+    // Revoke previous tokens so a leaked URL stops working after rotation
+    const existing = await feeds.where("uid", "==", uid).get();
+    const batch = db.batch();
+    existing.docs.forEach((doc) => batch.delete(doc.ref));
+
+    const token = crypto.randomBytes(24).toString("hex");
+    batch.set(feeds.doc(token), {
+      uid,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    await batch.commit();
+
+    logSecurityEvent("CALENDAR_FEED_TOKEN_ROTATED", uid, {
+      revoked: existing.size,
+    });
+
+    const base = `${backendBaseUrl(req)}/api/study-groups`;
+    res.json({
+      token,
+      userFeedUrl: `${base}/calendar/${token}.ics`,
+      roomFeedUrlTemplate: `${base}/{roomId}/sessions.ics?token=${token}`,
+    });
+  } catch (error) {
+    console.error("[sessions] Error creating calendar token:", error);
+    res.status(500).json({ error: "Failed to create calendar feed" });
+  }
+});
+
+// ===== GET /api/study-groups/calendar/:token.ics - All sessions of the user's rooms =====
+router.get("/calendar/:token.ics", calendarFeedLimiter, async (req, res) => {
+  try {
+    const uid = await resolveFeedToken(req.params.token);
+    if (!uid) {
+      return res.status(404).json({ error: "Calendar feed not found" });
+    }
+
+    const roomsSnap = await admin
+      .firestore()
+      .collection(roomAccess.ROOMS_COLLECTION)
+      .where("participants", "array-contains", uid)
+      .get();
+
+    const rooms = roomsSnap.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .filter((room) => room.isActive !== false);
+
+    const sessionLists = await Promise.all(rooms.map(loadRoomSessions));
+    const sessions = sessionLists
+      .flat()
+      .filter((s) => (s.rsvps || {})[uid] !== "declined");
+
+    sendCalendar(res, "My StudyGroup Sessions", sessions);
+  } catch (error) {
+    console.error("[sessions] Error building user calendar:", error);
+    res.status(500).json({ error: "Failed to build calendar" });
+  }
+});
+
+// ===== GET /api/study-groups/:id/sessions.ics?token= - Room calendar feed =====
+router.get("/:id/sessions.ics", calendarFeedLimiter, async (req, res) => {
+  try {
+    const uid = await resolveFeedToken(req.query.token);
+    if (!uid) {
+      return res.status(404).json({ error: "Calendar feed not found" });
+    }
+
+    const room = await roomAccess.getRoom(req.params.id);
+    if (!room || !roomAccess.isParticipant(room, uid)) {
+      return res.status(404).json({ error: "Calendar feed not found" });
+    }
+
+    const sessions = await loadRoomSessions(room);
+    sendCalendar(res, `${room.name} - StudyGroup`, sessions);
+  } catch (error) {
+    console.error("[sessions] Error building room calendar:", error);
+    res.status(500).json({ error: "Failed to build calendar" });
+  }
+});
+
+// ===== GET /api/study-groups/:id/sessions - List sessions =====
+router.get("/:id/sessions", firebaseAuthMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const uid = req.user.uid;
+
+    const access = await roomAccess.resolveRoomAccess(id, req.user);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    const snapshot = await sessionsRef(id).get();
+    const now = new Date();
+    const sessions = snapshot.docs
+      .map((doc) =>
+        sessionService.formatSessionResponse(doc.id, doc.data(), uid, now)
+      )
+      .sort((a, b) => {
+        // Upcoming sessions first (by next occurrence), then past ones
+        const aNext = a.nextOccurrence
+          ? Date.parse(a.nextOccurrence.start)
+          : Infinity;
+        const bNext = b.nextOccurrence
+          ? Date.parse(b.nextOccurrence.start)
+          : Infinity;
+        return aNext - bNext;
+      });
+
+    const upcoming = sessions.filter((s) => s.nextOccurrence);
+    res.json({
+      sessions,
+      nextSession: upcoming.length > 0 ? upcoming[0] : null,
+    });
+  } catch (error) {
+    console.error("[sessions] Error listing sessions:", error);
+    res.status(500).json({ error: "Failed to fetch sessions" });
+  }
+});
+
+// ===== POST /api/study-groups/:id/sessions - Create session (hosts) =====
+router.post(
+  "/:id/sessions",
+  firebaseAuthMiddleware,
+  sessionWriteLimiter,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const uid = req.user.uid;
+
+      const access = await roomAccess.resolveRoomAccess(id, req.user, {
+        requireHost: true,
+      });
+      if (access.error) {
+        logSecurityEvent("SESSION_CREATE_DENIED", uid, { roomId: id });
+        return res.status(access.status).json({ error: access.error });
+      }
+
+      if (access.room.isActive === false) {
+        return res.status(403).json({
+          error:
+            "This room has been deactivated by an admin. You cannot schedule sessions.",
+        });
+      }
+      if (roomArchive.isArchived(access.room)) {
+        return res.status(403).json({ error: roomArchive.ARCHIVED_ERROR });
+      }
+
+      const { errors, values } = validateSessionInput(req.body || {});
+      if (errors.length > 0) {
+        return res
+          .status(400)
+          .json({ error: "Validation failed", details: errors });
+      }
+
+      const countSnap = await sessionsRef(id).count().get();
+      if (countSnap.data().count >= MAX_SESSIONS_PER_ROOM) {
+        return res.status(400).json({
+          error: `A room can have at most ${MAX_SESSIONS_PER_ROOM} scheduled sessions`,
+        });
+      }
+
+      const sessionData = {
+        ...values,
+        agenda: values.agenda || "",
+        roomId: id,
+        rsvps: { [uid]: "going" },
+        remindedOccurrences: [],
+        createdBy: uid,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
+      sessionData.nextOccurrenceAt =
+        sessionService.getNextReminderStart(sessionData);
+
+      const docRef = await sessionsRef(id).add(sessionData);
+
+      console.log(`[sessions] Session ${docRef.id} created in room ${id}`);
+      logSecurityEvent("SESSION_CREATED", uid, {
+        roomId: id,
+        sessionId: docRef.id,
+      });
+
+      res.status(201).json(
+        sessionService.formatSessionResponse(
+          docRef.id,
+          {
+            ...sessionData,
+            createdAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+          },
+          uid
+        )
+      );
+    } catch (error) {
+      console.error("[sessions] Error creating session:", error);
+      res.status(500).json({ error: "Failed to create session" });
+    }
+  }
+);
+
+// ===== PUT /api/study-groups/:id/sessions/:sessionId - Update session (hosts) =====
+router.put(
+  "/:id/sessions/:sessionId",
+  firebaseAuthMiddleware,
+  sessionWriteLimiter,
+  async (req, res) => {
+    try {
+      const { id, sessionId } = req.params;
+      const uid = req.user.uid;
+
+      const access = await roomAccess.resolveRoomAccess(id, req.user, {
+        requireHost: true,
+      });
+      if (access.error) {
+        logSecurityEvent("SESSION_UPDATE_DENIED", uid, {
+          roomId: id,
+          sessionId,
+        });
+        return res.status(access.status).json({ error: access.error });
+      }
+
+      if (access.room.isActive === false) {
+        return res.status(403).json({
+          error:
+            "This room has been deactivated by an admin. You cannot edit sessions.",
+        });
+      }
+      if (roomArchive.isArchived(access.room)) {
+        return res.status(403).json({ error: roomArchive.ARCHIVED_ERROR });
+      }
+
+      const sessionRef = sessionsRef(id).doc(sessionId);
+      const sessionDoc = await sessionRef.get();
+      if (!sessionDoc.exists) {
+        return res.status(404).json({ error: "Session not found" });
+      }
+
+      const current = sessionDoc.data();
+      const body = { ...(req.body || {}) };
+      // Times are validated together, so fill in the missing half
+      if (body.startTime !== undefined || body.endTime !== undefined) {
+        body.startTime = body.startTime ?? current.startTime;
+        body.endTime = body.endTime ?? current.endTime;
+      }
+
+      const { errors, values } = validateSessionInput(body, { partial: true });
+      if (errors.length > 0) {
+        return res
+          .status(400)
+          .json({ error: "Validation failed", details: errors });
+      }
+
+      const updates = {
+        ...values,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      };
+      // Rescheduling (times, recurrence or the offset the occurrences are
+      // computed in) invalidates previously sent reminders
+      if (
+        values.startTime ||
+        values.recurrence ||
+        values.utcOffsetMinutes !== undefined
+      ) {
+        updates.remindedOccurrences = [];
+        updates.nextOccurrenceAt = sessionService.getNextReminderStart({
+          ...current,
+          ...updates,
+        });
+      }
+
+      await sessionRef.update(updates);
+      const updated = await sessionRef.get();
+
+      logSecurityEvent("SESSION_UPDATED", uid, { roomId: id, sessionId });
+      res.json(
+        sessionService.formatSessionResponse(sessionId, updated.data(), uid)
+      );
+    } catch (error) {
+      console.error("[sessions] Error updating session:", error);
+      res.status(500).json({ error: "Failed to update session" });
+    }
+  }
+);
+
+// ===== DELETE /api/study-groups/:id/sessions/:sessionId - Delete session (hosts) =====
+router.delete(
+  "/:id/sessions/:sessionId",
+  firebaseAuthMiddleware,
+  sessionWriteLimiter,
+  async (req, res) => {
+    try {
+      const { id, sessionId } = req.params;
+      const uid = req.user.uid;
+
+      const access = await roomAccess.resolveRoomAccess(id, req.user, {
+        requireHost: true,
+      });
+      if (access.error) {
+        logSecurityEvent("SESSION_DELETE_DENIED", uid, {
+          roomId: id,
+          sessionId,
+        });
+        return res.status(access.status).json({ error: access.error });
+      }
+
+      if (access.room.isActive === false) {
+        return res.status(403).json({
+          error:
+            "This room has been deactivated by an admin. You cannot delete sessions.",
+        });
+      }
+      if (roomArchive.isArchived(access.room)) {
+        return res.status(403).json({ error: roomArchive.ARCHIVED_ERROR });
+      }
+
+      const sessionRef = sessionsRef(id).doc(sessionId);
+      const sessionDoc = await sessionRef.get();
+      if (!sessionDoc.exists) {
+        return res.status(404).json({ error: "Session not found" });
+      }
+
+      await sessionRef.delete();
+
+      logSecurityEvent("SESSION_DELETED", uid, { roomId: id, sessionId });
+      res.json({ success: true, message: "Session deleted successfully" });
+    } catch (error) {
+      console.error("[sessions] Error deleting session:", error);
+      res.status(500).json({ error: "Failed to delete session" });
+    }
+  }
+);
+
+// ===== PUT /api/study-groups/:id/sessions/:sessionId/rsvp - RSVP (participants) =====
+router.put(
+  "/:id/sessions/:sessionId/rsvp",
+  firebaseAuthMiddleware,
+  sessionWriteLimiter,
+  async (req, res) => {
+    try {
+      const { id, sessionId } = req.params;
+      const uid = req.user.uid;
+      const { status } = req.body || {};
+
+      if (!sessionService.RSVP_STATUSES.includes(status)) {
+        return res.status(400).json({
+          error: `RSVP status must be one of: ${sessionService.RSVP_STATUSES.join(
+            ", "
+          )}`,
+        });
+      }
+
+      const access = await roomAccess.resolveRoomAccess(id, req.user);
+      if (access.error) {
+        return res.status(access.status).json({ error: access.error });
+      }
+
+      if (access.room.isActive === false) {
+        return res.status(403).json({
+          error:
+            "This room has been deactivated by an admin. You cannot RSVP to sessions.",
+        });
+      }
+      if (roomArchive.isArchived(access.room)) {
+        return res.status(403).json({ error: roomArchive.ARCHIVED_ERROR });
+      }
+
+      const sessionRef = sessionsRef(id).doc(sessionId);
+      const sessionDoc = await sessionRef.get();
+      if (!sessionDoc.exists) {
+        return res.status(404).json({ error: "Session not found" });
+      }
+
+      await sessionRef.update({
+        [`rsvps.${uid}`]: status,
+      });
+
+      const updated = await sessionRef.get();
+      res.json(
+        sessionService.formatSessionResponse(sessionId, updated.data(), uid)
+      );
+    } catch (error) {
+      console.error("[sessions] Error saving RSVP:", error);
+      res.status(500).json({ error: "Failed to save RSVP" });
+    }
+  }
+);
+
+module.exports = router;
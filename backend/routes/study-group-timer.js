@@ -0,0 +1,294 @@
+// backend/routes/study-group-timer.js
+// Shared focus timer for study rooms (mounted at /api/study-groups)
+//
+// GET  /api/study-groups/:id/timer            - Current timer state (participants)
+// PUT  /api/study-groups/:id/timer            - Change focus / break length (hosts)
+// POST /api/study-groups/:id/timer/complete   - Report that the running phase ended (participants)
+// POST /api/study-groups/:id/timer/:action    - start | pause | resume | skip | reset (hosts)
+//
+// State is stored on the room document and mirrored to the Realtime Database
+// (rooms/{roomId}/timer) so every client gets changes in real time.
+
+const express = require("express");
+const router = express.Router();
+const admin = require("../config/firebase-admin");
+const firebaseAuthMiddleware = require("../middleware/firebaseAuthMiddleware");
+const rateLimit = require("express-rate-limit");
+const roomAccess = require("../services/roomAccessService");
+const roomArchive = require("../services/roomArchiveService");
+const timerService = require("../services/timerService");
+const chatMessages = require("../services/chatMessageService");
+
+// ===== SECURITY: Rate limiters =====
+const timerLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30, // Max 30 timer changes per minute per user
+  keyGenerator: (req) => req.user?.uid || req.ip,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    error: "Too many timer changes. Please try again later.",
+  },
+  skip: (req) => !req.user,
+});
+
+function logSecurityEvent(eventType, uid, details) {
+  const timestamp = new Date().toISOString();
+  console.warn(
+    `[SECURITY] ${timestamp} | Event: ${eventType} | User: ${uid} | Details:`,
+    details
+  );
+}
+
+// ===== SECURITY: Input validation =====
+function validateTimerSettings(data) {
+  const errors = [];
+  const values = {};
+
+  ["focusMinutes", "breakMinutes"].forEach((field) => {
+    if (data[field] === undefined || data[field] === null) return;
+    const minutes = parseInt(data[field], 10);
+    if (
+      !(
+        minutes >= timerService.MIN_PHASE_MINUTES &&
+        minutes <= timerService.MAX_PHASE_MINUTES
+      )
+    ) {
+      errors.push(
+        `${field} must be between ${timerService.MIN_PHASE_MINUTES} and ${timerService.MAX_PHASE_MINUTES}`
+      );
+    } else {
+      values[field] = minutes;
+    }
+  });
+
+  if (errors.length === 0 && Object.keys(values).length === 0) {
+    errors.push("Provide focusMinutes and/or breakMinutes");
+  }
+
+  return { errors, values };
+}
+
+// Push the new state to RTDB; Firestore stays the source of truth
+async function mirrorTimer(roomId, timer) {
+  try {
+    await admin
+      .database()
+      .ref(`rooms/${roomId}/timer`)
+      .set(timerService.formatTimerResponse(timer));
+  } catch (err) {
+    console.warn(
+      "[timer] Failed to mirror timer to Realtime Database:",
+      err.message
+    );
+  }
+}
+
+/**
+ * Read-modify-write the room's timer in a transaction.
+ * `update(room)` returns { status, body } to abort, or { timer, ... } to save.
+ */
+async function updateRoomTimer(roomId, uid, update) {
+  const roomRef = roomAccess.getRoomRef(roomId);
+
+  const result = await admin.firestore().runTransaction(async (tx) => {
+    const roomDoc = await tx.get(roomRef);
+    if (!roomDoc.exists) {
+      return { status: 404, body: { error: "Room not found" } };
+    }
+    const room = { id: roomDoc.id, ...roomDoc.data() };
+    if (room.isActive === false) {
+      return {
+        status: 403,
+        body: { error: "This room has been deactivated by an admin." },
+      };
+    }
+    if (roomArchive.isArchived(room)) {
+      return { status: 403, body: { error: roomArchive.ARCHIVED_ERROR } };
+    }
+
+    const outcome = update(room);
+    if (outcome.status) return outcome;
+    if (!outcome.timer) return { status: 200, body: outcome };
+
+    const timer = { ...outcome.timer, updatedBy: uid, updatedAt: Date.now() };
+    tx.update(roomRef, {
+      timer,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+    return { status: 200, body: { ...outcome, timer }, changed: true };
+  });
+
+  if (result.changed) await mirrorTimer(roomId, result.body.timer);
+  if (result.body.timer) {
+    result.body.timer = timerService.formatTimerResponse(result.body.timer);
+  }
+  return result;
+}
+
+function requireHostInTransaction(room, user) {
+  if (!roomAccess.isRoomHost(room, user.uid) && user.admin !== true) {
+    return {
+      status: 403,
+      body: { error: "Forbidden: Only room hosts can control the timer" },
+    };
+  }
+  return null;
+}
+
+// ===== GET /api/study-groups/:id/timer - Current timer state =====
+router.get("/:id/timer", firebaseAuthMiddleware, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const access = await roomAccess.resolveRoomAccess(id, req.user);
+    if (access.error) {
+      return res.status(access.status).json({ error: access.error });
+    }
+
+    res.json({
+      timer: timerService.formatTimerResponse(access.room.timer || null),
+      serverTime: Date.now(),
+    });
+  } catch (error) {
+    console.error("[timer] Error fetching timer:", error);
+    res.status(500).json({ error: "Failed to fetch timer" });
+  }
+});
+
+// ===== PUT /api/study-groups/:id/timer - Change phase lengths (hosts) =====
+router.put(
+  "/:id/timer",
+  firebaseAuthMiddleware,
+  timerLimiter,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+
+      const { errors, values } = validateTimerSettings(req.body || {});
+      if (errors.length > 0) {
+        return res
+          .status(400)
+          .json({ error: "Validation failed", details: errors });
+      }
+
+      const result = await updateRoomTimer(id, req.user.uid, (room) => {
+        const denied = requireHostInTransaction(room, req.user);
+        if (denied) return denied;
+        return {
+          timer: timerService.applySettings(room.timer || null, values),
+        };
+      });
+
+      if (result.status === 403) {
+        logSecurityEvent("UNAUTHORIZED_TIMER_CHANGE", req.user.uid, {
+          roomId: id,
+          action: "settings",
+        });
+      }
+      res.status(result.status).json(result.body);
+    } catch (error) {
+      console.error("[timer] Error updating timer settings:", error);
+      res.status(500).json({ error: "Failed to update timer" });
+    }
+  }
+);
+
+// ===== POST /api/study-groups/:id/timer/complete - Phase finished =====
+// Any participant may report this; the server checks the phase really ended.
+router.post(
+  "/:id/timer/complete",
+  firebaseAuthMiddleware,
+  timerLimiter,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const startedAt = Number(req.body?.startedAt);
+
+      if (!Number.isFinite(startedAt)) {
+        return res.status(400).json({ error: "startedAt is required" });
+      }
+
+      const result = await updateRoomTimer(id, req.user.uid, (room) => {
+        if (
+          !roomAccess.isParticipant(room, req.user.uid) &&
+          req.user.admin !== true
+        ) {
+          return {
+            status: 403,
+            body: {
+              error: "Forbidden: You are not a participant of this room",
+            },
+          };
+        }
+        return timerService.completePhase(room.timer || null, startedAt);
+      });
+
+      // Only the report that advanced the timer announces it in the chat
+      if (result.changed && result.body.completed) {
+        try {
+          await chatMessages.addSystemMessages(admin.firestore(), id, [
+            timerService.completionMessage(
+              result.body.completed,
+              result.body.timer
+            ),
+          ]);
+        } catch (err) {
+          console.warn("[timer] Failed to post phase message:", err);
+        }
+      }
+
+      res.status(result.status).json(result.body);
+    } catch (error) {
+      console.error("[timer] Error completing timer phase:", error);
+      res.status(500).json({ error: "Failed to update timer" });
+    }
+  }
+);
+
+// ===== POST /api/study-groups/:id/timer/:action - Host controls =====
+router.post(
+  "/:id/timer/:action",
+  firebaseAuthMiddleware,
+  timerLimiter,
+  async (req, res) => {
+    try {
+      const { id, action } = req.params;
+
+      if (!timerService.HOST_ACTIONS.includes(action)) {
+        return res.status(400).json({
+          error: `Action must be one of: ${timerService.HOST_ACTIONS.join(
+            ", "
+          )}`,
+        });
+      }
+
+      const result = await updateRoomTimer(id, req.user.uid, (room) => {
+        const denied = requireHostInTransaction(room, req.user);
+        if (denied) return denied;
+
+        const outcome = timerService.applyHostAction(
+          room.timer || null,
+          action
+        );
+        if (outcome.error) {
+          return { status: 409, body: { error: outcome.error } };
+        }
+        return outcome;
+      });
+
+      if (result.status === 403) {
+        logSecurityEvent("UNAUTHORIZED_TIMER_CHANGE", req.user.uid, {
+          roomId: id,
+          action,
+        });
+      }
+      res.status(result.status).json(result.body);
+    } catch (error) {
+      console.error("[timer] Error updating timer:", error);
+      res.status(500).json({ error: "Failed to update timer" });
+    }
+  }
+);
+
+module.exports = router;
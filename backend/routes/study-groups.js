@@ -5,6 +5,16 @@ const firebaseAuthMiddleware = require("../middleware/firebaseAuthMiddleware");
 const rateLimit = require("express-rate-limit");
 const bcrypt = require("bcryptjs");
 const notificationService = require("../services/notificationService");
+const roomAccess = require("../services/roomAccessService");
+const inviteService = require("../services/inviteService");
+const timerService = require("../services/timerService");
+const announcementService = require("../services/announcementService");
+const roomCatalog = require("../services/roomCatalogService");
+const roomArchive = require("../services/roomArchiveService");
+const roomTemplates = require("../services/roomTemplateService");
+const searchIndex = require("../services/searchIndexService");
+const chatMessages = require("../services/chatMessageService");
+const { ALLOWED_COURSES, YEAR_LEVELS } = require("../config/constants");
 
 // ===== SECURITY: Rate limiters =====
 const createRoomLimiter = rateLimit({
@@ -46,10 +56,18 @@ const joinRoomLimiter = rateLimit({
 // ===== SECURITY: Constants =====
 const MAX_ROOM_NAME_LENGTH = 100;
 const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_RULES_LENGTH = 2000;
 const MAX_PARTICIPANTS = 100;
 const MAX_PASSWORD_LENGTH = 100;
 const MIN_PASSWORD_LENGTH = 8;
 const VALID_PRIVACY = ["public", "private"];
+const VALID_JOIN_MODES = ["open", "approval"];
+const JOIN_REQUESTS_SUBCOLLECTION = "joinRequests";
+const MAX_BANNED_USERS = 500;
+const ASSIGNABLE_ROLES = [
+  roomAccess.ROOM_ROLES.CO_HOST,
+  roomAccess.ROOM_ROLES.MEMBER,
+];
 
 // ===== SECURITY: Sanitization helpers =====
 function sanitizeString(str, maxLength = 255) {
@@ -104,6 +122,15 @@ function validateRoomInput(data) {
     }
   }
 
+  // Validate rules (optional but if provided, validate)
+  if (data.rules !== undefined && data.rules !== null) {
+    if (typeof data.rules !== "string") {
+      errors.push("Rules must be a string");
+    } else if (data.rules.length > MAX_RULES_LENGTH) {
+      errors.push(`Rules must be ${MAX_RULES_LENGTH} characters or less`);
+    }
+  }
+
   // Validate privacy (optional but if provided, validate)
   if (
     data.privacy !== undefined &&
@@ -113,17 +140,40 @@ function validateRoomInput(data) {
     errors.push(`Privacy must be one of: ${VALID_PRIVACY.join(", ")}`);
   }
 
+  // Validate join mode (optional but if provided, validate)
+  if (
+    data.joinMode !== undefined &&
+    data.joinMode !== null &&
+    !VALID_JOIN_MODES.includes(data.joinMode)
+  ) {
+    errors.push(`Join mode must be one of: ${VALID_JOIN_MODES.join(", ")}`);
+  }
+
+  // Subject, course code, year level and tags (optional)
+  errors.push(...roomCatalog.normalizeRoomTags(data).errors);
+
   return errors;
 }
 
 // ===== HELPER: Check if room is active =====
-function checkRoomActive(roomData, action = "perform this action") {
+// Archived rooms are read-only too, unless `allowArchived` (e.g. leaving).
+function checkRoomActive(
+  roomData,
+  action = "perform this action",
+  { allowArchived = false } = {}
+) {
   if (!roomData.isActive) {
     return {
       isActive: false,
       error: `This room has been deactivated by an admin. You cannot ${action}.`,
     };
   }
+  if (!allowArchived && roomArchive.isArchived(roomData)) {
+    return {
+      isActive: false,
+      error: `This room is archived. You cannot ${action}.`,
+    };
+  }
   return { isActive: true };
 }
 
@@ -153,19 +203,109 @@ function formatRoomResponse(data) {
     id: data.id,
     name: data.name,
     description: data.description,
+    rules: data.rules || "",
     privacy: data.privacy || "public",
+    joinMode: data.joinMode || "open",
     creator: data.creator,
     creatorEmail: data.creatorEmail,
+    roles: roomAccess.buildRoleMap(data),
     participants: data.participants || [],
     participantCount: (data.participants || []).length,
     createdAt: createdAtStr,
+    ...roomCatalog.formatRoomTags(data),
+    ...roomArchive.formatArchiveState(data),
+    lastActivityAt:
+      data.lastActivityAt && typeof data.lastActivityAt.toDate === "function"
+        ? data.lastActivityAt.toDate().toISOString()
+        : null,
     isActive: data.isActive !== false,
     hasPassword: !!data.passwordHash,
     isPrivate: (data.privacy || "public") === "private",
+    timer: timerService.formatTimerResponse(data.timer || null),
   };
 }
 
+// ===== HELPER: Create room =====
+function generateRoomId() {
+  return `room_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+// A template the caller saved, or null
+async function loadOwnTemplate(templateId, uid) {
+  const doc = await roomTemplates
+    .getTemplatesRef(admin.firestore())
+    .doc(templateId)
+    .get();
+  if (!doc.exists || doc.data().ownerId !== uid) return null;
+  return doc.data();
+}
+
+async function getUserName(uid, fallback) {
+  try {
+    const userDoc = await admin.firestore().collection("users").doc(uid).get();
+    return (userDoc.exists && userDoc.data().name) || fallback || null;
+  } catch (err) {
+    return fallback || null;
+  }
+}
+
+// Keep the search index and facet counts in step with a room write
+// (before / after are null for a created / deleted room). Failures are only
+// logged: the room write itself already succeeded.
+async function syncRoomCatalog(roomId, before, after) {
+  try {
+    if (after) await searchIndex.indexRoom(roomId, after);
+    else await searchIndex.removeEntry("room", roomId);
+  } catch (err) {
+    console.warn(
+      `[study-groups] Failed to update search index for ${roomId}:`,
+      err
+    );
+  }
+  try {
+    await roomCatalog.updateFacetCounts(admin.firestore(), before, after);
+  } catch (err) {
+    console.warn(
+      `[study-groups] Failed to update facet counts for ${roomId}:`,
+      err
+    );
+  }
+}
+
+// Save a new room, post the welcome messages, then copy the template's pinned
+// resources and sessions. The room is usable even if those steps fail.
+async function saveNewRoom(roomData, template, author) {
+  const db = admin.firestore();
+  Object.assign(roomData, roomCatalog.listingFields(roomData));
+  await db.collection("study-groups").doc(roomData.id).set(roomData);
+  await syncRoomCatalog(roomData.id, null, roomData);
+  try {
+    await chatMessages.addSystemMessages(db, roomData.id, [
+      `Room created by ${author.name || "the host"}`,
+      "Click the camera button to start a video call. Double-click the video header for fullscreen mode.",
+    ]);
+  } catch (err) {
+    console.warn(
+      `[study-groups] Failed to post welcome messages in ${roomData.id}:`,
+      err
+    );
+  }
+  if (!template) return;
+
+  try {
+    await roomTemplates.applyTemplateContent(db, roomData.id, template, author);
+  } catch (err) {
+    console.error(
+      `[study-groups] Failed to copy template content into ${roomData.id}:`,
+      err
+    );
+  }
+}
+
 // ===== POST /api/study-groups - Create room =====
+// Body: name, description?, rules?, privacy?, joinMode?, password?, subject?,
+// courseCode?, yearLevel?, tags?, templateId? (fields missing from the body
+// come from the template; its pinned resources and sessions are copied)
 router.post(
   "/",
   firebaseAuthMiddleware,
@@ -175,8 +315,23 @@ router.post(
       const uid = req.user.uid;
       const email = req.user.email;
 
+      // ===== Optional template =====
+      let template = null;
+      if (req.body.templateId) {
+        template = await loadOwnTemplate(
+          sanitizeString(String(req.body.templateId), 128),
+          uid
+        );
+        if (!template) {
+          return res.status(404).json({ error: "Template not found" });
+        }
+      }
+      const input = template
+        ? roomTemplates.mergeTemplateInput(template, req.body)
+        : req.body;
+
       // ===== SECURITY: Validate input =====
-      const validationErrors = validateRoomInput(req.body);
+      const validationErrors = validateRoomInput(input);
       if (validationErrors.length > 0) {
         logSecurityEvent("CREATE_ROOM_VALIDATION_FAILED", uid, {
           errors: validationErrors,
@@ -188,12 +343,15 @@ router.post(
       }
 
       // ===== SECURITY: Sanitize inputs =====
-      const name = sanitizeString(req.body.name, MAX_ROOM_NAME_LENGTH);
+      const name = sanitizeString(input.name, MAX_ROOM_NAME_LENGTH);
       const description = sanitizeString(
-        req.body.description || "",
+        input.description || "",
         MAX_DESCRIPTION_LENGTH
       );
-      const privacy = req.body.privacy || "public";
+      const rules = sanitizeString(input.rules || "", MAX_RULES_LENGTH);
+      const privacy = input.privacy || "public";
+      const joinMode = input.joinMode || "open";
+      const { fields: classification } = roomCatalog.normalizeRoomTags(input);
 
       // ===== SECURITY: Handle password for private rooms =====
       let passwordHash = null;
@@ -223,15 +381,19 @@ router.post(
       }
 
       // ===== Build room object =====
-      const roomId = `room_${Date.now()}_${Math.random()
-        .toString(36)
-        .substr(2, 9)}`;
+      const roomId = generateRoomId();
 
       const roomData = {
         id: roomId,
         name,
         description,
+        rules,
         privacy,
+        joinMode,
+        subject: classification.subject || null,
+        courseCode: classification.courseCode || null,
+        yearLevel: classification.yearLevel || null,
+        tags: classification.tags || [],
         creator: uid,
         creatorEmail: email,
         participants: [uid],
@@ -245,8 +407,10 @@ router.post(
       }
 
       // ===== Save to Firestore =====
-      const db = admin.firestore();
-      await db.collection("study-groups").doc(roomId).set(roomData);
+      await saveNewRoom(roomData, template, {
+        uid,
+        name: await getUserName(uid, req.user.name || email),
+      });
 
       console.log(`[study-groups] Room created: ${roomId} by ${uid}`);
       logSecurityEvent("ROOM_CREATED", uid, {
@@ -254,6 +418,7 @@ router.post(
         name,
         privacy,
         hasPassword: !!passwordHash,
+        templateId: template ? req.body.templateId : null,
       });
 
       // Convert for response (use current time since serverTimestamp is not yet resolved)
@@ -273,61 +438,57 @@ router.post(
   }
 );
 
-// ===== GET /api/study-groups - List all rooms (with deactivation filtering per user) =====
-// ✅ FIXED: Show deactivated rooms ONLY to creators and participants
+// ===== GET /api/study-groups - Browse rooms (faceted, paginated) =====
+// Query: q?, scope? (all | public | private | joined | created), subject?,
+// course?, year?, tag? (comma-separated), sort? (activity | size | newest),
+// limit?, cursor? (nextCursor of the previous page)
+// Response: { rooms, nextCursor, total, facets } - total is null when some
+// filters (e.g. q) are checked per room; facets count all listed rooms
+// Deactivated and archived rooms are only listed under joined / created
 router.get("/", firebaseAuthMiddleware, async (req, res) => {
   try {
-    const uid = req.user?.uid;
-    const db = admin.firestore();
-
-    // Get ALL rooms (active AND deactivated)
-    const snapshot = await db
-      .collection("study-groups")
-      .orderBy("createdAt", "desc")
-      .get();
-
-    const rooms = snapshot.docs
-      .map((doc) => formatRoomResponse(doc.data()))
-      .filter((room) => {
-        // ✅ If room is active, always show it
-        if (room.isActive) {
-          console.log(
-            `[study-groups] Showing active room ${room.id} to user ${uid}`
-          );
-          return true;
-        }
-
-        // ✅ If room is deactivated, only show if user is:
-        // 1. The creator (host), OR
-        // 2. A participant
-        if (!room.isActive) {
-          const isCreator = room.creator === uid;
-          const isParticipant = room.participants?.includes(uid);
-
-          if (isCreator || isParticipant) {
-            console.log(
-              `[study-groups] Showing deactivated room ${room.id} to user ${uid} (creator: ${isCreator}, participant: ${isParticipant})`
-            );
-            return true;
-          } else {
-            console.log(
-              `[study-groups] Hiding deactivated room ${room.id} from non-member user ${uid}`
-            );
-            return false;
-          }
-        }
+    const uid = req.user.uid;
+    const listQuery = roomCatalog.parseListQuery(req.query);
+    if (listQuery.error) {
+      return res.status(400).json({ error: listQuery.error });
+    }
 
-        return false;
-      });
+    const db = admin.firestore();
+    const [page, facets] = await Promise.all([
+      roomCatalog.listRooms(db, listQuery, uid),
+      roomCatalog.getFacets(db),
+    ]);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
 
-    console.log(`[study-groups] Fetched ${rooms.length} rooms for user ${uid}`);
-    res.json(rooms);
+    console.log(
+      `[study-groups] Listed ${page.rooms.length} rooms for user ${uid}`
+    );
+    res.json({
+      rooms: page.rooms.map(formatRoomResponse),
+      nextCursor: page.nextCursor,
+      total: page.total,
+      facets,
+    });
   } catch (error) {
     console.error("[study-groups] Error listing rooms:", error);
     res.status(500).json({ error: "Failed to fetch rooms" });
   }
 });
 
+// ===== GET /api/study-groups/catalog - Options for room classification =====
+router.get("/catalog", (req, res) => {
+  res.json({
+    courses: ALLOWED_COURSES,
+    yearLevels: YEAR_LEVELS,
+    sortOptions: roomCatalog.SORT_OPTIONS,
+    maxTags: roomCatalog.MAX_TAGS,
+    maxTagLength: roomCatalog.MAX_TAG_LENGTH,
+    maxSubjectLength: roomCatalog.MAX_SUBJECT_LENGTH,
+  });
+});
+
 // ===== GET /api/study-groups/mine - Rooms joined by current user =====
 router.get("/mine", firebaseAuthMiddleware, async (req, res) => {
   try {
@@ -354,7 +515,9 @@ router.get("/mine", firebaseAuthMiddleware, async (req, res) => {
 });
 
 // ===== GET /api/study-groups/:id - Get single room =====
-router.get("/:id", async (req, res) => {
+// Optional auth: announcements are only included when the caller is in the
+// room (the full board is GET /:id/announcements)
+router.get("/:id", firebaseAuthMiddleware.optional, async (req, res) => {
   try {
     const { id } = req.params;
     const db = admin.firestore();
@@ -364,7 +527,14 @@ router.get("/:id", async (req, res) => {
       return res.status(404).json({ error: "Room not found" });
     }
 
-    res.json(formatRoomResponse(doc.data()));
+    const data = doc.data();
+    const room = formatRoomResponse(data);
+    if (req.user && roomAccess.getRoomRole(data, req.user.uid) !== null) {
+      room.announcements = announcementService.formatAnnouncements(
+        data.announcements
+      );
+    }
+    res.json(room);
   } catch (error) {
     console.error("[study-groups] Error fetching room:", error);
     res.status(500).json({ error: "Failed to fetch room" });
@@ -400,17 +570,19 @@ router.put(
         `[study-groups] Room creator: ${roomData.creator}, Auth user: ${uid}`
       );
 
-      // ===== SECURITY: Only room creator can reset password =====
-      if (roomData.creator !== uid) {
-        console.log(
-          `[study-groups] ❌ Unauthorized - user is not room creator`
-        );
+      // ===== SECURITY: Only room hosts (owner / co-hosts) can reset password =====
+      if (!roomAccess.isRoomHost(roomData, uid)) {
+        console.log(`[study-groups] ❌ Unauthorized - user is not a room host`);
         logSecurityEvent("UNAUTHORIZED_PASSWORD_RESET", uid, { roomId: id });
         return res.status(403).json({
-          error: "Forbidden: Only room creator can reset password",
+          error: "Forbidden: Only room hosts can reset password",
         });
       }
 
+      if (roomArchive.isArchived(roomData)) {
+        return res.status(403).json({ error: roomArchive.ARCHIVED_ERROR });
+      }
+
       // ===== SECURITY: Only private rooms can have password reset =====
       const privacy = String(roomData.privacy || "public").toLowerCase();
       if (privacy !== "private") {
@@ -489,7 +661,7 @@ router.put(
   }
 );
 
-// ===== PUT /api/study-groups/:id - Update room (owner only) =====
+// ===== PUT /api/study-groups/:id - Update room (hosts only) =====
 router.put(
   "/:id",
   firebaseAuthMiddleware,
@@ -508,17 +680,21 @@ router.put(
 
       const roomData = doc.data();
 
-      // ===== SECURITY: Only room creator can update =====
-      if (roomData.creator !== uid && req.user.admin !== true) {
+      // ===== SECURITY: Only room hosts (owner / co-hosts) can update =====
+      if (!roomAccess.isRoomHost(roomData, uid) && req.user.admin !== true) {
         logSecurityEvent("UNAUTHORIZED_ROOM_UPDATE", uid, {
           roomId: id,
           creator: roomData.creator,
         });
         return res.status(403).json({
-          error: "Forbidden: Only creator can update room",
+          error: "Forbidden: Only room hosts can update room",
         });
       }
 
+      if (roomArchive.isArchived(roomData)) {
+        return res.status(403).json({ error: roomArchive.ARCHIVED_ERROR });
+      }
+
       // ===== SECURITY: Validate update input =====
       const validationErrors = validateRoomInput(req.body);
       if (validationErrors.length > 0) {
@@ -546,6 +722,13 @@ router.put(
       if (req.body.privacy) {
         updates.privacy = req.body.privacy;
       }
+      if (req.body.joinMode) {
+        updates.joinMode = req.body.joinMode;
+      }
+      if (req.body.rules !== undefined) {
+        updates.rules = sanitizeString(req.body.rules || "", MAX_RULES_LENGTH);
+      }
+      Object.assign(updates, roomCatalog.normalizeRoomTags(req.body).fields);
 
       // ===== SECURITY: Allow owner to set/change password =====
       if (req.body.password !== undefined) {
@@ -585,6 +768,7 @@ router.put(
 
       // Fetch and return updated room
       const updatedDoc = await db.collection("study-groups").doc(id).get();
+      await syncRoomCatalog(id, roomData, updatedDoc.data());
 
       res.json(formatRoomResponse(updatedDoc.data()));
     } catch (error) {
@@ -612,18 +796,19 @@ router.delete("/:id", firebaseAuthMiddleware, async (req, res) => {
 
     const roomData = doc.data();
 
-    // ===== SECURITY: Only room creator can delete =====
-    if (roomData.creator !== uid && req.user.admin !== true) {
+    // ===== SECURITY: Only the room owner can delete =====
+    if (!roomAccess.isRoomOwner(roomData, uid) && req.user.admin !== true) {
       logSecurityEvent("UNAUTHORIZED_ROOM_DELETE", uid, {
         roomId: id,
         creator: roomData.creator,
       });
       return res.status(403).json({
-        error: "Forbidden: Only creator can delete room",
+        error: "Forbidden: Only the room owner can delete room",
       });
     }
 
     await db.collection("study-groups").doc(id).delete();
+    await syncRoomCatalog(id, roomData, null);
 
     console.log(`[study-groups] Room deleted: ${id} by ${uid}`);
     logSecurityEvent("ROOM_DELETED", uid, { roomId: id });
@@ -638,6 +823,260 @@ router.delete("/:id", firebaseAuthMiddleware, async (req, res) => {
   }
 });
 
+// ===== POST /api/study-groups/:id/archive|unarchive - Archive state (owner or admin) =====
+// Archived rooms are read-only and cannot be joined; unarchiving also resets
+// the inactivity countdown of the archive job.
+async function setRoomArchived(req, res, archived) {
+  const { id } = req.params;
+  const uid = req.user.uid;
+  const isAdmin = req.user.admin === true;
+  const db = admin.firestore();
+  const roomRef = db.collection("study-groups").doc(id);
+
+  const result = await db.runTransaction(async (tx) => {
+    const doc = await tx.get(roomRef);
+    if (!doc.exists) {
+      return { status: 404, body: { error: "Room not found" } };
+    }
+    const roomData = doc.data();
+
+    // ===== SECURITY: Only the room owner (or an admin) =====
+    if (!roomAccess.isRoomOwner(roomData, uid) && !isAdmin) {
+      logSecurityEvent(
+        archived ? "UNAUTHORIZED_ROOM_ARCHIVE" : "UNAUTHORIZED_ROOM_UNARCHIVE",
+        uid,
+        { roomId: id }
+      );
+      return {
+        status: 403,
+        body: {
+          error: `Forbidden: Only the room owner can ${
+            archived ? "archive" : "unarchive"
+          } this room`,
+        },
+      };
+    }
+    if (roomData.isActive === false) {
+      return {
+        status: 403,
+        body: { error: "This room has been deactivated by an admin." },
+      };
+    }
+    if (roomArchive.isArchived(roomData) === archived) {
+      return {
+        status: 400,
+        body: {
+          error: archived ? "Room is already archived" : "Room is not archived",
+        },
+      };
+    }
+
+    const updates = archived
+      ? roomArchive.archiveFields(uid, "manual")
+      : roomArchive.unarchiveFields(uid);
+    tx.update(roomRef, updates);
+    return {
+      status: 200,
+      body: {
+        success: true,
+        room: formatRoomResponse({ ...roomData, ...updates }),
+      },
+      roomData,
+      updates,
+    };
+  });
+
+  if (result.status === 200) {
+    try {
+      await roomCatalog.updateFacetCounts(db, result.roomData, {
+        ...result.roomData,
+        ...result.updates,
+      });
+    } catch (err) {
+      console.warn(
+        `[study-groups] Failed to update facet counts for ${id}:`,
+        err
+      );
+    }
+    logSecurityEvent(archived ? "ROOM_ARCHIVED" : "ROOM_UNARCHIVED", uid, {
+      roomId: id,
+      byAdmin: !roomAccess.isRoomOwner(result.roomData, uid),
+    });
+    // Owners hear about an admin archiving their room
+    if (
+      archived &&
+      result.roomData.creator &&
+      result.roomData.creator !== uid
+    ) {
+      notificationService
+        .notifyRoomArchived(
+          result.roomData.creator,
+          result.roomData.name || "Study Room",
+          id,
+          "manual"
+        )
+        .catch((err) =>
+          console.error("[study-groups] Archive notification failed:", err)
+        );
+    }
+  }
+  return res.status(result.status).json(result.body);
+}
+
+router.post(
+  "/:id/archive",
+  firebaseAuthMiddleware,
+  updateRoomLimiter,
+  async (req, res) => {
+    try {
+      await setRoomArchived(req, res, true);
+    } catch (error) {
+      console.error("[study-groups] Error archiving room:", error);
+      res.status(500).json({ error: "Failed to archive room" });
+    }
+  }
+);
+
+router.post(
+  "/:id/unarchive",
+  firebaseAuthMiddleware,
+  updateRoomLimiter,
+  async (req, res) => {
+    try {
+      await setRoomArchived(req, res, false);
+    } catch (error) {
+      console.error("[study-groups] Error unarchiving room:", error);
+      res.status(500).json({ error: "Failed to unarchive room" });
+    }
+  }
+);
+
+// ===== POST /api/study-groups/:id/duplicate - Duplicate room (hosts only) =====
+// Body: name? (defaults to "<name> (copy)"), password? (new room password),
+// copyPassword? (true keeps the source room's password)
+// Copies settings, rules, pinned resources and the session schedule (moved to
+// upcoming dates). Members, chat and notes are not copied; without password or
+// copyPassword the copy has no password.
+router.post(
+  "/:id/duplicate",
+  firebaseAuthMiddleware,
+  createRoomLimiter,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const uid = req.user.uid;
+      const email = req.user.email;
+      const db = admin.firestore();
+      const doc = await db.collection("study-groups").doc(id).get();
+
+      if (!doc.exists) {
+        return res.status(404).json({ error: "Room not found" });
+      }
+      const source = doc.data();
+
+      // ===== SECURITY: Only room hosts can duplicate =====
+      if (!roomAccess.isRoomHost(source, uid)) {
+        logSecurityEvent("UNAUTHORIZED_ROOM_DUPLICATE", uid, { roomId: id });
+        return res.status(403).json({
+          error: "Forbidden: Only room hosts can duplicate this room",
+        });
+      }
+      const activeCheck = checkRoomActive(source, "duplicate this room");
+      if (!activeCheck.isActive) {
+        return res.status(403).json({ error: activeCheck.error });
+      }
+
+      // ===== SECURITY: The password is only carried over on request =====
+      // (private rooms only, like on create)
+      const isPrivate = (source.privacy || "public") === "private";
+      let passwordHash = null;
+      if (isPrivate && req.body.password) {
+        const password = sanitizeString(
+          String(req.body.password),
+          MAX_PASSWORD_LENGTH
+        );
+        if (password.length < MIN_PASSWORD_LENGTH) {
+          return res.status(400).json({
+            error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters`,
+          });
+        }
+        try {
+          const rounds = parseInt(process.env.BCRYPT_ROUNDS || "10", 10);
+          passwordHash = await bcrypt.hash(password, rounds);
+        } catch (err) {
+          console.error("Error hashing password:", err);
+          return res.status(500).json({ error: "Failed to process password" });
+        }
+      } else if (
+        isPrivate &&
+        req.body.copyPassword === true &&
+        source.passwordHash
+      ) {
+        passwordHash = source.passwordHash;
+      }
+
+      const name =
+        sanitizeString(req.body.name, MAX_ROOM_NAME_LENGTH) ||
+        sanitizeString(
+          `${source.name || "Study Room"} (copy)`,
+          MAX_ROOM_NAME_LENGTH
+        );
+      const snapshot = await roomTemplates.snapshotRoom(db, id, source);
+
+      const roomId = generateRoomId();
+      const roomData = {
+        id: roomId,
+        name,
+        description: snapshot.description || "",
+        rules: snapshot.rules || "",
+        privacy: snapshot.privacy,
+        joinMode: snapshot.joinMode,
+        subject: snapshot.subject || null,
+        courseCode: snapshot.courseCode || null,
+        yearLevel: snapshot.yearLevel || null,
+        tags: snapshot.tags,
+        creator: uid,
+        creatorEmail: email,
+        participants: [uid],
+        duplicatedFrom: id,
+        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        isActive: true,
+      };
+      if (passwordHash) {
+        roomData.passwordHash = passwordHash;
+      }
+
+      await saveNewRoom(roomData, snapshot, {
+        uid,
+        name: await getUserName(uid, req.user.name || email),
+      });
+
+      console.log(
+        `[study-groups] Room ${id} duplicated as ${roomId} by ${uid}`
+      );
+      logSecurityEvent("ROOM_DUPLICATED", uid, {
+        roomId: id,
+        newRoomId: roomId,
+        hasPassword: !!passwordHash,
+        copiedPassword: !!passwordHash && passwordHash === source.passwordHash,
+      });
+
+      res
+        .status(201)
+        .json(
+          formatRoomResponse({
+            ...roomData,
+            createdAt: new Date().toISOString(),
+          })
+        );
+    } catch (error) {
+      console.error("[study-groups] Error duplicating room:", error);
+      res.status(500).json({ error: "Failed to duplicate room" });
+    }
+  }
+);
+
 // ===== POST /api/study-groups/:id/join - Join room =====
 router.post(
   "/:id/join",
@@ -650,6 +1089,23 @@ router.post(
       const db = admin.firestore();
       const roomRef = db.collection("study-groups").doc(id);
 
+      // ===== Invite link (optional): signature checked here, redeemed in the transaction =====
+      let inviteRef = null;
+      const inviteToken = req.body && req.body.inviteToken;
+      if (inviteToken) {
+        const parsedInvite = inviteService.verifyInviteToken(inviteToken);
+        if (!parsedInvite || parsedInvite.roomId !== id) {
+          logSecurityEvent("JOIN_INVALID_INVITE_TOKEN", uid, { roomId: id });
+          return res.status(403).json({
+            error: "This invite link is invalid",
+            invalidInvite: true,
+          });
+        }
+        inviteRef = roomRef
+          .collection(inviteService.INVITES_SUBCOLLECTION)
+          .doc(parsedInvite.inviteId);
+      }
+
       // Use transaction to avoid race conditions when adding participants
       const result = await db.runTransaction(async (tx) => {
         const roomDoc = await tx.get(roomRef);
@@ -667,6 +1123,18 @@ router.post(
           return { status: 403, body: { error: activeCheck.error } };
         }
 
+        // ===== SECURITY: Banned users cannot rejoin =====
+        if (roomAccess.isBanned(roomData, uid)) {
+          logSecurityEvent("JOIN_ROOM_BANNED", uid, { roomId: id });
+          return {
+            status: 403,
+            body: {
+              error: "You have been banned from this room",
+              banned: true,
+            },
+          };
+        }
+
         const participants = roomData.participants || [];
 
         // ===== Check if already member =====
@@ -700,6 +1168,54 @@ router.post(
           };
         }
 
+        // ===== Invite link: skips the password and approval checks =====
+        if (inviteRef) {
+          const inviteDoc = await tx.get(inviteRef);
+          const invite = inviteDoc.exists ? inviteDoc.data() : null;
+          const problem = inviteService.getInviteProblem(invite, {
+            email: req.user.email,
+          });
+          if (problem) {
+            logSecurityEvent("JOIN_INVITE_REJECTED", uid, {
+              roomId: id,
+              inviteId: inviteRef.id,
+              reason: problem,
+            });
+            return {
+              status: 403,
+              body: { error: problem, invalidInvite: true },
+            };
+          }
+
+          const invitedParticipants = Array.from(
+            new Set([...participants, uid])
+          ).slice(0, MAX_PARTICIPANTS);
+          const roomUpdates = {
+            participants: invitedParticipants,
+            participantCount: invitedParticipants.length,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          };
+          if (invite.role === roomAccess.ROOM_ROLES.CO_HOST) {
+            roomUpdates[`roles.${uid}`] = roomAccess.ROOM_ROLES.CO_HOST;
+          }
+
+          tx.update(roomRef, roomUpdates);
+          tx.update(inviteRef, {
+            uses: admin.firestore.FieldValue.increment(1),
+            redeemedBy: admin.firestore.FieldValue.arrayUnion(uid),
+          });
+
+          return {
+            status: 200,
+            body: {
+              success: true,
+              message: "Joined room with invite link",
+              participantCount: invitedParticipants.length,
+              viaInvite: true,
+            },
+          };
+        }
+
         // ===== SECURITY: Check privacy and password =====
         if (roomData.privacy === "private") {
           // If no passwordHash set on private room, deny join
@@ -761,6 +1277,47 @@ router.post(
           }
         }
 
+        // ===== Approval mode: queue a join request instead of joining =====
+        if (roomData.joinMode === "approval") {
+          const requestRef = roomRef
+            .collection(JOIN_REQUESTS_SUBCOLLECTION)
+            .doc(uid);
+          const requestDoc = await tx.get(requestRef);
+          if (requestDoc.exists && requestDoc.data().status === "pending") {
+            return {
+              status: 202,
+              body: {
+                pending: true,
+                message: "Your request to join is waiting for host approval",
+              },
+            };
+          }
+
+          const userDoc = await tx.get(db.collection("users").doc(uid));
+          const userData = userDoc.exists ? userDoc.data() : {};
+
+          tx.set(requestRef, {
+            uid,
+            name: userData.name || req.user.email || "Unknown",
+            email: userData.email || req.user.email || "",
+            status: "pending",
+            createdAt: admin.firestore.FieldValue.serverTimestamp(),
+          });
+
+          return {
+            status: 202,
+            requestCreated: true,
+            requesterName: userData.name || req.user.email || "Someone",
+            roomName: roomData.name || "Study Room",
+            hostIds: roomAccess.getRoomHostIds(roomData),
+            body: {
+              pending: true,
+              message:
+                "Join request sent. You'll be notified when a host responds.",
+            },
+          };
+        }
+
         // Passed privacy/password checks -> add participant
         const newParticipants = Array.from(
           new Set([...participants, uid])
@@ -768,6 +1325,7 @@ router.post(
 
         tx.update(roomRef, {
           participants: newParticipants,
+          participantCount: newParticipants.length,
           updatedAt: admin.firestore.FieldValue.serverTimestamp(),
         });
 
@@ -781,6 +1339,24 @@ router.post(
         };
       }); // end transaction
 
+      // ===== NOTIFICATION: Tell hosts about a new join request =====
+      if (result.requestCreated) {
+        logSecurityEvent("JOIN_REQUEST_CREATED", req.user.uid, { roomId: id });
+        try {
+          await notificationService.notifyJoinRequest(
+            result.hostIds,
+            result.requesterName,
+            result.roomName,
+            id
+          );
+        } catch (notifErr) {
+          console.warn(
+            "[study-groups] Failed to send join request notification:",
+            notifErr.message
+          );
+        }
+      }
+
       // Transaction returned a response object
       if (result.status && result.body) {
         // Log join success if 200 and not already member
@@ -849,7 +1425,8 @@ router.post(
 );
 
 // ===== DELETE /api/study-groups/:id/participants/:userId - Remove participant =====
-// Allow users to remove themselves OR room creator can remove others
+// Allow users to remove themselves OR room hosts can remove others
+// (owner can remove anyone, co-hosts can only remove members)
 router.delete(
   "/:id/participants/:userId",
   firebaseAuthMiddleware,
@@ -876,30 +1453,42 @@ router.delete(
       // ===== CHECK IF ROOM IS ACTIVE =====
       const activeCheck = checkRoomActive(
         roomData,
-        "remove participants from this room"
+        "remove participants from this room",
+        { allowArchived: true }
       );
       if (!activeCheck.isActive) {
         return res.status(403).json({ error: activeCheck.error });
       }
 
-      // ===== SECURITY: Allow users to remove themselves OR room creator can remove others =====
-      const isOwner = roomData.creator === uid;
+      // ===== SECURITY: Allow users to remove themselves OR room hosts can remove others =====
+      const isOwner = roomAccess.isRoomOwner(roomData, uid);
       const isRemovingSelf = decodedUserId === uid;
 
-      if (!isOwner && !isRemovingSelf) {
+      if (
+        !isRemovingSelf &&
+        !roomAccess.canModerate(roomData, uid, decodedUserId)
+      ) {
         logSecurityEvent("UNAUTHORIZED_REMOVE_PARTICIPANT", uid, {
           roomId: id,
           targetUserId: decodedUserId,
-          creator: roomData.creator,
+          role: roomAccess.getRoomRole(roomData, uid),
         });
         return res.status(403).json({
           error:
-            "Forbidden: You can only remove yourself or the room creator can remove others",
+            "Forbidden: You can only remove yourself, or members if you are a room host",
         });
       }
 
       const participants = roomData.participants || [];
 
+      // ===== The owner must hand the room over before leaving =====
+      if (isRemovingSelf && isOwner && participants.length > 1) {
+        return res.status(400).json({
+          error:
+            "Transfer ownership to another participant before leaving the room",
+        });
+      }
+
       // ===== Check if participant exists =====
       if (!participants.includes(decodedUserId)) {
         logSecurityEvent("REMOVE_PARTICIPANT_NOT_FOUND", uid, {
@@ -916,10 +1505,16 @@ router.delete(
         (p) => p !== decodedUserId
       );
 
-      await db.collection("study-groups").doc(id).update({
-        participants: updatedParticipants,
-        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      });
+      await db
+        .collection("study-groups")
+        .doc(id)
+        .update({
+          participants: updatedParticipants,
+          participantCount: updatedParticipants.length,
+          // Drop any elevated role the user had in this room
+          [`roles.${decodedUserId}`]: admin.firestore.FieldValue.delete(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
 
       console.log(
         `[study-groups] User ${decodedUserId} removed from room ${id} by ${uid}`
@@ -981,4 +1576,592 @@ router.delete(
   }
 );
 
+// ===== PUT /api/study-groups/:id/roles/:userId - Promote / demote participant (owner only) =====
+router.put(
+  "/:id/roles/:userId",
+  firebaseAuthMiddleware,
+  updateRoomLimiter,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const targetUserId = decodeURIComponent(req.params.userId);
+      const uid = req.user.uid;
+      const { role } = req.body || {};
+
+      if (!ASSIGNABLE_ROLES.includes(role)) {
+        return res.status(400).json({
+          error: `Role must be one of: ${ASSIGNABLE_ROLES.join(", ")}`,
+        });
+      }
+
+      const db = admin.firestore();
+      const roomRef = db.collection("study-groups").doc(id);
+      const doc = await roomRef.get();
+
+      if (!doc.exists) {
+        return res.status(404).json({ error: "Room not found" });
+      }
+
+      const roomData = doc.data();
+
+      const activeCheck = checkRoomActive(roomData, "change room roles", {
+        allowArchived: true,
+      });
+      if (!activeCheck.isActive) {
+        return res.status(403).json({ error: activeCheck.error });
+      }
+
+      // ===== SECURITY: Only the room owner (or an admin) can change roles =====
+      if (!roomAccess.isRoomOwner(roomData, uid) && req.user.admin !== true) {
+        logSecurityEvent("UNAUTHORIZED_ROLE_CHANGE", uid, {
+          roomId: id,
+          targetUserId,
+        });
+        return res.status(403).json({
+          error: "Forbidden: Only the room owner can change roles",
+        });
+      }
+
+      const currentRole = roomAccess.getRoomRole(roomData, targetUserId);
+      if (!currentRole) {
+        return res.status(400).json({
+          error: "User is not a participant in this room",
+        });
+      }
+      if (currentRole === roomAccess.ROOM_ROLES.OWNER) {
+        return res.status(400).json({
+          error: "Use transfer ownership to change the owner's role",
+        });
+      }
+
+      if (currentRole !== role) {
+        await roomRef.update({
+          [`roles.${targetUserId}`]:
+            role === roomAccess.ROOM_ROLES.MEMBER
+              ? admin.firestore.FieldValue.delete()
+              : role,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        logSecurityEvent("ROOM_ROLE_CHANGED", uid, {
+          roomId: id,
+          targetUserId,
+          from: currentRole,
+          to: role,
+        });
+
+        try {
+          await notificationService.notifyRoomRoleChange(
+            targetUserId,
+            role,
+            roomData.name || "Study Room",
+            id
+          );
+        } catch (notifErr) {
+          console.warn(
+            "[study-groups] Failed to send role notification:",
+            notifErr.message
+          );
+        }
+      }
+
+      const updatedDoc = await roomRef.get();
+      res.json({
+        success: true,
+        message:
+          role === roomAccess.ROOM_ROLES.CO_HOST
+            ? "Participant promoted to co-host"
+            : "Participant is now a member",
+        room: formatRoomResponse(updatedDoc.data()),
+      });
+    } catch (error) {
+      console.error("[study-groups] Error changing role:", error);
+      logSecurityEvent("ROLE_CHANGE_ERROR", req.user?.uid, {
+        error: error.message,
+      });
+      res.status(500).json({ error: "Failed to change role" });
+    }
+  }
+);
+
+// ===== POST /api/study-groups/:id/transfer-ownership - Hand the room to another participant =====
+router.post(
+  "/:id/transfer-ownership",
+  firebaseAuthMiddleware,
+  updateRoomLimiter,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const uid = req.user.uid;
+      const newOwnerId = sanitizeString(req.body?.userId, 128);
+
+      if (!newOwnerId) {
+        return res.status(400).json({ error: "userId is required" });
+      }
+
+      const db = admin.firestore();
+      const roomRef = db.collection("study-groups").doc(id);
+
+      // Resolve the new owner's email up front (kept in sync with creatorEmail)
+      let newOwnerEmail = "";
+      try {
+        const userDoc = await db.collection("users").doc(newOwnerId).get();
+        newOwnerEmail = userDoc.exists ? userDoc.data().email || "" : "";
+      } catch (e) {
+        /* ignore */
+      }
+
+      const result = await db.runTransaction(async (tx) => {
+        const roomDoc = await tx.get(roomRef);
+        if (!roomDoc.exists) {
+          return { status: 404, body: { error: "Room not found" } };
+        }
+
+        const roomData = roomDoc.data();
+
+        const activeCheck = checkRoomActive(roomData, "transfer ownership", {
+          allowArchived: true,
+        });
+        if (!activeCheck.isActive) {
+          return { status: 403, body: { error: activeCheck.error } };
+        }
+
+        // ===== SECURITY: Only the current owner (or an admin) can transfer =====
+        if (!roomAccess.isRoomOwner(roomData, uid) && req.user.admin !== true) {
+          logSecurityEvent("UNAUTHORIZED_OWNERSHIP_TRANSFER", uid, {
+            roomId: id,
+            newOwnerId,
+          });
+          return {
+            status: 403,
+            body: { error: "Forbidden: Only the room owner can transfer it" },
+          };
+        }
+
+        if (!roomAccess.isParticipant(roomData, newOwnerId)) {
+          return {
+            status: 400,
+            body: { error: "The new owner must be a participant" },
+          };
+        }
+        if (roomData.creator === newOwnerId) {
+          return {
+            status: 400,
+            body: { error: "This user already owns the room" },
+          };
+        }
+
+        // Previous owner stays on as co-host (if still a participant)
+        const roles = { ...(roomData.roles || {}) };
+        delete roles[newOwnerId];
+        if (roomAccess.isParticipant(roomData, roomData.creator)) {
+          roles[roomData.creator] = roomAccess.ROOM_ROLES.CO_HOST;
+        }
+
+        tx.update(roomRef, {
+          creator: newOwnerId,
+          creatorEmail: newOwnerEmail,
+          roles,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        return {
+          status: 200,
+          previousOwner: roomData.creator,
+          roomName: roomData.name || "Study Room",
+        };
+      });
+
+      if (result.status !== 200) {
+        return res.status(result.status).json(result.body);
+      }
+
+      logSecurityEvent("ROOM_OWNERSHIP_TRANSFERRED", uid, {
+        roomId: id,
+        from: result.previousOwner,
+        to: newOwnerId,
+      });
+
+      try {
+        await notificationService.notifyRoomRoleChange(
+          newOwnerId,
+          roomAccess.ROOM_ROLES.OWNER,
+          result.roomName,
+          id
+        );
+      } catch (notifErr) {
+        console.warn(
+          "[study-groups] Failed to send ownership notification:",
+          notifErr.message
+        );
+      }
+
+      const updatedDoc = await roomRef.get();
+      res.json({
+        success: true,
+        message: "Room ownership transferred",
+        room: formatRoomResponse(updatedDoc.data()),
+      });
+    } catch (error) {
+      console.error("[study-groups] Error transferring ownership:", error);
+      logSecurityEvent("OWNERSHIP_TRANSFER_ERROR", req.user?.uid, {
+        error: error.message,
+      });
+      res.status(500).json({ error: "Failed to transfer ownership" });
+    }
+  }
+);
+
+// ===== HELPER: Load a room and require a host (owner / co-host) or admin =====
+async function loadRoomForHost(req, res, action) {
+  const { id } = req.params;
+  const uid = req.user.uid;
+  const roomRef = admin.firestore().collection("study-groups").doc(id);
+  const doc = await roomRef.get();
+
+  if (!doc.exists) {
+    res.status(404).json({ error: "Room not found" });
+    return null;
+  }
+
+  const roomData = doc.data();
+  if (!roomAccess.isRoomHost(roomData, uid) && req.user.admin !== true) {
+    logSecurityEvent("UNAUTHORIZED_HOST_ACTION", uid, { roomId: id, action });
+    res.status(403).json({
+      error: `Forbidden: Only room hosts can ${action}`,
+    });
+    return null;
+  }
+
+  return { roomRef, roomData };
+}
+
+// ===== GET /api/study-groups/:id/join-requests - Pending join requests (hosts) =====
+router.get("/:id/join-requests", firebaseAuthMiddleware, async (req, res) => {
+  try {
+    const loaded = await loadRoomForHost(req, res, "view join requests");
+    if (!loaded) return;
+
+    const snapshot = await loaded.roomRef
+      .collection(JOIN_REQUESTS_SUBCOLLECTION)
+      .where("status", "==", "pending")
+      .get();
+
+    const requests = snapshot.docs
+      .map((doc) => {
+        const data = doc.data();
+        return {
+          uid: doc.id,
+          name: data.name,
+          email: data.email,
+          status: data.status,
+          createdAt: data.createdAt?.toDate
+            ? data.createdAt.toDate().toISOString()
+            : null,
+        };
+      })
+      .sort((a, b) => (a.createdAt || "").localeCompare(b.createdAt || ""));
+
+    res.json({ requests });
+  } catch (error) {
+    console.error("[study-groups] Error listing join requests:", error);
+    res.status(500).json({ error: "Failed to fetch join requests" });
+  }
+});
+
+// ===== POST /api/study-groups/:id/join-requests/:userId/:decision - Approve or deny (hosts) =====
+router.post(
+  "/:id/join-requests/:userId/:decision",
+  firebaseAuthMiddleware,
+  updateRoomLimiter,
+  async (req, res) => {
+    try {
+      const { id, decision } = req.params;
+      const targetUserId = decodeURIComponent(req.params.userId);
+      const uid = req.user.uid;
+
+      if (!["approve", "deny"].includes(decision)) {
+        return res
+          .status(400)
+          .json({ error: "Decision must be approve or deny" });
+      }
+
+      const db = admin.firestore();
+      const roomRef = db.collection("study-groups").doc(id);
+      const requestRef = roomRef
+        .collection(JOIN_REQUESTS_SUBCOLLECTION)
+        .doc(targetUserId);
+
+      const result = await db.runTransaction(async (tx) => {
+        const roomDoc = await tx.get(roomRef);
+        if (!roomDoc.exists) {
+          return { status: 404, body: { error: "Room not found" } };
+        }
+        const requestDoc = await tx.get(requestRef);
+
+        const roomData = roomDoc.data();
+
+        if (!roomAccess.isRoomHost(roomData, uid) && req.user.admin !== true) {
+          logSecurityEvent("UNAUTHORIZED_JOIN_REQUEST_DECISION", uid, {
+            roomId: id,
+            targetUserId,
+          });
+          return {
+            status: 403,
+            body: {
+              error: "Forbidden: Only room hosts can review join requests",
+            },
+          };
+        }
+
+        if (!requestDoc.exists || requestDoc.data().status !== "pending") {
+          return {
+            status: 404,
+            body: { error: "No pending join request for this user" },
+          };
+        }
+
+        const approve = decision === "approve";
+        const participants = roomData.participants || [];
+
+        if (approve) {
+          const activeCheck = checkRoomActive(
+            roomData,
+            "approve join requests"
+          );
+          if (!activeCheck.isActive) {
+            return { status: 403, body: { error: activeCheck.error } };
+          }
+          if (roomAccess.isBanned(roomData, targetUserId)) {
+            return {
+              status: 400,
+              body: { error: "This user is banned from the room" },
+            };
+          }
+          if (
+            !participants.includes(targetUserId) &&
+            participants.length >= MAX_PARTICIPANTS
+          ) {
+            return {
+              status: 403,
+              body: {
+                error: "This room has reached its maximum participant limit",
+              },
+            };
+          }
+
+          const approvedParticipants = Array.from(
+            new Set([...participants, targetUserId])
+          );
+          tx.update(roomRef, {
+            participants: approvedParticipants,
+            participantCount: approvedParticipants.length,
+            updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+          });
+        }
+
+        tx.update(requestRef, {
+          status: approve ? "approved" : "denied",
+          decidedBy: uid,
+          decidedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+
+        return {
+          status: 200,
+          approved: approve,
+          roomName: roomData.name || "Study Room",
+          body: {
+            success: true,
+            message: approve ? "Join request approved" : "Join request denied",
+          },
+        };
+      });
+
+      if (result.status !== 200) {
+        return res.status(result.status).json(result.body);
+      }
+
+      logSecurityEvent(
+        result.approved ? "JOIN_REQUEST_APPROVED" : "JOIN_REQUEST_DENIED",
+        uid,
+        { roomId: id, targetUserId }
+      );
+
+      try {
+        await notificationService.notifyJoinRequestResult(
+          targetUserId,
+          result.approved,
+          result.roomName,
+          id
+        );
+      } catch (notifErr) {
+        console.warn(
+          "[study-groups] Failed to send join request result:",
+          notifErr.message
+        );
+      }
+
+      res.json(result.body);
+    } catch (error) {
+      console.error("[study-groups] Error reviewing join request:", error);
+      logSecurityEvent("JOIN_REQUEST_DECISION_ERROR", req.user?.uid, {
+        error: error.message,
+      });
+      res.status(500).json({ error: "Failed to review join request" });
+    }
+  }
+);
+
+// ===== GET /api/study-groups/:id/bans - Banned users (hosts) =====
+router.get("/:id/bans", firebaseAuthMiddleware, async (req, res) => {
+  try {
+    const loaded = await loadRoomForHost(req, res, "view the ban list");
+    if (!loaded) return;
+
+    const bannedIds = loaded.roomData.bannedUsers || [];
+    const db = admin.firestore();
+    const userDocs =
+      bannedIds.length > 0
+        ? await db.getAll(
+            ...bannedIds.map((bannedId) => db.collection("users").doc(bannedId))
+          )
+        : [];
+
+    const bans = userDocs.map((doc) => ({
+      uid: doc.id,
+      name: doc.exists ? doc.data().name || doc.data().email : "Unknown user",
+      email: doc.exists ? doc.data().email || "" : "",
+    }));
+
+    res.json({ bans });
+  } catch (error) {
+    console.error("[study-groups] Error listing bans:", error);
+    res.status(500).json({ error: "Failed to fetch ban list" });
+  }
+});
+
+// ===== POST /api/study-groups/:id/bans - Ban a user (removes them from the room) =====
+router.post(
+  "/:id/bans",
+  firebaseAuthMiddleware,
+  updateRoomLimiter,
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const uid = req.user.uid;
+      const targetUserId = sanitizeString(req.body?.userId, 128);
+
+      if (!targetUserId) {
+        return res.status(400).json({ error: "userId is required" });
+      }
+
+      const db = admin.firestore();
+      const roomRef = db.collection("study-groups").doc(id);
+
+      const result = await db.runTransaction(async (tx) => {
+        const roomDoc = await tx.get(roomRef);
+        if (!roomDoc.exists) {
+          return { status: 404, body: { error: "Room not found" } };
+        }
+
+        const roomData = roomDoc.data();
+        const targetRole = roomAccess.getRoomRole(roomData, targetUserId);
+
+        // ===== SECURITY: Same rules as kicking; non-members can be banned by any host =====
+        const allowed = targetRole
+          ? roomAccess.canModerate(roomData, uid, targetUserId)
+          : roomAccess.isRoomHost(roomData, uid) && targetUserId !== uid;
+        if (!allowed) {
+          logSecurityEvent("UNAUTHORIZED_BAN", uid, {
+            roomId: id,
+            targetUserId,
+          });
+          return {
+            status: 403,
+            body: { error: "Forbidden: You cannot ban this user" },
+          };
+        }
+
+        const bannedUsers = roomData.bannedUsers || [];
+        if (
+          !bannedUsers.includes(targetUserId) &&
+          bannedUsers.length >= MAX_BANNED_USERS
+        ) {
+          return {
+            status: 400,
+            body: { error: "This room's ban list is full" },
+          };
+        }
+
+        const remainingParticipants = (roomData.participants || []).filter(
+          (p) => p !== targetUserId
+        );
+        tx.update(roomRef, {
+          bannedUsers: admin.firestore.FieldValue.arrayUnion(targetUserId),
+          participants: remainingParticipants,
+          participantCount: remainingParticipants.length,
+          [`roles.${targetUserId}`]: admin.firestore.FieldValue.delete(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+        });
+        // A banned user's pending request is no longer relevant
+        tx.delete(
+          roomRef.collection(JOIN_REQUESTS_SUBCOLLECTION).doc(targetUserId)
+        );
+
+        return {
+          status: 200,
+          body: { success: true, message: "User banned from the room" },
+        };
+      });
+
+      if (result.status === 200) {
+        logSecurityEvent("USER_BANNED_FROM_ROOM", uid, {
+          roomId: id,
+          targetUserId,
+        });
+      }
+      res.status(result.status).json(result.body);
+    } catch (error) {
+      console.error("[study-groups] Error banning user:", error);
+      logSecurityEvent("BAN_USER_ERROR", req.user?.uid, {
+        error: error.message,
+      });
+      res.status(500).json({ error: "Failed to ban user" });
+    }
+  }
+);
+
+// ===== DELETE /api/study-groups/:id/bans/:userId - Lift a ban (hosts) =====
+router.delete(
+  "/:id/bans/:userId",
+  firebaseAuthMiddleware,
+  updateRoomLimiter,
+  async (req, res) => {
+    try {
+      const targetUserId = decodeURIComponent(req.params.userId);
+      const loaded = await loadRoomForHost(req, res, "lift bans");
+      if (!loaded) return;
+
+      if (!roomAccess.isBanned(loaded.roomData, targetUserId)) {
+        return res.status(404).json({ error: "User is not banned" });
+      }
+
+      await loaded.roomRef.update({
+        bannedUsers: admin.firestore.FieldValue.arrayRemove(targetUserId),
+        updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+      });
+
+      logSecurityEvent("USER_UNBANNED_FROM_ROOM", req.user.uid, {
+        roomId: req.params.id,
+        targetUserId,
+      });
+
+      res.json({ success: true, message: "Ban lifted" });
+    } catch (error) {
+      console.error("[study-groups] Error lifting ban:", error);
+      res.status(500).json({ error: "Failed to lift ban" });
+    }
+  }
+);
+
 module.exports = router;
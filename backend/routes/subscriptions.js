@@ -0,0 +1,168 @@
+// backend/routes/subscriptions.js
+// Follow / mute / unfollow discussion topics and posts.
+// :type is "topic" or "post"; see services/subscriptionService.js
+
+const express = require("express");
+const router = express.Router();
+const firebaseAuthMiddleware = require("../middleware/firebaseAuthMiddleware");
+const subscriptionService = require("../services/subscriptionService");
+const rateLimit = require("express-rate-limit");
+
+const subscriptionLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 60,
+  standardHeaders: true,
+  legacyHeaders: false,
+  keyGenerator: (req) => req.user?.uid || req.ip,
+  skip: (req) => !req.user,
+  message: { error: "Too many requests, slow down" },
+});
+
+// Validate :type and :targetId and load the followed topic/post
+async function loadTarget(req, res, next) {
+  const { type, targetId } = req.params;
+  if (!subscriptionService.isTargetType(type)) {
+    return res.status(400).json({ error: "Type must be topic or post" });
+  }
+  if (!targetId || targetId.trim() === "") {
+    return res.status(400).json({ error: "Target ID required" });
+  }
+  try {
+    const target = await subscriptionService.getTarget(type, targetId);
+    if (!target) {
+      return res
+        .status(404)
+        .json({
+          error: type === "topic" ? "Topic not found" : "Post not found",
+        });
+    }
+    req.target = target;
+    next();
+  } catch (err) {
+    console.error("[subscriptions] Failed to load target:", err);
+    res.status(500).json({ error: "Could not load thread" });
+  }
+}
+
+/**
+ * GET /api/subscriptions
+ * Followed topics and posts with unread counts
+ */
+router.get("/", firebaseAuthMiddleware, async (req, res) => {
+  try {
+    const subscriptions = await subscriptionService.listSubscriptions(
+      req.user.uid
+    );
+    const unreadCount = subscriptions
+      .filter((subscription) => !subscription.muted)
+      .reduce((sum, subscription) => sum + subscription.unreadCount, 0);
+    res.json({ subscriptions, unreadCount });
+  } catch (err) {
+    console.error("[subscriptions] Error listing subscriptions:", err);
+    res.status(500).json({ error: "Failed to load followed threads" });
+  }
+});
+
+/**
+ * GET /api/subscriptions/:type/:targetId
+ * Whether the user follows the thread
+ */
+router.get(
+  "/:type/:targetId",
+  firebaseAuthMiddleware,
+  loadTarget,
+  async (req, res) => {
+    try {
+      const subscription = await subscriptionService.getSubscription(
+        req.user.uid,
+        req.params.type,
+        req.params.targetId
+      );
+      res.json({
+        subscribed: !!subscription,
+        muted: !!(subscription && subscription.muted),
+      });
+    } catch (err) {
+      console.error("[subscriptions] Error reading subscription:", err);
+      res.status(500).json({ error: "Failed to load subscription" });
+    }
+  }
+);
+
+/**
+ * PUT /api/subscriptions/:type/:targetId
+ * Follow a thread. Body: { muted?: boolean } to mute / unmute it.
+ */
+router.put(
+  "/:type/:targetId",
+  firebaseAuthMiddleware,
+  subscriptionLimiter,
+  loadTarget,
+  async (req, res) => {
+    const { muted = false } = req.body || {};
+    if (typeof muted !== "boolean") {
+      return res.status(400).json({ error: "muted must be a boolean" });
+    }
+    try {
+      const subscription = await subscriptionService.setSubscription(
+        req.user.uid,
+        req.params.type,
+        req.params.targetId,
+        req.target.topicId,
+        { muted }
+      );
+      res.json({ subscribed: true, muted: !!subscription.muted });
+    } catch (err) {
+      console.error("[subscriptions] Error saving subscription:", err);
+      res.status(500).json({ error: "Failed to follow thread" });
+    }
+  }
+);
+
+/**
+ * DELETE /api/subscriptions/:type/:targetId
+ * Unfollow a thread
+ */
+router.delete(
+  "/:type/:targetId",
+  firebaseAuthMiddleware,
+  subscriptionLimiter,
+  async (req, res) => {
+    const { type, targetId } = req.params;
+    if (!subscriptionService.isTargetType(type)) {
+      return res.status(400).json({ error: "Type must be topic or post" });
+    }
+    try {
+      await subscriptionService.unsubscribe(req.user.uid, type, targetId);
+      res.json({ subscribed: false, muted: false });
+    } catch (err) {
+      console.error("[subscriptions] Error removing subscription:", err);
+      res.status(500).json({ error: "Failed to unfollow thread" });
+    }
+  }
+);
+
+/**
+ * POST /api/subscriptions/:type/:targetId/read
+ * Reset the unread count of a followed thread (no-op when not followed)
+ */
+router.post(
+  "/:type/:targetId/read",
+  firebaseAuthMiddleware,
+  subscriptionLimiter,
+  async (req, res) => {
+    const { type, targetId } = req.params;
+    if (!subscriptionService.isTargetType(type)) {
+      return res.status(400).json({ error: "Type must be topic or post" });
+    }
+    try {
+      await subscriptionService.markRead(req.user.uid, type, targetId);
+      res.json({ success: true });
+    } catch (err) {
+      console.error("[subscriptions] Error marking thread read:", err);
+      res.status(500).json({ error: "Failed to mark thread read" });
+    }
+  }
+);
+
+module.exports = router;
@@ -5,7 +5,13 @@
 
 const express = require("express");
 const supabase = require("../config/supabase");
+const admin = require("../config/firebase-admin");
 const firebaseAuthMiddleware = require("../middleware/firebaseAuthMiddleware");
+const markdownService = require("../services/markdownService");
+const mentionService = require("../services/mentionService");
+const notificationService = require("../services/notificationService");
+const subscriptionService = require("../services/subscriptionService");
+const postVoteService = require("../services/postVoteService");
 
 const router = express.Router();
 
@@ -19,6 +25,15 @@ function checkOwnershipOrAdmin(postAuthorId, uid, userClaims) {
   return false;
 }
 
+async function getUserName(uid, fallback) {
+  try {
+    const userDoc = await admin.firestore().collection("users").doc(uid).get();
+    return (userDoc.exists && userDoc.data().name) || fallback || "Someone";
+  } catch (err) {
+    return fallback || "Someone";
+  }
+}
+
 function isMissingColumnError(err, columnName) {
   if (!err) return false;
   const msg = String(err.message || err || "").toLowerCase();
@@ -157,7 +172,7 @@ router.get("/:topicId/posts", async (req, res) => {
     const { data: posts, error } = await supabase
       .from("posts")
       .select(
-        "id, title, content, author_id, created_at, comments, author_avatar"
+        "id, title, content, content_html, author_id, created_at, comments, author_avatar"
       )
       .eq("topic_id", topicId)
       .order("created_at", { ascending: false });
@@ -220,6 +235,20 @@ router.put(
     if (typeof title === "undefined" && typeof content === "undefined") {
       return res.status(400).json({ error: "Nothing to update" });
     }
+    if (
+      typeof content !== "undefined" &&
+      (typeof content !== "string" || !content.trim())
+    ) {
+      return res.status(400).json({ error: "Post content is required" });
+    }
+    if (
+      typeof content === "string" &&
+      content.length > markdownService.MAX_POST_LENGTH
+    ) {
+      return res.status(400).json({
+        error: `Post too long (max ${markdownService.MAX_POST_LENGTH} characters)`,
+      });
+    }
 
     try {
       const { data: existingPost, error: fetchErr } = await supabase
@@ -238,8 +267,19 @@ router.put(
       }
 
       const attemptPayload = {};
+      let mentions = [];
       if (typeof title !== "undefined") attemptPayload.title = title;
-      if (typeof content !== "undefined") attemptPayload.content = content;
+      if (typeof content !== "undefined") {
+        const resolved = await mentionService.resolveMentions(
+          admin.firestore(),
+          content.trim()
+        );
+        mentions = resolved.mentions;
+        attemptPayload.content = resolved.text;
+        attemptPayload.content_html = markdownService.renderMarkdown(
+          resolved.text
+        );
+      }
       attemptPayload.updated_at = new Date().toISOString();
       attemptPayload.last_edited_by = uid;
 
@@ -260,6 +300,29 @@ router.put(
       const post = updateResp.data || {};
       post.likes = likeCount[postId] || 0;
 
+      // Users newly mentioned by the edit (earlier mentions were already notified)
+      if (mentions.length > 0) {
+        try {
+          await notificationService.notifyMentions(
+            mentions,
+            uid,
+            await getUserName(uid, req.user.name),
+            {
+              where: "a discussion post",
+              text: mentionService.toPlainText(attemptPayload.content),
+              link: `/student/pages/post.html?topic=${topicId}&post=${postId}`,
+              messageKey: `post_${postId}`,
+              data: { topicId, postId },
+            }
+          );
+        } catch (notifErr) {
+          console.warn(
+            "[topicPosts] Failed to send mention notifications:",
+            notifErr.message
+          );
+        }
+      }
+
       return res.status(200).json({ post });
     } catch (err) {
       console.error("[topicPosts] PUT exception:", err);
@@ -314,7 +377,7 @@ router.delete(
       try {
         const { data: topicRow, error: topicFetchErr } = await supabase
           .from("topics")
-          .select("post_count")
+          .select("*")
           .eq("id", topicId)
           .single();
 
@@ -322,9 +385,14 @@ router.delete(
           const current =
             typeof topicRow.post_count === "number" ? topicRow.post_count : 0;
           const newCount = Math.max(0, current - 1);
+          const topicUpdate = { post_count: newCount };
+          // A deleted accepted answer leaves the question unsolved
+          if (String(topicRow.accepted_post_id) === String(postId)) {
+            topicUpdate.accepted_post_id = null;
+          }
           const { error: upErr } = await supabase
             .from("topics")
-            .update({ post_count: newCount })
+            .update(topicUpdate)
             .eq("id", topicId);
 
           if (upErr) {
@@ -348,6 +416,24 @@ router.delete(
         console.warn("[topicPosts] Error deleting post likes:", likesErr);
       }
 
+      try {
+        await postVoteService.removePostVotes(postId);
+      } catch (votesErr) {
+        console.warn(
+          "[topicPosts] Error deleting post votes:",
+          votesErr.message
+        );
+      }
+
+      try {
+        await subscriptionService.removeTargetSubscriptions("post", postId);
+      } catch (subErr) {
+        console.warn(
+          "[topicPosts] Error deleting post subscriptions:",
+          subErr.message
+        );
+      }
+
       return res.status(204).send();
     } catch (err) {
       console.error("[topicPosts] DELETE exception:", err);
@@ -4,6 +4,10 @@ const supabase = require("../config/supabase");
 const admin = require("../config/firebase-admin"); // used to resolve author display names from Firestore
 const firebaseAuthMiddleware = require("../middleware/firebaseAuthMiddleware");
 const notificationService = require("../services/notificationService");
+const markdownService = require("../services/markdownService");
+const mentionService = require("../services/mentionService");
+const subscriptionService = require("../services/subscriptionService");
+const postVoteService = require("../services/postVoteService");
 
 /**
  * Build a public URL for a stored profile file when only filename exists.
@@ -132,6 +136,9 @@ function normalizeTopicRow(row) {
     author: row.author || null,
     category: (row.metadata && row.metadata.category) || row.category || null,
     tags: (row.metadata && row.metadata.tags) || row.tags || [],
+    // Q&A: question topics can have one accepted answer (a post id)
+    acceptedPostId: row.accepted_post_id || null,
+    solved: !!row.accepted_post_id,
     raw: row, // keep raw data available for debugging if needed
   };
 }
@@ -143,6 +150,8 @@ function normalizePostRow(row) {
     id: row.id,
     title: row.title || null,
     content: row.content || "",
+    // Rendered on write (older posts: backfill-content-html.js)
+    contentHtml: row.content_html || "",
     created: row.created_at || row.createdAt || row.created || null,
     authorId: row.author_id || row.authorId || null,
     author: row.author || null, // will be resolved server-side if we can
@@ -151,21 +160,28 @@ function normalizePostRow(row) {
 }
 
 // GET /api/topics
+// Query: filter=unanswered - only question topics without an accepted answer
 // Returns: { topics: [ { topic... } ] }
 router.get("/", async (req, res) => {
   try {
-    const { data, error } = await supabase
+    let query = supabase
       .from("topics")
       .select("*")
       .order("created_at", { ascending: false });
+    if (req.query.filter === "unanswered") {
+      // ilike without wildcards: case-insensitive match, like isQuestionTopic
+      query = query
+        .ilike("metadata->>category", postVoteService.QUESTION_CATEGORY)
+        .is("accepted_post_id", null);
+    }
 
+    const { data, error } = await query;
     if (error) {
       console.error("Supabase GET topics error:", error);
       return res.status(500).json({ error: error.message || "DB error" });
     }
 
-    const rows = data || [];
-    const normalized = rows.map(normalizeTopicRow);
+    const normalized = (data || []).map(normalizeTopicRow);
 
     // collect all author ids to resolve display names in one batch
     const uids = new Set();
@@ -272,6 +288,28 @@ router.get("/:id/posts", async (req, res) => {
 
     const userDataMap = await resolveUserData(uids);
 
+    // Q&A: posts in question topics are answers with a score
+    const { data: topicRow } = await supabase
+      .from("topics")
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
+    const isQuestion = postVoteService.isQuestionTopic(topicRow);
+    let voteSummary = {};
+    if (isQuestion) {
+      try {
+        voteSummary = await postVoteService.getVoteSummary(
+          normalized.map((p) => p.id)
+        );
+      } catch (voteErr) {
+        console.warn("Failed to load answer votes (non-fatal):", voteErr);
+      }
+    }
+    const acceptedPostId =
+      isQuestion && topicRow.accepted_post_id
+        ? String(topicRow.accepted_post_id)
+        : null;
+
     const postsOut = normalized.map((p) => ({
       ...p,
       author:
@@ -281,8 +319,16 @@ router.get("/:id/posts", async (req, res) => {
           : "Anonymous"),
       author_avatar: p.authorId ? userDataMap[p.authorId]?.photo : null,
       created: p.created ? new Date(p.created).toISOString() : null,
+      ...(isQuestion && {
+        score: voteSummary[String(p.id)]?.score || 0,
+        accepted: String(p.id) === acceptedPostId,
+      }),
     }));
 
+    if (isQuestion) {
+      postVoteService.sortAnswers(postsOut, acceptedPostId);
+    }
+
     res.json({ posts: postsOut });
   } catch (err) {
     console.error(`Server error GET /api/topics/${id}/posts:`, err);
@@ -341,6 +387,21 @@ router.post("/", firebaseAuthMiddleware, async (req, res) => {
       ? new Date(topic.created).toISOString()
       : null;
 
+    // The author follows their topic (new posts notify them)
+    try {
+      await subscriptionService.ensureSubscribed(
+        uid,
+        "topic",
+        data.id,
+        data.id
+      );
+    } catch (subErr) {
+      console.warn(
+        "[topics] Failed to subscribe topic author:",
+        subErr.message
+      );
+    }
+
     res.status(201).json({ topic });
   } catch (err) {
     console.error("Server error POST /api/topics:", err);
@@ -492,6 +553,15 @@ router.delete("/:id", firebaseAuthMiddleware, async (req, res) => {
       return res.status(500).json({ error: delErr.message || "DB error" });
     }
 
+    try {
+      await subscriptionService.removeTargetSubscriptions("topic", id);
+    } catch (subErr) {
+      console.warn(
+        "Failed to delete topic subscriptions (non-fatal):",
+        subErr.message
+      );
+    }
+
     console.log(`[topics.delete] ✅ Topic ${id} deleted successfully`);
     res.status(204).send();
   } catch (err) {
@@ -505,9 +575,14 @@ router.post("/:id/posts", firebaseAuthMiddleware, async (req, res) => {
   const { id: topicId } = req.params;
   const { title = null, content } = req.body;
 
-  if (!content || !content.trim()) {
+  if (!content || typeof content !== "string" || !content.trim()) {
     return res.status(400).json({ error: "Post content is required" });
   }
+  if (content.length > markdownService.MAX_POST_LENGTH) {
+    return res.status(400).json({
+      error: `Post too long (max ${markdownService.MAX_POST_LENGTH} characters)`,
+    });
+  }
 
   try {
     // Ensure topic exists and get current post_count (if any)
@@ -526,10 +601,17 @@ router.post("/:id/posts", firebaseAuthMiddleware, async (req, res) => {
       return res.status(404).json({ error: "Topic not found" });
     }
 
+    // @mentions: keep only tokens for existing users (stored with their uid)
+    const { text: source, mentions } = await mentionService.resolveMentions(
+      admin.firestore(),
+      content.trim()
+    );
+
     const payload = {
       topic_id: topicId,
       title: title ? title.trim() : null,
-      content: content.trim(),
+      content: source,
+      content_html: markdownService.renderMarkdown(source),
       author_id: req.user.uid,
       created_at: new Date().toISOString(),
     };
@@ -579,30 +661,29 @@ router.post("/:id/posts", firebaseAuthMiddleware, async (req, res) => {
     }
     post.created = post.created ? new Date(post.created).toISOString() : null;
 
-    // ===== NOTIFICATION: Notify topic owner about new post =====
+    // ===== NOTIFICATION: Notify topic followers about new post =====
+    // Mentioned users get the mention notification instead
     try {
-      // Get topic info to find owner
       const { data: topicInfo } = await supabase
         .from("topics")
-        .select("author_id, title")
+        .select("title")
         .eq("id", topicId)
         .single();
 
-      if (
-        topicInfo &&
-        topicInfo.author_id &&
-        topicInfo.author_id !== req.user.uid
-      ) {
-        const posterName = post.author || "Someone";
-        const topicTitle = topicInfo.title || "your topic";
-        await notificationService.notifyTopicPost(
-          topicInfo.author_id,
-          posterName,
-          topicTitle,
-          topicId,
-          data.id
-        );
-      }
+      const subscriberIds = await subscriptionService.getSubscriberIds(
+        "topic",
+        topicId
+      );
+      await notificationService.notifyTopicPost(
+        subscriberIds.filter(
+          (subscriberId) => !mentions.includes(subscriberId)
+        ),
+        req.user.uid,
+        post.author || "Someone",
+        (topicInfo && topicInfo.title) || "a topic",
+        topicId,
+        data.id
+      );
     } catch (notifErr) {
       console.warn(
         "[topics] Failed to send post notification:",
@@ -610,6 +691,41 @@ router.post("/:id/posts", firebaseAuthMiddleware, async (req, res) => {
       );
     }
 
+    // The poster follows their post (comments notify them)
+    try {
+      await subscriptionService.ensureSubscribed(
+        req.user.uid,
+        "post",
+        data.id,
+        topicId
+      );
+    } catch (subErr) {
+      console.warn("[topics] Failed to subscribe post author:", subErr.message);
+    }
+
+    // ===== NOTIFICATION: Notify mentioned users =====
+    if (mentions.length > 0) {
+      try {
+        await notificationService.notifyMentions(
+          mentions,
+          req.user.uid,
+          post.author || "Someone",
+          {
+            where: "a discussion post",
+            text: mentionService.toPlainText(source),
+            link: `/student/pages/post.html?topic=${topicId}&post=${data.id}`,
+            messageKey: `post_${data.id}`,
+            data: { topicId, postId: data.id },
+          }
+        );
+      } catch (notifErr) {
+        console.warn(
+          "[topics] Failed to send mention notifications:",
+          notifErr.message
+        );
+      }
+    }
+
     res.status(201).json({ post });
   } catch (err) {
     console.error(`Server error POST /api/topics/${topicId}/posts:`, err);
@@ -617,6 +733,91 @@ router.post("/:id/posts", firebaseAuthMiddleware, async (req, res) => {
   }
 });
 
+// PUT /api/topics/:id/accepted-answer  (question topics, topic author only)
+// Body: { postId } to accept an answer, { postId: null } to unmark it
+router.put("/:id/accepted-answer", firebaseAuthMiddleware, async (req, res) => {
+  const { id } = req.params;
+  const uid = req.user && req.user.uid;
+  const { postId = null } = req.body || {};
+
+  if (!uid) return res.status(401).json({ error: "Unauthorized" });
+
+  try {
+    const { data: topicRow, error: topicErr } = await supabase
+      .from("topics")
+      .select("*")
+      .eq("id", id)
+      .single();
+
+    if (topicErr || !topicRow) {
+      return res.status(404).json({ error: "Topic not found" });
+    }
+    if (!postVoteService.isQuestionTopic(topicRow)) {
+      return res
+        .status(400)
+        .json({ error: "Only question topics have accepted answers" });
+    }
+    if (String(topicRow.author_id) !== String(uid)) {
+      return res
+        .status(403)
+        .json({ error: "Only the person who asked can accept an answer" });
+    }
+
+    let answer = null;
+    if (postId !== null) {
+      const { data: postRow } = await supabase
+        .from("posts")
+        .select("id, topic_id, author_id")
+        .eq("id", postId)
+        .maybeSingle();
+      if (!postRow || String(postRow.topic_id) !== String(id)) {
+        return res.status(404).json({ error: "Answer not found" });
+      }
+      answer = postRow;
+    }
+
+    const { error: updateErr } = await supabase
+      .from("topics")
+      .update({ accepted_post_id: answer ? answer.id : null })
+      .eq("id", id);
+
+    if (updateErr) {
+      console.error("Supabase accept answer error:", updateErr);
+      return res.status(500).json({ error: updateErr.message || "DB error" });
+    }
+
+    // ===== NOTIFICATION: Tell the answer's author =====
+    if (
+      answer &&
+      answer.author_id &&
+      answer.author_id !== uid &&
+      String(answer.id) !== String(topicRow.accepted_post_id)
+    ) {
+      try {
+        await notificationService.notifyAnswerAccepted(
+          answer.author_id,
+          topicRow.title || "a question",
+          id,
+          answer.id
+        );
+      } catch (notifErr) {
+        console.warn(
+          "[topics] Failed to send accepted answer notification:",
+          notifErr.message
+        );
+      }
+    }
+
+    res.json({
+      acceptedPostId: answer ? answer.id : null,
+      solved: !!answer,
+    });
+  } catch (err) {
+    console.error(`Server error PUT /api/topics/${id}/accepted-answer:`, err);
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // POST /api/topics/:id/view  (increment view count)
 router.post("/:id/view", async (req, res) => {
   const { id } = req.params;
@@ -3,6 +3,9 @@ const router = express.Router();
 const admin = require("../config/firebase-admin");
 const supabase = require("../config/supabase");
 const firebaseAuthMiddleware = require("../middleware/firebaseAuthMiddleware");
+const rateLimit = require("express-rate-limit");
+const attendance = require("../services/attendanceService");
+const { getRecommendations } = require("../services/recommendationService");
 
 // ===== SECURITY: Constants =====
 const ALLOWED_COLLEGE_DOMAIN = "@paterostechnologicalcollege.edu.ph";
@@ -14,6 +17,24 @@ const MAX_INSTITUTION_LENGTH = 255;
 const MAX_YEAR_LEVEL_LENGTH = 50;
 const MAX_SPECIALIZATION_LENGTH = 100;
 const MAX_GRADUATION_LENGTH = 50;
+const MAX_USER_SEARCH_QUERY_LENGTH = 50;
+const DEFAULT_USER_SEARCH_LIMIT = 8;
+const MAX_USER_SEARCH_LIMIT = 20;
+// The @mention directory (names and photos) is re-read at most this often
+const USER_DIRECTORY_TTL_MS = 60 * 1000;
+
+// ===== SECURITY: Rate limiters =====
+const userSearchLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 120, // Max 120 lookups per minute per user (autocomplete keystrokes)
+  keyGenerator: (req) => req.user?.uid || req.ip,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    error: "Too many user searches. Please slow down.",
+  },
+  skip: (req) => !req.user,
+});
 
 // ===== SECURITY: Sanitization helpers =====
 function sanitizeString(str, maxLength = 255) {
@@ -35,16 +56,57 @@ function logSecurityEvent(eventType, uid, details) {
   );
 }
 
+// Basic info for every user (report form suggestions, @mention search)
+async function listUsers(fields = ["email", "name"]) {
+  const snapshot = await admin
+    .firestore()
+    .collection("users")
+    .select(...fields)
+    .get();
+  return snapshot.docs.map((doc) => ({ uid: doc.id, ...doc.data() }));
+}
+
+// Names and photos for @mention search, shared by every request for
+// USER_DIRECTORY_TTL_MS so autocomplete doesn't read all users per keystroke
+let userDirectory = { users: null, loadedAt: 0, pending: null };
+
+async function getUserDirectory() {
+  if (
+    userDirectory.users &&
+    Date.now() - userDirectory.loadedAt < USER_DIRECTORY_TTL_MS
+  ) {
+    return userDirectory.users;
+  }
+  if (!userDirectory.pending) {
+    userDirectory.pending = listUsers(["name", "photo"])
+      .then((users) => {
+        userDirectory = { users, loadedAt: Date.now(), pending: null };
+        return users;
+      })
+      .catch((err) => {
+        userDirectory.pending = null;
+        throw err;
+      });
+  }
+  return userDirectory.pending;
+}
+
+// Rank: name starts with the query, then a later word does, then contains it
+function matchUserName(name, query) {
+  const lower = String(name || "").toLowerCase();
+  if (!lower) return -1;
+  if (lower.startsWith(query)) return 0;
+  if (lower.split(/\s+/).some((word) => word.startsWith(query))) return 1;
+  return lower.includes(query) ? 2 : -1;
+}
+
 // ===== GET all users list (PUBLIC - for report form suggestions) =====
 // ✅ NEW ENDPOINT: No auth required, returns basic user info
 router.get("/list", async (req, res) => {
   try {
-    const db = admin.firestore();
-    const snapshot = await db.collection("users").select("email", "name").get();
-
-    const users = snapshot.docs.map((doc) => ({
-      email: doc.data().email || "",
-      name: doc.data().name || "",
+    const users = (await listUsers()).map((u) => ({
+      email: u.email || "",
+      name: u.name || "",
     }));
 
     console.log(`[users] GET /list returned ${users.length} users`);
@@ -55,6 +117,48 @@ router.get("/list", async (req, res) => {
   }
 });
 
+// ===== GET /api/users/search?q= - Users for @mention autocomplete (protected) =====
+// Returns uid, name and photo only (no emails); the caller is left out.
+router.get(
+  "/search",
+  firebaseAuthMiddleware,
+  userSearchLimiter,
+  async (req, res) => {
+    try {
+      const query = sanitizeString(
+        req.query.q,
+        MAX_USER_SEARCH_QUERY_LENGTH
+      ).toLowerCase();
+      const limit = Math.min(
+        Math.max(parseInt(req.query.limit, 10) || DEFAULT_USER_SEARCH_LIMIT, 1),
+        MAX_USER_SEARCH_LIMIT
+      );
+      if (!query) {
+        return res.json({ users: [] });
+      }
+
+      const users = (await getUserDirectory())
+        .filter((u) => u.uid !== req.user.uid)
+        .map((u) => ({ user: u, rank: matchUserName(u.name, query) }))
+        .filter((entry) => entry.rank >= 0)
+        .sort(
+          (a, b) => a.rank - b.rank || a.user.name.localeCompare(b.user.name)
+        )
+        .slice(0, limit)
+        .map(({ user }) => ({
+          uid: user.uid,
+          name: user.name,
+          photo: user.photo || null,
+        }));
+
+      res.json({ users });
+    } catch (err) {
+      console.error("[users] GET /search error:", err);
+      res.status(500).json({ error: "Could not search users" });
+    }
+  }
+);
+
 // ===== GET current user's profile (protected) =====
 router.get("/profile", firebaseAuthMiddleware, async (req, res) => {
   const uid = req.user.uid;
@@ -216,6 +320,8 @@ router.put("/profile", firebaseAuthMiddleware, async (req, res) => {
 
     // Update (or create) the user document in Firestore
     await userRef.set(updates, { merge: true });
+    // Name / photo changes show up in @mention search straight away
+    userDirectory.loadedAt = 0;
 
     // Get the updated document to return to the client
     const userDoc = await userRef.get();
@@ -247,6 +353,102 @@ router.put("/profile", firebaseAuthMiddleware, async (req, res) => {
   }
 });
 
+// ===== GET current user's study time across rooms (protected) =====
+// Query: from?, to? (YYYY-MM-DD, local), utcOffsetMinutes?, format? (json | csv)
+// Built from the attendance visits recorded in study rooms.
+router.get("/me/study-stats", firebaseAuthMiddleware, async (req, res) => {
+  const uid = req.user.uid;
+  try {
+    const format = sanitizeString(req.query.format, 10) || "json";
+    if (!["json", "csv"].includes(format)) {
+      return res.status(400).json({ error: "Format must be json or csv" });
+    }
+    const range = attendance.parseStatsRange(req.query);
+    if (range.error) {
+      return res.status(400).json({ error: range.error });
+    }
+
+    const { visits, truncated } = await attendance.loadVisits(
+      attendance.getUserVisitsRef(admin.firestore(), uid),
+      range
+    );
+
+    if (format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader(
+        "Content-Disposition",
+        'attachment; filename="study-time.csv"'
+      );
+      return res.send(
+        attendance.visitsToCsv(
+          visits,
+          { [uid]: req.user.name || "" },
+          range.utcOffsetMinutes
+        )
+      );
+    }
+
+    const { totals, daily, weekly } = attendance.aggregateVisits(
+      visits,
+      range.utcOffsetMinutes
+    );
+    res.json({
+      range: { from: range.from.toISOString(), to: range.to.toISOString() },
+      totals,
+      daily,
+      weekly,
+      rooms: attendance.summarizeRooms(visits),
+      truncated,
+    });
+  } catch (error) {
+    console.error("[users] GET /me/study-stats error:", error);
+    res.status(500).json({ error: "Could not load study stats" });
+  }
+});
+
+// ===== GET recommended rooms, topics and study partners (protected) =====
+// Based on program / year level / specialization, shared rooms, topics the
+// user posted in and resources they downloaded. Every item has `reasons`.
+router.get("/me/recommendations", firebaseAuthMiddleware, async (req, res) => {
+  try {
+    const recommendations = await getRecommendations(
+      admin.firestore(),
+      req.user.uid
+    );
+    res.json(recommendations);
+  } catch (error) {
+    console.error("[users] GET /me/recommendations error:", error);
+    res.status(500).json({ error: "Could not load recommendations" });
+  }
+});
+
+// ===== GET /api/users/:uid/public - Another user's public profile (protected) =====
+// Profile links (e.g. @mentions) open this; contact details are left out.
+router.get("/:uid/public", firebaseAuthMiddleware, async (req, res) => {
+  try {
+    const uid = sanitizeString(req.params.uid, 128);
+    const userDoc = await admin.firestore().collection("users").doc(uid).get();
+    if (!userDoc.exists) {
+      return res.status(404).json({ error: "User not found" });
+    }
+    const data = userDoc.data();
+    res.json({
+      uid,
+      name: data.name || "",
+      program: data.program || "",
+      yearLevel: data.yearLevel || "",
+      institution: data.institution || "",
+      specialization: data.specialization || "",
+      graduation: data.graduation || "",
+      bio: data.bio || "",
+      photo: data.photo || "",
+    });
+  } catch (error) {
+    console.error("[users] GET /:uid/public error:", error);
+    res.status(500).json({ error: "Could not fetch profile" });
+  }
+});
+
 // ===== GET user profile by UID (protected) =====
 router.get("/:uid", firebaseAuthMiddleware, async (req, res) => {
   const { uid } = req.params;
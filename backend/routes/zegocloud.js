@@ -1,12 +1,20 @@
 const express = require("express");
 const router = express.Router();
+const admin = require("../config/firebase-admin");
 const firebaseAuthMiddleware = require("../middleware/firebaseAuthMiddleware");
+const zegoTokenService = require("../services/zegoTokenService");
+const roomArchive = require("../services/roomArchiveService");
 
 // ZegoCloud Configuration
+// ⚠️ The server secret must only ever come from the environment and is never sent to clients.
 const ZEGOCLOUD_CONFIG = {
   appID: parseInt(process.env.ZEGOCLOUD_APP_ID || "1315499195"),
-  serverSecret:
-    process.env.ZEGOCLOUD_SERVER_SECRET || "374d2858bfeea106ea4fa6a6f883f41f",
+  serverSecret: process.env.ZEGOCLOUD_SERVER_SECRET || "",
+  tokenTtlSeconds: parseInt(
+    process.env.ZEGOCLOUD_TOKEN_TTL_SECONDS ||
+      String(zegoTokenService.DEFAULT_TOKEN_TTL_SECONDS),
+    10
+  ),
 };
 
 console.log("[zegocloud] 🔍 STARTUP CONFIG CHECK:");
@@ -15,6 +23,7 @@ console.log(
   "[zegocloud] Server Secret:",
   ZEGOCLOUD_CONFIG.serverSecret ? "✅ LOADED" : "❌ NOT LOADED"
 );
+console.log("[zegocloud] Token TTL (s):", ZEGOCLOUD_CONFIG.tokenTtlSeconds);
 
 function logSecurityEvent(eventType, uid, details) {
   const timestamp = new Date().toISOString();
@@ -24,7 +33,7 @@ function logSecurityEvent(eventType, uid, details) {
   );
 }
 
-// ✅ Generate ZegoCloud Token
+// ✅ Generate room-scoped ZegoCloud token (04 format)
 router.post("/", firebaseAuthMiddleware, async (req, res) => {
   try {
     const uid = req.user?.uid;
@@ -36,6 +45,13 @@ router.post("/", firebaseAuthMiddleware, async (req, res) => {
       return res.status(401).json({ error: "Unauthorized" });
     }
 
+    if (!ZEGOCLOUD_CONFIG.serverSecret) {
+      console.error("[zegocloud] ❌ ZEGOCLOUD_SERVER_SECRET is not configured");
+      return res
+        .status(503)
+        .json({ error: "Video conferencing is not configured" });
+    }
+
     const { roomID } = req.body;
 
     if (!roomID || typeof roomID !== "string") {
@@ -45,25 +61,61 @@ router.post("/", firebaseAuthMiddleware, async (req, res) => {
       });
     }
 
+    // ===== SECURITY: Only participants of an active room can get a token =====
+    const db = admin.firestore();
+    const roomDoc = await db.collection("study-groups").doc(roomID).get();
+
+    if (!roomDoc.exists) {
+      logSecurityEvent("ZEGOCLOUD_TOKEN_ROOM_NOT_FOUND", uid, { roomID });
+      return res.status(404).json({ error: "Room not found" });
+    }
+
+    const roomData = roomDoc.data();
+
+    if (roomData.isActive === false) {
+      logSecurityEvent("ZEGOCLOUD_TOKEN_ROOM_DEACTIVATED", uid, { roomID });
+      return res.status(403).json({
+        error: "This room has been deactivated by an admin.",
+      });
+    }
+    if (roomArchive.isArchived(roomData)) {
+      return res.status(403).json({ error: roomArchive.ARCHIVED_ERROR });
+    }
+
+    const participants = roomData.participants || [];
+    if (!participants.includes(uid)) {
+      logSecurityEvent("ZEGOCLOUD_TOKEN_NOT_PARTICIPANT", uid, { roomID });
+      return res.status(403).json({
+        error: "Forbidden: You are not a participant of this room",
+      });
+    }
+
     console.log("[zegocloud] 🚀 Generating ZegoCloud token...");
     console.log("[zegocloud] Room ID:", roomID);
     console.log("[zegocloud] User ID:", uid);
-    console.log("[zegocloud] User Name:", userName);
 
-    // ✅ ZegoCloud doesn't require complex JWT - just return config
+    const { token, expiresAt } = zegoTokenService.generateRoomToken({
+      appId: ZEGOCLOUD_CONFIG.appID,
+      secret: ZEGOCLOUD_CONFIG.serverSecret,
+      userId: uid,
+      roomId: roomID,
+      ttlSeconds: ZEGOCLOUD_CONFIG.tokenTtlSeconds,
+      privileges: { login: true, publish: true },
+    });
+
     const response = {
       appID: ZEGOCLOUD_CONFIG.appID,
-      serverSecret: ZEGOCLOUD_CONFIG.serverSecret,
+      token,
+      expiresAt: new Date(expiresAt * 1000).toISOString(),
       roomID: roomID,
       userID: uid,
       userName: userName,
-      userEmail: email,
     };
 
     console.log("[zegocloud] ✅ Token generated successfully");
     logSecurityEvent("ZEGOCLOUD_TOKEN_GENERATED", uid, {
       roomID: roomID,
-      userName: userName,
+      expiresAt: response.expiresAt,
     });
 
     res.json(response);
@@ -74,7 +126,6 @@ router.post("/", firebaseAuthMiddleware, async (req, res) => {
     });
     res.status(500).json({
       error: "Failed to generate ZegoCloud token",
-      details: error.message,
     });
   }
 });
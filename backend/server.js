@@ -180,10 +180,47 @@ app.use("/api", commentsRoutes);
 const postLikesRoutes = require("./routes/postLikes");
 app.use("/api/posts", postLikesRoutes);
 
+// Answer votes for question topics: /:postId/votes, /:postId/vote, /votes?ids=
+const postVotesRoutes = require("./routes/postVotes");
+app.use("/api/posts", postVotesRoutes);
+
+// Follow / mute discussion topics and posts
+const subscriptionsRoutes = require("./routes/subscriptions");
+app.use("/api/subscriptions", subscriptionsRoutes);
+
+// Unified search: discussions (Postgres full-text), resources and rooms
+const searchRoutes = require("./routes/search");
+app.use("/api/search", searchRoutes);
+
 // ===== Study Groups Routes =====
 const studyGroupsRoutes = require("./routes/study-groups");
 app.use("/api/study-groups", studyGroupsRoutes);
 
+// Sub-resources share the /api/study-groups prefix:
+// /api/study-groups/:id/sessions, /api/study-groups/calendar/:token.ics,
+// /api/study-groups/:id/invites, /api/study-groups/:id/timer,
+// /api/study-groups/:id/notes, /api/study-groups/:id/messages,
+// /api/study-groups/:id/announcements, /api/study-groups/:id/attendance
+const studyGroupSessionsRoutes = require("./routes/study-group-sessions");
+app.use("/api/study-groups", studyGroupSessionsRoutes);
+const studyGroupInvitesRoutes = require("./routes/study-group-invites");
+app.use("/api/study-groups", studyGroupInvitesRoutes);
+const studyGroupTimerRoutes = require("./routes/study-group-timer");
+app.use("/api/study-groups", studyGroupTimerRoutes);
+const studyGroupNotesRoutes = require("./routes/study-group-notes");
+app.use("/api/study-groups", studyGroupNotesRoutes);
+const studyGroupMessagesRoutes = require("./routes/study-group-messages");
+app.use("/api/study-groups", studyGroupMessagesRoutes);
+const studyGroupAnnouncementsRoutes = require("./routes/study-group-announcements");
+app.use("/api/study-groups", studyGroupAnnouncementsRoutes);
+const studyGroupAttendanceRoutes = require("./routes/study-group-attendance");
+app.use("/api/study-groups", studyGroupAttendanceRoutes);
+
+// Room templates live outside /api/study-groups so "/templates" is not read
+// as a room id
+const roomTemplatesRoutes = require("./routes/room-templates");
+app.use("/api/room-templates", roomTemplatesRoutes);
+
 // ===== Notifications Routes =====
 const notificationsRoutes = require("./routes/notifications");
 app.use("/api/notifications", notificationsRoutes);
@@ -239,4 +276,10 @@ const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
   console.log(`Server started on port ${PORT}`);
   console.log(`[server] ✅ All routes mounted successfully`);
+
+  // ===== Background jobs =====
+  const { startSessionReminderJob } = require("./jobs/sessionReminders");
+  startSessionReminderJob();
+  const { startRoomArchiverJob } = require("./jobs/roomArchiver");
+  startRoomArchiverJob();
 });
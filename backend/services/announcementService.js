@@ -0,0 +1,56 @@
+// backend/services/announcementService.js
+// Room announcements board: a short list kept on the room document itself so it
+// comes back with GET /api/study-groups/:id.
+//
+//   study-groups/{roomId}.announcements = [
+//     { id, text, createdBy, createdByName, createdAt },   // newest first
+//   ]
+
+const crypto = require("crypto");
+
+const MAX_ANNOUNCEMENTS = 20;
+const MAX_ANNOUNCEMENT_LENGTH = 1000;
+
+function buildAnnouncement(text, user, authorName) {
+  return {
+    id: crypto.randomBytes(8).toString("hex"),
+    text,
+    createdBy: user.uid,
+    createdByName: authorName || user.name || user.email || "Host",
+    // Plain ISO string: serverTimestamp() is not allowed inside arrays
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Prepend an announcement and drop the oldest beyond MAX_ANNOUNCEMENTS.
+ */
+function addAnnouncement(announcements, announcement) {
+  const list = Array.isArray(announcements) ? announcements : [];
+  return [announcement, ...list].slice(0, MAX_ANNOUNCEMENTS);
+}
+
+function removeAnnouncement(announcements, announcementId) {
+  const list = Array.isArray(announcements) ? announcements : [];
+  return list.filter((announcement) => announcement.id !== announcementId);
+}
+
+function formatAnnouncements(announcements) {
+  if (!Array.isArray(announcements)) return [];
+  return announcements.map((announcement) => ({
+    id: announcement.id,
+    text: announcement.text || "",
+    createdBy: announcement.createdBy || null,
+    createdByName: announcement.createdByName || null,
+    createdAt: announcement.createdAt || null,
+  }));
+}
+
+module.exports = {
+  MAX_ANNOUNCEMENTS,
+  MAX_ANNOUNCEMENT_LENGTH,
+  buildAnnouncement,
+  addAnnouncement,
+  removeAnnouncement,
+  formatAnnouncements,
+};
@@ -0,0 +1,349 @@
+// backend/services/attendanceService.js
+// Room attendance: one "visit" per time a user has a room open, with the
+// time spent in the room and in the video call.
+//
+// A visit is written twice, under the same id, so both views are a plain
+// single-field range query:
+//   study-groups/{roomId}/attendance/{visitId}   (host attendance reports)
+//   users/{uid}/roomVisits/{visitId}             (personal study stats)
+// {
+//   userId, roomId, roomName,
+//   joinedAt, lastSeenAt,     // lastSeenAt moves on every heartbeat
+//   leftAt,                   // null while the room is open
+//   callSeconds,              // closed call time
+//   callStartedAt             // set while the user is in the call
+// }
+// A visit whose heartbeats stopped (tab closed, laptop asleep) counts until
+// its lastSeenAt. Totals are bucketed by the local day the visit started.
+
+const { ROOMS_COLLECTION } = require("./roomAccessService");
+
+const ATTENDANCE_SUBCOLLECTION = "attendance";
+const USER_VISITS_SUBCOLLECTION = "roomVisits";
+
+const HEARTBEAT_INTERVAL_SECONDS = 60;
+const STALE_AFTER_MS = 3 * HEARTBEAT_INTERVAL_SECONDS * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const MAX_VISITS = 5000;
+const MAX_UTC_OFFSET_MINUTES = 14 * 60;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function getRoomAttendanceRef(db, roomId) {
+  return db
+    .collection(ROOMS_COLLECTION)
+    .doc(roomId)
+    .collection(ATTENDANCE_SUBCOLLECTION);
+}
+
+function getUserVisitsRef(db, uid) {
+  return db.collection("users").doc(uid).collection(USER_VISITS_SUBCOLLECTION);
+}
+
+function toMs(value) {
+  if (!value) return null;
+  if (typeof value.toDate === "function") return value.toDate().getTime();
+  const ms = new Date(value).getTime();
+  return Number.isNaN(ms) ? null : ms;
+}
+
+function buildVisit(uid, roomId, roomName, now = new Date()) {
+  return {
+    userId: uid,
+    roomId,
+    roomName: roomName || "Study Room",
+    joinedAt: now,
+    lastSeenAt: now,
+    leftAt: null,
+    callSeconds: 0,
+    callStartedAt: null,
+  };
+}
+
+function closedCallSeconds(visit, endMs) {
+  const started = toMs(visit.callStartedAt);
+  const open = started ? Math.max(0, Math.round((endMs - started) / 1000)) : 0;
+  return (visit.callSeconds || 0) + open;
+}
+
+/**
+ * Heartbeat / call status change / leave for an open visit.
+ * @param {object} update - { inCall?: boolean, left?: boolean }
+ * @returns {{ changes: object, expired: boolean }}
+ *   expired - heartbeats had stopped; the visit was closed at its lastSeenAt
+ *   and the client should start a new one
+ */
+function applyVisitUpdate(visit, { inCall, left = false }, now = new Date()) {
+  const nowMs = now.getTime();
+  const lastSeenMs = toMs(visit.lastSeenAt) || nowMs;
+
+  if (nowMs - lastSeenMs > STALE_AFTER_MS) {
+    return {
+      expired: true,
+      changes: {
+        leftAt: new Date(lastSeenMs),
+        callSeconds: closedCallSeconds(visit, lastSeenMs),
+        callStartedAt: null,
+      },
+    };
+  }
+
+  const changes = { lastSeenAt: now };
+  const inCallNow = left ? false : inCall;
+  if (inCallNow === true && !visit.callStartedAt) {
+    changes.callStartedAt = now;
+  } else if (inCallNow === false && visit.callStartedAt) {
+    changes.callSeconds = closedCallSeconds(visit, nowMs);
+    changes.callStartedAt = null;
+  }
+  if (left) changes.leftAt = now;
+  return { changes, expired: false };
+}
+
+/**
+ * Duration of a visit (open ones count until their last heartbeat).
+ */
+function summarizeVisit(visit) {
+  const start = toMs(visit.joinedAt);
+  const end = toMs(visit.leftAt) || toMs(visit.lastSeenAt) || start;
+  const roomSeconds = Math.max(0, Math.round((end - start) / 1000));
+  return {
+    start,
+    end,
+    roomSeconds,
+    callSeconds: Math.min(roomSeconds, closedCallSeconds(visit, end)),
+    open: !visit.leftAt,
+  };
+}
+
+// "YYYY-MM-DD" of a timestamp in the caller's timezone
+function localDateKey(ms, utcOffsetMinutes) {
+  return new Date(ms + utcOffsetMinutes * 60 * 1000).toISOString().slice(0, 10);
+}
+
+// Monday of the local week, as "YYYY-MM-DD"
+function localWeekKey(ms, utcOffsetMinutes) {
+  const local = new Date(ms + utcOffsetMinutes * 60 * 1000);
+  const daysSinceMonday = (local.getUTCDay() + 6) % 7;
+  return new Date(local.getTime() - daysSinceMonday * DAY_MS)
+    .toISOString()
+    .slice(0, 10);
+}
+
+/**
+ * Query: from?, to? (local "YYYY-MM-DD", inclusive), utcOffsetMinutes?
+ * Defaults to the last DEFAULT_RANGE_DAYS days.
+ * @returns {{ from?: Date, to?: Date, utcOffsetMinutes?: number, error?: string }}
+ */
+function parseStatsRange(query = {}, now = new Date()) {
+  const offset = parseInt(query.utcOffsetMinutes, 10);
+  const utcOffsetMinutes =
+    Number.isInteger(offset) && Math.abs(offset) <= MAX_UTC_OFFSET_MINUTES
+      ? offset
+      : 0;
+  const offsetMs = utcOffsetMinutes * 60 * 1000;
+
+  const parseDay = (value) => {
+    if (!value) return null;
+    if (typeof value !== "string" || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      return undefined;
+    }
+    const ms = Date.parse(`${value}T00:00:00Z`);
+    return Number.isNaN(ms) ? undefined : ms - offsetMs; // local midnight
+  };
+
+  const fromDay = parseDay(query.from);
+  const toDay = parseDay(query.to);
+  if (fromDay === undefined || toDay === undefined) {
+    return { error: "Dates must be in YYYY-MM-DD format" };
+  }
+
+  const todayStart =
+    Date.parse(`${localDateKey(now.getTime(), utcOffsetMinutes)}T00:00:00Z`) -
+    offsetMs;
+  const to = (toDay ?? todayStart) + DAY_MS - 1;
+  const from = fromDay ?? todayStart - (DEFAULT_RANGE_DAYS - 1) * DAY_MS;
+
+  if (from > to) {
+    return { error: "The start date must be before the end date" };
+  }
+  if (to - from > MAX_RANGE_DAYS * DAY_MS) {
+    return { error: `The range can cover at most ${MAX_RANGE_DAYS} days` };
+  }
+  return { from: new Date(from), to: new Date(to), utcOffsetMinutes };
+}
+
+/**
+ * Visits that started in [from, to], oldest first, at most MAX_VISITS.
+ * @param {object} collectionRef - room attendance or user roomVisits collection
+ */
+async function loadVisits(collectionRef, { from, to }) {
+  const snapshot = await collectionRef
+    .where("joinedAt", ">=", from)
+    .where("joinedAt", "<=", to)
+    .orderBy("joinedAt")
+    .limit(MAX_VISITS + 1)
+    .get();
+  const visits = snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  return {
+    visits: visits.slice(0, MAX_VISITS),
+    truncated: visits.length > MAX_VISITS,
+  };
+}
+
+function addTotals(target, summary) {
+  target.visits += 1;
+  target.roomSeconds += summary.roomSeconds;
+  target.callSeconds += summary.callSeconds;
+}
+
+function emptyTotals(extra = {}) {
+  return { ...extra, visits: 0, roomSeconds: 0, callSeconds: 0 };
+}
+
+/**
+ * Overall, daily and weekly totals.
+ * @returns {{ totals, daily: object[], weekly: object[] }}
+ */
+function aggregateVisits(visits, utcOffsetMinutes = 0) {
+  const totals = emptyTotals();
+  const daily = new Map();
+  const weekly = new Map();
+
+  visits.forEach((visit) => {
+    const summary = summarizeVisit(visit);
+    const date = localDateKey(summary.start, utcOffsetMinutes);
+    const weekStart = localWeekKey(summary.start, utcOffsetMinutes);
+    if (!daily.has(date)) daily.set(date, emptyTotals({ date }));
+    if (!weekly.has(weekStart)) {
+      weekly.set(weekStart, emptyTotals({ weekStart }));
+    }
+    addTotals(totals, summary);
+    addTotals(daily.get(date), summary);
+    addTotals(weekly.get(weekStart), summary);
+  });
+
+  const byKey = (key) => (a, b) => a[key].localeCompare(b[key]);
+  return {
+    totals,
+    daily: Array.from(daily.values()).sort(byKey("date")),
+    weekly: Array.from(weekly.values()).sort(byKey("weekStart")),
+  };
+}
+
+/**
+ * Per-member attendance for a room report, most time first.
+ * @param {object} names - { [uid]: display name }
+ */
+function summarizeMembers(visits, names = {}, utcOffsetMinutes = 0) {
+  const members = new Map();
+  visits.forEach((visit) => {
+    const summary = summarizeVisit(visit);
+    if (!members.has(visit.userId)) {
+      members.set(visit.userId, {
+        ...emptyTotals({
+          userId: visit.userId,
+          name: names[visit.userId] || visit.userId.substring(0, 8),
+        }),
+        days: new Set(),
+        lastSeenAt: 0,
+      });
+    }
+    const member = members.get(visit.userId);
+    addTotals(member, summary);
+    member.days.add(localDateKey(summary.start, utcOffsetMinutes));
+    member.lastSeenAt = Math.max(member.lastSeenAt, summary.end);
+  });
+
+  return Array.from(members.values())
+    .map(({ days, lastSeenAt, ...member }) => ({
+      ...member,
+      daysPresent: days.size,
+      lastSeenAt: lastSeenAt ? new Date(lastSeenAt).toISOString() : null,
+    }))
+    .sort((a, b) => b.roomSeconds - a.roomSeconds);
+}
+
+/**
+ * Per-room totals for personal stats, most time first.
+ */
+function summarizeRooms(visits) {
+  const rooms = new Map();
+  visits.forEach((visit) => {
+    if (!rooms.has(visit.roomId)) {
+      rooms.set(
+        visit.roomId,
+        emptyTotals({ roomId: visit.roomId, roomName: visit.roomName || "" })
+      );
+    }
+    addTotals(rooms.get(visit.roomId), summarizeVisit(visit));
+  });
+  return Array.from(rooms.values()).sort(
+    (a, b) => b.roomSeconds - a.roomSeconds
+  );
+}
+
+// ===== CSV =====
+// Cells starting with = + - @ are prefixed so spreadsheets don't run them
+function csvCell(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function localDateTime(ms, utcOffsetMinutes) {
+  if (!ms) return "";
+  return new Date(ms + utcOffsetMinutes * 60 * 1000)
+    .toISOString()
+    .slice(0, 16)
+    .replace("T", " ");
+}
+
+/**
+ * One row per visit: date, member, room, joined, left, minutes in room / call.
+ */
+function visitsToCsv(visits, names = {}, utcOffsetMinutes = 0) {
+  const header = [
+    "Date",
+    "Name",
+    "User ID",
+    "Room",
+    "Joined",
+    "Left",
+    "Minutes in room",
+    "Minutes in call",
+  ];
+  const rows = visits.map((visit) => {
+    const summary = summarizeVisit(visit);
+    return [
+      localDateKey(summary.start, utcOffsetMinutes),
+      names[visit.userId] || "",
+      visit.userId,
+      visit.roomName || "",
+      localDateTime(summary.start, utcOffsetMinutes),
+      summary.open ? "" : localDateTime(summary.end, utcOffsetMinutes),
+      (summary.roomSeconds / 60).toFixed(1),
+      (summary.callSeconds / 60).toFixed(1),
+    ];
+  });
+  return [header, ...rows].map((row) => row.map(csvCell).join(",")).join("\n");
+}
+
+module.exports = {
+  ATTENDANCE_SUBCOLLECTION,
+  USER_VISITS_SUBCOLLECTION,
+  HEARTBEAT_INTERVAL_SECONDS,
+  MAX_VISITS,
+  getRoomAttendanceRef,
+  getUserVisitsRef,
+  buildVisit,
+  applyVisitUpdate,
+  summarizeVisit,
+  parseStatsRange,
+  loadVisits,
+  aggregateVisits,
+  summarizeMembers,
+  summarizeRooms,
+  visitsToCsv,
+};
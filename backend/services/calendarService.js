@@ -0,0 +1,151 @@
+// backend/services/calendarService.js
+// Builds iCalendar (RFC 5545) feeds for scheduled study sessions so they can be
+// subscribed to from Google Calendar / Outlook.
+
+const sessionService = require("./sessionService");
+
+const ICS_DAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const PRODID = "-//StudyGroup//Study Sessions//EN";
+
+// 20250101T093000Z
+function formatIcsDate(value) {
+  return new Date(value)
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+}
+
+function escapeIcsText(str) {
+  if (!str) return "";
+  return String(str)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets must be folded (CRLF + single space)
+function foldLine(line) {
+  const bytes = Buffer.from(line, "utf8");
+  if (bytes.length <= 75) return line;
+
+  const parts = [];
+  let current = "";
+  let currentBytes = 0;
+  for (const char of line) {
+    const charBytes = Buffer.byteLength(char, "utf8");
+    const max = parts.length === 0 ? 75 : 74;
+    if (currentBytes + charBytes > max) {
+      parts.push(current);
+      current = "";
+      currentBytes = 0;
+    }
+    current += char;
+    currentBytes += charBytes;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+/**
+ * Build the RRULE for a recurring session, or null for one-off sessions.
+ * Days are stored in the creator's local time but DTSTART is emitted in UTC,
+ * so BYDAY is shifted when the local start falls on a different UTC day.
+ */
+function buildRRule(session) {
+  const recurrence = session.recurrence || {};
+  if (!recurrence.frequency || recurrence.frequency === "none") return null;
+
+  const startMs = new Date(sessionService.toIso(session.startTime)).getTime();
+  const offsetMs = (session.utcOffsetMinutes || 0) * 60 * 1000;
+  const utcDay = new Date(startMs).getUTCDay();
+  const localDay = new Date(startMs + offsetMs).getUTCDay();
+  let shift = utcDay - localDay;
+  if (shift > 1) shift -= 7;
+  if (shift < -1) shift += 7;
+
+  const days = sessionService
+    .getRecurrenceDays(session)
+    .map((d) => ICS_DAYS[(d + shift + 7) % 7]);
+
+  const parts = ["FREQ=WEEKLY"];
+  const interval = parseInt(recurrence.intervalWeeks, 10) || 1;
+  if (interval > 1) parts.push(`INTERVAL=${interval}`);
+  parts.push(`BYDAY=${days.join(",")}`);
+  if (recurrence.until) {
+    parts.push(
+      `UNTIL=${formatIcsDate(sessionService.toIso(recurrence.until))}`
+    );
+  }
+  return `RRULE:${parts.join(";")}`;
+}
+
+/**
+ * Build an iCalendar document.
+ * @param {object} options
+ * @param {string} options.name - Calendar display name
+ * @param {object[]} options.sessions - [{ id, roomId, roomName, link, ...sessionData }]
+ * @returns {string}
+ */
+function buildCalendar({ name, sessions = [] }) {
+  const now = formatIcsDate(new Date());
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeIcsText(name || "StudyGroup Sessions")}`,
+  ];
+
+  sessions.forEach((session) => {
+    // DTSTART always counts as an occurrence, so anchor it on the first real
+    // occurrence (custom days may not include the weekday of startTime).
+    const [first] = sessionService.expandOccurrences(
+      session,
+      session.startTime,
+      session.recurrence?.until || "9999-12-31T00:00:00Z",
+      1
+    );
+    if (!first) return;
+    const { start, end } = first;
+
+    const description = [session.agenda, session.link]
+      .filter(Boolean)
+      .join("\n\n");
+
+    lines.push("BEGIN:VEVENT");
+    lines.push(`UID:${session.id}@studygroup.app`);
+    lines.push(`DTSTAMP:${now}`);
+    lines.push(`DTSTART:${formatIcsDate(start)}`);
+    lines.push(`DTEND:${formatIcsDate(end)}`);
+    lines.push(
+      `SUMMARY:${escapeIcsText(
+        session.roomName
+          ? `${session.title} (${session.roomName})`
+          : session.title
+      )}`
+    );
+    if (description) lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
+    if (session.link) lines.push(`URL:${session.link}`);
+    if (session.roomName)
+      lines.push(`LOCATION:${escapeIcsText(session.roomName)}`);
+    const rrule = buildRRule(session);
+    if (rrule) lines.push(rrule);
+    if (session.updatedAt) {
+      const modified = sessionService.toIso(session.updatedAt);
+      if (modified) lines.push(`LAST-MODIFIED:${formatIcsDate(modified)}`);
+    }
+    lines.push("END:VEVENT");
+  });
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+module.exports = {
+  formatIcsDate,
+  escapeIcsText,
+  buildRRule,
+  buildCalendar,
+};
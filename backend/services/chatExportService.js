@@ -0,0 +1,414 @@
+// backend/services/chatExportService.js
+// Room chat export (Markdown, self-contained HTML, JSON) for hosts and admins.
+//
+// Author names are resolved like the room UI does it (user-auth.js
+// getUserDisplayInfos): users/{uid}.name, then displayName, then the email
+// prefix, then the first 8 characters of the uid.
+
+const chatMessages = require("./chatMessageService");
+const { toPlainText } = require("./mentionService");
+
+const EXPORT_FORMATS = {
+  markdown: { extension: "md", contentType: "text/markdown; charset=utf-8" },
+  html: { extension: "html", contentType: "text/html; charset=utf-8" },
+  json: { extension: "json", contentType: "application/json; charset=utf-8" },
+};
+
+const MAX_EXPORT_MESSAGES = 5000;
+const EXPORT_BATCH_SIZE = 500;
+const MAX_UTC_OFFSET_MINUTES = 14 * 60;
+
+/**
+ * Parse `from` / `to` / `utcOffsetMinutes` query params. A plain `to` date
+ * ("2025-03-01") covers that whole day.
+ * @returns {{ from, to, utcOffsetMinutes } | { error }}
+ */
+function parseExportRange(query = {}) {
+  const parse = (value, endOfDay) => {
+    if (!value || typeof value !== "string") return null;
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return undefined;
+    if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      date.setUTCHours(23, 59, 59, 999);
+    }
+    return date;
+  };
+
+  const from = parse(query.from, false);
+  const to = parse(query.to, true);
+  if (from === undefined || to === undefined) {
+    return { error: "Invalid date range" };
+  }
+  if (from && to && from > to) {
+    return { error: "The start date must be before the end date" };
+  }
+
+  const offset = parseInt(query.utcOffsetMinutes, 10);
+  const utcOffsetMinutes =
+    Number.isInteger(offset) && Math.abs(offset) <= MAX_UTC_OFFSET_MINUTES
+      ? offset
+      : 0;
+
+  return { from, to, utcOffsetMinutes };
+}
+
+/**
+ * Messages in [from, to], oldest first, at most MAX_EXPORT_MESSAGES.
+ * @returns {Promise<{ messages: object[], truncated: boolean }>}
+ */
+async function loadMessages(db, roomId, { from = null, to = null } = {}) {
+  let query = chatMessages.getMessagesRef(db, roomId).orderBy("timestamp");
+  if (from) query = query.where("timestamp", ">=", from);
+  if (to) query = query.where("timestamp", "<=", to);
+
+  const messages = [];
+  let cursor = null;
+  while (messages.length <= MAX_EXPORT_MESSAGES) {
+    let page = query.limit(EXPORT_BATCH_SIZE);
+    if (cursor) page = page.startAfter(cursor);
+    const snapshot = await page.get();
+    snapshot.docs.forEach((doc) =>
+      messages.push({ id: doc.id, ...doc.data() })
+    );
+    if (snapshot.size < EXPORT_BATCH_SIZE) break;
+    cursor = snapshot.docs[snapshot.docs.length - 1];
+  }
+
+  return {
+    messages: messages.slice(0, MAX_EXPORT_MESSAGES),
+    truncated: messages.length > MAX_EXPORT_MESSAGES,
+  };
+}
+
+/**
+ * uid -> display name, same priority as the room UI.
+ */
+async function resolveDisplayNames(db, uids) {
+  const unique = Array.from(new Set(uids.filter(Boolean)));
+  const names = {};
+  if (unique.length === 0) return names;
+
+  const refs = unique.map((uid) => db.collection("users").doc(uid));
+  const docs = await db.getAll(...refs);
+  docs.forEach((doc, index) => {
+    const uid = unique[index];
+    const data = doc.exists ? doc.data() : {};
+    names[uid] =
+      data.name ||
+      data.displayName ||
+      (data.email ? data.email.split("@")[0] : uid.substring(0, 8));
+  });
+  return names;
+}
+
+function toDate(value) {
+  if (!value) return null;
+  if (typeof value.toDate === "function") return value.toDate();
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Shift into the requester's timezone, then read the UTC fields
+function localParts(date, utcOffsetMinutes) {
+  const shifted = new Date(date.getTime() + utcOffsetMinutes * 60000);
+  const iso = shifted.toISOString();
+  return { day: iso.slice(0, 10), time: iso.slice(11, 16) };
+}
+
+function formatOffset(utcOffsetMinutes) {
+  const sign = utcOffsetMinutes < 0 ? "-" : "+";
+  const abs = Math.abs(utcOffsetMinutes);
+  const hours = String(Math.floor(abs / 60)).padStart(2, "0");
+  const minutes = String(abs % 60).padStart(2, "0");
+  return `UTC${sign}${hours}:${minutes}`;
+}
+
+/**
+ * Flatten message docs into export entries (names resolved, dates parsed).
+ */
+function buildEntries(messages, names) {
+  return messages.map((message) => {
+    const date = toDate(message.timestamp);
+    return {
+      id: message.id,
+      timestamp: date ? date.toISOString() : null,
+      date,
+      authorUid: message.authorUid || null,
+      author: message.isSystem
+        ? "System"
+        : names[message.authorUid] || message.author || "Unknown",
+      isSystem: !!message.isSystem,
+      text: message.deleted ? "" : toPlainText(message.text) || "",
+      imageUrl: message.deleted ? null : message.imageUrl || null,
+      fileUrl: message.deleted ? null : message.fileUrl || null,
+      fileName: message.deleted ? null : message.fileName || null,
+      fileType: message.deleted ? null : message.fileType || null,
+      fileSize: message.deleted ? null : message.fileSize || null,
+      edited: !!message.edited,
+      deleted: !!message.deleted,
+      replyTo: message.replyTo
+        ? {
+            id: message.replyTo.id,
+            author:
+              names[message.replyTo.authorUid] ||
+              message.replyTo.author ||
+              "Unknown",
+            text: toPlainText(message.replyTo.text) || "",
+          }
+        : null,
+    };
+  });
+}
+
+function rangeLabel(from, to) {
+  if (!from && !to) return "All messages";
+  if (!to) return `From ${from.toISOString()}`;
+  if (!from) return `Until ${to.toISOString()}`;
+  return `${from.toISOString()} – ${to.toISOString()}`;
+}
+
+// ===== Markdown =====
+
+function escapeMarkdown(text) {
+  return String(text).replace(/([\\`*_[\]<>#|])/g, "\\$1");
+}
+
+function toMarkdown(meta, entries) {
+  const lines = [
+    `# Chat export: ${escapeMarkdown(meta.roomName)}`,
+    "",
+    `- Range: ${meta.range}`,
+    `- Exported: ${meta.exportedAt} by ${escapeMarkdown(meta.exportedBy)}`,
+    `- Messages: ${entries.length}${
+      meta.truncated ? ` (limited to the first ${MAX_EXPORT_MESSAGES})` : ""
+    }`,
+    `- Times: ${formatOffset(meta.utcOffsetMinutes)}`,
+  ];
+
+  let currentDay = null;
+  entries.forEach((entry) => {
+    const parts = entry.date
+      ? localParts(entry.date, meta.utcOffsetMinutes)
+      : { day: "Unknown date", time: "--:--" };
+    if (parts.day !== currentDay) {
+      currentDay = parts.day;
+      if (lines[lines.length - 1] !== "") lines.push("");
+      lines.push(`## ${parts.day}`, "");
+    }
+
+    if (entry.isSystem) {
+      lines.push(`_${parts.time} · ${escapeMarkdown(entry.text)}_`, "");
+      return;
+    }
+
+    lines.push(
+      `**${escapeMarkdown(entry.author)}** (${parts.time})${
+        entry.edited && !entry.deleted ? " _(edited)_" : ""
+      }  `
+    );
+    if (entry.replyTo) {
+      lines.push(
+        `> ↪ ${escapeMarkdown(entry.replyTo.author)}: ${escapeMarkdown(
+          entry.replyTo.text
+        ).replace(/\n/g, " ")}`,
+        ""
+      );
+    }
+    const body = [];
+    if (entry.deleted) body.push("_Message deleted_");
+    if (entry.text) body.push(escapeMarkdown(entry.text));
+    if (entry.imageUrl) {
+      body.push(
+        `![${escapeMarkdown(entry.fileName || "image")}](<${entry.imageUrl}>)`
+      );
+    } else if (entry.fileUrl) {
+      body.push(
+        `📎 [${escapeMarkdown(entry.fileName || "file")}](<${entry.fileUrl}>)`
+      );
+    }
+    // Trailing double spaces keep the line breaks inside one paragraph
+    if (body.length > 0) lines.push(body.join("\n").replace(/\n/g, "  \n"));
+    lines.push("");
+  });
+
+  return `${lines.join("\n").trimEnd()}\n`;
+}
+
+// ===== HTML =====
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Only http(s) links end up in the page
+function safeUrl(url) {
+  return /^https?:\/\//i.test(url || "") ? escapeHtml(url) : "#";
+}
+
+const HTML_STYLE = `
+  body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; max-width: 820px; margin: 24px auto; padding: 0 16px; color: #333; }
+  h1 { font-size: 22px; margin-bottom: 4px; }
+  .meta { color: #666; font-size: 13px; margin-bottom: 24px; }
+  h2 { font-size: 14px; color: #4caf50; border-bottom: 1px solid #e0e0e0; padding-bottom: 4px; margin-top: 28px; }
+  .msg { padding: 6px 0; }
+  .msg .head { font-size: 13px; }
+  .msg .time, .msg .edited { color: #888; font-size: 12px; margin-left: 6px; }
+  .msg .text { white-space: pre-wrap; word-break: break-word; }
+  .msg.system { color: #666; font-style: italic; font-size: 13px; }
+  .msg.deleted .text { color: #888; font-style: italic; }
+  .reply { border-left: 3px solid #4caf50; padding-left: 8px; color: #666; font-size: 12px; margin: 2px 0; }
+  .msg img { max-width: 320px; max-height: 240px; border-radius: 6px; display: block; margin-top: 4px; }
+`;
+
+function toHtml(meta, entries) {
+  let currentDay = null;
+  const body = entries
+    .map((entry) => {
+      const parts = entry.date
+        ? localParts(entry.date, meta.utcOffsetMinutes)
+        : { day: "Unknown date", time: "--:--" };
+      let dayHeading = "";
+      if (parts.day !== currentDay) {
+        currentDay = parts.day;
+        dayHeading = `<h2>${escapeHtml(parts.day)}</h2>`;
+      }
+
+      if (entry.isSystem) {
+        return `${dayHeading}<div class="msg system">${escapeHtml(
+          parts.time
+        )} · ${escapeHtml(entry.text)}</div>`;
+      }
+
+      const reply = entry.replyTo
+        ? `<div class="reply">↪ ${escapeHtml(
+            entry.replyTo.author
+          )}: ${escapeHtml(entry.replyTo.text)}</div>`
+        : "";
+      const text = entry.deleted
+        ? `<div class="text">Message deleted</div>`
+        : entry.text
+        ? `<div class="text">${escapeHtml(entry.text)}</div>`
+        : "";
+      const attachment = entry.imageUrl
+        ? `<a href="${safeUrl(entry.imageUrl)}"><img src="${safeUrl(
+            entry.imageUrl
+          )}" alt="${escapeHtml(entry.fileName || "image")}"></a>`
+        : entry.fileUrl
+        ? `<div>📎 <a href="${safeUrl(entry.fileUrl)}">${escapeHtml(
+            entry.fileName || "file"
+          )}</a></div>`
+        : "";
+
+      return `${dayHeading}<div class="msg${
+        entry.deleted ? " deleted" : ""
+      }"><div class="head"><strong>${escapeHtml(
+        entry.author
+      )}</strong><span class="time">${escapeHtml(parts.time)}</span>${
+        entry.edited && !entry.deleted
+          ? `<span class="edited">(edited)</span>`
+          : ""
+      }</div>${reply}${text}${attachment}</div>`;
+    })
+    .join("\n");
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>Chat export: ${escapeHtml(meta.roomName)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+<h1>Chat export: ${escapeHtml(meta.roomName)}</h1>
+<div class="meta">${escapeHtml(meta.range)} · ${entries.length} messages${
+    meta.truncated ? ` (limited to the first ${MAX_EXPORT_MESSAGES})` : ""
+  } · times in ${formatOffset(meta.utcOffsetMinutes)}<br>Exported ${escapeHtml(
+    meta.exportedAt
+  )} by ${escapeHtml(meta.exportedBy)}</div>
+${body || "<p>No messages in this range.</p>"}
+</body>
+</html>
+`;
+}
+
+// ===== JSON =====
+
+function toJson(meta, entries) {
+  return JSON.stringify(
+    {
+      room: { id: meta.roomId, name: meta.roomName },
+      range: {
+        from: meta.from ? meta.from.toISOString() : null,
+        to: meta.to ? meta.to.toISOString() : null,
+      },
+      exportedAt: meta.exportedAt,
+      exportedBy: meta.exportedBy,
+      messageCount: entries.length,
+      truncated: meta.truncated,
+      messages: entries.map(({ date, ...entry }) => entry),
+    },
+    null,
+    2
+  );
+}
+
+function buildFileName(roomName, extension) {
+  const slug =
+    String(roomName || "room")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 40) || "room";
+  return `${slug}-chat-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+/**
+ * Build a chat export for a room.
+ * @param {object} options - { format, from, to, utcOffsetMinutes, exportedBy }
+ * @returns {Promise<{ body: string, contentType: string, fileName: string, messageCount: number }>}
+ */
+async function exportRoomChat(db, roomId, room, options) {
+  const format = EXPORT_FORMATS[options.format];
+  if (!format) throw new Error(`Unsupported export format: ${options.format}`);
+
+  const { messages, truncated } = await loadMessages(db, roomId, options);
+  const names = await resolveDisplayNames(
+    db,
+    messages.flatMap((m) => [m.authorUid, m.replyTo?.authorUid])
+  );
+  const entries = buildEntries(messages, names);
+
+  const meta = {
+    roomId,
+    roomName: room.name || "Study room",
+    from: options.from || null,
+    to: options.to || null,
+    range: rangeLabel(options.from, options.to),
+    utcOffsetMinutes: options.utcOffsetMinutes || 0,
+    exportedAt: new Date().toISOString(),
+    exportedBy: options.exportedBy || "Unknown",
+    truncated,
+  };
+
+  const renderers = { markdown: toMarkdown, html: toHtml, json: toJson };
+  return {
+    body: renderers[options.format](meta, entries),
+    contentType: format.contentType,
+    fileName: buildFileName(room.name, format.extension),
+    messageCount: entries.length,
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  MAX_EXPORT_MESSAGES,
+  parseExportRange,
+  resolveDisplayNames,
+  exportRoomChat,
+};
@@ -0,0 +1,273 @@
+// backend/services/chatMessageService.js
+// Room chat message helpers: edit / delete (tombstone) rules, reactions, pins and search.
+//
+// User messages are sent through the backend (moderation checks, see
+// chatModerationService.js) and system messages (room created, timer phases)
+// are written by it; clients can't write messages directly. Every later
+// change goes through the backend too:
+//   studyGroups/{roomId}/messages/{messageId}
+//   {
+//     authorUid, author, text, isSystem, timestamp,
+//     imageUrl?, fileUrl?, fileName?, fileType?, fileSize?,
+//     replyTo?: { id, authorUid, author, text },   // quoted parent (text trimmed)
+//     mentions?: [uid, ...],                       // @[Name](uid) tokens in text (mentionService.js)
+//     edited?, editedAt?,
+//     deleted?, deletedBy?, deletedAt?,            // tombstone: content is cleared
+//     reactions?: { [emoji]: [uid, ...] },
+//     pinned?, pinnedBy?, pinnedAt?                // hosts only
+//   }
+
+const admin = require("../config/firebase-admin");
+const { toPlainText } = require("./mentionService");
+
+const CLIENT_ROOMS_COLLECTION = "studyGroups";
+const MESSAGES_SUBCOLLECTION = "messages";
+
+const MAX_MESSAGE_LENGTH = 2000;
+const ALLOWED_REACTIONS = ["👍", "❤️", "😂", "😮", "🎉", "🙏"];
+const MAX_PINNED_MESSAGES = 25;
+const REPLY_PREVIEW_LENGTH = 140;
+const MAX_FILE_NAME_LENGTH = 255;
+// authorUid / author of system messages
+const SYSTEM_AUTHOR = "system";
+
+function getMessagesRef(db, roomId) {
+  return db
+    .collection(CLIENT_ROOMS_COLLECTION)
+    .doc(roomId)
+    .collection(MESSAGES_SUBCOLLECTION);
+}
+
+/**
+ * Post system messages to a room's chat, in order.
+ * @param {string[]} texts
+ */
+async function addSystemMessages(db, roomId, texts) {
+  const messagesRef = getMessagesRef(db, roomId);
+  const batch = db.batch();
+  const now = Date.now();
+  texts.forEach((text, i) => {
+    batch.set(messagesRef.doc(), {
+      authorUid: SYSTEM_AUTHOR,
+      author: SYSTEM_AUTHOR,
+      text,
+      isSystem: true,
+      // A millisecond apart so they keep their order
+      timestamp: admin.firestore.Timestamp.fromMillis(now + i),
+    });
+  });
+  await batch.commit();
+}
+
+/**
+ * Quoted-parent snapshot stored on a reply (shown even if the parent is not loaded).
+ */
+function buildReplyTo(parentId, parent) {
+  const text = toPlainText(parent.text) || parent.fileName || "";
+  return {
+    id: parentId,
+    authorUid: parent.authorUid || null,
+    author: parent.author || null,
+    text:
+      text.length > REPLY_PREVIEW_LENGTH
+        ? `${text.slice(0, REPLY_PREVIEW_LENGTH)}…`
+        : text,
+  };
+}
+
+/**
+ * Validate an attachment reference from POST /:id/messages
+ * ({ url, name, type, size } returned by /api/uploads).
+ * @returns {{ fields?: object, error?: string }} message fields to store
+ */
+function parseAttachment(file) {
+  if (!file || typeof file !== "object") return { error: "Invalid file" };
+  const url = typeof file.url === "string" ? file.url.trim() : "";
+  if (!/^https:\/\//i.test(url) || url.length > 2048) {
+    return { error: "Invalid file URL" };
+  }
+  const type = typeof file.type === "string" ? file.type.slice(0, 100) : "";
+  const fields = {
+    fileName:
+      typeof file.name === "string"
+        ? file.name.trim().slice(0, MAX_FILE_NAME_LENGTH)
+        : "file",
+    fileType: type,
+    fileSize: Number.isFinite(Number(file.size)) ? Number(file.size) : null,
+  };
+  if (type.startsWith("image/")) fields.imageUrl = url;
+  else fields.fileUrl = url;
+  return { fields };
+}
+
+/**
+ * Whether `uid` may edit a message: only its author, only text messages.
+ * @returns {string|null} error message, or null if allowed
+ */
+function getEditError(message, uid) {
+  if (message.isSystem) return "System messages cannot be edited";
+  if (message.deleted) return "This message was deleted";
+  if (message.authorUid !== uid) return "You can only edit your own messages";
+  if (message.imageUrl || message.fileUrl) {
+    return "File messages cannot be edited";
+  }
+  return null;
+}
+
+/**
+ * Whether `uid` may delete a message: its author, or a room host (or admin).
+ * @returns {string|null} error message, or null if allowed
+ */
+function getDeleteError(message, uid, { canModerate = false } = {}) {
+  if (message.deleted) return "This message was already deleted";
+  if (message.authorUid === uid && !message.isSystem) return null;
+  if (canModerate) return null;
+  return "You can only delete your own messages";
+}
+
+// Fields written over a deleted message; the doc stays so replies keep their place
+function buildTombstone(uid, timestamp) {
+  return {
+    deleted: true,
+    deletedBy: uid,
+    deletedAt: timestamp,
+    text: "",
+    imageUrl: null,
+    fileUrl: null,
+    fileName: null,
+    fileType: null,
+    fileSize: null,
+    reactions: {},
+    pinned: false,
+  };
+}
+
+/**
+ * Add or remove `uid` from one reaction. Returns a new reactions map.
+ */
+function toggleReaction(reactions, emoji, uid) {
+  const next = { ...(reactions || {}) };
+  const users = Array.isArray(next[emoji]) ? next[emoji] : [];
+  if (users.includes(uid)) {
+    const remaining = users.filter((id) => id !== uid);
+    if (remaining.length > 0) next[emoji] = remaining;
+    else delete next[emoji];
+  } else {
+    next[emoji] = [...users, uid];
+  }
+  return next;
+}
+
+/**
+ * Whether a message can be pinned, given how many are pinned already.
+ * @returns {string|null} error message, or null if allowed
+ */
+function getPinError(message, pinnedCount) {
+  if (message.isSystem) return "System messages cannot be pinned";
+  if (message.deleted) return "This message was deleted";
+  if (message.pinned) return null;
+  if (pinnedCount >= MAX_PINNED_MESSAGES) {
+    return `A room can have at most ${MAX_PINNED_MESSAGES} pinned messages`;
+  }
+  return null;
+}
+
+// ===== Search =====
+// Firestore has no full-text index, so search scans recent messages (newest
+// first, bounded per request) and matches every query term case-insensitively.
+
+const MAX_QUERY_TERMS = 8;
+const SNIPPET_RADIUS = 60;
+
+function tokenizeQuery(query) {
+  return String(query || "")
+    .toLowerCase()
+    .split(/\s+/)
+    .map((term) => term.trim())
+    .filter(Boolean)
+    .slice(0, MAX_QUERY_TERMS);
+}
+
+function searchableText(message) {
+  return [toPlainText(message.text), message.fileName]
+    .filter(Boolean)
+    .join(" ");
+}
+
+/**
+ * Whether a message matches the query terms and filters.
+ * @param {object} message - message doc data
+ * @param {string[]} terms - from tokenizeQuery (all must match)
+ * @param {object} filters - { authorUid, has: "file" | "image" }
+ */
+function matchesSearch(message, terms, { authorUid = null, has = null } = {}) {
+  if (message.isSystem || message.deleted) return false;
+  if (authorUid && message.authorUid !== authorUid) return false;
+  if (has === "image" && !message.imageUrl) return false;
+  if (has === "file" && !message.fileUrl) return false;
+
+  const haystack = searchableText(message).toLowerCase();
+  return terms.every((term) => haystack.includes(term));
+}
+
+/**
+ * Excerpt around the first match, with [start, end) ranges of every term
+ * inside the excerpt so clients can highlight without parsing HTML.
+ */
+function buildSnippet(text, terms) {
+  const source = toPlainText(String(text || ""));
+  const lower = source.toLowerCase();
+  const firstHit = terms
+    .map((term) => lower.indexOf(term))
+    .filter((index) => index !== -1)
+    .sort((a, b) => a - b)[0];
+
+  const center = firstHit === undefined ? 0 : firstHit;
+  const start = Math.max(0, center - SNIPPET_RADIUS);
+  const end = Math.min(source.length, center + SNIPPET_RADIUS * 2);
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < source.length ? "…" : "";
+  const snippet = `${prefix}${source.slice(start, end)}${suffix}`;
+
+  const highlights = [];
+  const snippetLower = snippet.toLowerCase();
+  terms.forEach((term) => {
+    let index = snippetLower.indexOf(term);
+    while (index !== -1) {
+      highlights.push([index, index + term.length]);
+      index = snippetLower.indexOf(term, index + term.length);
+    }
+  });
+  highlights.sort((a, b) => a[0] - b[0]);
+
+  // Merge overlapping ranges (e.g. "stud" and "study")
+  const merged = [];
+  highlights.forEach((range) => {
+    const last = merged[merged.length - 1];
+    if (last && range[0] <= last[1]) last[1] = Math.max(last[1], range[1]);
+    else merged.push([...range]);
+  });
+
+  return { snippet, highlights: merged };
+}
+
+module.exports = {
+  CLIENT_ROOMS_COLLECTION,
+  MESSAGES_SUBCOLLECTION,
+  MAX_MESSAGE_LENGTH,
+  ALLOWED_REACTIONS,
+  MAX_PINNED_MESSAGES,
+  SYSTEM_AUTHOR,
+  getMessagesRef,
+  addSystemMessages,
+  buildReplyTo,
+  parseAttachment,
+  getEditError,
+  getDeleteError,
+  buildTombstone,
+  toggleReaction,
+  getPinError,
+  tokenizeQuery,
+  matchesSearch,
+  buildSnippet,
+};
@@ -0,0 +1,252 @@
+// backend/services/chatModerationService.js
+// Per-room chat moderation: slow mode, timed mutes and a banned-word filter.
+//
+// Settings live on the room document (study-groups/{roomId}):
+//   chatModeration: {
+//     slowModeSeconds,                  // 0 = off; hosts are exempt
+//     bannedWords: [string],            // lowercase, matched as whole words
+//     wordFilterAction: "mask" | "block",
+//     mutes: { [uid]: { until, mutedBy, mutedByName, mutedAt } },
+//     updatedBy, updatedAt
+//   }
+// The time of each sender's last message (for slow mode) is kept in
+//   studyGroups/{roomId}/chatSenders/{uid} = { lastMessageAt }
+// which clients cannot read or write (no match in firestore.rules).
+//
+// Enforced by POST / PATCH /api/study-groups/:id/messages, the only way to
+// write chat messages (firestore.rules denies all client message writes).
+
+const CLIENT_ROOMS_COLLECTION = "studyGroups";
+const SENDERS_SUBCOLLECTION = "chatSenders";
+
+const MAX_SLOW_MODE_SECONDS = 3600;
+const MAX_BANNED_WORDS = 100;
+const MAX_BANNED_WORD_LENGTH = 40;
+const MIN_MUTE_MINUTES = 1;
+const MAX_MUTE_MINUTES = 7 * 24 * 60; // 1 week
+const WORD_FILTER_ACTIONS = ["mask", "block"];
+
+const DEFAULT_SETTINGS = {
+  slowModeSeconds: 0,
+  bannedWords: [],
+  wordFilterAction: "mask",
+};
+
+function getSenderRef(db, roomId, uid) {
+  return db
+    .collection(CLIENT_ROOMS_COLLECTION)
+    .doc(roomId)
+    .collection(SENDERS_SUBCOLLECTION)
+    .doc(uid);
+}
+
+function toDate(value) {
+  if (!value) return null;
+  if (typeof value.toDate === "function") return value.toDate();
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Stored settings merged over the defaults.
+ */
+function getSettings(room) {
+  const stored = room?.chatModeration || {};
+  return {
+    slowModeSeconds: Number(stored.slowModeSeconds) || 0,
+    bannedWords: Array.isArray(stored.bannedWords) ? stored.bannedWords : [],
+    wordFilterAction: WORD_FILTER_ACTIONS.includes(stored.wordFilterAction)
+      ? stored.wordFilterAction
+      : DEFAULT_SETTINGS.wordFilterAction,
+    mutes: stored.mutes || {},
+  };
+}
+
+/**
+ * Validate a settings update from a host. Missing fields keep their value.
+ * @returns {{ settings?: object, error?: string }}
+ */
+function normalizeSettings(input, current) {
+  const settings = {
+    slowModeSeconds: current.slowModeSeconds,
+    bannedWords: current.bannedWords,
+    wordFilterAction: current.wordFilterAction,
+  };
+
+  if (input.slowModeSeconds !== undefined) {
+    const seconds = Number(input.slowModeSeconds);
+    if (
+      !Number.isInteger(seconds) ||
+      seconds < 0 ||
+      seconds > MAX_SLOW_MODE_SECONDS
+    ) {
+      return {
+        error: `Slow mode must be between 0 and ${MAX_SLOW_MODE_SECONDS} seconds`,
+      };
+    }
+    settings.slowModeSeconds = seconds;
+  }
+
+  if (input.wordFilterAction !== undefined) {
+    if (!WORD_FILTER_ACTIONS.includes(input.wordFilterAction)) {
+      return { error: "Word filter action must be 'mask' or 'block'" };
+    }
+    settings.wordFilterAction = input.wordFilterAction;
+  }
+
+  if (input.bannedWords !== undefined) {
+    if (!Array.isArray(input.bannedWords)) {
+      return { error: "bannedWords must be an array" };
+    }
+    const words = [];
+    for (const raw of input.bannedWords) {
+      if (typeof raw !== "string") continue;
+      const word = raw.trim().toLowerCase();
+      if (!word) continue;
+      if (word.length > MAX_BANNED_WORD_LENGTH) {
+        return {
+          error: `Banned words are limited to ${MAX_BANNED_WORD_LENGTH} characters`,
+        };
+      }
+      if (!words.includes(word)) words.push(word);
+    }
+    if (words.length > MAX_BANNED_WORDS) {
+      return { error: `At most ${MAX_BANNED_WORDS} banned words per room` };
+    }
+    settings.bannedWords = words;
+  }
+
+  return { settings };
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+// Whole-word, case-insensitive match ("ass" does not hit "class")
+function buildWordPattern(words) {
+  if (!words || words.length === 0) return null;
+  const alternatives = words
+    .slice()
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp)
+    .join("|");
+  return new RegExp(
+    `(^|[^\\p{L}\\p{N}_])(${alternatives})(?=$|[^\\p{L}\\p{N}_])`,
+    "giu"
+  );
+}
+
+/**
+ * Run the banned-word filter over a message.
+ * @returns {{ text: string, matched: string[], blocked: boolean }}
+ *   text - masked text (unchanged when nothing matched or when blocked)
+ */
+function applyWordFilter(text, settings) {
+  const pattern = buildWordPattern(settings.bannedWords);
+  if (!pattern || !text) return { text, matched: [], blocked: false };
+
+  const matched = [];
+  const masked = text.replace(pattern, (_, prefix, word) => {
+    const lower = word.toLowerCase();
+    if (!matched.includes(lower)) matched.push(lower);
+    return prefix + "*".repeat(Array.from(word).length);
+  });
+
+  if (matched.length === 0) return { text, matched, blocked: false };
+  if (settings.wordFilterAction === "block") {
+    return { text, matched, blocked: true };
+  }
+  return { text: masked, matched, blocked: false };
+}
+
+/**
+ * Active mute for a user, if any.
+ * @returns {Date|null} when the mute ends
+ */
+function getMutedUntil(room, uid, now = new Date()) {
+  const mute = getSettings(room).mutes[uid];
+  const until = toDate(mute?.until);
+  return until && until > now ? until : null;
+}
+
+/**
+ * Seconds a sender still has to wait under slow mode (0 = may send).
+ */
+function getSlowModeWait(lastMessageAt, slowModeSeconds, now = new Date()) {
+  if (!slowModeSeconds) return 0;
+  const last = toDate(lastMessageAt);
+  if (!last) return 0;
+  const remainingMs = last.getTime() + slowModeSeconds * 1000 - now.getTime();
+  return remainingMs > 0 ? Math.ceil(remainingMs / 1000) : 0;
+}
+
+/**
+ * Validate a mute duration in minutes.
+ * @returns {{ minutes?: number, error?: string }}
+ */
+function parseMuteMinutes(value) {
+  const minutes = Number(value);
+  if (
+    !Number.isInteger(minutes) ||
+    minutes < MIN_MUTE_MINUTES ||
+    minutes > MAX_MUTE_MINUTES
+  ) {
+    return {
+      error: `Mute duration must be between ${MIN_MUTE_MINUTES} and ${MAX_MUTE_MINUTES} minutes`,
+    };
+  }
+  return { minutes };
+}
+
+// Drop mutes that already ended so the map does not grow forever
+function pruneMutes(mutes, now = new Date()) {
+  const active = {};
+  Object.entries(mutes || {}).forEach(([uid, mute]) => {
+    const until = toDate(mute?.until);
+    if (until && until > now) active[uid] = mute;
+  });
+  return active;
+}
+
+/**
+ * Moderation state for API responses. Hosts get the full settings and the
+ * list of active mutes; everyone else only what affects their composer.
+ */
+function formatModeration(room, uid, { isHost = false } = {}) {
+  const settings = getSettings(room);
+  const mutedUntil = getMutedUntil(room, uid);
+  const result = {
+    slowModeSeconds: settings.slowModeSeconds,
+    wordFilterAction: settings.wordFilterAction,
+    wordFilterEnabled: settings.bannedWords.length > 0,
+    mutedUntil: mutedUntil ? mutedUntil.toISOString() : null,
+  };
+  if (!isHost) return result;
+
+  const mutes = Object.entries(pruneMutes(settings.mutes)).map(
+    ([userId, mute]) => ({
+      userId,
+      until: toDate(mute.until).toISOString(),
+      mutedBy: mute.mutedBy || null,
+      mutedByName: mute.mutedByName || null,
+    })
+  );
+  return { ...result, bannedWords: settings.bannedWords, mutes };
+}
+
+module.exports = {
+  MAX_SLOW_MODE_SECONDS,
+  MAX_BANNED_WORDS,
+  MAX_MUTE_MINUTES,
+  WORD_FILTER_ACTIONS,
+  getSenderRef,
+  getSettings,
+  normalizeSettings,
+  applyWordFilter,
+  getMutedUntil,
+  getSlowModeWait,
+  parseMuteMinutes,
+  pruneMutes,
+  formatModeration,
+};
@@ -0,0 +1,139 @@
+// backend/services/inviteService.js
+// Signed room invite tokens.
+//
+// An invite document lives at study-groups/{roomId}/invites/{inviteId}:
+// {
+//   createdBy, createdAt,
+//   role: "member" | "co-host",   // role granted on redeem
+//   maxUses: number | null,       // null = unlimited
+//   uses, redeemedBy: [uid],
+//   expiresAt: ISO string | null,
+//   targetEmail: string | null,   // only this account may redeem
+//   revoked, revokedBy, revokedAt
+// }
+//
+// The token handed out is "<payload>.<signature>" where payload is the
+// base64url of "roomId:inviteId" and signature an HMAC-SHA256 of it, so
+// tokens cannot be guessed or pointed at another room. Revocation and use
+// counts are still checked against the invite document on redeem.
+
+const crypto = require("crypto");
+
+const INVITES_SUBCOLLECTION = "invites";
+const INVITE_ROLES = ["member", "co-host"];
+
+function getInviteSecret() {
+  return process.env.ROOM_INVITE_SECRET || null;
+}
+
+function sign(payload, secret) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(payload)
+    .digest("base64url");
+}
+
+/**
+ * Create the shareable token for an invite.
+ * @throws if ROOM_INVITE_SECRET is not configured
+ */
+function signInviteToken(roomId, inviteId) {
+  const secret = getInviteSecret();
+  if (!secret) throw new Error("ROOM_INVITE_SECRET is not configured");
+
+  const payload = Buffer.from(`${roomId}:${inviteId}`, "utf8").toString(
+    "base64url"
+  );
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+/**
+ * Verify a token's signature.
+ * @returns {{ roomId: string, inviteId: string } | null}
+ */
+function verifyInviteToken(token) {
+  const secret = getInviteSecret();
+  if (!secret || typeof token !== "string" || token.length > 512) return null;
+
+  const [payload, signature] = token.split(".");
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return null;
+  }
+
+  const decoded = Buffer.from(payload, "base64url").toString("utf8");
+  const separator = decoded.lastIndexOf(":");
+  if (separator <= 0) return null;
+
+  return {
+    roomId: decoded.slice(0, separator),
+    inviteId: decoded.slice(separator + 1),
+  };
+}
+
+/**
+ * Why an invite cannot be redeemed right now, or null if it can.
+ * @param {object} invite - Invite document data
+ * @param {object} options
+ * @param {string} options.email - Email of the redeeming user
+ */
+function getInviteProblem(invite, { email, now = new Date() } = {}) {
+  if (!invite || invite.revoked) return "This invite link has been revoked";
+  if (invite.expiresAt && new Date(invite.expiresAt) <= now) {
+    return "This invite link has expired";
+  }
+  if (invite.maxUses && (invite.uses || 0) >= invite.maxUses) {
+    return "This invite link has already been used";
+  }
+  if (
+    invite.targetEmail &&
+    invite.targetEmail !== String(email || "").toLowerCase()
+  ) {
+    return "This invite link was issued to a different account";
+  }
+  return null;
+}
+
+function isInviteActive(invite, now = new Date()) {
+  if (!invite || invite.revoked) return false;
+  if (invite.expiresAt && new Date(invite.expiresAt) <= now) return false;
+  if (invite.maxUses && (invite.uses || 0) >= invite.maxUses) return false;
+  return true;
+}
+
+/**
+ * Shape an invite document for API responses (never includes the token).
+ */
+function formatInviteResponse(id, data) {
+  return {
+    id,
+    role: data.role || "member",
+    maxUses: data.maxUses || null,
+    uses: data.uses || 0,
+    expiresAt: data.expiresAt || null,
+    targetEmail: data.targetEmail || null,
+    revoked: !!data.revoked,
+    active: isInviteActive(data),
+    createdBy: data.createdBy,
+    createdAt: data.createdAt?.toDate
+      ? data.createdAt.toDate().toISOString()
+      : data.createdAt || null,
+  };
+}
+
+module.exports = {
+  INVITES_SUBCOLLECTION,
+  INVITE_ROLES,
+  getInviteSecret,
+  signInviteToken,
+  verifyInviteToken,
+  getInviteProblem,
+  isInviteActive,
+  formatInviteResponse,
+};
@@ -0,0 +1,210 @@
+// backend/services/markdownService.js
+// Markdown for discussion posts and comments. Source text is rendered once on
+// write into sanitized HTML, stored next to the source (`content_html`) and
+// shown as-is by the frontend.
+//
+// Dialect: GitHub-flavoured markdown (fenced code, inline code, lists, task
+// lists, links, tables, strikethrough) with single newlines kept as line
+// breaks, plus LaTeX math:
+//   inline  $a^2 + b^2$        -> <span class="math-inline">TeX</span>
+//   display $$\sum_i x_i$$     -> <div class="math-block">TeX</div>
+// Math and code are left as escaped text; the browser highlights code blocks
+// (`language-*` classes) and typesets math.
+// Mention tokens (see mentionService.js) become profile links:
+//   @[Ana Cruz](uid)           -> <a class="mention" href="profile.html?uid=uid">@Ana Cruz</a>
+// Raw HTML in the source is shown as text, never interpreted.
+
+const { Marked } = require("marked");
+const sanitizeHtml = require("sanitize-html");
+
+const MAX_POST_LENGTH = 5000;
+const MAX_COMMENT_LENGTH = 3000;
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// $$ ... $$ on its own block (may span lines)
+const mathBlock = {
+  name: "mathBlock",
+  level: "block",
+  start(src) {
+    return src.match(/^\$\$/m)?.index;
+  },
+  tokenizer(src) {
+    const match = /^\$\$([\s\S]+?)\$\$[^\S\n]*(?:\n+|$)/.exec(src);
+    if (!match) return undefined;
+    return { type: "mathBlock", raw: match[0], text: match[1].trim() };
+  },
+  renderer(token) {
+    return `<div class="math-block">${escapeHtml(token.text)}</div>\n`;
+  },
+};
+
+// $ ... $ within a line; "$5 and $10" is not math (no digit right after the
+// closing $, no space just inside the delimiters)
+const mathInline = {
+  name: "mathInline",
+  level: "inline",
+  start(src) {
+    return src.match(/\$/)?.index;
+  },
+  tokenizer(src) {
+    const match = /^\$(?![\s$])((?:\\\$|[^$\n])+?)(?<!\s)\$(?!\d)/.exec(src);
+    if (!match) return undefined;
+    return { type: "mathInline", raw: match[0], text: match[1] };
+  },
+  renderer(token) {
+    return `<span class="math-inline">${escapeHtml(token.text)}</span>`;
+  },
+};
+
+// @[Name](uid), already validated by mentionService.resolveMentions on save
+const mention = {
+  name: "mention",
+  level: "inline",
+  start(src) {
+    return src.match(/@\[/)?.index;
+  },
+  tokenizer(src) {
+    const match = /^@\[([^\]\n]{1,80})\]\(([A-Za-z0-9_-]{1,128})\)/.exec(src);
+    if (!match) return undefined;
+    return { type: "mention", raw: match[0], name: match[1], uid: match[2] };
+  },
+  renderer(token) {
+    return `<a class="mention" href="profile.html?uid=${encodeURIComponent(
+      token.uid
+    )}">@${escapeHtml(token.name)}</a>`;
+  },
+};
+
+const markdown = new Marked({ gfm: true, breaks: true });
+markdown.use({
+  extensions: [mathBlock, mathInline, mention],
+  renderer: {
+    html(token) {
+      return escapeHtml(token.text);
+    },
+  },
+});
+
+const SANITIZE_OPTIONS = {
+  allowedTags: [
+    "p",
+    "br",
+    "hr",
+    "h1",
+    "h2",
+    "h3",
+    "h4",
+    "h5",
+    "h6",
+    "strong",
+    "em",
+    "del",
+    "blockquote",
+    "ul",
+    "ol",
+    "li",
+    "a",
+    "code",
+    "pre",
+    "table",
+    "thead",
+    "tbody",
+    "tr",
+    "th",
+    "td",
+    "span",
+    "div",
+    "input",
+  ],
+  allowedAttributes: {
+    a: ["href", "title", "target", "rel"],
+    ol: ["start"],
+    th: ["align"],
+    td: ["align"],
+    input: ["type", "checked", "disabled"],
+  },
+  allowedClasses: {
+    a: ["mention"],
+    code: ["language-*"],
+    span: ["math-inline"],
+    div: ["math-block"],
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  allowProtocolRelative: false,
+  transformTags: {
+    // External links open safely in a new tab; mentions stay in the app
+    a: (tagName, attribs) =>
+      attribs.class === "mention"
+        ? { tagName, attribs }
+        : {
+            tagName,
+            attribs: {
+              ...attribs,
+              target: "_blank",
+              rel: "noopener noreferrer",
+            },
+          },
+    // Only read-only task list checkboxes
+    input: (tagName, attribs) => ({
+      tagName,
+      attribs: {
+        type: "checkbox",
+        disabled: "",
+        ...(attribs.checked !== undefined ? { checked: "" } : {}),
+      },
+    }),
+  },
+};
+
+// Comments from before markdown support were stored as HTML; this keeps the
+// small set of tags they allowed (backfill-content-html.js only)
+const LEGACY_COMMENT_OPTIONS = {
+  allowedTags: ["b", "i", "em", "strong", "code", "pre", "a", "br", "p"],
+  allowedAttributes: {
+    a: ["href", "target", "rel"],
+  },
+  transformTags: {
+    a: (tagName, attribs) => ({
+      tagName: "a",
+      attribs: {
+        href: attribs.href || "",
+        target: "_blank",
+        rel: "noopener noreferrer",
+      },
+    }),
+  },
+};
+
+/**
+ * Sanitize a pre-markdown comment's stored HTML.
+ * @param {string} html
+ * @returns {string}
+ */
+function sanitizeLegacyHtml(html) {
+  return sanitizeHtml(html || "", LEGACY_COMMENT_OPTIONS);
+}
+
+/**
+ * Render markdown source into sanitized HTML.
+ * @param {string} source
+ * @returns {string}
+ */
+function renderMarkdown(source) {
+  if (!source || typeof source !== "string") return "";
+  return sanitizeHtml(markdown.parse(source), SANITIZE_OPTIONS).trim();
+}
+
+module.exports = {
+  MAX_POST_LENGTH,
+  MAX_COMMENT_LENGTH,
+  renderMarkdown,
+  sanitizeLegacyHtml,
+};
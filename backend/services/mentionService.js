@@ -0,0 +1,88 @@
+// backend/services/mentionService.js
+// @mentions in posts, comments and room chat.
+//
+// Composers insert a mention as a token that carries the user's uid:
+//   @[Display Name](uid)
+// On save the backend checks every token (user exists, allowed in this
+// context, at most MAX_MENTIONS_PER_MESSAGE per message), rewrites valid
+// tokens with the user's current name and turns the rest into plain "@Name"
+// text. The uids of the valid tokens are the message's mentions.
+
+const USERS_COLLECTION = "users";
+const MAX_MENTIONS_PER_MESSAGE = 10;
+const MAX_MENTION_NAME_LENGTH = 80;
+
+// Same shape as the token pattern in frontend/student/scripts/mentions.js
+const MENTION_PATTERN = /@\[([^\]\n]{1,80})\]\(([A-Za-z0-9_-]{1,128})\)/g;
+
+function cleanName(name) {
+  return String(name || "")
+    .replace(/[[\]\n]/g, "")
+    .trim()
+    .substring(0, MAX_MENTION_NAME_LENGTH);
+}
+
+/**
+ * Unique mentioned uids in the order they appear (not validated).
+ * @param {string} text
+ * @returns {string[]}
+ */
+function extractMentionUids(text) {
+  if (!text || typeof text !== "string") return [];
+  const uids = [];
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    if (!uids.includes(match[2])) uids.push(match[2]);
+  }
+  return uids;
+}
+
+/**
+ * Validate the mention tokens in a message.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {string} text
+ * @param {object} [options]
+ * @param {(uid: string) => boolean} [options.isAllowed] - e.g. room participants only
+ * @returns {Promise<{ text: string, mentions: string[] }>}
+ */
+async function resolveMentions(db, text, { isAllowed = null } = {}) {
+  const candidates = extractMentionUids(text).filter(
+    (uid) => !isAllowed || isAllowed(uid)
+  );
+  if (candidates.length === 0) {
+    return { text: toPlainText(text), mentions: [] };
+  }
+
+  const usersRef = db.collection(USERS_COLLECTION);
+  const docs = await db.getAll(
+    ...candidates
+      .slice(0, MAX_MENTIONS_PER_MESSAGE)
+      .map((uid) => usersRef.doc(uid))
+  );
+  const names = new Map();
+  docs.forEach((doc) => {
+    if (doc.exists) names.set(doc.id, cleanName(doc.data().name));
+  });
+
+  const normalized = text.replace(MENTION_PATTERN, (token, name, uid) => {
+    if (!names.has(uid)) return `@${name}`;
+    return `@[${names.get(uid) || cleanName(name)}](${uid})`;
+  });
+  return { text: normalized, mentions: [...names.keys()] };
+}
+
+/**
+ * Message text with mention tokens shown as "@Name" (previews, exports).
+ * @param {string} text
+ * @returns {string}
+ */
+function toPlainText(text) {
+  if (!text || typeof text !== "string") return text || "";
+  return text.replace(MENTION_PATTERN, (token, name) => `@${name}`);
+}
+
+module.exports = {
+  MAX_MENTIONS_PER_MESSAGE,
+  extractMentionUids,
+  resolveMentions,
+  toPlainText,
+};
@@ -0,0 +1,84 @@
+// backend/services/notesService.js
+// Shared room notes: block helpers, markdown export and version snapshots.
+//
+// Notes are edited live by the clients in Firestore, next to the chat:
+//   studyGroups/{roomId}/notesBlocks/{blockId}
+//   {
+//     text,                     // markdown for this block (heading, checklist, code, ...)
+//     order,                    // fractional position; inserts pick a value between neighbours
+//     editingBy, editingName,   // short edit lease so two people never type into one block
+//     editingAt,                // epoch ms the lease was taken / refreshed
+//     updatedBy, updatedAt
+//   }
+//
+// Host snapshots live with the room:
+//   study-groups/{roomId}/noteVersions/{versionId}
+//   { label, blocks: [{ id, text, order }], blockCount, createdBy, createdAt }
+
+const CLIENT_ROOMS_COLLECTION = "studyGroups";
+const NOTES_BLOCKS_SUBCOLLECTION = "notesBlocks";
+const NOTE_VERSIONS_SUBCOLLECTION = "noteVersions";
+
+const MAX_BLOCK_LENGTH = 4000;
+const MAX_BLOCKS = 200;
+const MAX_VERSIONS_PER_ROOM = 50;
+
+function getBlocksRef(db, roomId) {
+  return db
+    .collection(CLIENT_ROOMS_COLLECTION)
+    .doc(roomId)
+    .collection(NOTES_BLOCKS_SUBCOLLECTION);
+}
+
+function toIso(value) {
+  if (!value) return null;
+  if (typeof value.toDate === "function") return value.toDate().toISOString();
+  if (typeof value === "number") return new Date(value).toISOString();
+  return String(value);
+}
+
+/**
+ * Ordered, trimmed copy of block documents suitable for a snapshot.
+ * @param {object[]} docs - [{ id, text, order }]
+ */
+function normalizeBlocks(docs) {
+  return docs
+    .map((doc) => ({
+      id: doc.id,
+      text: String(doc.text || "").substring(0, MAX_BLOCK_LENGTH),
+      order: typeof doc.order === "number" ? doc.order : 0,
+    }))
+    .sort((a, b) => a.order - b.order)
+    .slice(0, MAX_BLOCKS);
+}
+
+function blocksToMarkdown(blocks) {
+  return blocks
+    .map((block) => block.text || "")
+    .filter((text) => text.trim().length > 0)
+    .join("\n\n");
+}
+
+function formatVersionResponse(id, data) {
+  return {
+    id,
+    label: data.label || "",
+    blockCount: data.blockCount || (data.blocks || []).length,
+    createdBy: data.createdBy || null,
+    createdByName: data.createdByName || null,
+    createdAt: toIso(data.createdAt),
+  };
+}
+
+module.exports = {
+  CLIENT_ROOMS_COLLECTION,
+  NOTES_BLOCKS_SUBCOLLECTION,
+  NOTE_VERSIONS_SUBCOLLECTION,
+  MAX_BLOCK_LENGTH,
+  MAX_BLOCKS,
+  MAX_VERSIONS_PER_ROOM,
+  getBlocksRef,
+  normalizeBlocks,
+  blocksToMarkdown,
+  formatVersionResponse,
+};
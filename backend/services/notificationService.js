@@ -9,8 +9,17 @@ const db = admin.firestore();
  * - room_join: Someone joined your study room
  * - room_leave: Someone left your study room
  * - room_invite: You received a room invite
- * - topic_post: Someone created a post in your topic
- * - post_comment: Someone commented on your post
+ * - session_reminder: A scheduled study session is about to start
+ * - room_role: Your role in a study room changed (co-host, owner, ...)
+ * - room_join_request: (Room hosts) Someone asked to join your room
+ * - room_join_request_result: Your join request was approved or denied
+ * - room_announcement: A room host posted an announcement
+ * - room_archive_warning: (Room owner) Your inactive room will be archived soon
+ * - room_archived: (Room owner) Your room was archived
+ * - topic_post: Someone created a post in a topic you follow
+ * - post_comment: Someone commented on a post you follow
+ * - answer_accepted: Your answer was accepted in a question topic
+ * - mention: Someone @mentioned you in a post, comment or room chat
  * - report_status: Your report status was updated
  * - admin_new_report: (Admin) New report submitted
  * - admin_new_user: (Admin) New user registered
@@ -20,8 +29,17 @@ const NOTIFICATION_TYPES = {
   ROOM_JOIN: "room_join",
   ROOM_LEAVE: "room_leave",
   ROOM_INVITE: "room_invite",
+  SESSION_REMINDER: "session_reminder",
+  ROOM_ROLE: "room_role",
+  ROOM_JOIN_REQUEST: "room_join_request",
+  ROOM_JOIN_REQUEST_RESULT: "room_join_request_result",
+  ROOM_ANNOUNCEMENT: "room_announcement",
+  ROOM_ARCHIVE_WARNING: "room_archive_warning",
+  ROOM_ARCHIVED: "room_archived",
   TOPIC_POST: "topic_post",
   POST_COMMENT: "post_comment",
+  ANSWER_ACCEPTED: "answer_accepted",
+  MENTION: "mention",
   REPORT_STATUS: "report_status",
   ADMIN_NEW_REPORT: "admin_new_report",
   ADMIN_NEW_USER: "admin_new_user",
@@ -37,6 +55,8 @@ const NOTIFICATION_TYPES = {
  * @param {object} options.data - Additional data (roomId, postId, etc.)
  * @param {string} options.icon - Icon type (info, success, warning, user, comment, etc.)
  * @param {string} options.link - Optional link to navigate to
+ * @param {string} options.dedupeKey - Optional; at most one notification per
+ *   user and key (e.g. one mention notification per message, even after edits)
  */
 async function createNotification(userId, options) {
   try {
@@ -52,6 +72,7 @@ async function createNotification(userId, options) {
       data = {},
       icon = "info",
       link = "",
+      dedupeKey = null,
     } = options;
 
     const notification = {
@@ -67,7 +88,19 @@ async function createNotification(userId, options) {
       createdAtISO: new Date().toISOString(),
     };
 
-    const docRef = await db.collection("notifications").add(notification);
+    let docRef;
+    if (dedupeKey) {
+      docRef = db.collection("notifications").doc(`${dedupeKey}_${userId}`);
+      try {
+        await docRef.create(notification);
+      } catch (err) {
+        // 6 = ALREADY_EXISTS: this user was already notified for this key
+        if (err && err.code === 6) return null;
+        throw err;
+      }
+    } else {
+      docRef = await db.collection("notifications").add(notification);
+    }
     console.log(
       `[notifications] Created notification ${docRef.id} for user ${userId}: ${type}`
     );
@@ -287,53 +320,253 @@ async function notifyRoomLeave(roomOwnerId, leaverName, roomName, roomId) {
 /**
  * Notify user when they receive a room invite
  */
-async function notifyRoomInvite(invitedUserId, inviterName, roomName, roomId) {
+async function notifyRoomInvite(
+  invitedUserId,
+  inviterName,
+  roomName,
+  roomId,
+  inviteLink = ""
+) {
   return createNotification(invitedUserId, {
     type: NOTIFICATION_TYPES.ROOM_INVITE,
     title: "Room invite received",
     message: `${inviterName} invited you to "${roomName}"`,
     icon: "mail",
-    link: `/student/pages/study-rooms.html`,
+    link: inviteLink || `/student/pages/study-rooms.html`,
     data: { roomId, inviterName, roomName },
   });
 }
 
 /**
- * Notify topic owner when someone creates a post
+ * Remind room participants that a scheduled session starts soon
+ */
+async function notifySessionReminder(
+  userIds,
+  sessionTitle,
+  roomName,
+  roomId,
+  sessionId,
+  startTime
+) {
+  const minutesLeft = Math.max(
+    0,
+    Math.round((new Date(startTime).getTime() - Date.now()) / 60000)
+  );
+  return createBulkNotifications(userIds, {
+    type: NOTIFICATION_TYPES.SESSION_REMINDER,
+    title: "Study session starting soon",
+    message: `"${sessionTitle}" in "${roomName}" starts in ${minutesLeft} minute${
+      minutesLeft === 1 ? "" : "s"
+    }`,
+    icon: "calendar",
+    link: `/student/pages/study-room-inside.html?room=${roomId}`,
+    data: { roomId, sessionId, sessionTitle, roomName, startTime },
+  });
+}
+
+/**
+ * Notify a participant that their role in a room changed
+ */
+async function notifyRoomRoleChange(userId, role, roomName, roomId) {
+  const messages = {
+    owner: `You are now the owner of "${roomName}"`,
+    "co-host": `You are now a co-host of "${roomName}"`,
+    member: `You are no longer a co-host of "${roomName}"`,
+  };
+  return createNotification(userId, {
+    type: NOTIFICATION_TYPES.ROOM_ROLE,
+    title: "Your room role changed",
+    message: messages[role] || `Your role in "${roomName}" changed`,
+    icon: "star",
+    link: `/student/pages/study-room-inside.html?room=${roomId}`,
+    data: { roomId, roomName, role },
+  });
+}
+
+/**
+ * Notify room hosts that someone is waiting for approval to join
+ */
+async function notifyJoinRequest(hostIds, requesterName, roomName, roomId) {
+  return createBulkNotifications(hostIds, {
+    type: NOTIFICATION_TYPES.ROOM_JOIN_REQUEST,
+    title: "New join request",
+    message: `${requesterName} wants to join "${roomName}"`,
+    icon: "user-plus",
+    link: `/student/pages/study-room-inside.html?room=${roomId}`,
+    data: { roomId, requesterName, roomName },
+  });
+}
+
+/**
+ * Tell a requester whether their join request was approved
+ */
+async function notifyJoinRequestResult(userId, approved, roomName, roomId) {
+  return createNotification(userId, {
+    type: NOTIFICATION_TYPES.ROOM_JOIN_REQUEST_RESULT,
+    title: approved ? "Join request approved" : "Join request declined",
+    message: approved
+      ? `You can now enter "${roomName}"`
+      : `Your request to join "${roomName}" was declined`,
+    icon: approved ? "check-circle" : "x-circle",
+    link: approved
+      ? `/student/pages/study-room-inside.html?room=${roomId}`
+      : `/student/pages/study-rooms.html`,
+    data: { roomId, roomName, approved },
+  });
+}
+
+/**
+ * Warn a room owner that their inactive room is about to be archived
+ */
+async function notifyRoomArchiveWarning(ownerId, roomName, roomId, archiveAt) {
+  const date = new Date(archiveAt).toDateString();
+  return createNotification(ownerId, {
+    type: NOTIFICATION_TYPES.ROOM_ARCHIVE_WARNING,
+    title: "Your room will be archived soon",
+    message: `"${roomName}" has been inactive and will be archived on ${date}. Any chat activity keeps it open.`,
+    icon: "alert-triangle",
+    link: `/student/pages/study-room-inside.html?room=${roomId}`,
+    data: { roomId, roomName, archiveAt },
+  });
+}
+
+/**
+ * Tell a room owner their room was archived (read-only until unarchived)
+ */
+async function notifyRoomArchived(ownerId, roomName, roomId, reason) {
+  return createNotification(ownerId, {
+    type: NOTIFICATION_TYPES.ROOM_ARCHIVED,
+    title: "Room archived",
+    message:
+      reason === "inactive"
+        ? `"${roomName}" was archived after a period of inactivity. You can unarchive it from the room.`
+        : `"${roomName}" was archived and is now read-only`,
+    icon: "info",
+    link: `/student/pages/study-room-inside.html?room=${roomId}`,
+    data: { roomId, roomName, reason },
+  });
+}
+
+/**
+ * Tell room participants about a new host announcement
+ */
+async function notifyRoomAnnouncement(
+  userIds,
+  authorName,
+  text,
+  roomName,
+  roomId,
+  announcementId
+) {
+  const preview = text.length > 100 ? `${text.slice(0, 100)}…` : text;
+  return createBulkNotifications(userIds, {
+    type: NOTIFICATION_TYPES.ROOM_ANNOUNCEMENT,
+    title: `Announcement in "${roomName}"`,
+    message: `${authorName}: ${preview}`,
+    icon: "megaphone",
+    link: `/student/pages/study-room-inside.html?room=${roomId}`,
+    data: { roomId, roomName, announcementId, authorName },
+  });
+}
+
+/**
+ * Notify a topic's followers about a new post
+ * @param {string[]} subscriberIds - Unmuted followers (the poster is skipped)
  */
 async function notifyTopicPost(
-  topicOwnerId,
+  subscriberIds,
+  posterUid,
   posterName,
   topicTitle,
   topicId,
   postId
 ) {
-  return createNotification(topicOwnerId, {
+  const recipients = (subscriberIds || []).filter((uid) => uid !== posterUid);
+  if (recipients.length === 0) return [];
+  return createBulkNotifications(recipients, {
     type: NOTIFICATION_TYPES.TOPIC_POST,
-    title: "New post in your topic",
+    title: "New post in a topic you follow",
     message: `${posterName} created a post in "${topicTitle}"`,
     icon: "file-text",
-    link: `/student/pages/post.html?id=${postId}`,
+    link: `/student/pages/post.html?topic=${topicId}&post=${postId}`,
     data: { topicId, postId, posterName, topicTitle },
   });
 }
 
 /**
- * Notify post owner when someone comments
+ * Notify a post's followers about a new comment
+ * @param {string[]} subscriberIds - Unmuted followers (the commenter is skipped)
  */
 async function notifyPostComment(
-  postOwnerId,
+  subscriberIds,
+  commenterUid,
   commenterName,
   postTitle,
+  topicId,
   postId
 ) {
-  return createNotification(postOwnerId, {
+  const recipients = (subscriberIds || []).filter(
+    (uid) => uid !== commenterUid
+  );
+  if (recipients.length === 0) return [];
+  return createBulkNotifications(recipients, {
     type: NOTIFICATION_TYPES.POST_COMMENT,
-    title: "New comment on your post",
+    title: "New comment on a post you follow",
     message: `${commenterName} commented on "${postTitle}"`,
     icon: "message-circle",
-    link: `/student/pages/post.html?id=${postId}`,
-    data: { postId, commenterName, postTitle },
+    link: `/student/pages/post.html?topic=${topicId}&post=${postId}`,
+    data: { topicId, postId, commenterName, postTitle },
+  });
+}
+
+/**
+ * Notify an answer's author that the asker accepted it
+ */
+async function notifyAnswerAccepted(
+  answerAuthorId,
+  topicTitle,
+  topicId,
+  postId
+) {
+  return createNotification(answerAuthorId, {
+    type: NOTIFICATION_TYPES.ANSWER_ACCEPTED,
+    title: "Your answer was accepted",
+    message: `Your answer to "${topicTitle}" was marked as the accepted answer`,
+    icon: "check-circle",
+    link: `/student/pages/post.html?topic=${topicId}&post=${postId}`,
+    data: { topicId, postId, topicTitle },
+  });
+}
+
+/**
+ * Notify users mentioned in a post, comment or chat message
+ * @param {string[]} userIds - Mentioned users (the author is skipped)
+ * @param {string} mentionerUid
+ * @param {string} mentionerName
+ * @param {object} context
+ * @param {string} context.where - e.g. `"Calculus" chat`, `a post in "Exams"`
+ * @param {string} context.text - Message text (plain, mention tokens removed)
+ * @param {string} context.link
+ * @param {string} context.messageKey - Stable id of the message (deduplication)
+ * @param {object} context.data - Extra ids (roomId, topicId, postId, ...)
+ */
+async function notifyMentions(
+  userIds,
+  mentionerUid,
+  mentionerName,
+  { where, text, link, messageKey, data = {} }
+) {
+  const recipients = (userIds || []).filter((uid) => uid !== mentionerUid);
+  if (recipients.length === 0) return [];
+  const preview = text.length > 100 ? `${text.slice(0, 100)}…` : text;
+  return createBulkNotifications(recipients, {
+    type: NOTIFICATION_TYPES.MENTION,
+    title: `${mentionerName} mentioned you`,
+    message: `In ${where}: ${preview}`,
+    icon: "at-sign",
+    link,
+    data: { ...data, mentionerUid, mentionerName },
+    dedupeKey: `mention_${messageKey}`,
   });
 }
 
@@ -393,8 +626,17 @@ module.exports = {
   notifyRoomJoin,
   notifyRoomLeave,
   notifyRoomInvite,
+  notifySessionReminder,
+  notifyRoomRoleChange,
+  notifyJoinRequest,
+  notifyJoinRequestResult,
+  notifyRoomArchiveWarning,
+  notifyRoomArchived,
+  notifyRoomAnnouncement,
   notifyTopicPost,
   notifyPostComment,
+  notifyAnswerAccepted,
+  notifyMentions,
   notifyReportStatus,
   notifyAdminsNewReport,
   notifyAdminsNewUser,
@@ -0,0 +1,148 @@
+// backend/services/postVoteService.js
+// Up/down votes on answers (posts in "question" topics).
+// One row per user and post in the Supabase "post_votes" table, the same way
+// post_likes stores likes; scores are always counted from the table, summed
+// in Postgres by the post_vote_summary() function (one row per post, so the
+// API row cap never cuts votes off).
+//
+//   post_votes = { post_id, user_id, value: 1 | -1, created_at }
+//   unique (post_id, user_id)
+
+const supabase = require("../config/supabase");
+
+const TABLE = "post_votes";
+const QUESTION_CATEGORY = "question";
+
+function isQuestionTopic(topicRow) {
+  if (!topicRow) return false;
+  const category =
+    (topicRow.metadata && topicRow.metadata.category) || topicRow.category;
+  return String(category || "").toLowerCase() === QUESTION_CATEGORY;
+}
+
+/**
+ * Score and vote counts per post (posts without votes are left out).
+ * @param {Array<string|number>} postIds
+ * @returns {Promise<Object<string, { score, upvotes, downvotes }>>}
+ */
+async function getVoteSummary(postIds) {
+  const summary = {};
+  if (!postIds || postIds.length === 0) return summary;
+
+  const { data, error } = await supabase.rpc("post_vote_summary", {
+    post_ids: postIds,
+  });
+  if (error) throw error;
+
+  (data || []).forEach((row) => {
+    const upvotes = Number(row.upvotes) || 0;
+    const downvotes = Number(row.downvotes) || 0;
+    summary[String(row.post_id)] = {
+      score: upvotes - downvotes,
+      upvotes,
+      downvotes,
+    };
+  });
+  return summary;
+}
+
+/**
+ * The user's vote per post: 1, -1 (posts the user did not vote on are left out).
+ */
+async function getUserVotes(uid, postIds) {
+  const votes = {};
+  if (!uid || !postIds || postIds.length === 0) return votes;
+
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select("post_id, value")
+    .eq("user_id", uid)
+    .in("post_id", postIds);
+  if (error) throw error;
+
+  (data || []).forEach((vote) => {
+    votes[String(vote.post_id)] = vote.value > 0 ? 1 : -1;
+  });
+  return votes;
+}
+
+/**
+ * Vote on a post. Repeating the current vote removes it (like un-liking).
+ * @param {string} uid
+ * @param {string} postId
+ * @param {1|-1} value
+ * @returns {Promise<1|-1|0>} the user's vote afterwards
+ */
+async function castVote(uid, postId, value) {
+  const { data: existing, error: checkErr } = await supabase
+    .from(TABLE)
+    .select("value")
+    .eq("post_id", postId)
+    .eq("user_id", uid)
+    .maybeSingle();
+  if (checkErr) throw checkErr;
+
+  if (existing && existing.value === value) {
+    const { error } = await supabase
+      .from(TABLE)
+      .delete()
+      .eq("post_id", postId)
+      .eq("user_id", uid);
+    if (error) throw error;
+    return 0;
+  }
+
+  if (existing) {
+    const { error } = await supabase
+      .from(TABLE)
+      .update({ value })
+      .eq("post_id", postId)
+      .eq("user_id", uid);
+    if (error) throw error;
+    return value;
+  }
+
+  const { error } = await supabase.from(TABLE).insert([
+    {
+      post_id: postId,
+      user_id: uid,
+      value,
+      created_at: new Date().toISOString(),
+    },
+  ]);
+  if (error) throw error;
+  return value;
+}
+
+async function removePostVotes(postId) {
+  const { error } = await supabase.from(TABLE).delete().eq("post_id", postId);
+  if (error) throw error;
+}
+
+/**
+ * Answers first by accepted, then score, then oldest (mutates and returns posts).
+ * @param {Array<{ id, score, created }>} posts
+ * @param {string|number|null} acceptedPostId
+ */
+function sortAnswers(posts, acceptedPostId) {
+  const accepted = acceptedPostId == null ? null : String(acceptedPostId);
+  return posts.sort((a, b) => {
+    if (accepted) {
+      if (String(a.id) === accepted) return -1;
+      if (String(b.id) === accepted) return 1;
+    }
+    if ((b.score || 0) !== (a.score || 0))
+      return (b.score || 0) - (a.score || 0);
+    return new Date(a.created || 0) - new Date(b.created || 0);
+  });
+}
+
+module.exports = {
+  QUESTION_CATEGORY,
+  isQuestionTopic,
+  getVoteSummary,
+  getUserVotes,
+  castVote,
+  removePostVotes,
+  sortAnswers,
+};
@@ -0,0 +1,491 @@
+// backend/services/recommendationService.js
+// "Recommended for you" on the dashboard: public rooms, discussion topics and
+// study partners, each with the reasons it was suggested.
+//
+// Signals:
+//   - profile: program (course code), yearLevel, specialization (users/{uid})
+//   - rooms the user is in, and the people they share them with ("study buddies")
+//   - topics the user posted in (Supabase posts / topics: tags + category)
+//   - resources they downloaded (resourceDownloads -> resources: tags + category)
+
+const supabase = require("../config/supabase");
+const { ROOMS_COLLECTION, isBanned } = require("./roomAccessService");
+const roomCatalog = require("./roomCatalogService");
+
+const MAX_RESULTS = 6;
+const MAX_DOWNLOADS = 100;
+const MAX_POSTS = 200;
+const MAX_CANDIDATE_TOPICS = 200;
+const MAX_CANDIDATE_ROOMS = 200;
+const MAX_PARTNER_CANDIDATES = 150;
+const MAX_REASON_TERMS = 3;
+const INTEREST_SOURCES = {
+  specialization: "your specialization",
+  topics: "topics you posted in",
+  resources: "resources you downloaded",
+};
+
+function normalizeTerm(value) {
+  return String(value || "")
+    .trim()
+    .replace(/^#+/, "")
+    .toLowerCase()
+    .replace(/\s+/g, "-");
+}
+
+// "2nd Year" / "2" / "Second year" -> 2 (null when unknown)
+function yearNumber(value) {
+  const text = String(value || "").toLowerCase();
+  const digit = text.match(/[1-6]/);
+  if (digit) return Number(digit[0]);
+  const words = ["first", "second", "third", "fourth", "fifth"];
+  const index = words.findIndex((w) => text.includes(w));
+  return index === -1 ? null : index + 1;
+}
+
+function sameText(a, b) {
+  return (
+    !!a &&
+    !!b &&
+    String(a).trim().toLowerCase() === String(b).trim().toLowerCase()
+  );
+}
+
+function listTerms(terms) {
+  return terms
+    .slice(0, MAX_REASON_TERMS)
+    .map((t) => `#${t}`)
+    .join(", ");
+}
+
+/**
+ * Interest terms with where each one came from.
+ * @returns {Map<string, string>} term -> key of INTEREST_SOURCES
+ */
+function buildInterests({ specialization, postedTopics, downloadedResources }) {
+  const interests = new Map();
+  const add = (value, source) => {
+    const term = normalizeTerm(value);
+    if (term.length >= 2 && !interests.has(term)) interests.set(term, source);
+  };
+
+  if (specialization) {
+    add(specialization, "specialization");
+    specialization
+      .split(/[\s,/&]+/)
+      .filter((word) => word.length >= 4)
+      .forEach((word) => add(word, "specialization"));
+  }
+  postedTopics.forEach((topic) => {
+    (topic.tags || []).forEach((tag) => add(tag, "topics"));
+    add(topic.category, "topics");
+  });
+  downloadedResources.forEach((resource) => {
+    (resource.tags || []).forEach((tag) => add(tag, "resources"));
+    add(resource.category, "resources");
+  });
+  return interests;
+}
+
+// Interest matches grouped by source -> reasons like "Matches #java from ..."
+function interestReasons(terms, interests, prefix) {
+  const bySource = new Map();
+  terms.forEach((term) => {
+    const source = interests.get(term);
+    if (!source) return;
+    if (!bySource.has(source)) bySource.set(source, []);
+    bySource.get(source).push(term);
+  });
+  return Array.from(bySource.entries()).map(
+    ([source, matched]) =>
+      `${prefix} ${listTerms(matched)}, like ${INTEREST_SOURCES[source]}`
+  );
+}
+
+function roomTerms(room) {
+  const subjectWords = String(room.subject || "")
+    .split(/\s+/)
+    .filter((word) => word.length >= 4);
+  return [
+    ...new Set(
+      [...(room.tags || []), room.subject, ...subjectWords]
+        .map(normalizeTerm)
+        .filter(Boolean)
+    ),
+  ];
+}
+
+function topicTerms(topic) {
+  return [
+    ...new Set(
+      [...(topic.tags || []), topic.category].map(normalizeTerm).filter(Boolean)
+    ),
+  ];
+}
+
+function byScore(a, b) {
+  return b.score - a.score || (b.popularity || 0) - (a.popularity || 0);
+}
+
+/**
+ * Joinable (active, unarchived) public rooms the user is not in yet.
+ * @param {object[]} rooms - room documents (with id)
+ */
+function recommendRooms(rooms, { uid, profile, interests, buddyIds }) {
+  const program = profile.program;
+  const year = yearNumber(profile.yearLevel);
+
+  return rooms
+    .filter(
+      (room) =>
+        roomCatalog.isListed(room) &&
+        (room.privacy || "public") === "public" &&
+        !(room.participants || []).includes(uid) &&
+        !isBanned(room, uid)
+    )
+    .map((room) => {
+      const reasons = [];
+      let score = 0;
+
+      if (sameText(room.courseCode, program)) {
+        score += 3;
+        reasons.push(`For ${room.courseCode} students like you`);
+      }
+      if (year && yearNumber(room.yearLevel) === year) {
+        score += 2;
+        reasons.push(`Set for ${room.yearLevel}`);
+      }
+
+      const matched = roomTerms(room).filter((term) => interests.has(term));
+      if (matched.length > 0) {
+        score += 2 * Math.min(matched.length, MAX_REASON_TERMS);
+        reasons.push(...interestReasons(matched, interests, "Matches"));
+      }
+
+      const buddies = (room.participants || []).filter((p) =>
+        buddyIds.has(p)
+      ).length;
+      if (buddies > 0) {
+        score += 1.5 * Math.min(buddies, 3);
+        reasons.push(
+          buddies === 1
+            ? "Someone you study with is a member"
+            : `${buddies} people you study with are members`
+        );
+      }
+
+      return {
+        id: room.id,
+        name: room.name,
+        description: room.description || "",
+        subject: room.subject || null,
+        courseCode: room.courseCode || null,
+        yearLevel: room.yearLevel || null,
+        tags: room.tags || [],
+        participantCount: (room.participants || []).length,
+        joinMode: room.joinMode || "open",
+        score,
+        popularity: (room.participants || []).length,
+        reasons,
+      };
+    })
+    .filter((room) => room.score > 0)
+    .sort(byScore)
+    .slice(0, MAX_RESULTS);
+}
+
+/**
+ * Discussion topics the user has not posted in.
+ * @param {object} buddyPostCounts - { [topicId]: number of study buddies who posted }
+ */
+function recommendTopics(
+  topics,
+  { uid, postedTopicIds, interests, buddyPostCounts }
+) {
+  return topics
+    .filter((topic) => topic.author_id !== uid && !postedTopicIds.has(topic.id))
+    .map((topic) => {
+      const reasons = [];
+      let score = 0;
+
+      const matched = topicTerms(topic).filter((term) => interests.has(term));
+      if (matched.length > 0) {
+        score += 2 * Math.min(matched.length, MAX_REASON_TERMS);
+        reasons.push(...interestReasons(matched, interests, "Tagged"));
+      }
+
+      const buddies = buddyPostCounts[topic.id] || 0;
+      if (buddies > 0) {
+        score += 1.5 * Math.min(buddies, 3);
+        reasons.push(
+          buddies === 1
+            ? "Someone you study with posted here"
+            : `${buddies} people you study with posted here`
+        );
+      }
+
+      return {
+        id: topic.id,
+        title: topic.title,
+        category: topic.category || null,
+        tags: topic.tags || [],
+        postCount: topic.post_count || 0,
+        score,
+        popularity: topic.post_count || 0,
+        reasons,
+      };
+    })
+    .filter((topic) => topic.score > 0)
+    .sort(byScore)
+    .slice(0, MAX_RESULTS);
+}
+
+/**
+ * Other students to study with.
+ * @param {object[]} users - user documents (with id)
+ * @param {Map<string, string[]>} sharedRooms - uid -> names of rooms shared with the user
+ */
+function recommendPartners(users, { uid, profile, sharedRooms }) {
+  const year = yearNumber(profile.yearLevel);
+
+  return users
+    .filter((user) => user.id !== uid && user.isBanned !== true)
+    .map((user) => {
+      const reasons = [];
+      let score = 0;
+
+      const rooms = sharedRooms.get(user.id) || [];
+      if (rooms.length > 0) {
+        score += 2 * Math.min(rooms.length, 3);
+        reasons.push(
+          rooms.length === 1
+            ? `Also in ${rooms[0]}`
+            : `In ${rooms.length} of your rooms`
+        );
+      }
+
+      const sameProgram = sameText(user.program, profile.program);
+      const sameYear = !!year && yearNumber(user.yearLevel) === year;
+      if (sameProgram) score += 2;
+      if (sameYear && sameProgram) score += 1;
+      if (sameProgram) {
+        reasons.push(
+          sameYear
+            ? `Also ${user.program} · ${user.yearLevel}`
+            : `Also ${user.program}`
+        );
+      }
+
+      if (sameText(user.specialization, profile.specialization)) {
+        score += 2;
+        reasons.push(`Also specializing in ${user.specialization}`);
+      }
+
+      return {
+        uid: user.id,
+        name: user.name || "Student",
+        program: user.program || "",
+        yearLevel: user.yearLevel || "",
+        avatar: user.avatar || (user.name ? user.name[0].toUpperCase() : ""),
+        photo: user.photo || "",
+        score,
+        popularity: rooms.length,
+        reasons,
+      };
+    })
+    .filter((user) => user.score > 0)
+    .sort(byScore)
+    .slice(0, MAX_RESULTS);
+}
+
+// ===== Data loading =====
+
+async function getAllDocs(db, collection, ids) {
+  const unique = [...new Set(ids)].filter(Boolean);
+  if (unique.length === 0) return [];
+  const refs = unique.map((id) => db.collection(collection).doc(id));
+  const docs = [];
+  for (let i = 0; i < refs.length; i += 100) {
+    const snapshots = await db.getAll(...refs.slice(i, i + 100));
+    snapshots.forEach((doc) => {
+      if (doc.exists) docs.push({ id: doc.id, ...doc.data() });
+    });
+  }
+  return docs;
+}
+
+// Supabase is optional for recommendations: failures only drop topic signals
+async function loadPostedTopics(uid) {
+  try {
+    const { data: posts, error } = await supabase
+      .from("posts")
+      .select("topic_id")
+      .eq("author_id", uid)
+      .limit(MAX_POSTS);
+    if (error) throw error;
+    const topicIds = [...new Set((posts || []).map((p) => p.topic_id))];
+    if (topicIds.length === 0) return { topicIds: new Set(), topics: [] };
+
+    const { data: topics, error: topicsError } = await supabase
+      .from("topics")
+      .select("id, title, category, tags")
+      .in("id", topicIds);
+    if (topicsError) throw topicsError;
+    return { topicIds: new Set(topicIds), topics: topics || [] };
+  } catch (err) {
+    console.warn(
+      "[recommendations] Could not load posted topics:",
+      err.message
+    );
+    return { topicIds: new Set(), topics: [] };
+  }
+}
+
+async function loadCandidateTopics(buddyIds) {
+  try {
+    const { data: topics, error } = await supabase
+      .from("topics")
+      .select("id, title, category, tags, author_id, post_count")
+      .order("post_count", { ascending: false })
+      .limit(MAX_CANDIDATE_TOPICS);
+    if (error) throw error;
+
+    const buddyPostCounts = {};
+    if (buddyIds.size > 0) {
+      const { data: posts, error: postsError } = await supabase
+        .from("posts")
+        .select("topic_id, author_id")
+        .in("author_id", Array.from(buddyIds).slice(0, 100))
+        .limit(MAX_POSTS * 2);
+      if (postsError) throw postsError;
+      const seen = new Set();
+      (posts || []).forEach((post) => {
+        const key = `${post.topic_id}:${post.author_id}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        buddyPostCounts[post.topic_id] =
+          (buddyPostCounts[post.topic_id] || 0) + 1;
+      });
+    }
+    return { topics: topics || [], buddyPostCounts };
+  } catch (err) {
+    console.warn("[recommendations] Could not load topics:", err.message);
+    return { topics: [], buddyPostCounts: {} };
+  }
+}
+
+async function loadDownloadedResources(db, uid) {
+  const snapshot = await db
+    .collection("resourceDownloads")
+    .where("userId", "==", uid)
+    .limit(MAX_DOWNLOADS)
+    .get();
+  const resourceIds = snapshot.docs.map((doc) => doc.data().resourceId);
+  return getAllDocs(db, "resources", resourceIds);
+}
+
+/**
+ * Build all recommendations for a user.
+ * @returns {Promise<{ rooms, topics, partners, basedOn }>}
+ */
+async function getRecommendations(db, uid) {
+  const roomsRef = db.collection(ROOMS_COLLECTION);
+  const [
+    userDoc,
+    ownRoomsSnapshot,
+    listedSnapshot,
+    downloadedResources,
+    posted,
+  ] = await Promise.all([
+    db.collection("users").doc(uid).get(),
+    roomsRef.where("participants", "array-contains", uid).get(),
+    // Most recently active joinable public rooms (same index as the room list)
+    roomsRef
+      .where("isActive", "==", true)
+      .where("archived", "==", false)
+      .where("privacy", "==", "public")
+      .orderBy("lastActivityAt", "desc")
+      .limit(MAX_CANDIDATE_ROOMS)
+      .get(),
+    loadDownloadedResources(db, uid),
+    loadPostedTopics(uid),
+  ]);
+
+  const data = userDoc.exists ? userDoc.data() : {};
+  const profile = {
+    program: data.program || "",
+    yearLevel: data.yearLevel || "",
+    specialization: data.specialization || "",
+  };
+  const toRoom = (doc) => ({ id: doc.id, ...doc.data() });
+  const candidateRooms = listedSnapshot.docs.map(toRoom);
+
+  // Study buddies: people in the same rooms (with the shared room names)
+  const sharedRooms = new Map();
+  ownRoomsSnapshot.docs.map(toRoom).forEach((room) => {
+    room.participants.forEach((p) => {
+      if (p === uid) return;
+      if (!sharedRooms.has(p)) sharedRooms.set(p, []);
+      sharedRooms.get(p).push(room.name || "a study room");
+    });
+  });
+  const buddyIds = new Set(sharedRooms.keys());
+
+  const interests = buildInterests({
+    specialization: profile.specialization,
+    postedTopics: posted.topics,
+    downloadedResources,
+  });
+
+  // Partner candidates: study buddies plus classmates from the same program
+  const candidateIds = Array.from(buddyIds).slice(0, MAX_PARTNER_CANDIDATES);
+  const [buddyUsers, classmatesSnapshot, candidateTopics] = await Promise.all([
+    getAllDocs(db, "users", candidateIds),
+    profile.program
+      ? db
+          .collection("users")
+          .where("program", "==", profile.program)
+          .limit(MAX_PARTNER_CANDIDATES)
+          .get()
+      : null,
+    loadCandidateTopics(buddyIds),
+  ]);
+  const partnerCandidates = new Map(buddyUsers.map((u) => [u.id, u]));
+  (classmatesSnapshot?.docs || []).forEach((doc) => {
+    if (!partnerCandidates.has(doc.id)) {
+      partnerCandidates.set(doc.id, { id: doc.id, ...doc.data() });
+    }
+  });
+
+  return {
+    rooms: recommendRooms(candidateRooms, {
+      uid,
+      profile,
+      interests,
+      buddyIds,
+    }),
+    topics: recommendTopics(candidateTopics.topics, {
+      uid,
+      postedTopicIds: posted.topicIds,
+      interests,
+      buddyPostCounts: candidateTopics.buddyPostCounts,
+    }),
+    partners: recommendPartners(Array.from(partnerCandidates.values()), {
+      uid,
+      profile,
+      sharedRooms,
+    }),
+    basedOn: {
+      ...profile,
+      interests: Array.from(interests.keys()).slice(0, 10),
+    },
+  };
+}
+
+module.exports = {
+  buildInterests,
+  recommendRooms,
+  recommendTopics,
+  recommendPartners,
+  getRecommendations,
+};
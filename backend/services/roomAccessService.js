@@ -0,0 +1,146 @@
+// backend/services/roomAccessService.js
+// Shared room lookup + permission helpers (membership and room roles) so
+// study-groups.js and its sub-resources check access the same way.
+
+const admin = require("../config/firebase-admin");
+
+const ROOMS_COLLECTION = "study-groups";
+
+function getRoomRef(roomId) {
+  return admin.firestore().collection(ROOMS_COLLECTION).doc(roomId);
+}
+
+/**
+ * Load a room document.
+ * @returns {Promise<object|null>} room data (with id) or null if missing
+ */
+async function getRoom(roomId) {
+  if (!roomId || typeof roomId !== "string") return null;
+  const doc = await getRoomRef(roomId).get();
+  if (!doc.exists) return null;
+  return { id: doc.id, ...doc.data() };
+}
+
+// ===== Room roles =====
+// The owner is always `creator`. Other elevated roles live in the room's
+// `roles` map ({ [uid]: "co-host" }); everyone else in participants is a member.
+const ROOM_ROLES = {
+  OWNER: "owner",
+  CO_HOST: "co-host",
+  MEMBER: "member",
+};
+
+function isParticipant(roomData, uid) {
+  if (!roomData || !uid) return false;
+  return (roomData.participants || []).includes(uid);
+}
+
+/**
+ * Role of a user inside a room.
+ * @returns {string|null} one of ROOM_ROLES, or null if not in the room
+ */
+function getRoomRole(roomData, uid) {
+  if (!roomData || !uid) return null;
+  if (roomData.creator === uid) return ROOM_ROLES.OWNER;
+  if (!isParticipant(roomData, uid)) return null;
+  if ((roomData.roles || {})[uid] === ROOM_ROLES.CO_HOST) {
+    return ROOM_ROLES.CO_HOST;
+  }
+  return ROOM_ROLES.MEMBER;
+}
+
+function isRoomOwner(roomData, uid) {
+  return getRoomRole(roomData, uid) === ROOM_ROLES.OWNER;
+}
+
+// Room hosts (owner + co-hosts) can moderate and manage room-level resources
+function isRoomHost(roomData, uid) {
+  const role = getRoomRole(roomData, uid);
+  return role === ROOM_ROLES.OWNER || role === ROOM_ROLES.CO_HOST;
+}
+
+/**
+ * Whether `actorUid` may remove `targetUid` from the room.
+ * Owners can remove anyone but themselves; co-hosts can only remove members.
+ */
+function canModerate(roomData, actorUid, targetUid) {
+  const actorRole = getRoomRole(roomData, actorUid);
+  const targetRole = getRoomRole(roomData, targetUid);
+  if (!targetRole || actorUid === targetUid) return false;
+  if (actorRole === ROOM_ROLES.OWNER) return true;
+  return actorRole === ROOM_ROLES.CO_HOST && targetRole === ROOM_ROLES.MEMBER;
+}
+
+// Owner + co-hosts (e.g. to notify them about join requests)
+function getRoomHostIds(roomData) {
+  return (roomData?.participants || []).filter((uid) =>
+    isRoomHost(roomData, uid)
+  );
+}
+
+function isBanned(roomData, uid) {
+  if (!roomData || !uid) return false;
+  return (roomData.bannedUsers || []).includes(uid);
+}
+
+/**
+ * Role map for API responses: every participant with their role.
+ */
+function buildRoleMap(roomData) {
+  const map = {};
+  (roomData?.participants || []).forEach((uid) => {
+    map[uid] = getRoomRole(roomData, uid);
+  });
+  if (roomData?.creator) map[roomData.creator] = ROOM_ROLES.OWNER;
+  return map;
+}
+
+/**
+ * Resolve a room and check the caller's access.
+ * @param {string} roomId
+ * @param {object} user - req.user
+ * @param {object} options
+ * @param {boolean} options.requireHost - Only room hosts (or admins) pass
+ * @returns {Promise<{ status?: number, error?: string, room?: object }>}
+ */
+async function resolveRoomAccess(roomId, user, { requireHost = false } = {}) {
+  const room = await getRoom(roomId);
+  if (!room) {
+    return { status: 404, error: "Room not found" };
+  }
+
+  const uid = user?.uid;
+  const isAdmin = user?.admin === true;
+
+  if (requireHost) {
+    if (!isRoomHost(room, uid) && !isAdmin) {
+      return {
+        status: 403,
+        error: "Forbidden: Only room hosts can perform this action",
+      };
+    }
+  } else if (!isParticipant(room, uid) && !isAdmin) {
+    return {
+      status: 403,
+      error: "Forbidden: You are not a participant of this room",
+    };
+  }
+
+  return { room };
+}
+
+module.exports = {
+  ROOMS_COLLECTION,
+  ROOM_ROLES,
+  getRoomRef,
+  getRoom,
+  isParticipant,
+  getRoomRole,
+  isRoomOwner,
+  isRoomHost,
+  canModerate,
+  getRoomHostIds,
+  isBanned,
+  buildRoleMap,
+  resolveRoomAccess,
+};
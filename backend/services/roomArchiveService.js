@@ -0,0 +1,143 @@
+// backend/services/roomArchiveService.js
+// Archived study rooms: read-only (chat history, notes and files stay
+// viewable) and closed to new members. Rooms with no activity are archived by
+// jobs/roomArchiver.js after the owner got a warning notification.
+//
+// Room document fields (study-groups/{roomId}):
+//   archived: boolean
+//   archivedAt: Date | null
+//   archivedBy: uid | "system"
+//   archiveReason: "manual" | "inactive" | null
+//   archiveWarningSentAt: Date | null   // reset by activity / unarchive
+//   unarchivedAt: Date | null           // counts as activity
+
+const ARCHIVE_AFTER_DAYS = parseInt(
+  process.env.ROOM_ARCHIVE_INACTIVE_DAYS || "60",
+  10
+);
+const ARCHIVE_WARNING_DAYS = parseInt(
+  process.env.ROOM_ARCHIVE_WARNING_DAYS || "7",
+  10
+);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const SYSTEM_ACTOR = "system";
+const ARCHIVED_ERROR =
+  "This room is archived and read-only. The owner can unarchive it.";
+
+function toMs(value) {
+  if (!value) return 0;
+  if (typeof value.toDate === "function") return value.toDate().getTime();
+  const ms = new Date(value).getTime();
+  return Number.isNaN(ms) ? 0 : ms;
+}
+
+function toIso(value) {
+  const ms = toMs(value);
+  return ms ? new Date(ms).toISOString() : null;
+}
+
+function isArchived(room) {
+  return room?.archived === true;
+}
+
+// Latest chat activity, creation or unarchive - whichever is newest
+function lastActivityMs(room) {
+  return Math.max(
+    toMs(room.lastActivityAt),
+    toMs(room.createdAt),
+    toMs(room.unarchivedAt)
+  );
+}
+
+/**
+ * What the archive job should do with a room right now.
+ * A warning only counts if it was sent after the latest activity, so any
+ * activity in between starts the countdown over.
+ * @returns {"warn"|"archive"|null}
+ */
+function getArchiveStage(room, now = Date.now()) {
+  if (!room || isArchived(room) || room.isActive === false) return null;
+  if (!(ARCHIVE_AFTER_DAYS > 0)) return null;
+
+  const lastActivity = lastActivityMs(room);
+  if (!lastActivity) return null;
+  const idleMs = now - lastActivity;
+  const warnedAt = toMs(room.archiveWarningSentAt);
+  const warned = warnedAt > lastActivity;
+
+  if (
+    warned &&
+    idleMs >= ARCHIVE_AFTER_DAYS * DAY_MS &&
+    now - warnedAt >= ARCHIVE_WARNING_DAYS * DAY_MS
+  ) {
+    return "archive";
+  }
+  if (
+    !warned &&
+    idleMs >= (ARCHIVE_AFTER_DAYS - ARCHIVE_WARNING_DAYS) * DAY_MS
+  ) {
+    return "warn";
+  }
+  return null;
+}
+
+// When a warned room will be archived if nothing happens
+function getScheduledArchiveDate(room) {
+  const warnedAt = toMs(room.archiveWarningSentAt);
+  if (isArchived(room) || !warnedAt || warnedAt <= lastActivityMs(room)) {
+    return null;
+  }
+  return new Date(
+    Math.max(
+      lastActivityMs(room) + ARCHIVE_AFTER_DAYS * DAY_MS,
+      warnedAt + ARCHIVE_WARNING_DAYS * DAY_MS
+    )
+  );
+}
+
+function archiveFields(actorUid, reason = "manual") {
+  return {
+    archived: true,
+    archivedAt: new Date(),
+    archivedBy: actorUid,
+    archiveReason: reason,
+  };
+}
+
+function unarchiveFields(actorUid) {
+  return {
+    archived: false,
+    archivedAt: null,
+    archivedBy: null,
+    archiveReason: null,
+    archiveWarningSentAt: null,
+    unarchivedAt: new Date(),
+    unarchivedBy: actorUid,
+  };
+}
+
+/**
+ * Archive state for API responses.
+ */
+function formatArchiveState(data) {
+  const scheduled = getScheduledArchiveDate(data);
+  return {
+    archived: isArchived(data),
+    archivedAt: isArchived(data) ? toIso(data.archivedAt) : null,
+    archiveReason: isArchived(data) ? data.archiveReason || "manual" : null,
+    archiveScheduledAt: scheduled ? scheduled.toISOString() : null,
+  };
+}
+
+module.exports = {
+  ARCHIVE_AFTER_DAYS,
+  ARCHIVE_WARNING_DAYS,
+  SYSTEM_ACTOR,
+  ARCHIVED_ERROR,
+  isArchived,
+  getArchiveStage,
+  getScheduledArchiveDate,
+  archiveFields,
+  unarchiveFields,
+  formatArchiveState,
+};
@@ -0,0 +1,509 @@
+// backend/services/roomCatalogService.js
+// Study room classification (subject, course code, year level, tags) and the
+// faceted listing behind GET /api/study-groups: a Firestore query per filter
+// set, cursor pagination and facet counts kept in an aggregate document.
+//
+// Room document fields (study-groups/{roomId}):
+//   subject: string | null       // free text, e.g. "Data Structures"
+//   subjectKey: string | null    // lowercase subject (subject filter)
+//   courseCode: string | null    // one of ALLOWED_COURSES
+//   yearLevel: string | null     // one of YEAR_LEVELS
+//   tags: [string]               // lowercase, e.g. ["midterms", "java"]
+//   participantCount: number     // participants.length (for "size" sort)
+//   lastActivityAt: Timestamp    // creation / last chat message (for "activity" sort)
+
+const { ALLOWED_COURSES, YEAR_LEVELS } = require("../config/constants");
+const { ROOMS_COLLECTION } = require("./roomAccessService");
+
+const MAX_SUBJECT_LENGTH = 80;
+const MAX_TAGS = 8;
+const MAX_TAG_LENGTH = 24;
+const MAX_SEARCH_LENGTH = 100;
+const MAX_FILTER_VALUES = 10;
+const DEFAULT_PAGE_SIZE = 24;
+const MAX_PAGE_SIZE = 50;
+const SORT_OPTIONS = ["activity", "size", "newest"];
+const SCOPES = ["all", "public", "private", "joined", "created"];
+// Chat activity is written to the room at most this often
+const ACTIVITY_WRITE_INTERVAL_MS = 5 * 60 * 1000;
+const SORT_FIELDS = {
+  activity: "lastActivityAt",
+  size: "participantCount",
+  newest: "createdAt",
+};
+// Room ids as generated by the create route ("room_<time>_<random>")
+const CURSOR_PATTERN = /^[A-Za-z0-9_-]{1,128}$/;
+const SCAN_BATCH_SIZE = 50;
+const MAX_SCANNED_ROOMS = 300;
+const STATS_COLLECTION = "study-group-stats";
+const FACETS_DOC = "facets";
+const FACET_GROUPS = ["subjects", "courses", "yearLevels", "tags"];
+
+function toMs(value) {
+  if (!value) return 0;
+  if (typeof value.toDate === "function") return value.toDate().getTime();
+  const ms = new Date(value).getTime();
+  return Number.isNaN(ms) ? 0 : ms;
+}
+
+function normalizeTag(raw) {
+  if (typeof raw !== "string") return "";
+  return raw
+    .trim()
+    .replace(/^#+/, "")
+    .toLowerCase()
+    .replace(/\s+/g, "-")
+    .replace(/[^\p{L}\p{N}+#.-]/gu, "");
+}
+
+// Rooms shown to everyone: active and not archived
+function isListed(room) {
+  return !!room && room.isActive !== false && room.archived !== true;
+}
+
+function toSubjectKey(subject) {
+  return subject ? String(subject).toLowerCase() : null;
+}
+
+/**
+ * Validate classification fields from a create / update body. Fields that
+ * are not present are left out; null or "" clears a field.
+ * @returns {{ fields: object, errors: string[] }}
+ */
+function normalizeRoomTags(input = {}) {
+  const fields = {};
+  const errors = [];
+
+  if (input.subject !== undefined) {
+    if (input.subject === null || input.subject === "") {
+      fields.subject = null;
+      fields.subjectKey = null;
+    } else if (typeof input.subject !== "string") {
+      errors.push("Subject must be a string");
+    } else {
+      const subject = input.subject.trim().replace(/\s+/g, " ");
+      if (subject.length > MAX_SUBJECT_LENGTH) {
+        errors.push(`Subject must be ${MAX_SUBJECT_LENGTH} characters or less`);
+      } else {
+        fields.subject = subject || null;
+        fields.subjectKey = toSubjectKey(subject);
+      }
+    }
+  }
+
+  if (input.courseCode !== undefined) {
+    if (input.courseCode === null || input.courseCode === "") {
+      fields.courseCode = null;
+    } else if (!ALLOWED_COURSES.includes(input.courseCode)) {
+      errors.push(`Course must be one of: ${ALLOWED_COURSES.join(", ")}`);
+    } else {
+      fields.courseCode = input.courseCode;
+    }
+  }
+
+  if (input.yearLevel !== undefined) {
+    if (input.yearLevel === null || input.yearLevel === "") {
+      fields.yearLevel = null;
+    } else if (!YEAR_LEVELS.includes(input.yearLevel)) {
+      errors.push(`Year level must be one of: ${YEAR_LEVELS.join(", ")}`);
+    } else {
+      fields.yearLevel = input.yearLevel;
+    }
+  }
+
+  if (input.tags !== undefined) {
+    const rawTags =
+      typeof input.tags === "string" ? input.tags.split(",") : input.tags;
+    if (input.tags !== null && !Array.isArray(rawTags)) {
+      errors.push("Tags must be a list");
+    } else {
+      const tags = [];
+      for (const raw of rawTags || []) {
+        const tag = normalizeTag(raw);
+        if (!tag) continue;
+        if (tag.length > MAX_TAG_LENGTH) {
+          errors.push(`Tags must be ${MAX_TAG_LENGTH} characters or less`);
+          break;
+        }
+        if (!tags.includes(tag)) tags.push(tag);
+      }
+      if (tags.length > MAX_TAGS) {
+        errors.push(`A room can have at most ${MAX_TAGS} tags`);
+      }
+      fields.tags = tags;
+    }
+  }
+
+  return { fields, errors };
+}
+
+/**
+ * Classification fields for API responses.
+ */
+function formatRoomTags(data) {
+  return {
+    subject: data.subject || null,
+    courseCode: data.courseCode || null,
+    yearLevel: data.yearLevel || null,
+    tags: Array.isArray(data.tags) ? data.tags : [],
+  };
+}
+
+// Write lastActivityAt only when the stored value is getting stale
+function shouldTouchActivity(room, now = Date.now()) {
+  return now - toMs(room?.lastActivityAt) >= ACTIVITY_WRITE_INTERVAL_MS;
+}
+
+// "a,b" or ["a", "b"] -> up to MAX_FILTER_VALUES trimmed values
+function parseList(value, normalize = (v) => v.trim()) {
+  const raw = Array.isArray(value) ? value.join(",") : value;
+  if (typeof raw !== "string" || !raw) return [];
+  return [
+    ...new Set(
+      raw
+        .split(",")
+        .map((v) => normalize(v))
+        .filter(Boolean)
+    ),
+  ].slice(0, MAX_FILTER_VALUES);
+}
+
+/**
+ * Parse the list query string.
+ * Query: q?, scope?, subject?, course?, year?, tag? (comma-separated lists),
+ *        sort? (activity | size | newest), limit?, cursor?
+ * @returns {{ filters, sort, limit, cursor } | { error: string }}
+ */
+function parseListQuery(query = {}) {
+  const sort = query.sort || "activity";
+  if (!SORT_OPTIONS.includes(sort)) {
+    return { error: `Sort must be one of: ${SORT_OPTIONS.join(", ")}` };
+  }
+  const scope = query.scope || "all";
+  if (!SCOPES.includes(scope)) {
+    return { error: `Scope must be one of: ${SCOPES.join(", ")}` };
+  }
+
+  // The cursor is the id of the last room of the previous page
+  let cursor = null;
+  if (query.cursor) {
+    cursor = String(query.cursor);
+    if (!CURSOR_PATTERN.test(cursor)) return { error: "Invalid cursor" };
+  }
+
+  const filters = {
+    q:
+      typeof query.q === "string"
+        ? query.q.trim().toLowerCase().substring(0, MAX_SEARCH_LENGTH)
+        : "",
+    scope,
+    subjects: parseList(query.subject, (v) => v.trim().toLowerCase()),
+    courses: parseList(query.course).filter((c) => ALLOWED_COURSES.includes(c)),
+    yearLevels: parseList(query.year).filter((y) => YEAR_LEVELS.includes(y)),
+    tags: parseList(query.tag, normalizeTag),
+  };
+
+  const limit = Math.min(
+    Math.max(parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE
+  );
+
+  return { filters, sort, limit, cursor };
+}
+
+/**
+ * Fields the list query filters and sorts on, for a new room document.
+ * Kept up to date by the routes that change them (PUT, join / leave, chat).
+ */
+function listingFields(room) {
+  return {
+    subjectKey: toSubjectKey(room.subject),
+    participantCount: (room.participants || []).length,
+    archived: room.archived === true,
+    lastActivityAt: new Date(),
+  };
+}
+
+function matchesSearch(room, q) {
+  if (!q) return true;
+  const haystack = [
+    room.name,
+    room.description,
+    room.subject,
+    room.courseCode,
+    ...(room.tags || []),
+  ]
+    .filter(Boolean)
+    .join(" ")
+    .toLowerCase();
+  return q
+    .split(/\s+/)
+    .filter(Boolean)
+    .every((term) => haystack.includes(term));
+}
+
+/**
+ * Turn the filters into a Firestore query. Every query shape needs its own
+ * composite index (firestore.indexes.json), so the query only takes the scope
+ * plus, for the listed scopes, the first selected facet (course, year level,
+ * subject or tag). Everything else - other facets, extra tags, free-text
+ * search and every facet in the joined / created scopes, which only hold the
+ * caller's rooms - is returned as checks to run on each fetched room.
+ * @returns {{ query, checks: Array<(room) => boolean> }}
+ */
+function buildListQuery(roomsRef, { filters, sort }, uid) {
+  let query = roomsRef;
+  const checks = [];
+  let facetFilterUsed = false;
+
+  switch (filters.scope) {
+    case "created":
+      query = query.where("creator", "==", uid);
+      facetFilterUsed = true;
+      break;
+    case "joined":
+      query = query.where("participants", "array-contains", uid);
+      facetFilterUsed = true;
+      checks.push((room) => room.creator !== uid);
+      break;
+    default:
+      // Deactivated / archived rooms are only listed under joined / created
+      query = query
+        .where("isActive", "==", true)
+        .where("archived", "==", false);
+      if (filters.scope !== "all") {
+        query = query.where("privacy", "==", filters.scope);
+      }
+  }
+
+  [
+    ["courseCode", filters.courses],
+    ["yearLevel", filters.yearLevels],
+    ["subjectKey", filters.subjects],
+  ].forEach(([field, values]) => {
+    if (values.length === 0) return;
+    // MAX_FILTER_VALUES stays under Firestore's 30-value "in" limit
+    if (facetFilterUsed) {
+      checks.push((room) => values.includes(room[field]));
+      return;
+    }
+    query =
+      values.length === 1
+        ? query.where(field, "==", values[0])
+        : query.where(field, "in", values);
+    facetFilterUsed = true;
+  });
+
+  // Every selected tag must be on the room
+  if (filters.tags.length > 0) {
+    let rest = filters.tags;
+    if (!facetFilterUsed) {
+      query = query.where("tags", "array-contains", filters.tags[0]);
+      rest = filters.tags.slice(1);
+    }
+    if (rest.length > 0) {
+      checks.push((room) =>
+        rest.every((tag) => (room.tags || []).includes(tag))
+      );
+    }
+  }
+
+  if (filters.q) checks.push((room) => matchesSearch(room, filters.q));
+
+  return { query: query.orderBy(SORT_FIELDS[sort], "desc"), checks };
+}
+
+/**
+ * One page of rooms for GET /api/study-groups, newest / busiest / biggest
+ * first (ties by document id). Rooms are read in batches after the cursor
+ * until the page is full; when some filters run in code, at most
+ * MAX_SCANNED_ROOMS are read per request, so a page can come back short with
+ * a nextCursor to continue from.
+ * @param {FirebaseFirestore.Firestore} db
+ * @param {{ filters, sort, limit, cursor }} listQuery - from parseListQuery()
+ * @param {string} uid
+ * @returns {Promise<{ rooms: object[], nextCursor: string|null, total: number|null } | { error: string }>}
+ *   total is only counted when every filter ran in the query
+ */
+async function listRooms(db, listQuery, uid) {
+  const roomsRef = db.collection(ROOMS_COLLECTION);
+  const { query, checks } = buildListQuery(roomsRef, listQuery, uid);
+  const { limit } = listQuery;
+
+  let last = null;
+  if (listQuery.cursor) {
+    last = await roomsRef.doc(listQuery.cursor).get();
+    if (!last.exists) return { error: "Invalid cursor" };
+  }
+
+  // One extra room tells whether there is a next page
+  const batchSize = checks.length === 0 ? limit + 1 : SCAN_BATCH_SIZE;
+  const rooms = [];
+  let scanned = 0;
+  let hasMore = true;
+
+  while (hasMore && rooms.length < limit && scanned < MAX_SCANNED_ROOMS) {
+    const snapshot = await (last ? query.startAfter(last) : query)
+      .limit(batchSize)
+      .get();
+    const docs = snapshot.docs;
+
+    let i = 0;
+    for (; i < docs.length && rooms.length < limit; i++) {
+      scanned += 1;
+      last = docs[i];
+      const room = docs[i].data();
+      if (checks.every((check) => check(room))) rooms.push(room);
+    }
+    // Rooms left in this batch, or a full batch: there may be more
+    hasMore = i < docs.length || docs.length === batchSize;
+  }
+
+  let total = null;
+  if (checks.length === 0) {
+    const countSnap = await query.count().get();
+    total = countSnap.data().count;
+  }
+
+  return {
+    rooms,
+    nextCursor: hasMore && last ? last.id : null,
+    total,
+  };
+}
+
+// ===== Facet counts =====
+// Maintained in study-group-stats/facets over listed rooms, so the listing
+// doesn't have to read every room to count them:
+//   { subjects | courses | yearLevels | tags: { [key]: { value, count } },
+//     updatedAt }
+
+// [group, key, label] for each facet value a room counts towards
+function facetValues(room) {
+  if (!isListed(room)) return [];
+  const values = [];
+  if (room.subject) {
+    values.push(["subjects", toSubjectKey(room.subject), room.subject]);
+  }
+  if (room.courseCode) {
+    values.push(["courses", room.courseCode, room.courseCode]);
+  }
+  if (room.yearLevel) {
+    values.push(["yearLevels", room.yearLevel, room.yearLevel]);
+  }
+  (Array.isArray(room.tags) ? room.tags : []).forEach((tag) =>
+    values.push(["tags", tag, tag])
+  );
+  return values;
+}
+
+function addFacetValues(counts, values, step) {
+  values.forEach(([group, key, label]) => {
+    counts[group] = counts[group] || {};
+    const entry = counts[group][key] || { value: label, count: 0 };
+    entry.count += step;
+    counts[group][key] = entry;
+  });
+  return counts;
+}
+
+/**
+ * Facet counts for a set of room documents (used to rebuild the stats doc).
+ */
+function countFacets(rooms) {
+  return rooms.reduce(
+    (counts, room) => addFacetValues(counts, facetValues(room), 1),
+    emptyFacetCounts()
+  );
+}
+
+function emptyFacetCounts() {
+  return FACET_GROUPS.reduce((counts, group) => {
+    counts[group] = {};
+    return counts;
+  }, {});
+}
+
+function getFacetStatsRef(db) {
+  return db.collection(STATS_COLLECTION).doc(FACETS_DOC);
+}
+
+/**
+ * Apply a room change to the facet counts. Pass null for a created (before)
+ * or deleted (after) room; changes that don't touch a facet are skipped.
+ */
+async function updateFacetCounts(db, before, after) {
+  const delta = addFacetValues(
+    addFacetValues({}, facetValues(before), -1),
+    facetValues(after),
+    1
+  );
+  const changed = Object.values(delta).some((group) =>
+    Object.values(group).some((entry) => entry.count !== 0)
+  );
+  if (!changed) return;
+
+  const ref = getFacetStatsRef(db);
+  await db.runTransaction(async (tx) => {
+    const doc = await tx.get(ref);
+    const counts = { ...emptyFacetCounts(), ...(doc.exists ? doc.data() : {}) };
+    Object.entries(delta).forEach(([group, entries]) => {
+      const current = { ...counts[group] };
+      Object.entries(entries).forEach(([key, { value, count }]) => {
+        const next = (current[key]?.count || 0) + count;
+        if (next > 0) {
+          current[key] = { value: current[key]?.value || value, count: next };
+        } else {
+          delete current[key];
+        }
+      });
+      counts[group] = current;
+    });
+    // Whole maps are written: tag keys may contain "."
+    tx.set(ref, { ...counts, updatedAt: new Date() });
+  });
+}
+
+function sortedFacet(group) {
+  return Object.values(group || {})
+    .filter((entry) => entry.count > 0)
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+}
+
+/**
+ * Facet counts for the listing sidebar; each facet is
+ * [{ value, count }], most used first (year levels in YEAR_LEVELS order).
+ */
+async function getFacets(db) {
+  const doc = await getFacetStatsRef(db).get();
+  const counts = doc.exists ? doc.data() : emptyFacetCounts();
+  return {
+    subjects: sortedFacet(counts.subjects).slice(0, 20),
+    courses: sortedFacet(counts.courses),
+    yearLevels: sortedFacet(counts.yearLevels).sort(
+      (a, b) => YEAR_LEVELS.indexOf(a.value) - YEAR_LEVELS.indexOf(b.value)
+    ),
+    tags: sortedFacet(counts.tags).slice(0, 30),
+  };
+}
+
+module.exports = {
+  MAX_SUBJECT_LENGTH,
+  MAX_TAGS,
+  MAX_TAG_LENGTH,
+  SORT_OPTIONS,
+  STATS_COLLECTION,
+  FACETS_DOC,
+  normalizeRoomTags,
+  formatRoomTags,
+  shouldTouchActivity,
+  parseListQuery,
+  isListed,
+  toSubjectKey,
+  listingFields,
+  listRooms,
+  countFacets,
+  getFacetStatsRef,
+  updateFacetCounts,
+  getFacets,
+};
@@ -0,0 +1,288 @@
+// backend/services/roomTemplateService.js
+// Room templates: a reusable snapshot of a room's configuration, used to
+// create new rooms (POST /api/study-groups with templateId) and to duplicate
+// a room (POST /api/study-groups/:id/duplicate).
+//
+// roomTemplates/{templateId}:
+// {
+//   ownerId, name, sourceRoomId,
+//   description, privacy, joinMode, subject, courseCode, yearLevel, tags, rules,
+//   pinnedResources: [{ text, imageUrl?, fileUrl?, fileName?, fileType?, fileSize? }],
+//   sessions: [{
+//     title, agenda, durationMinutes, utcOffsetMinutes,
+//     localDay,        // 0-6 (0 = Sunday) in the creator's timezone
+//     localMinutes,    // start time, minutes after local midnight
+//     recurrence: { frequency, daysOfWeek, intervalWeeks, spanDays }
+//   }],
+//   createdAt, updatedAt
+// }
+// Passwords are never stored in templates. Sessions keep their weekday and
+// time and are moved to the next matching date when a room is created.
+
+const admin = require("../config/firebase-admin");
+const chatMessages = require("./chatMessageService");
+const sessionService = require("./sessionService");
+const roomAccess = require("./roomAccessService");
+
+const TEMPLATES_COLLECTION = "roomTemplates";
+const MAX_TEMPLATES_PER_USER = 20;
+const MAX_TEMPLATE_NAME_LENGTH = 80;
+const MAX_TEMPLATE_SESSIONS = 20;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Room fields a template carries (everything but name, password and members)
+const CONFIG_FIELDS = [
+  "description",
+  "privacy",
+  "joinMode",
+  "subject",
+  "courseCode",
+  "yearLevel",
+  "tags",
+  "rules",
+];
+
+function toMs(value) {
+  if (!value) return NaN;
+  if (typeof value.toDate === "function") return value.toDate().getTime();
+  return new Date(value).getTime();
+}
+
+function getTemplatesRef(db) {
+  return db.collection(TEMPLATES_COLLECTION);
+}
+
+function toSessionPattern(session) {
+  const start = toMs(session.startTime);
+  const end = toMs(session.endTime);
+  if (Number.isNaN(start) || Number.isNaN(end)) return null;
+
+  const offset = session.utcOffsetMinutes || 0;
+  const local = new Date(start + offset * 60 * 1000);
+  const recurrence = session.recurrence || {};
+  const until = toMs(recurrence.until);
+
+  return {
+    title: session.title || "Study session",
+    agenda: session.agenda || "",
+    durationMinutes: Math.max(1, Math.round((end - start) / 60000)),
+    utcOffsetMinutes: offset,
+    localDay: local.getUTCDay(),
+    localMinutes: local.getUTCHours() * 60 + local.getUTCMinutes(),
+    recurrence: {
+      frequency: recurrence.frequency || "none",
+      daysOfWeek: recurrence.daysOfWeek || [],
+      intervalWeeks: recurrence.intervalWeeks || 1,
+      // How long the series ran, so a new semester gets the same length
+      spanDays: Number.isNaN(until)
+        ? null
+        : Math.max(0, Math.round((until - start) / DAY_MS)),
+    },
+  };
+}
+
+/**
+ * First start at the pattern's local weekday and time after `now`.
+ * @returns {Date}
+ */
+function nextPatternStart(pattern, now = new Date()) {
+  const offsetMs = (pattern.utcOffsetMinutes || 0) * 60 * 1000;
+  const localNow = new Date(now.getTime() + offsetMs);
+  let candidate =
+    Date.UTC(
+      localNow.getUTCFullYear(),
+      localNow.getUTCMonth(),
+      localNow.getUTCDate()
+    ) +
+    pattern.localMinutes * 60 * 1000;
+
+  while (
+    new Date(candidate).getUTCDay() !== pattern.localDay ||
+    candidate <= localNow.getTime()
+  ) {
+    candidate += DAY_MS;
+  }
+  return new Date(candidate - offsetMs);
+}
+
+/**
+ * Session documents for a new room, scheduled from the template patterns.
+ */
+function buildSessionDocs(patterns, { roomId, uid, now = new Date() }) {
+  return (patterns || []).slice(0, MAX_TEMPLATE_SESSIONS).map((pattern) => {
+    const start = nextPatternStart(pattern, now);
+    const { spanDays, ...recurrence } = pattern.recurrence || {};
+    const isRecurring = recurrence.frequency && recurrence.frequency !== "none";
+    const session = {
+      title: pattern.title,
+      agenda: pattern.agenda || "",
+      startTime: start.toISOString(),
+      endTime: new Date(
+        start.getTime() + pattern.durationMinutes * 60 * 1000
+      ).toISOString(),
+      utcOffsetMinutes: pattern.utcOffsetMinutes || 0,
+      recurrence: {
+        frequency: recurrence.frequency || "none",
+        daysOfWeek: recurrence.daysOfWeek || [],
+        intervalWeeks: recurrence.intervalWeeks || 1,
+        until:
+          isRecurring && spanDays !== null && spanDays !== undefined
+            ? new Date(start.getTime() + spanDays * DAY_MS).toISOString()
+            : null,
+      },
+      roomId,
+      rsvps: { [uid]: "going" },
+      remindedOccurrences: [],
+      createdBy: uid,
+      createdAt: admin.firestore.FieldValue.serverTimestamp(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    };
+    session.nextOccurrenceAt = sessionService.getNextReminderStart(
+      session,
+      now
+    );
+    return session;
+  });
+}
+
+function toPinnedResource(message) {
+  const resource = { text: message.text || "" };
+  ["imageUrl", "fileUrl", "fileName", "fileType", "fileSize"].forEach(
+    (field) => {
+      if (message[field] !== undefined && message[field] !== null) {
+        resource[field] = message[field];
+      }
+    }
+  );
+  return resource;
+}
+
+/**
+ * Reusable configuration of an existing room: settings, pinned messages and
+ * the session schedule.
+ */
+async function snapshotRoom(db, roomId, roomData) {
+  const [pinnedSnapshot, sessionsSnapshot] = await Promise.all([
+    chatMessages
+      .getMessagesRef(db, roomId)
+      .where("pinned", "==", true)
+      .limit(chatMessages.MAX_PINNED_MESSAGES)
+      .get(),
+    roomAccess
+      .getRoomRef(roomId)
+      .collection(sessionService.SESSIONS_SUBCOLLECTION)
+      .limit(MAX_TEMPLATE_SESSIONS)
+      .get(),
+  ]);
+
+  const config = {};
+  CONFIG_FIELDS.forEach((field) => {
+    config[field] = roomData[field] === undefined ? null : roomData[field];
+  });
+  config.tags = Array.isArray(roomData.tags) ? roomData.tags : [];
+  config.privacy = roomData.privacy || "public";
+  config.joinMode = roomData.joinMode || "open";
+
+  return {
+    ...config,
+    pinnedResources: pinnedSnapshot.docs
+      .map((doc) => doc.data())
+      .filter((message) => !message.deleted && !message.isSystem)
+      .sort((a, b) => toMs(a.timestamp) - toMs(b.timestamp))
+      .map(toPinnedResource),
+    sessions: sessionsSnapshot.docs
+      .map((doc) => toSessionPattern(doc.data()))
+      .filter(Boolean),
+  };
+}
+
+/**
+ * Create-room input from a template, with the request body taking priority.
+ */
+function mergeTemplateInput(template, body = {}) {
+  const input = { ...body };
+  CONFIG_FIELDS.forEach((field) => {
+    if (input[field] === undefined && template[field] !== null) {
+      input[field] = template[field];
+    }
+  });
+  return input;
+}
+
+/**
+ * Write a template's pinned resources and sessions into a new room.
+ */
+async function applyTemplateContent(db, roomId, template, author) {
+  const batch = db.batch();
+  const messagesRef = chatMessages.getMessagesRef(db, roomId);
+  const sessionsRef = roomAccess
+    .getRoomRef(roomId)
+    .collection(sessionService.SESSIONS_SUBCOLLECTION);
+
+  (template.pinnedResources || [])
+    .slice(0, chatMessages.MAX_PINNED_MESSAGES)
+    .forEach((resource, index) => {
+      // Keep the original order in the chat
+      const timestamp = admin.firestore.Timestamp.fromMillis(
+        Date.now() + index
+      );
+      batch.set(messagesRef.doc(), {
+        ...resource,
+        authorUid: author.uid,
+        author: author.name,
+        isSystem: false,
+        timestamp,
+        pinned: true,
+        pinnedBy: author.uid,
+        pinnedAt: timestamp,
+      });
+    });
+
+  buildSessionDocs(template.sessions, { roomId, uid: author.uid }).forEach(
+    (session) => batch.set(sessionsRef.doc(), session)
+  );
+
+  await batch.commit();
+}
+
+function formatTemplate(id, data) {
+  const createdAt = toMs(data.createdAt);
+  return {
+    id,
+    name: data.name,
+    sourceRoomId: data.sourceRoomId || null,
+    description: data.description || "",
+    privacy: data.privacy || "public",
+    joinMode: data.joinMode || "open",
+    subject: data.subject || null,
+    courseCode: data.courseCode || null,
+    yearLevel: data.yearLevel || null,
+    tags: data.tags || [],
+    rules: data.rules || "",
+    pinnedResourceCount: (data.pinnedResources || []).length,
+    sessionCount: (data.sessions || []).length,
+    sessions: (data.sessions || []).map((s) => ({
+      title: s.title,
+      localDay: s.localDay,
+      localMinutes: s.localMinutes,
+      durationMinutes: s.durationMinutes,
+      frequency: s.recurrence?.frequency || "none",
+    })),
+    createdAt: Number.isNaN(createdAt)
+      ? null
+      : new Date(createdAt).toISOString(),
+  };
+}
+
+module.exports = {
+  TEMPLATES_COLLECTION,
+  MAX_TEMPLATES_PER_USER,
+  MAX_TEMPLATE_NAME_LENGTH,
+  getTemplatesRef,
+  toSessionPattern,
+  nextPatternStart,
+  buildSessionDocs,
+  snapshotRoom,
+  mergeTemplateInput,
+  applyTemplateContent,
+  formatTemplate,
+};
@@ -0,0 +1,220 @@
+// backend/services/searchIndexService.js
+// Search index for content that lives in Firestore (resources, study rooms).
+// Firestore has no full-text search, so every resource / room write also
+// writes one entry here; GET /api/search looks entries up by token.
+//
+// Entry (search_index/{type}_{refId}):
+//   type: "resource" | "room"
+//   refId: string                // resources/{id} or study-groups/{id}
+//   title: string
+//   text: string                 // description, category / subject, tags
+//   tokens: [string]             // lowercase words and their 3+ char prefixes
+//   privacy: "public" | "private"
+//   updatedAt: Timestamp
+
+const admin = require("../config/firebase-admin");
+
+const INDEX_COLLECTION = "search_index";
+const INDEXED_TYPES = ["resource", "room"];
+const MIN_TERM_LENGTH = 2;
+const MIN_PREFIX_LENGTH = 3;
+const MAX_TOKEN_LENGTH = 30;
+const MAX_TOKENS = 1000;
+const MAX_TEXT_LENGTH = 2000;
+const MAX_QUERY_TERMS = 10;
+// Candidates are read in pages until they run out (capped per request)
+const CANDIDATE_PAGE_SIZE = 200;
+const MAX_CANDIDATES = 2000;
+
+const TITLE_EXACT_WEIGHT = 4;
+const TITLE_PREFIX_WEIGHT = 3;
+const TEXT_WEIGHT = 1;
+
+function getDb() {
+  return admin.firestore();
+}
+
+function entryId(type, refId) {
+  return `${type}_${refId}`;
+}
+
+/**
+ * Lowercase words of a text (letters and digits only, 2+ characters).
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitWords(text) {
+  if (!text || typeof text !== "string") return [];
+  return text
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word.length >= MIN_TERM_LENGTH)
+    .map((word) => word.slice(0, MAX_TOKEN_LENGTH));
+}
+
+// Whole words plus their prefixes, so "calc" finds "calculus"
+function buildTokens(...texts) {
+  const tokens = new Set();
+  texts.forEach((text) => {
+    splitWords(text).forEach((word) => {
+      tokens.add(word);
+      for (let len = MIN_PREFIX_LENGTH; len < word.length; len++) {
+        tokens.add(word.slice(0, len));
+      }
+    });
+  });
+  return [...tokens].slice(0, MAX_TOKENS);
+}
+
+function joinText(parts) {
+  return parts
+    .filter(Boolean)
+    .join(" · ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, MAX_TEXT_LENGTH);
+}
+
+function buildResourceEntry(resourceId, data) {
+  const title = String(data.title || "");
+  const text = joinText([
+    data.desc,
+    data.category,
+    ...(Array.isArray(data.tags) ? data.tags : []),
+  ]);
+  return {
+    type: "resource",
+    refId: resourceId,
+    title,
+    text,
+    tokens: buildTokens(title, text),
+    privacy: "public",
+  };
+}
+
+function buildRoomEntry(roomId, data) {
+  const title = String(data.name || "");
+  const text = joinText([
+    data.description,
+    data.subject,
+    data.courseCode,
+    ...(Array.isArray(data.tags) ? data.tags : []),
+  ]);
+  return {
+    type: "room",
+    refId: roomId,
+    title,
+    text,
+    tokens: buildTokens(title, text),
+    privacy: data.privacy === "private" ? "private" : "public",
+  };
+}
+
+async function writeEntry(entry) {
+  await getDb()
+    .collection(INDEX_COLLECTION)
+    .doc(entryId(entry.type, entry.refId))
+    .set({
+      ...entry,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp(),
+    });
+}
+
+/**
+ * Index (or re-index) a resource from its full document data.
+ */
+async function indexResource(resourceId, data) {
+  if (!resourceId || !data) return;
+  await writeEntry(buildResourceEntry(resourceId, data));
+}
+
+/**
+ * Index (or re-index) a study room from its full document data.
+ */
+async function indexRoom(roomId, data) {
+  if (!roomId || !data) return;
+  await writeEntry(buildRoomEntry(roomId, data));
+}
+
+async function removeEntry(type, refId) {
+  if (!refId) return;
+  await getDb().collection(INDEX_COLLECTION).doc(entryId(type, refId)).delete();
+}
+
+// How well an entry matches; 0 unless every term matches somewhere
+function scoreEntry(entry, terms) {
+  const titleWords = splitWords(entry.title);
+  const tokens = new Set(entry.tokens || []);
+  let score = 0;
+  for (const term of terms) {
+    if (titleWords.includes(term)) score += TITLE_EXACT_WEIGHT;
+    else if (titleWords.some((word) => word.startsWith(term)))
+      score += TITLE_PREFIX_WEIGHT;
+    else if (tokens.has(term)) score += TEXT_WEIGHT;
+    else return 0;
+  }
+  return score;
+}
+
+/**
+ * Entries matching every term, best first.
+ * @param {string[]} terms - from splitWords()
+ * @param {{ types?: string[], limit?: number }} options
+ * @returns {Promise<Array<Object>>} entries with `id` and `score`
+ */
+async function searchEntries(
+  terms,
+  { types = INDEXED_TYPES, limit = 50 } = {}
+) {
+  const queryTerms = [...new Set(terms)].slice(0, MAX_QUERY_TERMS);
+  if (queryTerms.length === 0 || types.length === 0) return [];
+
+  // Every term has to match, so fetch the entries holding the longest (most
+  // selective) term and check the others in scoreEntry. Single-field query
+  // in document id order: no composite index needed, types filtered below.
+  const [pivot] = [...queryTerms].sort((a, b) => b.length - a.length);
+  const query = getDb()
+    .collection(INDEX_COLLECTION)
+    .where("tokens", "array-contains", pivot)
+    .orderBy(admin.firestore.FieldPath.documentId())
+    .limit(CANDIDATE_PAGE_SIZE);
+
+  const docs = [];
+  let last = null;
+  while (docs.length < MAX_CANDIDATES) {
+    const snap = await (last ? query.startAfter(last) : query).get();
+    docs.push(...snap.docs);
+    if (snap.size < CANDIDATE_PAGE_SIZE) break;
+    last = snap.docs[snap.docs.length - 1];
+  }
+  if (docs.length >= MAX_CANDIDATES) {
+    console.warn(
+      `[search-index] Stopped after ${docs.length} entries for "${pivot}"`
+    );
+  }
+
+  return docs
+    .map((doc) => {
+      const entry = { id: doc.id, ...doc.data() };
+      return { ...entry, score: scoreEntry(entry, queryTerms) };
+    })
+    .filter((entry) => entry.score > 0 && types.includes(entry.type))
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+module.exports = {
+  INDEX_COLLECTION,
+  INDEXED_TYPES,
+  MAX_QUERY_TERMS,
+  entryId,
+  splitWords,
+  buildTokens,
+  buildResourceEntry,
+  buildRoomEntry,
+  indexResource,
+  indexRoom,
+  removeEntry,
+  scoreEntry,
+  searchEntries,
+};
@@ -0,0 +1,302 @@
+// backend/services/searchService.js
+// Unified search behind GET /api/search.
+// - Topics, posts and comments: Postgres full-text search in Supabase
+//   (the search_discussions() function over the search_vector columns)
+// - Resources and study rooms: the Firestore search_index (searchIndexService)
+// Each source's scores are scaled so its best hit is 1, then the hits are
+// merged; private rooms are only returned to their members and resource or
+// room hits whose document is gone are dropped.
+//
+// Result: { type, id, title, titleHtml, snippet, url, score, date, ...extras }
+// titleHtml and snippet are escaped HTML with <mark> around the matches.
+
+const admin = require("../config/firebase-admin");
+const supabase = require("../config/supabase");
+const searchIndex = require("./searchIndexService");
+const roomAccess = require("./roomAccessService");
+const { toPlainText } = require("./mentionService");
+
+const RESULT_TYPES = ["topic", "post", "comment", "resource", "room"];
+const RESOURCES_COLLECTION = "resources";
+const MAX_QUERY_LENGTH = 100;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+// Hits fetched per type before merging and counting facets
+const CANDIDATES_PER_TYPE = 50;
+const SNIPPET_LENGTH = 200;
+// ts_headline markers (set in search_discussions), turned into <mark>
+const HL_START = "{{hl}}";
+const HL_STOP = "{{/hl}}";
+
+function escapeHtml(str) {
+  return String(str || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function toIso(value) {
+  if (!value) return null;
+  if (typeof value.toDate === "function") return value.toDate().toISOString();
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Trimmed query and its search terms (lowercase words, max 10).
+ * @param {string} raw
+ * @returns {{ query: string, terms: string[] }}
+ */
+function parseQuery(raw) {
+  const query = String(raw || "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, MAX_QUERY_LENGTH);
+  const terms = [...new Set(searchIndex.splitWords(query))].slice(
+    0,
+    searchIndex.MAX_QUERY_TERMS
+  );
+  return { query, terms };
+}
+
+// Prefix tsquery, e.g. "data:* & struct:*" (terms are letters/digits only)
+function toTsQuery(terms) {
+  return terms.map((term) => `${term}:*`).join(" & ");
+}
+
+// Words starting with a term (terms from parseQuery are letters/digits only)
+function termPattern(terms) {
+  return new RegExp(`(?<![\\p{L}\\p{N}])(${terms.join("|")})`, "giu");
+}
+
+/**
+ * Escape text and wrap words starting with a term in <mark>.
+ * @param {string} text
+ * @param {string[]} terms
+ * @returns {string}
+ */
+function highlightTerms(text, terms) {
+  const source = String(text || "");
+  if (!source || terms.length === 0) return escapeHtml(source);
+  let html = "";
+  let last = 0;
+  for (const match of source.matchAll(termPattern(terms))) {
+    html += escapeHtml(source.slice(last, match.index));
+    html += `<mark>${escapeHtml(match[0])}</mark>`;
+    last = match.index + match[0].length;
+  }
+  return html + escapeHtml(source.slice(last));
+}
+
+// Part of the text around the first match, highlighted
+function excerpt(text, terms) {
+  const source = String(text || "");
+  const match = terms.length ? termPattern(terms).exec(source) : null;
+  const start = match ? Math.max(0, match.index - SNIPPET_LENGTH / 4) : 0;
+  const end = Math.min(source.length, start + SNIPPET_LENGTH);
+  return (
+    (start > 0 ? "… " : "") +
+    highlightTerms(source.slice(start, end), terms) +
+    (end < source.length ? " …" : "")
+  );
+}
+
+// ts_headline output: escape, then swap the markers for <mark>
+function markHeadline(headline) {
+  return escapeHtml(
+    toPlainText(headline || "")
+      .replace(/\s+/g, " ")
+      .trim()
+  )
+    .split(HL_START)
+    .join("<mark>")
+    .split(HL_STOP)
+    .join("</mark>");
+}
+
+// Scale scores so the best hit of a source is 1
+function scaleScores(hits) {
+  const best = hits.reduce((max, hit) => Math.max(max, hit.score), 0);
+  hits.forEach((hit) => {
+    hit.score = best > 0 ? Math.round((hit.score / best) * 1000) / 1000 : 0;
+  });
+  return hits;
+}
+
+function discussionUrl(row) {
+  if (row.result_type === "topic") {
+    return `/student/pages/topic.html?id=${encodeURIComponent(row.topic_id)}`;
+  }
+  return `/student/pages/post.html?topic=${encodeURIComponent(
+    row.topic_id
+  )}&post=${encodeURIComponent(row.post_id)}`;
+}
+
+async function searchDiscussions(terms) {
+  const { data, error } = await supabase.rpc("search_discussions", {
+    search_query: toTsQuery(terms),
+    result_limit: CANDIDATES_PER_TYPE,
+  });
+  if (error) throw error;
+
+  return scaleScores(
+    (data || []).map((row) => ({
+      type: row.result_type,
+      id: String(row.id),
+      title: row.title || "",
+      titleHtml: highlightTerms(row.title || "", terms),
+      snippet: markHeadline(row.snippet),
+      url: discussionUrl(row),
+      score: Number(row.rank) || 0,
+      date: toIso(row.created_at),
+      topicId: row.topic_id ? String(row.topic_id) : null,
+      postId: row.post_id ? String(row.post_id) : null,
+    }))
+  );
+}
+
+// Resource hits the user may see: the same set GET /api/resources lists, i.e.
+// every resource that still exists in the resources collection.
+// Re-read so deleted resources drop out even if their index entry is stale.
+async function loadVisibleResources(resourceIds) {
+  const visible = new Set();
+  if (resourceIds.length === 0) return visible;
+
+  const db = admin.firestore();
+  const docs = await db.getAll(
+    ...resourceIds.map((id) => db.collection(RESOURCES_COLLECTION).doc(id))
+  );
+  docs.forEach((doc) => {
+    if (doc.exists) visible.add(doc.id);
+  });
+  return visible;
+}
+
+// Room hits the user may see: active public rooms, or private rooms they
+// belong to (admins see all).
+// Rooms are re-read so membership is current and stale entries drop out.
+async function loadVisibleRooms(roomIds, user) {
+  const visible = new Map();
+  if (roomIds.length === 0) return visible;
+
+  const db = admin.firestore();
+  const docs = await db.getAll(
+    ...roomIds.map((id) => db.collection(roomAccess.ROOMS_COLLECTION).doc(id))
+  );
+  docs.forEach((doc) => {
+    if (!doc.exists) return;
+    const room = doc.data();
+    if (user.admin === true) {
+      visible.set(doc.id, room);
+      return;
+    }
+    if (room.isActive === false) return;
+    if (
+      room.privacy !== "private" ||
+      roomAccess.getRoomRole(room, user.uid) !== null
+    ) {
+      visible.set(doc.id, room);
+    }
+  });
+  return visible;
+}
+
+async function searchIndexed(terms, user) {
+  const entries = await searchIndex.searchEntries(terms, {
+    limit: CANDIDATES_PER_TYPE * searchIndex.INDEXED_TYPES.length,
+  });
+  const idsOf = (type) =>
+    entries.filter((e) => e.type === type).map((e) => e.refId);
+  const [rooms, resources] = await Promise.all([
+    loadVisibleRooms(idsOf("room"), user),
+    loadVisibleResources(idsOf("resource")),
+  ]);
+
+  const hits = [];
+  entries.forEach((entry) => {
+    const hit = {
+      type: entry.type,
+      id: entry.refId,
+      title: entry.title,
+      titleHtml: highlightTerms(entry.title, terms),
+      snippet: excerpt(entry.text, terms),
+      score: entry.score,
+      date: toIso(entry.updatedAt),
+    };
+    if (entry.type === "room") {
+      const room = rooms.get(entry.refId);
+      if (!room) return;
+      hit.url = `/student/pages/study-room-inside.html?room=${encodeURIComponent(
+        entry.refId
+      )}`;
+      hit.privacy = room.privacy === "private" ? "private" : "public";
+      hit.archived = room.archived === true;
+    } else {
+      if (!resources.has(entry.refId)) return;
+      hit.url = `/student/pages/resources.html?q=${encodeURIComponent(
+        entry.title
+      )}`;
+    }
+    hits.push(hit);
+  });
+  return scaleScores(hits);
+}
+
+function emptyFacets() {
+  return RESULT_TYPES.reduce((facets, type) => {
+    facets[type] = 0;
+    return facets;
+  }, {});
+}
+
+/**
+ * Search every content type.
+ * A source that fails (e.g. search_discussions not created yet) is logged
+ * and skipped so the other results still come back.
+ * @param {{ q: string, type?: string, limit?: number, user: { uid, admin? } }} options
+ * @returns {Promise<{ query, results, facets, total }>} facets and total count
+ *   every type; results are filtered by `type`
+ */
+async function search({ q, type = "all", limit = DEFAULT_LIMIT, user }) {
+  const { query, terms } = parseQuery(q);
+  const facets = emptyFacets();
+  if (terms.length === 0) return { query, results: [], facets, total: 0 };
+
+  const [discussions, indexed] = await Promise.all([
+    searchDiscussions(terms).catch((err) => {
+      console.error("[search] Discussion search failed:", err);
+      return [];
+    }),
+    searchIndexed(terms, user).catch((err) => {
+      console.error("[search] Index search failed:", err);
+      return [];
+    }),
+  ]);
+
+  const hits = [...discussions, ...indexed];
+  hits.forEach((hit) => {
+    facets[hit.type] = (facets[hit.type] || 0) + 1;
+  });
+
+  const results = hits
+    .filter((hit) => type === "all" || hit.type === type)
+    .sort(
+      (a, b) =>
+        b.score - a.score || new Date(b.date || 0) - new Date(a.date || 0)
+    )
+    .slice(0, Math.min(Math.max(limit, 1), MAX_LIMIT));
+
+  return { query, results, facets, total: hits.length };
+}
+
+module.exports = {
+  RESULT_TYPES,
+  MAX_QUERY_LENGTH,
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  parseQuery,
+  highlightTerms,
+  search,
+};
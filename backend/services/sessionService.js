@@ -0,0 +1,216 @@
+// backend/services/sessionService.js
+// Scheduled study sessions: recurrence expansion and formatting helpers.
+//
+// A session document lives at study-groups/{roomId}/sessions/{sessionId}:
+// {
+//   title, agenda,
+//   startTime, endTime         // ISO strings (UTC) of the first occurrence
+//   utcOffsetMinutes           // creator's offset from UTC (e.g. 480 for UTC+8)
+//   recurrence: {
+//     frequency: "none" | "weekly" | "custom",
+//     daysOfWeek: [0-6],       // local days (0 = Sunday), used by "custom"
+//     intervalWeeks: 1,        // repeat every N weeks
+//     until: ISO string | null // last possible occurrence start
+//   },
+//   rsvps: { [uid]: "going" | "maybe" | "declined" },
+//   remindedOccurrences: [ISO start strings already reminded],
+//   nextOccurrenceAt: Timestamp | null  // next start still to be reminded (reminder job query)
+//   createdBy, createdAt, updatedAt
+// }
+
+const SESSIONS_SUBCOLLECTION = "sessions";
+
+const RECURRENCE_FREQUENCIES = ["none", "weekly", "custom"];
+const RSVP_STATUSES = ["going", "maybe", "declined"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+const MAX_OCCURRENCES = 500;
+
+function toMs(value) {
+  if (!value) return NaN;
+  if (typeof value.toDate === "function") return value.toDate().getTime();
+  if (value instanceof Date) return value.getTime();
+  return new Date(value).getTime();
+}
+
+function toIso(value) {
+  const ms = toMs(value);
+  return Number.isNaN(ms) ? null : new Date(ms).toISOString();
+}
+
+// Local weekdays the session repeats on
+function getRecurrenceDays(session) {
+  const recurrence = session.recurrence || {};
+  const offsetMs = (session.utcOffsetMinutes || 0) * 60 * 1000;
+  const localStartDay = new Date(
+    toMs(session.startTime) + offsetMs
+  ).getUTCDay();
+
+  if (recurrence.frequency === "custom") {
+    const days = (recurrence.daysOfWeek || [])
+      .map((d) => parseInt(d, 10))
+      .filter((d) => d >= 0 && d <= 6);
+    if (days.length > 0) {
+      return Array.from(new Set(days)).sort((a, b) => a - b);
+    }
+  }
+  return [localStartDay];
+}
+
+/**
+ * Expand a session into concrete occurrences overlapping [rangeStart, rangeEnd].
+ * @param {object} session - Session document data
+ * @param {Date|string|number} rangeStart
+ * @param {Date|string|number} rangeEnd
+ * @param {number} limit - Maximum occurrences to return
+ * @returns {{ start: string, end: string }[]} ISO strings
+ */
+function expandOccurrences(session, rangeStart, rangeEnd, limit = 50) {
+  const startMs = toMs(session.startTime);
+  const endMs = toMs(session.endTime);
+  if (Number.isNaN(startMs) || Number.isNaN(endMs)) return [];
+
+  const duration = Math.max(0, endMs - startMs);
+  const fromMs = toMs(rangeStart);
+  const toMsValue = toMs(rangeEnd);
+  const recurrence = session.recurrence || {};
+  const cap = Math.min(limit, MAX_OCCURRENCES);
+
+  if (!recurrence.frequency || recurrence.frequency === "none") {
+    if (startMs + duration >= fromMs && startMs <= toMsValue) {
+      return [
+        {
+          start: new Date(startMs).toISOString(),
+          end: new Date(endMs).toISOString(),
+        },
+      ];
+    }
+    return [];
+  }
+
+  const offsetMs = (session.utcOffsetMinutes || 0) * 60 * 1000;
+  const intervalWeeks = Math.max(
+    1,
+    parseInt(recurrence.intervalWeeks, 10) || 1
+  );
+  const untilMs = recurrence.until ? toMs(recurrence.until) : Infinity;
+  const days = getRecurrenceDays(session);
+
+  // Anchor at the local start of the week (Sunday) containing the first occurrence,
+  // keeping the session's time of day.
+  const localStart = startMs + offsetMs;
+  const localStartDay = new Date(localStart).getUTCDay();
+  const weekAnchorUtc = localStart - localStartDay * DAY_MS - offsetMs;
+
+  // Skip whole weeks before the requested range
+  let weekIndex = 0;
+  if (fromMs - duration > weekAnchorUtc) {
+    weekIndex = Math.floor((fromMs - duration - weekAnchorUtc) / WEEK_MS);
+    weekIndex -= weekIndex % intervalWeeks;
+  }
+
+  const occurrences = [];
+  while (occurrences.length < cap) {
+    const weekStart = weekAnchorUtc + weekIndex * WEEK_MS;
+    if (weekStart > toMsValue || weekStart > untilMs) break;
+
+    for (const day of days) {
+      const occStart = weekStart + day * DAY_MS;
+      if (occStart < startMs) continue;
+      if (occStart > untilMs || occStart > toMsValue) break;
+      if (occStart + duration < fromMs) continue;
+      occurrences.push({
+        start: new Date(occStart).toISOString(),
+        end: new Date(occStart + duration).toISOString(),
+      });
+      if (occurrences.length >= cap) break;
+    }
+
+    weekIndex += intervalWeeks;
+  }
+
+  return occurrences;
+}
+
+/**
+ * Next occurrence that has not ended yet (relative to `now`).
+ */
+function getNextOccurrence(session, now = new Date()) {
+  const [next] = expandOccurrences(
+    session,
+    now,
+    new Date(toMs(now) + 366 * DAY_MS),
+    1
+  );
+  return next || null;
+}
+
+/**
+ * Start of the next occurrence after `after` that hasn't been reminded yet,
+ * stored as nextOccurrenceAt so the reminder job can query for due sessions.
+ * @returns {Date|null} null when nothing is left in the coming year
+ */
+function getNextReminderStart(session, after = new Date()) {
+  const afterMs = toMs(after);
+  const reminded = session.remindedOccurrences || [];
+  const next = expandOccurrences(
+    session,
+    after,
+    new Date(afterMs + 366 * DAY_MS),
+    reminded.length + 2
+  ).find(
+    (occurrence) =>
+      toMs(occurrence.start) > afterMs && !reminded.includes(occurrence.start)
+  );
+  return next ? new Date(next.start) : null;
+}
+
+function summarizeRsvps(rsvps = {}) {
+  const counts = { going: 0, maybe: 0, declined: 0 };
+  Object.values(rsvps).forEach((status) => {
+    if (counts[status] !== undefined) counts[status]++;
+  });
+  return counts;
+}
+
+/**
+ * Shape a session document for API responses.
+ */
+function formatSessionResponse(id, data, uid, now = new Date()) {
+  const rsvps = data.rsvps || {};
+  return {
+    id,
+    roomId: data.roomId,
+    title: data.title,
+    agenda: data.agenda || "",
+    startTime: toIso(data.startTime),
+    endTime: toIso(data.endTime),
+    utcOffsetMinutes: data.utcOffsetMinutes || 0,
+    recurrence: {
+      frequency: data.recurrence?.frequency || "none",
+      daysOfWeek: data.recurrence?.daysOfWeek || [],
+      intervalWeeks: data.recurrence?.intervalWeeks || 1,
+      until: data.recurrence?.until ? toIso(data.recurrence.until) : null,
+    },
+    nextOccurrence: getNextOccurrence(data, now),
+    rsvpCounts: summarizeRsvps(rsvps),
+    myRsvp: uid ? rsvps[uid] || null : null,
+    createdBy: data.createdBy,
+    createdAt: toIso(data.createdAt),
+    updatedAt: toIso(data.updatedAt),
+  };
+}
+
+module.exports = {
+  SESSIONS_SUBCOLLECTION,
+  RECURRENCE_FREQUENCIES,
+  RSVP_STATUSES,
+  toIso,
+  getRecurrenceDays,
+  expandOccurrences,
+  getNextOccurrence,
+  getNextReminderStart,
+  summarizeRsvps,
+  formatSessionResponse,
+};
@@ -0,0 +1,264 @@
+// backend/services/subscriptionService.js
+// Follow topics and posts (Supabase "thread_subscriptions").
+//
+//   thread_subscriptions = {
+//     id, user_id, target_type: "topic" | "post", target_id,
+//     topic_id,            // the topic itself, or the post's topic
+//     muted,               // still listed as followed, but no notifications
+//     last_read_at,        // unread = activity by others after this
+//     created_at,
+//   }   unique (user_id, target_type, target_id)
+//
+// Creating a topic follows it; creating a post or commenting follows the post.
+// New posts notify the topic's followers, new comments the post's followers.
+
+const supabase = require("../config/supabase");
+
+const TABLE = "thread_subscriptions";
+const TARGET_TYPES = ["topic", "post"];
+const MAX_LISTED_SUBSCRIPTIONS = 100;
+const CONFLICT_COLUMNS = "user_id,target_type,target_id";
+
+function isTargetType(type) {
+  return TARGET_TYPES.includes(type);
+}
+
+/**
+ * The followed topic or post, or null when it no longer exists.
+ * @returns {Promise<{ id, title, topicId } | null>}
+ */
+async function getTarget(type, targetId) {
+  if (type === "topic") {
+    const { data, error } = await supabase
+      .from("topics")
+      .select("id, title")
+      .eq("id", targetId)
+      .maybeSingle();
+    if (error) throw error;
+    return data ? { id: data.id, title: data.title, topicId: data.id } : null;
+  }
+  const { data, error } = await supabase
+    .from("posts")
+    .select("id, title, topic_id")
+    .eq("id", targetId)
+    .maybeSingle();
+  if (error) throw error;
+  return data
+    ? { id: data.id, title: data.title, topicId: data.topic_id }
+    : null;
+}
+
+async function getSubscription(uid, type, targetId) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select("*")
+    .eq("user_id", uid)
+    .eq("target_type", type)
+    .eq("target_id", targetId)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+/**
+ * Follow automatically (after posting or commenting). Existing subscriptions
+ * are left alone so a muted thread stays muted.
+ */
+async function ensureSubscribed(uid, type, targetId, topicId) {
+  if (!uid || !targetId) return;
+  const now = new Date().toISOString();
+  const { error } = await supabase.from(TABLE).upsert(
+    [
+      {
+        user_id: uid,
+        target_type: type,
+        target_id: String(targetId),
+        topic_id: String(topicId),
+        muted: false,
+        last_read_at: now,
+        created_at: now,
+      },
+    ],
+    { onConflict: CONFLICT_COLUMNS, ignoreDuplicates: true }
+  );
+  if (error) throw error;
+}
+
+/**
+ * Follow a thread, or change whether a followed thread is muted.
+ */
+async function setSubscription(
+  uid,
+  type,
+  targetId,
+  topicId,
+  { muted = false }
+) {
+  const existing = await getSubscription(uid, type, targetId);
+  const now = new Date().toISOString();
+  const row = {
+    user_id: uid,
+    target_type: type,
+    target_id: String(targetId),
+    topic_id: String(topicId),
+    muted: !!muted,
+    last_read_at: existing ? existing.last_read_at : now,
+    created_at: existing ? existing.created_at : now,
+  };
+  const { data, error } = await supabase
+    .from(TABLE)
+    .upsert([row], { onConflict: CONFLICT_COLUMNS })
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+async function unsubscribe(uid, type, targetId) {
+  const { error } = await supabase
+    .from(TABLE)
+    .delete()
+    .eq("user_id", uid)
+    .eq("target_type", type)
+    .eq("target_id", targetId);
+  if (error) throw error;
+}
+
+async function markRead(uid, type, targetId) {
+  const { error } = await supabase
+    .from(TABLE)
+    .update({ last_read_at: new Date().toISOString() })
+    .eq("user_id", uid)
+    .eq("target_type", type)
+    .eq("target_id", targetId);
+  if (error) throw error;
+}
+
+/**
+ * Followers to notify about new activity (muted subscriptions excluded).
+ * @returns {Promise<string[]>}
+ */
+async function getSubscriberIds(type, targetId) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select("user_id")
+    .eq("target_type", type)
+    .eq("target_id", String(targetId))
+    .eq("muted", false);
+  if (error) throw error;
+  return (data || []).map((row) => row.user_id);
+}
+
+/**
+ * Drop all subscriptions of a deleted topic (including its posts') or post.
+ */
+async function removeTargetSubscriptions(type, targetId) {
+  let query = supabase.from(TABLE).delete();
+  query =
+    type === "topic"
+      ? query.eq("topic_id", String(targetId))
+      : query.eq("target_type", "post").eq("target_id", String(targetId));
+  const { error } = await query;
+  if (error) throw error;
+}
+
+// Posts (topic) or comments (post) by other users since the last visit
+async function countUnread(uid, subscription) {
+  const since = subscription.last_read_at || subscription.created_at;
+  let query =
+    subscription.target_type === "topic"
+      ? supabase
+          .from("posts")
+          .select("id", { count: "exact", head: true })
+          .eq("topic_id", subscription.target_id)
+      : supabase
+          .from("comments")
+          .select("id", { count: "exact", head: true })
+          .eq("post_id", subscription.target_id)
+          .eq("is_deleted", false);
+  query = query.neq("author_id", uid);
+  if (since) query = query.gt("created_at", since);
+
+  const { count, error } = await query;
+  if (error) {
+    console.warn("[subscriptions] Failed to count unread:", error.message);
+    return 0;
+  }
+  return count || 0;
+}
+
+async function getTitles(table, ids) {
+  if (ids.length === 0) return {};
+  const { data, error } = await supabase
+    .from(table)
+    .select("id, title")
+    .in("id", ids);
+  if (error) throw error;
+  const titles = {};
+  (data || []).forEach((row) => {
+    titles[String(row.id)] = row.title;
+  });
+  return titles;
+}
+
+/**
+ * Followed threads with titles and unread counts, newest subscriptions first.
+ * Threads that were deleted in the meantime are skipped.
+ */
+async function listSubscriptions(uid) {
+  const { data, error } = await supabase
+    .from(TABLE)
+    .select("*")
+    .eq("user_id", uid)
+    .order("created_at", { ascending: false })
+    .limit(MAX_LISTED_SUBSCRIPTIONS);
+  if (error) throw error;
+
+  const rows = data || [];
+  const idsOf = (type) =>
+    rows.filter((row) => row.target_type === type).map((row) => row.target_id);
+  const [topicTitles, postTitles] = await Promise.all([
+    getTitles("topics", [
+      ...new Set(idsOf("topic").concat(rows.map((row) => row.topic_id))),
+    ]),
+    getTitles("posts", idsOf("post")),
+  ]);
+
+  const existing = rows.filter((row) =>
+    row.target_type === "topic"
+      ? String(row.target_id) in topicTitles
+      : String(row.target_id) in postTitles
+  );
+  const unreadCounts = await Promise.all(
+    existing.map((row) => countUnread(uid, row))
+  );
+
+  return existing.map((row, index) => ({
+    type: row.target_type,
+    targetId: row.target_id,
+    topicId: row.topic_id,
+    title:
+      row.target_type === "topic"
+        ? topicTitles[String(row.target_id)]
+        : postTitles[String(row.target_id)],
+    topicTitle: topicTitles[String(row.topic_id)] || null,
+    muted: !!row.muted,
+    lastReadAt: row.last_read_at,
+    createdAt: row.created_at,
+    unreadCount: unreadCounts[index],
+  }));
+}
+
+module.exports = {
+  TARGET_TYPES,
+  isTargetType,
+  getTarget,
+  getSubscription,
+  ensureSubscribed,
+  setSubscription,
+  unsubscribe,
+  markRead,
+  getSubscriberIds,
+  removeTargetSubscriptions,
+  listSubscriptions,
+};
@@ -0,0 +1,237 @@
+// backend/services/timerService.js
+// Shared Pomodoro / focus timer state for study rooms.
+//
+// The timer lives on the room document (study-groups/{roomId}.timer) and is
+// mirrored to the Realtime Database at rooms/{roomId}/timer, next to presence:
+// {
+//   mode: "focus" | "break",
+//   duration,                  // seconds in the current phase
+//   startedAt: ms | null,      // epoch ms the running phase (re)started; null = idle
+//   paused,                    // true while a host has paused the phase
+//   remaining,                 // seconds left when paused / idle
+//   focusDuration, breakDuration,
+//   cycle,                     // completed focus cycles
+//   updatedBy, updatedAt       // updatedAt is epoch ms
+// }
+//
+// While running, clients derive the countdown from startedAt + duration, so
+// nothing has to be written every second.
+
+const TIMER_MODES = ["focus", "break"];
+const HOST_ACTIONS = ["start", "pause", "resume", "skip", "reset"];
+
+const DEFAULT_FOCUS_MINUTES = 25;
+const DEFAULT_BREAK_MINUTES = 5;
+const MIN_PHASE_MINUTES = 1;
+const MAX_PHASE_MINUTES = 180;
+
+// Grace period for client clocks when reporting a completed phase
+const COMPLETION_TOLERANCE_MS = 2000;
+// If nobody reported the end of a phase for this long the room was empty;
+// the next phase is queued instead of started.
+const STALE_COMPLETION_MS = 60 * 1000;
+
+function createTimerState({
+  focusMinutes = DEFAULT_FOCUS_MINUTES,
+  breakMinutes = DEFAULT_BREAK_MINUTES,
+} = {}) {
+  const focusDuration = focusMinutes * 60;
+  return {
+    mode: "focus",
+    duration: focusDuration,
+    startedAt: null,
+    paused: false,
+    remaining: focusDuration,
+    focusDuration,
+    breakDuration: breakMinutes * 60,
+    cycle: 0,
+  };
+}
+
+function isRunning(timer) {
+  return !!timer && !!timer.startedAt && !timer.paused;
+}
+
+/**
+ * Seconds left in the current phase.
+ */
+function getRemainingSeconds(timer, now = Date.now()) {
+  if (!timer) return 0;
+  if (!isRunning(timer)) return Math.max(0, timer.remaining ?? timer.duration);
+  const elapsed = (now - timer.startedAt) / 1000;
+  return Math.max(0, Math.ceil(timer.duration - elapsed));
+}
+
+function phaseDuration(timer, mode) {
+  return mode === "break" ? timer.breakDuration : timer.focusDuration;
+}
+
+// Switch to the other phase, optionally starting it immediately
+function nextPhase(timer, { now, start }) {
+  const mode = timer.mode === "focus" ? "break" : "focus";
+  const duration = phaseDuration(timer, mode);
+  return {
+    ...timer,
+    mode,
+    duration,
+    startedAt: start ? now : null,
+    paused: false,
+    remaining: duration,
+    cycle: timer.mode === "focus" ? (timer.cycle || 0) + 1 : timer.cycle || 0,
+  };
+}
+
+/**
+ * Apply a host control action.
+ * @param {object|null} current - Existing timer state (null if never used)
+ * @param {string} action - One of HOST_ACTIONS
+ * @param {object} options
+ * @param {number} options.now - Epoch ms
+ * @returns {{ timer: object } | { error: string }}
+ */
+function applyHostAction(current, action, { now = Date.now() } = {}) {
+  const timer = current || createTimerState();
+
+  switch (action) {
+    case "start":
+      // Restart the current phase from the top
+      return {
+        timer: {
+          ...timer,
+          startedAt: now,
+          paused: false,
+          remaining: timer.duration,
+        },
+      };
+
+    case "pause":
+      if (!isRunning(timer)) return { error: "Timer is not running" };
+      return {
+        timer: {
+          ...timer,
+          paused: true,
+          remaining: getRemainingSeconds(timer, now),
+        },
+      };
+
+    case "resume": {
+      if (!timer.paused) return { error: "Timer is not paused" };
+      const remaining = Math.max(0, timer.remaining ?? timer.duration);
+      return {
+        timer: {
+          ...timer,
+          // Shift startedAt so that duration - elapsed === remaining
+          startedAt: now - (timer.duration - remaining) * 1000,
+          paused: false,
+          remaining,
+        },
+      };
+    }
+
+    case "skip":
+      return { timer: nextPhase(timer, { now, start: isRunning(timer) }) };
+
+    case "reset":
+      return {
+        timer: createTimerState({
+          focusMinutes: timer.focusDuration / 60,
+          breakMinutes: timer.breakDuration / 60,
+        }),
+      };
+
+    default:
+      return { error: `Action must be one of: ${HOST_ACTIONS.join(", ")}` };
+  }
+}
+
+/**
+ * Change phase lengths. An idle phase picks up its new length straight away;
+ * a running or paused phase keeps its length until the next transition.
+ */
+function applySettings(current, { focusMinutes, breakMinutes }) {
+  const timer = current || createTimerState();
+  const updated = {
+    ...timer,
+    focusDuration: focusMinutes ? focusMinutes * 60 : timer.focusDuration,
+    breakDuration: breakMinutes ? breakMinutes * 60 : timer.breakDuration,
+  };
+  if (!timer.startedAt) {
+    updated.duration = phaseDuration(updated, updated.mode);
+    updated.remaining = updated.duration;
+  }
+  return updated;
+}
+
+/**
+ * Advance to the next phase once the running one has finished.
+ * `startedAt` is the phase the client saw finish, so concurrent reports from
+ * several clients only advance the timer once.
+ * @returns {{ timer: object, completed: string } | { completed: null }}
+ */
+function completePhase(current, startedAt, { now = Date.now() } = {}) {
+  if (!isRunning(current) || current.startedAt !== startedAt) {
+    return { completed: null };
+  }
+
+  const endsAt = current.startedAt + current.duration * 1000;
+  if (now + COMPLETION_TOLERANCE_MS < endsAt) return { completed: null };
+
+  const stale = now - endsAt > STALE_COMPLETION_MS;
+  return {
+    completed: current.mode,
+    timer: nextPhase(current, { now, start: !stale }),
+  };
+}
+
+/**
+ * Chat system message for a finished phase.
+ * @param {"focus"|"break"} completedMode
+ * @param {object} timer - State after the phase switch
+ */
+function completionMessage(completedMode, timer) {
+  const minutes = (seconds) => Math.round((seconds || 0) / 60);
+  if (completedMode === "focus") {
+    return `⏱️ Focus session #${
+      timer?.cycle || 1
+    } complete. Time for a ${minutes(timer?.breakDuration)} minute break.`;
+  }
+  return `⏱️ Break over. Back to focus for ${minutes(
+    timer?.focusDuration
+  )} minutes.`;
+}
+
+/**
+ * Shape timer state for API responses / the RTDB mirror.
+ */
+function formatTimerResponse(timer) {
+  if (!timer) return null;
+  return {
+    mode: TIMER_MODES.includes(timer.mode) ? timer.mode : "focus",
+    duration: timer.duration,
+    startedAt: timer.startedAt || null,
+    paused: !!timer.paused,
+    remaining: timer.remaining ?? timer.duration,
+    focusDuration: timer.focusDuration,
+    breakDuration: timer.breakDuration,
+    cycle: timer.cycle || 0,
+    updatedBy: timer.updatedBy || null,
+    updatedAt: timer.updatedAt || null,
+  };
+}
+
+module.exports = {
+  TIMER_MODES,
+  HOST_ACTIONS,
+  DEFAULT_FOCUS_MINUTES,
+  DEFAULT_BREAK_MINUTES,
+  MIN_PHASE_MINUTES,
+  MAX_PHASE_MINUTES,
+  createTimerState,
+  isRunning,
+  getRemainingSeconds,
+  applyHostAction,
+  applySettings,
+  completePhase,
+  completionMessage,
+  formatTimerResponse,
+};
@@ -0,0 +1,169 @@
+// backend/services/zegoTokenService.js
+// Server-side ZegoCloud "04" token generation.
+// The server secret never leaves the backend; clients only receive a short-lived,
+// room-scoped token that they hand to ZegoUIKitPrebuilt.generateKitTokenForProduction.
+
+const crypto = require("crypto");
+
+// Privilege keys defined by the ZegoCloud token04 payload format
+const PRIVILEGE_KEYS = {
+  LOGIN_ROOM: 1,
+  PUBLISH_STREAM: 2,
+};
+
+const PRIVILEGE_ENABLED = 1;
+const PRIVILEGE_DISABLED = 0;
+
+const DEFAULT_TOKEN_TTL_SECONDS = 60 * 60; // 1 hour
+const MAX_TOKEN_TTL_SECONDS = 24 * 60 * 60; // 24 hours
+
+const IV_CHARS = "0123456789abcdefghijklmnopqrstuvwxyz";
+
+function getAlgorithm(key) {
+  switch (Buffer.byteLength(key)) {
+    case 16:
+      return "aes-128-cbc";
+    case 24:
+      return "aes-192-cbc";
+    case 32:
+      return "aes-256-cbc";
+    default:
+      throw new Error(
+        "Invalid ZegoCloud server secret length (expected 16, 24 or 32 bytes)"
+      );
+  }
+}
+
+// Random signed 32-bit integer, as expected by the token04 "nonce" field
+function makeNonce() {
+  return crypto.randomBytes(4).readInt32BE(0);
+}
+
+function makeRandomIv() {
+  const bytes = crypto.randomBytes(16);
+  let iv = "";
+  for (let i = 0; i < bytes.length; i++) {
+    iv += IV_CHARS.charAt(bytes[i] % IV_CHARS.length);
+  }
+  return iv;
+}
+
+function aesEncrypt(plainText, key, iv) {
+  const cipher = crypto.createCipheriv(getAlgorithm(key), key, iv);
+  cipher.setAutoPadding(true);
+  return Buffer.concat([cipher.update(plainText, "utf8"), cipher.final()]);
+}
+
+/**
+ * Build the privilege payload that restricts a token to a single room.
+ * @param {string} roomId - Room the token is valid for
+ * @param {object} privileges - { login: boolean, publish: boolean }
+ */
+function buildRoomPayload(roomId, { login = true, publish = true } = {}) {
+  return JSON.stringify({
+    room_id: roomId,
+    privilege: {
+      [PRIVILEGE_KEYS.LOGIN_ROOM]: login ? PRIVILEGE_ENABLED : PRIVILEGE_DISABLED,
+      [PRIVILEGE_KEYS.PUBLISH_STREAM]: publish
+        ? PRIVILEGE_ENABLED
+        : PRIVILEGE_DISABLED,
+    },
+    stream_id_list: null,
+  });
+}
+
+/**
+ * Generate a ZegoCloud token (04 format).
+ * @param {number} appId - ZegoCloud app ID
+ * @param {string} userId - User the token is issued to
+ * @param {string} secret - ZegoCloud server secret (32 chars)
+ * @param {number} effectiveTimeInSeconds - Token lifetime in seconds
+ * @param {string} payload - Optional privilege payload (see buildRoomPayload)
+ * @returns {{ token: string, expiresAt: number }} expiresAt is a unix timestamp (seconds)
+ */
+function generateToken04(
+  appId,
+  userId,
+  secret,
+  effectiveTimeInSeconds,
+  payload = ""
+) {
+  if (!appId || typeof appId !== "number") {
+    throw new Error("appId is invalid");
+  }
+  if (!userId || typeof userId !== "string") {
+    throw new Error("userId is invalid");
+  }
+  if (!secret || typeof secret !== "string") {
+    throw new Error("secret is invalid");
+  }
+  if (!effectiveTimeInSeconds || typeof effectiveTimeInSeconds !== "number") {
+    throw new Error("effectiveTimeInSeconds is invalid");
+  }
+
+  const createTime = Math.floor(Date.now() / 1000);
+  const tokenInfo = {
+    app_id: appId,
+    user_id: userId,
+    nonce: makeNonce(),
+    ctime: createTime,
+    expire: createTime + effectiveTimeInSeconds,
+    payload: payload || "",
+  };
+
+  const iv = makeRandomIv();
+  const encrypted = aesEncrypt(JSON.stringify(tokenInfo), secret, iv);
+
+  // Layout: expire (int64 BE) | iv length (uint16 BE) | iv | cipher length (uint16 BE) | cipher
+  const expireBuf = Buffer.alloc(8);
+  expireBuf.writeBigInt64BE(BigInt(tokenInfo.expire), 0);
+  const ivLenBuf = Buffer.alloc(2);
+  ivLenBuf.writeUInt16BE(iv.length, 0);
+  const cipherLenBuf = Buffer.alloc(2);
+  cipherLenBuf.writeUInt16BE(encrypted.length, 0);
+
+  const token =
+    "04" +
+    Buffer.concat([
+      expireBuf,
+      ivLenBuf,
+      Buffer.from(iv, "utf8"),
+      cipherLenBuf,
+      encrypted,
+    ]).toString("base64");
+
+  return { token, expiresAt: tokenInfo.expire };
+}
+
+/**
+ * Generate a token that only allows the given user into the given room.
+ */
+function generateRoomToken({
+  appId,
+  secret,
+  userId,
+  roomId,
+  ttlSeconds = DEFAULT_TOKEN_TTL_SECONDS,
+  privileges = {},
+}) {
+  const ttl = Math.min(
+    Math.max(parseInt(ttlSeconds, 10) || DEFAULT_TOKEN_TTL_SECONDS, 60),
+    MAX_TOKEN_TTL_SECONDS
+  );
+  return generateToken04(
+    appId,
+    userId,
+    secret,
+    ttl,
+    buildRoomPayload(roomId, privileges)
+  );
+}
+
+module.exports = {
+  PRIVILEGE_KEYS,
+  DEFAULT_TOKEN_TTL_SECONDS,
+  MAX_TOKEN_TTL_SECONDS,
+  generateToken04,
+  generateRoomToken,
+  buildRoomPayload,
+};
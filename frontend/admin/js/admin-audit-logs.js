@@ -369,6 +369,15 @@ function formatSingleChange(change, action) {
     }
   }
 
+  // Handle room chat exports - "Exported 120 messages as html"
+  if (action === "export_room_chat") {
+    return {
+      description: `Exported ${toString(change.messageCount)} messages as ${
+        toString(change.format) || "markdown"
+      }`,
+    };
+  }
+
   // Handle other status changes
   if (change.field === "status") {
     const status = toString(change.to || change.new || "");
@@ -1,6 +1,8 @@
 // frontend/admin/js/admin-study-rooms.js
 // Handles admin study rooms management
 
+import { adminApiUrl } from "../../config/appConfig.js";
+
 let currentPage = 1;
 let currentLimit = 10;
 let currentStatus = "";
@@ -81,6 +83,15 @@ function setupEventListeners() {
     });
   }
 
+  // Chat export (room details modal)
+  const chatExportForm = document.getElementById("chatExportForm");
+  if (chatExportForm) {
+    chatExportForm.addEventListener("submit", (e) => {
+      e.preventDefault();
+      exportRoomChat();
+    });
+  }
+
   console.log("[admin-study-rooms] Event listeners setup complete");
 }
 
@@ -218,6 +229,12 @@ async function loadRooms() {
   }
 }
 
+// ===== Helper: Room status (deactivation wins over archiving) =====
+function roomStatus(room) {
+  if (!room.isActive) return "inactive";
+  return room.archived ? "archived" : "active";
+}
+
 // ===== Display rooms in table =====
 function displayRooms() {
   const tbody = document.getElementById("roomsList");
@@ -235,9 +252,10 @@ function displayRooms() {
   tbody.innerHTML = paginatedRooms
     .map((room) => {
       const privacyClass = `privacy-${room.privacy || "public"}`;
-      const statusClass = `status-${room.isActive ? "active" : "inactive"}`;
+      const status = roomStatus(room);
+      const statusClass = `status-${status}`;
       const privacyLabel = room.privacy === "private" ? "Private" : "Public";
-      const statusLabel = room.isActive ? "ACTIVE" : "INACTIVE";
+      const statusLabel = status.toUpperCase();
 
       return `
         <tr data-room-id="${escapeHtml(room.id)}">
@@ -282,6 +300,17 @@ function displayRooms() {
                       room.id
                     )}')" title="Activate room">Activate</button>`
               }
+              ${
+                room.isActive
+                  ? `<button class="action-link" onclick="window.toggleArchiveRoom('${escapeHtml(
+                      room.id
+                    )}')" title="${
+                      room.archived
+                        ? "Unarchive room"
+                        : "Archive room (read-only, cannot be joined)"
+                    }">${room.archived ? "Unarchive" : "Archive"}</button>`
+                  : ""
+              }
               <button
                 class="action-link"
                 onclick="window.deleteRoom('${escapeHtml(room.id)}')"
@@ -410,7 +439,7 @@ async function viewRoomDetails(roomId) {
       room.privacy === "private" ? "Private" : "Public"
     );
     document.getElementById("detailStatus").textContent = escapeHtml(
-      room.isActive ? "ACTIVE" : "INACTIVE"
+      roomStatus(room).toUpperCase()
     );
 
     // Creator information - Use fetched data from backend
@@ -487,6 +516,68 @@ async function viewRoomDetails(roomId) {
   }
 }
 
+// ===== Export room chat =====
+// Downloads the file directly (adminFetch only handles JSON responses)
+async function exportRoomChat() {
+  if (!currentViewingRoomId) return;
+
+  const format = document.getElementById("chatExportFormat").value;
+  const from = document.getElementById("chatExportFrom").value;
+  const to = document.getElementById("chatExportTo").value;
+  const exportBtn = document.getElementById("chatExportBtn");
+
+  // Date inputs are local days
+  const params = new URLSearchParams({
+    format,
+    utcOffsetMinutes: String(-new Date().getTimezoneOffset()),
+  });
+  if (from) params.set("from", new Date(`${from}T00:00:00`).toISOString());
+  if (to) params.set("to", new Date(`${to}T23:59:59.999`).toISOString());
+
+  try {
+    if (exportBtn) exportBtn.disabled = true;
+    console.log(
+      `[admin-study-rooms] Exporting chat for room ${currentViewingRoomId}...`
+    );
+
+    const response = await fetch(
+      adminApiUrl(
+        `/api/admin/study-rooms/${encodeURIComponent(
+          currentViewingRoomId
+        )}/messages/export?${params.toString()}`
+      ),
+      { headers: { Authorization: `Bearer ${window.adminUser.token}` } }
+    );
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error || `HTTP ${response.status}`);
+    }
+
+    const disposition = response.headers.get("Content-Disposition") || "";
+    const match = disposition.match(/filename="([^"]+)"/);
+    const blob = await response.blob();
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = match ? match[1] : `room-chat.${format}`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    if (window.showSuccess) {
+      window.showSuccess("Chat exported successfully");
+    }
+  } catch (err) {
+    console.error("[admin-study-rooms] Error:", err.message);
+    if (window.showError) {
+      window.showError(`Failed to export chat: ${err.message}`);
+    }
+  } finally {
+    if (exportBtn) exportBtn.disabled = false;
+  }
+}
+
 // ===== Deactivate room =====
 function deactivateRoom(roomId) {
   const room = allRooms.find((r) => r.id === roomId);
@@ -567,6 +658,36 @@ async function confirmActivateRoom() {
   }
 }
 
+// ===== Archive / unarchive room =====
+// Archived rooms stay readable for members but are read-only and can't be joined
+async function toggleArchiveRoom(roomId) {
+  const room = allRooms.find((r) => r.id === roomId);
+  if (!room) return;
+  const action = room.archived ? "unarchive" : "archive";
+
+  try {
+    console.log(`[admin-study-rooms] ${action} room ${roomId}...`);
+
+    const response = await window.adminFetch(
+      `/api/admin/study-rooms/${roomId}/${action}`,
+      { method: "PUT" }
+    );
+
+    console.log(`[admin-study-rooms] ✅ Room ${action}d:`, response);
+
+    if (window.showSuccess) {
+      window.showSuccess(`Room ${action}d successfully`);
+    }
+
+    loadRooms();
+  } catch (err) {
+    console.error("[admin-study-rooms] Error:", err.message);
+    if (window.showError) {
+      window.showError(`Failed to ${action} room: ${err.message}`);
+    }
+  }
+}
+
 // ===== Delete room =====
 function deleteRoom(roomId) {
   const room = allRooms.find((r) => r.id === roomId);
@@ -663,6 +784,7 @@ window.viewRoomDetails = viewRoomDetails;
 window.deactivateRoom = deactivateRoom;
 window.confirmDeactivateRoom = confirmDeactivateRoom;
 window.activateRoom = activateRoom;
+window.toggleArchiveRoom = toggleArchiveRoom;
 window.confirmActivateRoom = confirmActivateRoom;
 window.deleteRoom = deleteRoom;
 window.confirmDeleteRoom = confirmDeleteRoom;
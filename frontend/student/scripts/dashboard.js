@@ -6,6 +6,7 @@
 // ✅ IMPLEMENTED: Full search experience with real-time filtering
 // ✅ REMOVED: All console.log statements (production-safe)
 // ✅ REMOVED: Keyboard shortcuts (simplified UX)
+// ✅ ADDED: "Recommended for you" rooms, topics and study partners
 
 import { auth, db, onAuthStateChanged } from "../../config/firebase.js";
 import {
@@ -448,6 +449,11 @@ function initDashboardUI() {
   initUIEvents();
   fetchAndRenderRooms();
   fetchTodos();
+  loadStudyStats();
+  loadRecommendations();
+  document
+    .getElementById("studyStatsCsvBtn")
+    ?.addEventListener("click", downloadStudyStatsCsv);
 
   // Fallback: ensure reminder appears if still logged in and banner missing
   ensureProfileReminderOnce();
@@ -847,6 +853,12 @@ async function attemptJoinPublicRoom(roomId) {
       {}
     );
 
+    // Approval-required room - request queued for the hosts
+    if (response && response.pending) {
+      showToast(response.message || "Join request sent", "info");
+      return;
+    }
+
     if (response && response.success) {
       showToast("Joined room successfully!", "success");
       await fetchAndRenderRooms();
@@ -1154,7 +1166,14 @@ async function fetchAndRenderRooms() {
   roomGrid.innerHTML = `<div style="text-align:center;">Loading rooms...</div>`;
   try {
     // ✅ FIXED: Changed from fetch() to fetchJsonWithAuth() to include auth token
-    allRooms = await fetchJsonWithAuth(STUDY_GROUPS_API);
+    // Most active rooms first; the rooms page has the full, filterable list
+    const data = await fetchJsonWithAuth(
+      `${STUDY_GROUPS_API}?sort=activity&limit=50`
+    );
+    // Archived rooms are read-only - they belong on the rooms page only
+    allRooms = (Array.isArray(data?.rooms) ? data.rooms : []).filter(
+      (room) => !room.archived
+    );
 
     if (!Array.isArray(allRooms) || allRooms.length === 0) {
       roomGrid.innerHTML = `<div style="text-align:center; color:var(--medium-text);">No active study rooms yet.</div>`;
@@ -1245,6 +1264,243 @@ function animateRoomCards() {
   });
 }
 
+// ========== Study Time ==========
+function formatStudyDuration(seconds) {
+  const minutes = Math.round((seconds || 0) / 60);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest ? `${hours}h ${rest}m` : `${hours}h`;
+}
+
+function localDateKey(date) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, "0");
+  const d = String(date.getDate()).padStart(2, "0");
+  return `${y}-${m}-${d}`;
+}
+
+function studyStatsQuery(format = "json") {
+  const params = new URLSearchParams({
+    format,
+    utcOffsetMinutes: String(-new Date().getTimezoneOffset()),
+  });
+  return `/api/users/me/study-stats?${params.toString()}`;
+}
+
+async function loadStudyStats() {
+  const container = document.getElementById("studyStats");
+  if (!container) return;
+  try {
+    const stats = await fetchJsonWithAuth(studyStatsQuery());
+    renderStudyStats(container, stats);
+  } catch (err) {
+    console.error("Error: Failed to load study time", err);
+    container.innerHTML = `<p class="text-muted">Could not load study time.</p>`;
+  }
+}
+
+function renderStudyStats(container, stats) {
+  const byDate = new Map((stats.daily || []).map((d) => [d.date, d]));
+  const days = [];
+  for (let i = 6; i >= 0; i--) {
+    const date = new Date();
+    date.setDate(date.getDate() - i);
+    const entry = byDate.get(localDateKey(date));
+    days.push({
+      label: date.toLocaleDateString([], { weekday: "short" }),
+      seconds: entry ? entry.roomSeconds : 0,
+    });
+  }
+  const weekSeconds = days.reduce((sum, d) => sum + d.seconds, 0);
+  const max = Math.max(...days.map((d) => d.seconds), 1);
+
+  const rooms = (stats.rooms || []).slice(0, 3);
+  container.innerHTML = `
+    <div class="study-time-totals">
+      <div class="study-time-total"><strong>${formatStudyDuration(
+        weekSeconds
+      )}</strong><span>last 7 days</span></div>
+      <div class="study-time-total"><strong>${formatStudyDuration(
+        stats.totals?.roomSeconds
+      )}</strong><span>last 30 days</span></div>
+      <div class="study-time-total"><strong>${formatStudyDuration(
+        stats.totals?.callSeconds
+      )}</strong><span>in calls</span></div>
+    </div>
+    <div class="study-time-bars">
+      ${days
+        .map(
+          (d) => `<div class="study-time-day" title="${formatStudyDuration(
+            d.seconds
+          )}">
+            <div class="study-time-bar" style="height: ${Math.round(
+              (d.seconds / max) * 70
+            )}px"></div>
+            <span>${escapeHtml(d.label)}</span>
+          </div>`
+        )
+        .join("")}
+    </div>
+    ${
+      rooms.length
+        ? `<div class="study-time-rooms">${rooms
+            .map(
+              (r) =>
+                `<div class="study-time-room"><span>${escapeHtml(
+                  r.roomName || "Study room"
+                )}</span><span>${formatStudyDuration(
+                  r.roomSeconds
+                )}</span></div>`
+            )
+            .join("")}</div>`
+        : ""
+    }`;
+}
+
+async function downloadStudyStatsCsv() {
+  try {
+    const res = await fetchWithAuth(studyStatsQuery("csv"));
+    if (!res.ok) throw new Error(`Download failed (${res.status})`);
+    const blob = await res.blob();
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "study-time.csv";
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  } catch (err) {
+    console.error("Error: Failed to download study time", err);
+    showNotification("Could not download study time!", "error");
+  }
+}
+
+// ========== Recommendations ==========
+async function loadRecommendations() {
+  const container = document.getElementById("recommendations");
+  if (!container) return;
+  try {
+    const data = await fetchJsonWithAuth("/api/users/me/recommendations");
+    renderRecommendations(container, data || {});
+  } catch (err) {
+    console.error("Error: Failed to load recommendations", err);
+    container.innerHTML = `<p class="text-muted">Could not load recommendations.</p>`;
+  }
+}
+
+function renderReasons(reasons) {
+  return `<ul class="recommendation-reasons">${(reasons || [])
+    .map(
+      (reason) =>
+        `<li><i class="bi bi-lightbulb"></i> ${escapeHtml(reason)}</li>`
+    )
+    .join("")}</ul>`;
+}
+
+function renderRecommendations(container, data) {
+  const rooms = data.rooms || [];
+  const topics = data.topics || [];
+  const partners = data.partners || [];
+
+  if (!rooms.length && !topics.length && !partners.length) {
+    container.innerHTML = `<p class="text-muted">Nothing to suggest yet. Add your program, year level and specialization to your profile, join rooms and take part in discussions to get recommendations.</p>`;
+    return;
+  }
+
+  const group = (title, icon, items) =>
+    items.length
+      ? `<div class="recommendation-group">
+          <h3 class="recommendation-group-title"><i class="bi ${icon}"></i> ${title}</h3>
+          <div class="recommendation-list">${items.join("")}</div>
+        </div>`
+      : "";
+
+  const roomItems = rooms.map(
+    (room) => `<div class="recommendation-item" data-room-id="${escapeHtml(
+      room.id
+    )}">
+      <div class="recommendation-main">
+        <div>
+          <div class="recommendation-title">${escapeHtml(room.name)}</div>
+          <div class="recommendation-meta">
+            ${[
+              room.courseCode,
+              room.yearLevel,
+              room.subject,
+              `${room.participantCount} member${
+                room.participantCount === 1 ? "" : "s"
+              }`,
+            ]
+              .filter(Boolean)
+              .map(escapeHtml)
+              .join(" · ")}
+          </div>
+        </div>
+        <button class="btn btn-sm btn-outline-success join-btn" data-join-room="${escapeHtml(
+          room.id
+        )}">${room.joinMode === "approval" ? "Request" : "Join"}</button>
+      </div>
+      ${renderReasons(room.reasons)}
+    </div>`
+  );
+
+  const topicItems = topics.map(
+    (
+      topic
+    ) => `<a class="recommendation-item" href="topic.html?id=${encodeURIComponent(
+      topic.id
+    )}">
+      <div class="recommendation-title">${escapeHtml(topic.title)}</div>
+      <div class="recommendation-meta">
+        ${topic.category ? `${escapeHtml(topic.category)} · ` : ""}${
+      topic.postCount
+    } post${topic.postCount === 1 ? "" : "s"}
+      </div>
+      ${renderReasons(topic.reasons)}
+    </a>`
+  );
+
+  const partnerItems = partners.map(
+    (partner) => `<div class="recommendation-item">
+      <div class="recommendation-main">
+        ${
+          partner.photo
+            ? `<img class="recommendation-avatar" src="${escapeHtml(
+                partner.photo
+              )}" alt="" />`
+            : `<span class="recommendation-avatar">${escapeHtml(
+                partner.avatar || "?"
+              )}</span>`
+        }
+        <div>
+          <div class="recommendation-title">${escapeHtml(partner.name)}</div>
+          <div class="recommendation-meta">${[
+            partner.program,
+            partner.yearLevel,
+          ]
+            .filter(Boolean)
+            .map(escapeHtml)
+            .join(" · ")}</div>
+        </div>
+      </div>
+      ${renderReasons(partner.reasons)}
+    </div>`
+  );
+
+  container.innerHTML = `
+    ${group("Study rooms", "bi-door-open", roomItems)}
+    ${group("Discussions", "bi-chat-square-text", topicItems)}
+    ${group("Study partners", "bi-people", partnerItems)}`;
+
+  container.querySelectorAll("[data-join-room]").forEach((btn) => {
+    btn.addEventListener("click", () =>
+      attemptJoinPublicRoom(btn.dataset.joinRoom)
+    );
+  });
+}
+
 // ========== Todos Backend ==========
 async function fetchTodos() {
   try {
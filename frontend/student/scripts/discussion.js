@@ -19,7 +19,11 @@ import {
   incrementView as apiIncrementView,
 } from "./topicsClient.js";
 import { apiUrl } from "../../config/appConfig.js";
-import { fetchJsonWithAuth, deleteWithAuth } from "./apiClient.js";
+import {
+  fetchJsonWithAuth,
+  putJsonWithAuth,
+  deleteWithAuth,
+} from "./apiClient.js";
 
 let CURRENT_SESSION = null;
 let CURRENT_USER_ID = null;
@@ -130,6 +134,8 @@ function normalizeTopic(t) {
     postCount: t.post_count || t.postCount || 0,
     viewCount: t.views || t.viewCount || t.view_count || 0,
     pinned: !!t.pinned,
+    // Q&A: question topics are solved once an answer is accepted
+    solved: !!(t.solved || t.acceptedPostId),
     latestActivity:
       t.latestActivity || t.latest_activity || t.updated || t.created,
   };
@@ -192,6 +198,7 @@ function initializeDiscussionPage() {
   let allTopics = [];
   let myTopics = [];
   let currentTab = "all-topics";
+  let followedThreads = [];
 
   // ✅ REMOVED: TOPICS_PER_LOAD constant (was limiting to 6)
   // ✅ NEW: Track which topics are currently visible (for infinite scroll)
@@ -204,13 +211,20 @@ function initializeDiscussionPage() {
 
   async function fetchTopicsFromServer() {
     try {
-      const data = await apiGetTopics();
+      // "Unanswered" is filtered by the server (open question topics)
+      const data = await apiGetTopics(
+        currentCategory === "unanswered" ? { filter: "unanswered" } : {}
+      );
       const rows =
         data && data.topics ? data.topics : Array.isArray(data) ? data : [];
       let normalized = (rows || []).map(normalizeTopic);
 
       // Apply category filter
-      if (currentCategory && currentCategory !== "all") {
+      if (
+        currentCategory &&
+        currentCategory !== "all" &&
+        currentCategory !== "unanswered"
+      ) {
         normalized = normalized.filter((t) => {
           const c = (t.category || "").toString().toLowerCase();
           return c === currentCategory.toString().toLowerCase();
@@ -474,6 +488,10 @@ function initializeDiscussionPage() {
     }
   }
 
+  function isQuestionTopic(topic) {
+    return String(topic.category || "").toLowerCase() === "question";
+  }
+
   // ✅ BUILD TOPIC CARD
   function buildTopicCard(topic, isAuthor) {
     const isRecent =
@@ -505,6 +523,15 @@ function initializeDiscussionPage() {
             : ""
         }
         <div class="topic-card-content">
+          ${
+            isQuestionTopic(topic)
+              ? `<span class="qa-status-badge ${
+                  topic.solved ? "solved" : "unsolved"
+                }"><i class="bi bi-${
+                  topic.solved ? "check-circle-fill" : "question-circle"
+                }"></i> ${topic.solved ? "Solved" : "Unsolved"}</span>`
+              : ""
+          }
           <div class="topic-title">${escapeHtml(topic.title)}</div>
           <div class="topic-meta">
             <div><i class="bi bi-person"></i> ${escapeHtml(topic.author)}</div>
@@ -574,12 +601,149 @@ function initializeDiscussionPage() {
       renderAllTopics();
     } else if (tabName === "my-topics") {
       renderMyTopics();
+    } else if (tabName === "following") {
+      loadFollowing();
     }
 
     // ✅ Update badge
     document.getElementById("myTopicsCount").textContent = myTopics.length;
   }
 
+  // ===== FOLLOWING TAB =====
+  function threadUrl(thread) {
+    return thread.type === "topic"
+      ? `topic.html?id=${encodeURIComponent(thread.targetId)}`
+      : `post.html?topic=${encodeURIComponent(
+          thread.topicId
+        )}&post=${encodeURIComponent(thread.targetId)}`;
+  }
+
+  function updateFollowingBadge(unreadCount) {
+    const badge = document.getElementById("followingUnreadCount");
+    if (!badge) return;
+    badge.textContent = unreadCount > 99 ? "99+" : String(unreadCount);
+    badge.hidden = !unreadCount;
+  }
+
+  async function loadFollowing() {
+    try {
+      const data = await fetchJsonWithAuth(apiUrl("/api/subscriptions"), {
+        method: "GET",
+      });
+      followedThreads = (data && data.subscriptions) || [];
+      updateFollowingBadge((data && data.unreadCount) || 0);
+    } catch (err) {
+      console.warn("[following] Failed to load followed threads:", err);
+      followedThreads = [];
+    }
+    if (currentTab === "following") renderFollowing();
+  }
+
+  function buildFollowingItem(thread) {
+    const isTopic = thread.type === "topic";
+    const title =
+      thread.title || (isTopic ? "Untitled topic" : "Untitled post");
+    const context =
+      !isTopic && thread.topicTitle
+        ? `in ${escapeHtml(thread.topicTitle)} • `
+        : "";
+    return `
+      <div class="following-item ${thread.muted ? "muted" : ""}" data-type="${
+      thread.type
+    }" data-id="${escapeHtml(thread.targetId)}">
+        <div class="following-main">
+          <span class="following-type">${isTopic ? "Topic" : "Post"}</span>
+          <a class="following-title" href="${threadUrl(thread)}">${escapeHtml(
+      title
+    )}</a>
+          <div class="following-context">
+            ${context}${
+      thread.muted
+        ? '<i class="bi bi-bell-slash"></i> Muted'
+        : `following since ${formatRelativeTime(thread.createdAt)}`
+    }
+          </div>
+        </div>
+        ${
+          thread.unreadCount > 0 && !thread.muted
+            ? `<span class="following-unread">${thread.unreadCount} new</span>`
+            : ""
+        }
+        <div class="following-actions">
+          <button class="following-action-btn" data-action="mute" title="${
+            thread.muted ? "Unmute" : "Mute"
+          }">
+            <i class="bi bi-${thread.muted ? "bell" : "bell-slash"}"></i>
+            ${thread.muted ? "Unmute" : "Mute"}
+          </button>
+          <button class="following-action-btn unfollow" data-action="unfollow" title="Unfollow">
+            <i class="bi bi-x-lg"></i> Unfollow
+          </button>
+        </div>
+      </div>
+    `;
+  }
+
+  function renderFollowing() {
+    const list = document.getElementById("followingList");
+    const empty = document.getElementById("followingEmpty");
+    if (!list || !empty) return;
+
+    let threads = followedThreads;
+    if (currentSearch) {
+      const lower = currentSearch.toLowerCase();
+      threads = threads.filter(
+        (t) =>
+          (t.title || "").toLowerCase().includes(lower) ||
+          (t.topicTitle || "").toLowerCase().includes(lower)
+      );
+    }
+
+    list.innerHTML = threads.map(buildFollowingItem).join("");
+    empty.style.display = threads.length === 0 ? "block" : "none";
+  }
+
+  async function handleFollowingAction(e) {
+    const btn = e.target.closest(".following-action-btn");
+    if (!btn) return;
+    const item = btn.closest(".following-item");
+    const thread = followedThreads.find(
+      (t) =>
+        t.type === item.dataset.type && String(t.targetId) === item.dataset.id
+    );
+    if (!thread) return;
+
+    const url = apiUrl(
+      `/api/subscriptions/${thread.type}/${encodeURIComponent(thread.targetId)}`
+    );
+    btn.disabled = true;
+    try {
+      if (btn.dataset.action === "unfollow") {
+        await deleteWithAuth(url);
+        followedThreads = followedThreads.filter((t) => t !== thread);
+        showNotification("Unfollowed");
+      } else {
+        await putJsonWithAuth(url, { muted: !thread.muted });
+        thread.muted = !thread.muted;
+        showNotification(thread.muted ? "Muted" : "Unmuted");
+      }
+      updateFollowingBadge(
+        followedThreads
+          .filter((t) => !t.muted)
+          .reduce((sum, t) => sum + (t.unreadCount || 0), 0)
+      );
+      renderFollowing();
+    } catch (err) {
+      console.error("[following] Action failed:", err);
+      showNotification("Could not update this thread. Please try again.", true);
+      btn.disabled = false;
+    }
+  }
+
+  document
+    .getElementById("followingList")
+    ?.addEventListener("click", handleFollowingAction);
+
   // ✅ FIXED: Three-dots menu toggle with proper event handling
   window.toggleTopicOptions = function (event, topicId) {
     event.stopPropagation();
@@ -910,6 +1074,8 @@ function initializeDiscussionPage() {
         if (currentTab === "all-topics") {
           visibleTopicsCount = 0;
           renderAllTopics();
+        } else if (currentTab === "following") {
+          renderFollowing();
         } else {
           visibleMyTopicsCount = 0;
           renderMyTopics();
@@ -954,6 +1120,7 @@ function initializeDiscussionPage() {
     dataFetched = true;
     visibleTopicsCount = 0;
     renderAllTopics();
+    loadFollowing();
     console.log(
       `[INIT] Discussion forum loaded for ${CURRENT_SESSION.user} at ${CURRENT_SESSION.datetime}`
     );
@@ -0,0 +1,124 @@
+// frontend/student/scripts/markdownPreview.js
+// Markdown display helpers for discussion posts and comments.
+// - The server renders markdown into sanitized HTML (content_html); this module
+//   only decorates it: syntax highlighting (highlight.js) and math (KaTeX),
+//   each used when its CDN script is present on the page.
+// - attachMarkdownPreview() gives an editor a live preview rendered by the
+//   same server renderer that is used on save.
+
+import { apiUrl } from "../../config/appConfig.js";
+import { postJsonWithAuth } from "./apiClient.js";
+
+const PREVIEW_DEBOUNCE_MS = 400;
+
+/**
+ * Sanitize server-rendered HTML once more on the client when DOMPurify is loaded.
+ * @param {string} html
+ * @returns {string}
+ */
+export function safeMarkdownHtml(html) {
+  if (!html) return "";
+  if (window.DOMPurify && typeof window.DOMPurify.sanitize === "function") {
+    return window.DOMPurify.sanitize(html);
+  }
+  return html;
+}
+
+/**
+ * Highlight code blocks and typeset math inside rendered markdown.
+ * @param {HTMLElement} container
+ */
+export function enhanceRenderedMarkdown(container) {
+  if (!container) return;
+
+  if (window.hljs && typeof window.hljs.highlightElement === "function") {
+    container.querySelectorAll("pre code").forEach((el) => {
+      if (el.dataset.highlighted) return;
+      try {
+        window.hljs.highlightElement(el);
+      } catch (err) {
+        console.warn("[markdown] highlight failed:", err);
+      }
+    });
+  }
+
+  if (window.katex && typeof window.katex.render === "function") {
+    container
+      .querySelectorAll("span.math-inline, div.math-block")
+      .forEach((el) => {
+        if (el.dataset.typeset) return;
+        const tex = el.textContent;
+        try {
+          window.katex.render(tex, el, {
+            displayMode: el.classList.contains("math-block"),
+            throwOnError: false,
+          });
+          el.dataset.typeset = "true";
+        } catch (err) {
+          el.textContent = tex;
+        }
+      });
+  }
+}
+
+/**
+ * Show a live markdown preview of a textarea in previewEl.
+ * The preview is hidden while the textarea is empty.
+ * @param {HTMLTextAreaElement} textarea
+ * @param {HTMLElement} previewEl
+ */
+export function attachMarkdownPreview(textarea, previewEl) {
+  if (!textarea || !previewEl) return;
+
+  let timer = null;
+  let requestSeq = 0;
+
+  const hide = () => {
+    previewEl.innerHTML = "";
+    previewEl.hidden = true;
+  };
+
+  const update = async () => {
+    const source = textarea.value;
+    const seq = ++requestSeq;
+    if (!source.trim()) {
+      hide();
+      return;
+    }
+    try {
+      const resp = await postJsonWithAuth(apiUrl("/api/markdown/preview"), {
+        content: source,
+      });
+      // A newer keystroke already started another request
+      if (seq !== requestSeq) return;
+      previewEl.innerHTML = safeMarkdownHtml(resp && resp.html);
+      previewEl.hidden = false;
+      enhanceRenderedMarkdown(previewEl);
+    } catch (err) {
+      if (seq !== requestSeq) return;
+      console.warn("[markdown] preview failed:", err);
+      hide();
+    }
+  };
+
+  textarea.addEventListener("input", () => {
+    clearTimeout(timer);
+    timer = setTimeout(update, PREVIEW_DEBOUNCE_MS);
+  });
+  // Forms reset or cleared programmatically
+  textarea.addEventListener("markdown:reset", () => {
+    clearTimeout(timer);
+    requestSeq++;
+    hide();
+  });
+
+  hide();
+}
+
+/**
+ * Clear a preview attached with attachMarkdownPreview().
+ * @param {HTMLTextAreaElement} textarea
+ */
+export function resetMarkdownPreview(textarea) {
+  if (textarea) textarea.dispatchEvent(new Event("markdown:reset"));
+}
@@ -0,0 +1,286 @@
+// frontend/student/scripts/mentions.js
+// @mention autocomplete for composers (posts, comments, room chat) and
+// rendering of mention tokens in plain-text messages.
+// - Typing "@ana" suggests users from GET /api/users/search; picking one
+//   inserts a token that carries the uid: @[Ana Cruz](uid)
+// - The backend validates tokens on save (services/mentionService.js) and
+//   notifies the mentioned users; markdown posts/comments get the profile
+//   links from the server, chat messages through renderMentionsHtml().
+
+import { apiUrl } from "../../config/appConfig.js";
+import { fetchJsonWithAuth } from "./apiClient.js";
+
+// Same shape as MENTION_PATTERN in backend/services/mentionService.js
+const MENTION_TOKEN_PATTERN = /@\[([^\]\n]{1,80})\]\(([A-Za-z0-9_-]{1,128})\)/g;
+// "@query" right before the caret
+const MENTION_QUERY_PATTERN = /(^|\s)@([^\s@[\]()]{1,30})$/;
+const SEARCH_DEBOUNCE_MS = 200;
+const MAX_SUGGESTIONS = 8;
+
+function escapeHtml(s) {
+  return String(s || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Message text with mention tokens shown as "@Name".
+ * @param {string} text
+ * @returns {string}
+ */
+export function mentionsToPlainText(text) {
+  return String(text || "").replace(
+    MENTION_TOKEN_PATTERN,
+    (token, name) => `@${name}`
+  );
+}
+
+/**
+ * Escaped message text with validated mentions as profile links.
+ * @param {string} text
+ * @param {string[]} mentions - uids the server accepted for this message
+ * @returns {string} HTML
+ */
+export function renderMentionsHtml(text, mentions = []) {
+  const allowed = new Set(mentions || []);
+  const source = String(text || "");
+  let html = "";
+  let last = 0;
+  for (const match of source.matchAll(MENTION_TOKEN_PATTERN)) {
+    const [token, name, uid] = match;
+    html += escapeHtml(source.slice(last, match.index));
+    html += allowed.has(uid)
+      ? `<a class="mention" href="profile.html?uid=${encodeURIComponent(
+          uid
+        )}">@${escapeHtml(name)}</a>`
+      : escapeHtml(`@${name}`);
+    last = match.index + token.length;
+  }
+  return html + escapeHtml(source.slice(last));
+}
+
+// ===== Autocomplete =====
+
+let stylesInjected = false;
+
+function injectStyles() {
+  if (stylesInjected) return;
+  stylesInjected = true;
+  const style = document.createElement("style");
+  style.textContent = `
+    .mention-suggestions {
+      position: fixed;
+      z-index: 2000;
+      min-width: 220px;
+      max-width: 320px;
+      max-height: 260px;
+      overflow-y: auto;
+      background: #fff;
+      border: 1px solid #e0e0e0;
+      border-radius: 8px;
+      box-shadow: 0 6px 18px rgba(0, 0, 0, 0.15);
+      padding: 4px 0;
+    }
+    .mention-suggestion {
+      display: flex;
+      align-items: center;
+      gap: 8px;
+      padding: 6px 12px;
+      cursor: pointer;
+      font-size: 14px;
+      color: #333;
+    }
+    .mention-suggestion.active,
+    .mention-suggestion:hover {
+      background: #e8f5e9;
+    }
+    .mention-suggestion-avatar {
+      width: 24px;
+      height: 24px;
+      border-radius: 50%;
+      background: #4caf50 center / cover no-repeat;
+      color: #fff;
+      font-size: 12px;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+      flex-shrink: 0;
+    }
+    a.mention {
+      color: #2e7d32;
+      font-weight: 600;
+      text-decoration: none;
+    }
+    a.mention:hover {
+      text-decoration: underline;
+    }
+    body.dark-mode .mention-suggestions {
+      background: #2a2a2a;
+      border-color: #333;
+    }
+    body.dark-mode .mention-suggestion {
+      color: #e0e0e0;
+    }
+    body.dark-mode .mention-suggestion.active,
+    body.dark-mode .mention-suggestion:hover {
+      background: #1b3a1e;
+    }
+    body.dark-mode a.mention {
+      color: #81c784;
+    }
+  `;
+  document.head.appendChild(style);
+}
+
+async function searchUsers(query) {
+  const params = new URLSearchParams({ q: query, limit: MAX_SUGGESTIONS });
+  const data = await fetchJsonWithAuth(
+    apiUrl(`/api/users/search?${params.toString()}`),
+    { method: "GET" }
+  );
+  return (data && data.users) || [];
+}
+
+/**
+ * Suggest users while typing "@name" in a textarea (or text input).
+ * Safe to call more than once for the same element.
+ * @param {HTMLTextAreaElement|HTMLInputElement} textarea
+ */
+export function attachMentionAutocomplete(textarea) {
+  if (!textarea || textarea.dataset.mentionAutocomplete) return;
+  textarea.dataset.mentionAutocomplete = "true";
+  injectStyles();
+
+  const list = document.createElement("div");
+  list.className = "mention-suggestions";
+  list.setAttribute("role", "listbox");
+  list.hidden = true;
+  document.body.appendChild(list);
+
+  let users = [];
+  let activeIndex = 0;
+  let range = null; // { start, end } of "@query" in the textarea value
+  let timer = null;
+  let requestSeq = 0;
+
+  const close = () => {
+    list.hidden = true;
+    list.innerHTML = "";
+    users = [];
+    range = null;
+  };
+
+  const position = () => {
+    const rect = textarea.getBoundingClientRect();
+    const height = list.offsetHeight;
+    // Composers at the bottom of the screen (room chat) open upwards
+    const top =
+      rect.bottom + height + 4 > window.innerHeight
+        ? Math.max(4, rect.top - height - 4)
+        : rect.bottom + 4;
+    list.style.top = `${top}px`;
+    list.style.left = `${Math.max(4, rect.left)}px`;
+  };
+
+  const render = () => {
+    list.innerHTML = users
+      .map((user, index) => {
+        const initial = escapeHtml((user.name || "?")[0].toUpperCase());
+        const avatar = user.photo
+          ? `<span class="mention-suggestion-avatar" style="background-image:url('${encodeURI(
+              user.photo
+            )}')"></span>`
+          : `<span class="mention-suggestion-avatar">${initial}</span>`;
+        return `<div class="mention-suggestion${
+          index === activeIndex ? " active" : ""
+        }" role="option" data-index="${index}">${avatar}<span>${escapeHtml(
+          user.name
+        )}</span></div>`;
+      })
+      .join("");
+    list.hidden = users.length === 0;
+    if (!list.hidden) position();
+  };
+
+  const select = (index) => {
+    const user = users[index];
+    if (!user || !range) return;
+    const token = `@[${user.name.replace(/[[\]\n]/g, "")}](${user.uid}) `;
+    const value = textarea.value;
+    textarea.value =
+      value.slice(0, range.start) + token + value.slice(range.end);
+    const caret = range.start + token.length;
+    textarea.setSelectionRange(caret, caret);
+    close();
+    textarea.focus();
+    // Let previews / autosize react to the inserted token
+    textarea.dispatchEvent(new Event("input", { bubbles: true }));
+  };
+
+  const update = async () => {
+    const caret = textarea.selectionStart;
+    const match = MENTION_QUERY_PATTERN.exec(textarea.value.slice(0, caret));
+    const seq = ++requestSeq;
+    if (!match) {
+      close();
+      return;
+    }
+    const query = match[2];
+    try {
+      const found = await searchUsers(query);
+      if (seq !== requestSeq) return;
+      users = found;
+      activeIndex = 0;
+      range = { start: caret - query.length - 1, end: caret };
+      render();
+    } catch (err) {
+      if (seq !== requestSeq) return;
+      console.warn("[mentions] user search failed:", err);
+      close();
+    }
+  };
+
+  textarea.addEventListener("input", (e) => {
+    // Ignore the event select() dispatches itself
+    if (!e.isTrusted) return;
+    clearTimeout(timer);
+    timer = setTimeout(update, SEARCH_DEBOUNCE_MS);
+  });
+
+  // Capture phase so Enter picks a suggestion instead of sending the message
+  textarea.addEventListener(
+    "keydown",
+    (e) => {
+      if (list.hidden || users.length === 0) return;
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        activeIndex = (activeIndex + step + users.length) % users.length;
+        render();
+      } else if (e.key === "Enter" || e.key === "Tab") {
+        select(activeIndex);
+      } else if (e.key === "Escape") {
+        close();
+      } else {
+        return;
+      }
+      e.preventDefault();
+      e.stopImmediatePropagation();
+    },
+    true
+  );
+
+  textarea.addEventListener("blur", () => {
+    // Leave time for a click on a suggestion
+    setTimeout(close, 150);
+  });
+
+  list.addEventListener("mousedown", (e) => {
+    const item = e.target.closest(".mention-suggestion");
+    if (!item) return;
+    e.preventDefault();
+    select(Number(item.dataset.index));
+  });
+}
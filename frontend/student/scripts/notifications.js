@@ -201,11 +201,24 @@ class NotificationManager {
       "check-circle": "✅",
       "x-circle": "❌",
       "alert-triangle": "⚠️",
+      calendar: "📅",
+      star: "⭐",
+      megaphone: "📢",
+      "at-sign": "📣",
       room_join: "👤",
       room_leave: "👋",
       room_invite: "✉️",
       topic_post: "📝",
       post_comment: "💬",
+      mention: "📣",
+      answer_accepted: "✅",
+      session_reminder: "📅",
+      room_role: "⭐",
+      room_join_request: "🚪",
+      room_join_request_result: "✅",
+      room_announcement: "📢",
+      room_archive_warning: "⏳",
+      room_archived: "🗄️",
       report_status: "📋",
       admin_new_report: "⚠️",
       admin_new_user: "👤",
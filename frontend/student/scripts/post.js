@@ -13,6 +13,14 @@ import {
   fetchJsonWithAuth,
 } from "./apiClient.js";
 import { openReportModal } from "./reportModal.js";
+import {
+  safeMarkdownHtml,
+  enhanceRenderedMarkdown,
+  attachMarkdownPreview,
+  resetMarkdownPreview,
+} from "./markdownPreview.js";
+import { attachMentionAutocomplete } from "./mentions.js";
+import { attachFollowControls } from "./threadFollow.js";
 
 // Configuration
 const COMMENTS_PAGE_LIMIT = 20;
@@ -44,6 +52,8 @@ function escapeHtml(s) {
     .replace(/'/g, "&#39;");
 }
 
+// Minimal formatting for comments that have no server-rendered HTML yet
+// (optimistic and offline comments)
 function renderMarkdownToHtml(md) {
   if (!md) return "";
   let out = escapeHtml(md);
@@ -60,6 +70,11 @@ function renderMarkdownToHtml(md) {
   return out;
 }
 
+function commentBodyHtml(comment) {
+  if (comment.content_html) return safeMarkdownHtml(comment.content_html);
+  return renderMarkdownToHtml(comment.content);
+}
+
 function createElementFromHtml(html) {
   const tpl = document.createElement("template");
   tpl.innerHTML = html.trim();
@@ -368,10 +383,11 @@ function createCommentNode(comment, topicId, postId) {
 
   const contentHtml = comment.is_deleted
     ? '<div class="comment-content comment-deleted">[Comment deleted]</div>'
-    : `<div class="comment-content">${renderMarkdownToHtml(
-        comment.content
+    : `<div class="comment-content markdown-body">${commentBodyHtml(
+        comment
       )}</div>`;
   body.insertAdjacentHTML("beforeend", contentHtml);
+  enhanceRenderedMarkdown(body.querySelector(".comment-content"));
 
   const actions = document.createElement("div");
   actions.className = "comment-actions";
@@ -508,6 +524,13 @@ function setupCommentDelegation(topicId, postId) {
     };
   }
 
+  // @mention suggestions in reply and inline-edit boxes (created per comment)
+  container.addEventListener("focusin", (e) => {
+    if (e.target.matches(".reply-input, .edit-textarea")) {
+      attachMentionAutocomplete(e.target);
+    }
+  });
+
   container.addEventListener("click", async (e) => {
     const replyToggle = e.target.closest(".btn-reply");
     if (replyToggle) {
@@ -773,11 +796,14 @@ function openInlineEditor(commentEl, commentData = {}, topicId, postId) {
     textarea.focus();
 
     cancelBtn.onclick = () => {
-      textarea.replaceWith(
-        createElementFromHtml(
-          `<div class="comment-content">${renderMarkdownToHtml(old)}</div>`
-        )
+      const restored = createElementFromHtml(
+        `<div class="comment-content markdown-body">${commentBodyHtml({
+          ...commentData,
+          content: old,
+        })}</div>`
       );
+      textarea.replaceWith(restored);
+      enhanceRenderedMarkdown(restored);
       container.remove();
     };
 
@@ -945,6 +971,11 @@ function wireQuickCommentHandlers(topicId, postId) {
   if (input) {
     const clonedInput = input.cloneNode(true);
     input.parentNode.replaceChild(clonedInput, input);
+    attachMarkdownPreview(
+      clonedInput,
+      document.getElementById("quickCommentPreview")
+    );
+    attachMentionAutocomplete(clonedInput);
     clonedInput.addEventListener("keydown", (e) => {
       if (e.key === "Enter" && !e.shiftKey) {
         e.preventDefault();
@@ -987,6 +1018,7 @@ function wireQuickCommentHandlers(topicId, postId) {
       const tempNode = createCommentNode(temp, topicId, postId);
       if (list) list.insertBefore(tempNode, list.firstChild);
       document.getElementById("quickCommentInput").value = "";
+      resetMarkdownPreview(document.getElementById("quickCommentInput"));
 
       try {
         const res = await postCommentServer(topicId, postId, { content: txt });
@@ -1132,10 +1164,13 @@ async function syncLocalComments(topicId, postId) {
       if (timeEl)
         timeEl.textContent = relativeTime(post.created_at || post.created);
       const contentEl = document.getElementById("postContent");
-      if (contentEl)
-        contentEl.innerHTML = renderMarkdownToHtml(
-          post.content || post.body || ""
-        );
+      if (contentEl) {
+        contentEl.classList.add("markdown-body");
+        contentEl.innerHTML = post.contentHtml
+          ? safeMarkdownHtml(post.contentHtml)
+          : renderMarkdownToHtml(post.content || post.body || "");
+        enhanceRenderedMarkdown(contentEl);
+      }
       const breadcrumbEl = document.getElementById("postBreadcrumb");
       if (breadcrumbEl) breadcrumbEl.textContent = post.title || "Post";
     }
@@ -1143,6 +1178,12 @@ async function syncLocalComments(topicId, postId) {
     console.warn("Could not fetch post:", e);
   }
 
+  attachFollowControls(
+    document.getElementById("postFollowControls"),
+    "post",
+    postId
+  );
+
   await loadAndRenderComments(topicId, postId, { reset: true });
   try {
     await syncLocalComments(topicId, postId);
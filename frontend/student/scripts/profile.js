@@ -337,6 +337,17 @@ function broadcastProfileUpdated(profile) {
   }
 }
 
+// -------------------- Another user's profile (read-only) --------------------
+// profile.html?uid=<uid> (e.g. an @mention link) shows the public fields only.
+async function showPublicProfile(uid) {
+  document.body.classList.add("profile-view-only");
+  const profile = await fetchJsonWithAuth(
+    `/api/users/${encodeURIComponent(uid)}/public`
+  );
+  updateProfileUI(profile);
+  document.title = `${profile.name || "Profile"} - Study Group`;
+}
+
 // -------------------- Auth state and initial profile fetch --------------------
 onAuthStateChanged(auth, async (user) => {
   if (!user) {
@@ -362,6 +373,23 @@ onAuthStateChanged(auth, async (user) => {
   };
   updateSidebarUserInfo();
 
+  const viewedUid = new URLSearchParams(window.location.search).get("uid");
+  if (viewedUid && viewedUid !== user.uid) {
+    try {
+      await showPublicProfile(viewedUid);
+    } catch (err) {
+      console.error("Error fetching public profile:", err);
+      showNotification(
+        err && err.status === 404
+          ? "This user could not be found."
+          : "Could not load this profile. Please try again later.",
+        "error"
+      );
+    }
+    if (overlay) overlay.classList.remove("visible");
+    return;
+  }
+
   try {
     const profile = await fetchJsonWithAuth("/api/users/profile");
     CURRENT_SESSION.userProgram = profile.program || "";
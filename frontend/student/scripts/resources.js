@@ -1046,6 +1046,13 @@ function initializeResourceUI() {
       state.currentSearch = this.value.trim().toLowerCase();
       applyFiltersAndSort();
     });
+
+    // Links from the global search open the page filtered (?q=)
+    const initialSearch = new URLSearchParams(window.location.search).get("q");
+    if (initialSearch) {
+      searchInput.value = initialSearch;
+      state.currentSearch = initialSearch.trim().toLowerCase();
+    }
   }
 
   document.querySelectorAll(".resource-filter-btn").forEach((btn) => {
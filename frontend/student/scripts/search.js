@@ -0,0 +1,230 @@
+// frontend/student/scripts/search.js
+// SEARCH RESULTS PAGE
+// Results for ?q= (optional &type=) from GET /api/search across topics,
+// posts, comments, resources and study rooms, with type filter chips.
+// Titles and snippets arrive as escaped HTML with <mark> highlights.
+
+import { auth } from "../../config/firebase.js";
+import { onAuthStateChanged } from "https://www.gstatic.com/firebasejs/9.22.2/firebase-auth.js";
+import {
+  MIN_QUERY_LENGTH,
+  SEARCH_TYPES,
+  searchAll,
+  searchPageUrl,
+} from "./searchClient.js";
+
+const RESULTS_LIMIT = 50;
+
+let currentQuery = "";
+let currentType = "all";
+let requestId = 0;
+
+// ===== Helpers =====
+function escapeHtml(str) {
+  if (typeof str !== "string") return "";
+  return str
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function formatRelativeTime(dateStr) {
+  if (!dateStr) return "";
+  const date = new Date(dateStr);
+  const diffDays = Math.floor((new Date() - date) / (1000 * 60 * 60 * 24));
+  if (diffDays === 0) return "Today";
+  if (diffDays === 1) return "Yesterday";
+  if (diffDays < 7) return `${diffDays} days ago`;
+  return date.toLocaleDateString();
+}
+
+function readParams() {
+  const params = new URLSearchParams(window.location.search);
+  currentQuery = (params.get("q") || "").trim();
+  const type = params.get("type") || "all";
+  currentType = SEARCH_TYPES[type] ? type : "all";
+}
+
+// ===== Rendering =====
+function renderFacets(facets = {}, total = 0) {
+  const container = document.getElementById("searchFacets");
+  if (!container) return;
+  const chips = [["all", "All", total]].concat(
+    Object.entries(SEARCH_TYPES).map(([type, info]) => [
+      type,
+      info.label,
+      facets[type] || 0,
+    ])
+  );
+  container.innerHTML = chips
+    .map(
+      ([type, label, count]) => `
+        <button type="button" class="search-facet ${
+          type === currentType ? "active" : ""
+        }" data-type="${type}" ${
+        count === 0 && type !== currentType ? "disabled" : ""
+      }>
+          ${escapeHtml(label)} <span class="search-facet-count">${count}</span>
+        </button>`
+    )
+    .join("");
+}
+
+function renderMessage(icon, text) {
+  const container = document.getElementById("searchResults");
+  if (!container) return;
+  container.innerHTML = `
+    <div class="search-empty">
+      <i class="bi ${icon}"></i>
+      <p>${escapeHtml(text)}</p>
+    </div>`;
+}
+
+function renderResult(result) {
+  const type = SEARCH_TYPES[result.type] || {
+    singular: result.type,
+    icon: "bi-search",
+  };
+  const badges = [];
+  if (result.privacy === "private") {
+    badges.push(
+      '<span class="search-badge"><i class="bi bi-lock"></i> Private</span>'
+    );
+  }
+  if (result.archived) {
+    badges.push('<span class="search-badge">Archived</span>');
+  }
+  const label =
+    result.type === "comment" ? "Comment on post" : type.singular || "";
+
+  return `
+    <a class="search-result" href="${escapeHtml(result.url)}">
+      <div class="search-result-icon search-type-${escapeHtml(result.type)}">
+        <i class="bi ${type.icon}"></i>
+      </div>
+      <div class="search-result-body">
+        <div class="search-result-meta">
+          <span class="search-result-type">${escapeHtml(label)}</span>
+          ${
+            result.date
+              ? `<span>· ${escapeHtml(formatRelativeTime(result.date))}</span>`
+              : ""
+          }
+          ${badges.join("")}
+        </div>
+        <div class="search-result-title">${
+          result.titleHtml || escapeHtml(result.title || "Untitled")
+        }</div>
+        ${
+          result.snippet
+            ? `<div class="search-result-snippet">${result.snippet}</div>`
+            : ""
+        }
+      </div>
+    </a>`;
+}
+
+function renderResults(data) {
+  const container = document.getElementById("searchResults");
+  const summary = document.getElementById("searchSummary");
+  const results = data.results || [];
+
+  if (summary) {
+    const shown =
+      currentType === "all" ? data.total : data.facets[currentType] || 0;
+    summary.textContent = `${shown} result${
+      shown === 1 ? "" : "s"
+    } for "${currentQuery}"`;
+  }
+  if (results.length === 0) {
+    renderMessage("bi-search", `No results for "${currentQuery}"`);
+    return;
+  }
+  if (container) container.innerHTML = results.map(renderResult).join("");
+}
+
+// ===== Search =====
+async function runSearch() {
+  const input = document.getElementById("searchPageInput");
+  const summary = document.getElementById("searchSummary");
+  if (input && input.value.trim() !== currentQuery) input.value = currentQuery;
+  document.title = currentQuery
+    ? `${currentQuery} - Search - Study Group`
+    : "Search - Study Group";
+
+  if (currentQuery.length < MIN_QUERY_LENGTH) {
+    renderFacets();
+    if (summary) summary.textContent = "";
+    renderMessage(
+      "bi-search",
+      "Search topics, posts, comments, resources and study rooms"
+    );
+    return;
+  }
+
+  const id = ++requestId;
+  renderMessage("bi-hourglass-split", "Searching...");
+  try {
+    const data = await searchAll(currentQuery, {
+      type: currentType,
+      limit: RESULTS_LIMIT,
+    });
+    if (id !== requestId) return;
+    renderFacets(data.facets, data.total);
+    renderResults(data);
+  } catch (err) {
+    if (id !== requestId) return;
+    console.error("[search] Search failed:", err);
+    if (summary) summary.textContent = "";
+    renderMessage("bi-exclamation-circle", "Search failed. Please try again.");
+  }
+}
+
+function navigate(query, type) {
+  currentQuery = query;
+  currentType = type;
+  window.history.pushState(null, "", searchPageUrl(query, type));
+  runSearch();
+}
+
+function initUI() {
+  const form = document.getElementById("searchPageForm");
+  const input = document.getElementById("searchPageInput");
+  const facets = document.getElementById("searchFacets");
+
+  if (form && input) {
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      navigate(input.value.trim(), "all");
+    });
+  }
+  if (facets) {
+    facets.addEventListener("click", (e) => {
+      const chip = e.target.closest(".search-facet");
+      if (!chip || chip.disabled || chip.dataset.type === currentType) return;
+      navigate(currentQuery, chip.dataset.type);
+    });
+  }
+  window.addEventListener("popstate", () => {
+    readParams();
+    runSearch();
+  });
+}
+
+// ===== Init =====
+onAuthStateChanged(auth, (user) => {
+  if (!user) {
+    window.location.href = "login.html";
+    return;
+  }
+  readParams();
+  runSearch();
+});
+
+if (document.readyState === "loading") {
+  document.addEventListener("DOMContentLoaded", initUI);
+} else {
+  initUI();
+}
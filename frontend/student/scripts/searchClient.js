@@ -0,0 +1,44 @@
+// frontend/student/scripts/searchClient.js
+// Client for the unified search API (GET /api/search), shared by the sidebar
+// search box and the search results page.
+// Results carry titleHtml / snippet as escaped HTML with <mark> highlights.
+
+import { apiUrl } from "../../config/appConfig.js";
+import { fetchJsonWithAuth } from "./apiClient.js";
+
+export const MIN_QUERY_LENGTH = 2;
+
+// Result types in facet order
+export const SEARCH_TYPES = {
+  topic: { label: "Topics", singular: "Topic", icon: "bi-chat-square-text" },
+  post: { label: "Posts", singular: "Post", icon: "bi-file-earmark-text" },
+  comment: {
+    label: "Comments",
+    singular: "Comment",
+    icon: "bi-chat-left-dots",
+  },
+  resource: { label: "Resources", singular: "Resource", icon: "bi-folder" },
+  room: { label: "Study Rooms", singular: "Study Room", icon: "bi-door-open" },
+};
+
+/**
+ * Search topics, posts, comments, resources and study rooms.
+ * @param {string} query
+ * @param {{ type?: string, limit?: number }} options - type: "all" or a SEARCH_TYPES key
+ * @returns {Promise<{ query, results, facets, total }>}
+ */
+export async function searchAll(query, { type = "all", limit } = {}) {
+  const params = new URLSearchParams({ q: query });
+  if (type && type !== "all") params.set("type", type);
+  if (limit) params.set("limit", String(limit));
+  return fetchJsonWithAuth(apiUrl(`/api/search?${params.toString()}`), {
+    method: "GET",
+  });
+}
+
+// Link to the full results page (pages live side by side in student/pages)
+export function searchPageUrl(query, type = "all") {
+  const params = new URLSearchParams({ q: query });
+  if (type && type !== "all") params.set("type", type);
+  return `search.html?${params.toString()}`;
+}
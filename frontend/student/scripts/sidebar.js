@@ -6,10 +6,17 @@
 // - auth listener using authFetch for authoritative profile
 // - idempotent init guard so module can be included on every page safely
 // - admin panel link visibility check
+// - global search box (search-as-you-type dropdown, Enter opens search.html)
 
 import { onAuthStateChanged, db } from "../../config/firebase.js";
 import { authFetch } from "./apiClient.js";
 import { adminApiUrl } from "../../config/appConfig.js";
+import {
+  MIN_QUERY_LENGTH,
+  SEARCH_TYPES,
+  searchAll,
+  searchPageUrl,
+} from "./searchClient.js";
 import {
   doc,
   getDoc,
@@ -478,6 +485,143 @@ function wireLogoutUI() {
   });
 }
 
+/* ----------------------- Global Search ----------------------- */
+const SEARCH_DEBOUNCE_MS = 300;
+const SEARCH_PREVIEW_LIMIT = 6;
+
+function escapeHtml(str) {
+  return String(str || "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function wireGlobalSearch() {
+  const header = document.querySelector("#sidebar .sidebar-header");
+  if (!header || el("globalSearchForm")) return;
+
+  const form = document.createElement("form");
+  form.id = "globalSearchForm";
+  form.className = "sidebar-search";
+  form.setAttribute("role", "search");
+  form.innerHTML = `
+    <i class="bi bi-search sidebar-search-icon"></i>
+    <input type="search" id="globalSearchInput" class="sidebar-search-input"
+      placeholder="Search everything..." autocomplete="off" maxlength="100"
+      aria-label="Search topics, posts, comments, resources and rooms" />
+    <div class="sidebar-search-results" id="globalSearchResults" hidden></div>
+  `;
+  header.appendChild(form);
+
+  const input = el("globalSearchInput");
+  const panel = el("globalSearchResults");
+  let timer = null;
+  let requestId = 0;
+  let activeIndex = -1;
+
+  // Keep the query visible on the results page
+  if ((location.pathname || "").toLowerCase().endsWith("/search.html")) {
+    input.value = new URLSearchParams(location.search).get("q") || "";
+  }
+
+  const items = () => [...panel.querySelectorAll(".sidebar-search-item")];
+  const hide = () => {
+    panel.hidden = true;
+    activeIndex = -1;
+  };
+  const setActive = (index) => {
+    const list = items();
+    if (list.length === 0) return;
+    activeIndex = (index + list.length) % list.length;
+    list.forEach((item, i) =>
+      item.classList.toggle("active", i === activeIndex)
+    );
+  };
+
+  function render(query, data) {
+    const results = (data && data.results) || [];
+    panel.innerHTML = results.length
+      ? results
+          .map((result) => {
+            const type = SEARCH_TYPES[result.type] || {};
+            return `
+              <a class="sidebar-search-item" href="${escapeHtml(result.url)}">
+                <i class="bi ${type.icon || "bi-search"}"></i>
+                <span class="sidebar-search-title">${
+                  result.titleHtml || escapeHtml(result.title)
+                }</span>
+                <span class="sidebar-search-type">${escapeHtml(
+                  type.singular || result.type
+                )}</span>
+              </a>`;
+          })
+          .join("") +
+        `<a class="sidebar-search-all" href="${escapeHtml(
+          searchPageUrl(query)
+        )}">See all ${data.total} results</a>`
+      : `<div class="sidebar-search-empty">No results for "${escapeHtml(
+          query
+        )}"</div>`;
+    activeIndex = -1;
+    panel.hidden = false;
+  }
+
+  async function runSearch(query) {
+    const id = ++requestId;
+    try {
+      const data = await searchAll(query, { limit: SEARCH_PREVIEW_LIMIT });
+      if (id === requestId) render(query, data);
+    } catch (err) {
+      if (id !== requestId) return;
+      console.warn("[sidebar] Search failed:", err && err.message);
+      panel.innerHTML = `<div class="sidebar-search-empty">Search is unavailable right now</div>`;
+      panel.hidden = false;
+    }
+  }
+
+  input.addEventListener("input", () => {
+    clearTimeout(timer);
+    const query = input.value.trim();
+    if (query.length < MIN_QUERY_LENGTH) {
+      requestId++;
+      hide();
+      return;
+    }
+    timer = setTimeout(() => runSearch(query), SEARCH_DEBOUNCE_MS);
+  });
+
+  input.addEventListener("keydown", (e) => {
+    if (e.key === "ArrowDown" && !panel.hidden) {
+      e.preventDefault();
+      setActive(activeIndex + 1);
+    } else if (e.key === "ArrowUp" && !panel.hidden) {
+      e.preventDefault();
+      setActive(activeIndex - 1);
+    } else if (e.key === "Escape") {
+      hide();
+    }
+  });
+
+  form.addEventListener("submit", (e) => {
+    e.preventDefault();
+    const active = items()[activeIndex];
+    if (active && !panel.hidden) {
+      window.location.href = active.getAttribute("href");
+      return;
+    }
+    const query = input.value.trim();
+    if (query.length >= MIN_QUERY_LENGTH) {
+      window.location.href = searchPageUrl(query);
+    }
+  });
+
+  document.addEventListener("click", (e) => {
+    if (!form.contains(e.target)) hide();
+  });
+}
+
 /* ----------------------- Init ----------------------- */
 function initSidebar() {
   console.info("sidebar: init (idempotent)");
@@ -490,6 +634,7 @@ function initSidebar() {
   applySidebarPreferenceOnLoad();
   wireSidebarToggle();
   wireLogoutUI();
+  wireGlobalSearch();
 }
 
 /* Guard against double-init */
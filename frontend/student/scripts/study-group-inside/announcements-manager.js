@@ -0,0 +1,226 @@
+// AnnouncementsManager class - Room announcements board (chat sidebar)
+// Announcements come with the room (GET /api/study-groups/:id); the newest one
+// the user has not seen yet is shown as a banner when they join. Hosts post and
+// remove announcements through /api/study-groups/:id/announcements, which also
+// notifies every participant.
+
+import { showToast, escapeHtml } from "./utils.js";
+import {
+  fetchJsonWithAuth,
+  postJsonWithAuth,
+  deleteWithAuth,
+} from "../apiClient.js";
+
+const MAX_ANNOUNCEMENT_LENGTH = 1000;
+
+export class AnnouncementsManager {
+  constructor(userAuth, roomManager) {
+    this.userAuth = userAuth;
+    this.roomManager = roomManager;
+    this.announcements = [];
+    this._posting = false;
+  }
+
+  init() {
+    const room = this.roomManager.currentRoomData;
+    if (!room) return;
+    this.announcements = Array.isArray(room.announcements)
+      ? room.announcements
+      : [];
+
+    document
+      .getElementById("chatAnnouncementsBtn")
+      ?.addEventListener("click", () => this.toggle());
+    document
+      .getElementById("announcementBannerView")
+      ?.addEventListener("click", () => {
+        this._hideBanner();
+        this.toggle(true);
+      });
+    document
+      .getElementById("announcementBannerDismiss")
+      ?.addEventListener("click", () => this._hideBanner());
+    document
+      .getElementById("announcementForm")
+      ?.addEventListener("submit", (e) => {
+        e.preventDefault();
+        this.post();
+      });
+    document
+      .getElementById("announcementsList")
+      ?.addEventListener("click", (e) => {
+        const remove = e.target.closest("[data-announcement-remove]");
+        if (remove) this.remove(remove.dataset.announcementRemove);
+      });
+
+    const form = document.getElementById("announcementForm");
+    if (form) {
+      form.style.display =
+        this.roomManager.isHost && !this.roomManager.isReadOnly ? "" : "none";
+    }
+
+    this._showBannerIfUnseen();
+  }
+
+  _apiUrl(path = "") {
+    return `${
+      window.__CONFIG__.apiBase
+    }/${this.roomManager._getRoomId()}/announcements${path}`;
+  }
+
+  _seenKey() {
+    return `announcementsSeen:${
+      this.userAuth.currentUser.uid
+    }:${this.roomManager._getRoomId()}`;
+  }
+
+  _markSeen() {
+    const newest = this.announcements[0];
+    if (!newest) return;
+    try {
+      localStorage.setItem(this._seenKey(), newest.createdAt || "");
+    } catch (e) {
+      // storage unavailable - the banner just shows again next time
+    }
+  }
+
+  _showBannerIfUnseen() {
+    let seenAt = "";
+    try {
+      seenAt = localStorage.getItem(this._seenKey()) || "";
+    } catch (e) {
+      seenAt = "";
+    }
+    const uid = this.userAuth.currentUser.uid;
+    const unseen = this.announcements.filter(
+      (a) => a.createdBy !== uid && (!seenAt || (a.createdAt || "") > seenAt)
+    );
+    if (unseen.length === 0) return;
+
+    const latest = unseen[0];
+    const meta = document.getElementById("announcementBannerMeta");
+    const text = document.getElementById("announcementBannerText");
+    if (meta) {
+      meta.textContent = `${
+        latest.createdByName || "Host"
+      } · ${this._formatDate(latest.createdAt)}${
+        unseen.length > 1 ? ` · ${unseen.length - 1} more` : ""
+      }`;
+    }
+    if (text) text.textContent = latest.text;
+    const banner = document.getElementById("announcementBanner");
+    if (banner) banner.style.display = "flex";
+  }
+
+  _hideBanner() {
+    const banner = document.getElementById("announcementBanner");
+    if (banner) banner.style.display = "none";
+    this._markSeen();
+  }
+
+  _formatDate(iso) {
+    if (!iso) return "";
+    const date = new Date(iso);
+    if (Number.isNaN(date.getTime())) return "";
+    return date.toLocaleString([], { dateStyle: "medium", timeStyle: "short" });
+  }
+
+  toggle(show) {
+    const panel = document.getElementById("chatAnnouncementsPanel");
+    if (!panel) return;
+    const visible = show ?? panel.style.display === "none";
+    panel.style.display = visible ? "block" : "none";
+    document
+      .getElementById("chatAnnouncementsBtn")
+      ?.classList.toggle("active", visible);
+    if (visible) {
+      this._hideBanner();
+      this.render();
+      this.refresh();
+    }
+  }
+
+  async refresh() {
+    try {
+      const data = await fetchJsonWithAuth(this._apiUrl());
+      this.announcements = data?.announcements || [];
+      this._markSeen();
+      this.render();
+    } catch (err) {
+      console.error("[announcements] Failed to refresh:", err);
+    }
+  }
+
+  render() {
+    const list = document.getElementById("announcementsList");
+    if (!list) return;
+    if (this.announcements.length === 0) {
+      list.innerHTML = `<div class="chat-board-empty">No announcements yet</div>`;
+      return;
+    }
+
+    const canRemove = this.roomManager.isHost && !this.roomManager.isReadOnly;
+    list.innerHTML = this.announcements
+      .map(
+        (a) => `<div class="chat-board-item">
+          <div class="chat-board-item-meta"><strong>${escapeHtml(
+            a.createdByName || "Host"
+          )}</strong><span>${escapeHtml(this._formatDate(a.createdAt))}${
+          canRemove
+            ? ` <button type="button" class="chat-board-item-remove" data-announcement-remove="${escapeHtml(
+                a.id
+              )}" title="Remove"><i class="bi bi-x-lg"></i></button>`
+            : ""
+        }</span></div>
+          <div class="chat-board-item-text">${escapeHtml(a.text)}</div>
+        </div>`
+      )
+      .join("");
+  }
+
+  async post() {
+    const input = document.getElementById("announcementInput");
+    const text = (input?.value || "").trim();
+    if (!text || this._posting) return;
+    if (text.length > MAX_ANNOUNCEMENT_LENGTH) {
+      showToast(
+        `Announcements are limited to ${MAX_ANNOUNCEMENT_LENGTH} characters`,
+        "error"
+      );
+      return;
+    }
+
+    this._posting = true;
+    try {
+      const data = await postJsonWithAuth(this._apiUrl(), { text });
+      if (data?.announcement) {
+        this.announcements = [data.announcement, ...this.announcements];
+        this._markSeen();
+      }
+      if (input) input.value = "";
+      this.render();
+      showToast("Announcement posted", "success");
+    } catch (err) {
+      console.error("[announcements] Failed to post:", err);
+      showToast(err.message || "Failed to post announcement", "error");
+    } finally {
+      this._posting = false;
+    }
+  }
+
+  async remove(announcementId) {
+    if (!confirm("Remove this announcement?")) return;
+    try {
+      await deleteWithAuth(
+        this._apiUrl(`/${encodeURIComponent(announcementId)}`)
+      );
+      this.announcements = this.announcements.filter(
+        (a) => a.id !== announcementId
+      );
+      this.render();
+    } catch (err) {
+      console.error("[announcements] Failed to remove:", err);
+      showToast(err.message || "Failed to remove announcement", "error");
+    }
+  }
+}
@@ -0,0 +1,83 @@
+// AttendanceTracker class - Records this user's visit to the room for attendance
+// and study-time stats (POST / PATCH /api/study-groups/:id/attendance/visits).
+// A heartbeat keeps the visit open; call time follows updateParticipantCallStatus().
+
+import { postJsonWithAuth, patchJsonWithAuth } from "../apiClient.js";
+
+const DEFAULT_HEARTBEAT_SECONDS = 60;
+
+export class AttendanceTracker {
+  constructor(roomId) {
+    this.roomId = roomId;
+    this.visitId = null;
+    this.inCall = false;
+    this._heartbeatTimer = null;
+    this._starting = null;
+    this._stopped = false;
+  }
+
+  _visitsUrl(path = "") {
+    return `${window.__CONFIG__.apiBase}/${this.roomId}/attendance/visits${path}`;
+  }
+
+  async start() {
+    if (this._starting) return this._starting;
+    this._starting = (async () => {
+      try {
+        const data = await postJsonWithAuth(this._visitsUrl());
+        // 204 (admins who are not participants) - nothing to track
+        if (!data?.visitId || this._stopped) return false;
+        this.visitId = data.visitId;
+        const seconds = data.heartbeatSeconds || DEFAULT_HEARTBEAT_SECONDS;
+        clearInterval(this._heartbeatTimer);
+        this._heartbeatTimer = setInterval(() => this._send(), seconds * 1000);
+        if (this.inCall) await this._send();
+        return true;
+      } catch (err) {
+        console.error("[attendance] Failed to start visit:", err);
+        return false;
+      } finally {
+        this._starting = null;
+      }
+    })();
+    return this._starting;
+  }
+
+  // Called from RoomManager.updateParticipantCallStatus for the current user
+  setInCall(inCall) {
+    if (this.inCall === inCall) return;
+    this.inCall = inCall;
+    this._send();
+  }
+
+  async _send(extra = {}, options = {}) {
+    if (!this.visitId) return;
+    try {
+      await patchJsonWithAuth(
+        this._visitsUrl(`/${encodeURIComponent(this.visitId)}`),
+        { inCall: this.inCall, ...extra },
+        options
+      );
+    } catch (err) {
+      // Heartbeats stopped for too long (sleep / offline): start a new visit
+      if (err.status === 409 && err.body?.expired && !extra.left) {
+        this.visitId = null;
+        clearInterval(this._heartbeatTimer);
+        this.start();
+        return;
+      }
+      console.warn("[attendance] Heartbeat failed:", err.message);
+    }
+  }
+
+  // keepalive lets the final update finish while the page unloads
+  stop({ keepalive = false } = {}) {
+    if (this._stopped) return;
+    this._stopped = true;
+    clearInterval(this._heartbeatTimer);
+    this._heartbeatTimer = null;
+    if (this.visitId) {
+      this._send({ left: true }, keepalive ? { keepalive, retries: 0 } : {});
+    }
+  }
+}
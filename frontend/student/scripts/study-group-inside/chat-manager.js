@@ -1,7 +1,15 @@
 // ChatManager (ES module) - Clean, stable non-virtualized implementation
 // ✅ FIXED: Enrich author names from userAuth cache instead of using raw Firestore data
+// ✅ NEW: shareFile() posts an uploaded file/image message (used by attachments and whiteboard export)
+// ✅ NEW: Edit / delete (tombstone), replies and reactions - changes go through /api/study-groups/:id/messages
+// ✅ NEW: Live window of recent messages + paged history, incremental rendering, unread tracking
+// ✅ NEW: Hosts pin / unpin messages (listed by pinned-messages-manager.js)
+// ✅ NEW: "X is typing…" indicator and "Seen by N" receipts (state kept by presence-manager.js)
+// ✅ NEW: Messages are sent through POST /api/study-groups/:id/messages (mute / slow mode / word filter)
+// ✅ NEW: @mention autocomplete in the composer; mentions render as profile links
 
 import { db } from "./firebase-init.js";
+import { TYPING_TTL_MS } from "./presence-manager.js";
 import {
   showToast,
   escapeHtml,
@@ -9,6 +17,30 @@ import {
   formatFileSize,
   uploadFileToBackend,
 } from "./utils.js";
+import {
+  postJsonWithAuth,
+  patchJsonWithAuth,
+  deleteWithAuth,
+} from "../apiClient.js";
+import {
+  attachMentionAutocomplete,
+  renderMentionsHtml,
+  mentionsToPlainText,
+} from "../mentions.js";
+
+// Must match ALLOWED_REACTIONS in backend/services/chatMessageService.js
+const REACTIONS = ["👍", "❤️", "😂", "😮", "🎉", "🙏"];
+const REPLY_PREVIEW_LENGTH = 140;
+
+// History paging: the listener only covers the newest messages
+const LIVE_WINDOW_SIZE = 50;
+const HISTORY_PAGE_SIZE = 30;
+const LOAD_OLDER_THRESHOLD_PX = 80;
+const NEAR_BOTTOM_PX = 120;
+
+// Typing indicator: stop signalling after this long without a keystroke
+const TYPING_IDLE_MS = 4000;
+const JUMP_MAX_MESSAGES = 500; // history loaded at once to reach a search result
 
 export class ChatManager {
   constructor(userAuth, roomManager) {
@@ -31,6 +63,25 @@ export class ChatManager {
 
     this._scrollHandlerAttached = false;
     this._authorNamesCache = {}; // ✅ NEW: Cache author names
+
+    // ✅ NEW: Composer context - { mode: "reply" | "edit", messageId } or null
+    this._composeContext = null;
+
+    // ✅ NEW: Paged history + unread tracking
+    this._messageMap = new Map(); // id -> message, everything loaded so far
+    this._oldestCursor = null; // oldest loaded doc (startAfter cursor)
+    this.hasMoreHistory = true;
+    this._loadingOlder = false;
+    this._initialScrollDone = false;
+    this._lastReadAt = 0; // last read message time when the room was opened
+    this._newBelowCount = 0; // arrived while scrolled up
+
+    // ✅ NEW: Typing indicator + read receipts
+    this._typingIdleTimer = null;
+    this._typingRefreshTimer = null;
+
+    // ✅ NEW: Set by ChatModerationManager (composer state for mutes / slow mode)
+    this.moderation = null;
   }
 
   // Robust timestamp parsing helper.
@@ -59,10 +110,16 @@ export class ChatManager {
     const attachBtn = document.getElementById("attachBtn");
     const fileInput = document.getElementById("fileInput");
 
+    if (messageInput) attachMentionAutocomplete(messageInput);
+    messageInput?.addEventListener("input", () => this._onComposerInput());
+    messageInput?.addEventListener("blur", () => this._stopTyping());
     messageInput?.addEventListener("keydown", (e) => {
       if (e.key === "Enter" && !e.shiftKey) {
         e.preventDefault();
         this.sendMessage();
+      } else if (e.key === "Escape" && this._composeContext) {
+        e.preventDefault();
+        this.cancelCompose();
       }
     });
     sendBtn?.addEventListener("click", () => this.sendMessage());
@@ -79,106 +136,168 @@ export class ChatManager {
         fileInput.value = "";
         return;
       }
-      showToast(`Uploading ${file.name}...`, "info");
-      const roomId =
-        this.roomManager.currentRoomData &&
-        (this.roomManager.currentRoomData._id ||
-          this.roomManager.currentRoomData.id);
-      if (!roomId) {
-        showToast("Room not loaded", "error");
-        fileInput.value = "";
-        return;
-      }
-      const isImage = file.type && file.type.startsWith("image/");
-      try {
-        const { url } = await uploadFileToBackend(roomId, file);
-        const messagesRef = db
-          .collection("studyGroups")
-          .doc(roomId)
-          .collection("messages");
-        const tempId = `temp-${Date.now()}`;
-        if (isImage) {
-          this.messages.push({
-            id: tempId,
-            authorUid: this.userAuth.currentUser.uid,
-            text: "",
-            imageUrl: null,
-            status: "sending",
-            timestamp: new Date(),
-          });
-          this.renderMessages({ scrollForOwnMessage: true });
-          await messagesRef.add({
-            authorUid: this.userAuth.currentUser.uid,
-            author:
-              this.userAuth.currentUser.name ||
-              this.userAuth.currentUser.displayName,
-            text: "",
-            isSystem: false,
-            imageUrl: url,
-            fileName: file.name,
-            fileType: file.type,
-            fileSize: file.size,
-            timestamp: firebase.firestore.FieldValue.serverTimestamp(),
-          });
-          showToast("Image shared successfully", "success");
-        } else {
-          this.messages.push({
-            id: tempId,
-            authorUid: this.userAuth.currentUser.uid,
-            text: "",
-            fileUrl: null,
-            fileName: file.name,
-            status: "sending",
-            timestamp: new Date(),
-          });
-          this.renderMessages({ scrollForOwnMessage: true });
-          await messagesRef.add({
-            authorUid: this.userAuth.currentUser.uid,
-            author:
-              this.userAuth.currentUser.name ||
-              this.userAuth.currentUser.displayName,
-            text: "",
-            isSystem: false,
-            fileUrl: url,
-            fileName: file.name,
-            fileType: file.type,
-            fileSize: file.size,
-            timestamp: firebase.firestore.FieldValue.serverTimestamp(),
-          });
-          showToast("File shared successfully", "success");
-        }
-      } catch (err) {
-        console.error("Failed to upload file and send message:", err);
-        showToast("Failed to upload file. Try again.", "error");
-        const lastTemp = this.messages
-          .slice()
-          .reverse()
-          .find((m) => m.status === "sending");
-        if (lastTemp) {
-          const idx = this.messages.findIndex((m) => m.id === lastTemp.id);
-          if (idx !== -1) {
-            this.messages[idx].status = "error";
-            this.renderMessages();
-          }
-        }
-      } finally {
-        fileInput.value = "";
-      }
+      await this.shareFile(file);
+      fileInput.value = "";
+    });
+
+    // Message actions (reply / react / edit / delete / jump to quoted message)
+    document
+      .getElementById("chatMessages")
+      ?.addEventListener("click", (e) => this._handleMessageAction(e));
+    document
+      .getElementById("chatComposeCancel")
+      ?.addEventListener("click", () => this.cancelCompose());
+    document
+      .getElementById("chatNewMessagesBtn")
+      ?.addEventListener("click", () => this.scrollToLatest());
+    document.addEventListener("visibilitychange", () => {
+      const chatEl = document.getElementById("chatMessages");
+      if (chatEl && this._isNearBottom(chatEl)) this._markRead();
     });
 
+    this._attachPresence();
     this.loadMessages();
   }
 
-  loadMessages() {
-    if (!this.roomManager.currentRoomData) return;
+  // ✅ NEW: Typing + read state from the room's PresenceManager (if presence is up)
+  get _presence() {
+    return this.roomManager.presenceManager || null;
+  }
+
+  _attachPresence() {
+    const presence = this._presence;
+    if (!presence) return;
+    presence.onTypingChange(() => this._renderTypingIndicator());
+    presence.onReadsChange(() => {
+      if (this.messages.length > 0) this.renderMessages();
+    });
+  }
+
+  _onComposerInput() {
+    const presence = this._presence;
+    const input = document.getElementById("messageInput");
+    if (!presence || !input) return;
+    if (!input.value.trim() || this._composeContext?.mode === "edit") {
+      this._stopTyping();
+      return;
+    }
+    const user = this.userAuth.currentUser;
+    presence.setTyping(true, user.name || user.displayName || null);
+    clearTimeout(this._typingIdleTimer);
+    this._typingIdleTimer = setTimeout(
+      () => this._stopTyping(),
+      TYPING_IDLE_MS
+    );
+  }
+
+  _stopTyping() {
+    clearTimeout(this._typingIdleTimer);
+    this._typingIdleTimer = null;
+    this._presence?.setTyping(false);
+  }
+
+  _participantName(uid, fallback) {
+    const participant = (this.roomManager.participants || []).find(
+      (p) => p.id === uid
+    );
+    return (
+      participant?.name ||
+      this._authorNamesCache[uid] ||
+      fallback ||
+      uid.substring(0, 8)
+    );
+  }
+
+  _renderTypingIndicator() {
+    const el = document.getElementById("chatTypingIndicator");
+    const presence = this._presence;
+    if (!el || !presence) return;
+
+    const names = presence
+      .getTypingUsers()
+      .map((u) => this._participantName(u.uid, u.name));
+    let text = "";
+    if (names.length === 1) text = `${names[0]} is typing…`;
+    else if (names.length === 2)
+      text = `${names[0]} and ${names[1]} are typing…`;
+    else if (names.length > 2) text = `${names.length} people are typing…`;
+
+    el.textContent = text;
+    el.style.visibility = text ? "visible" : "hidden";
+
+    // Entries are not removed when a tab dies mid-sentence - re-check until they expire
+    clearTimeout(this._typingRefreshTimer);
+    this._typingRefreshTimer = names.length
+      ? setTimeout(() => this._renderTypingIndicator(), TYPING_TTL_MS / 3)
+      : null;
+  }
+
+  // ✅ NEW: Upload a file and post it as a file/image message (also used by the whiteboard export)
+  async shareFile(file) {
+    const blocked = this.moderation?.getSendBlockReason();
+    if (blocked) {
+      showToast(blocked, "error");
+      return false;
+    }
+    showToast(`Uploading ${file.name}...`, "info");
+    const roomId =
+      this.roomManager.currentRoomData &&
+      (this.roomManager.currentRoomData._id ||
+        this.roomManager.currentRoomData.id);
+    if (!roomId) {
+      showToast("Room not loaded", "error");
+      return false;
+    }
+    const isImage = file.type && file.type.startsWith("image/");
+    const tempId = `temp-${Date.now()}`;
+    try {
+      const { url } = await uploadFileToBackend(roomId, file);
+      this.messages.push({
+        id: tempId,
+        authorUid: this.userAuth.currentUser.uid,
+        text: "",
+        ...(isImage ? { imageUrl: null } : { fileUrl: null }),
+        fileName: file.name,
+        status: "sending",
+        timestamp: new Date(),
+      });
+      this.renderMessages({ scrollForOwnMessage: true });
+      const data = await postJsonWithAuth(this._sendUrl(), {
+        file: { url, name: file.name, type: file.type, size: file.size },
+      });
+      this.moderation?.handleSent(data);
+      showToast(
+        isImage ? "Image shared successfully" : "File shared successfully",
+        "success"
+      );
+      return true;
+    } catch (err) {
+      console.error("Failed to upload file and send message:", err);
+      if (this._handleModerationError(err, tempId)) return false;
+      showToast("Failed to upload file. Try again.", "error");
+      const idx = this.messages.findIndex((m) => m.id === tempId);
+      if (idx !== -1) {
+        this.messages[idx].status = "error";
+        this.renderMessages();
+      }
+      return false;
+    }
+  }
+
+  _messagesRef() {
     const roomId =
       this.roomManager.currentRoomData._id ||
       this.roomManager.currentRoomData.id;
-    const messagesRef = db
-      .collection("studyGroups")
-      .doc(roomId)
-      .collection("messages")
-      .orderBy("timestamp", "asc");
+    return db.collection("studyGroups").doc(roomId).collection("messages");
+  }
+
+  // ✅ NEW: Only the newest LIVE_WINDOW_SIZE messages are live; older history is
+  // fetched in pages (loadOlderMessages) when scrolling up.
+  loadMessages() {
+    if (!this.roomManager.currentRoomData) return;
+    const liveQuery = this._messagesRef()
+      .orderBy("timestamp", "desc")
+      .limit(LIVE_WINDOW_SIZE);
     const chatMessages = document.getElementById("chatMessages");
     if (chatMessages)
       chatMessages.innerHTML = `<div class="loading-messages"><div class="spinner-border spinner-border-sm text-secondary" role="status"></div><span>Loading messages...</span></div>`;
@@ -190,80 +309,51 @@ export class ChatManager {
       this.unsubscribeMessages = null;
     }
 
+    this._messageMap.clear();
+    this._oldestCursor = null;
+    this.hasMoreHistory = true;
+    this._initialScrollDone = false;
+    this._newBelowCount = 0;
+    this._lastReadAt = this._readLastReadAt();
+
     let retryDelay = 1000,
       maxDelay = 30000;
     const subscribe = () => {
-      this.unsubscribeMessages = messagesRef.onSnapshot(
+      let firstSnapshot = true;
+      this.unsubscribeMessages = liveQuery.onSnapshot(
         (snapshot) => {
-          this.messages = [];
-          snapshot.forEach((doc) =>
-            this.messages.push({ id: doc.id, ...doc.data() })
-          );
-
-          // rebuild sharedFiles
-          const filesMap = new Map();
-          for (const msg of this.messages) {
-            if (msg.isSystem) continue;
-            if (msg.imageUrl) {
-              const key = msg.imageUrl;
-              if (!filesMap.has(key)) {
-                filesMap.set(key, {
-                  id: `file-${this._makeHash(key)}`,
-                  name:
-                    msg.fileName ||
-                    this._extractFilenameFromUrl(key) ||
-                    "image",
-                  url: key,
-                  type: "image",
-                  sender:
-                    msg.author ||
-                    (msg.authorUid === this.userAuth.currentUser.uid
-                      ? "You"
-                      : msg.authorUid),
-                  senderUid: msg.authorUid || null,
-                  timestamp:
-                    msg.timestamp && msg.timestamp.toDate
-                      ? msg.timestamp.toDate().toISOString()
-                      : (msg.timestamp || new Date()).toString(),
-                  extension: this._extractExtension(msg.fileName || key),
-                });
-              }
-            }
-            if (msg.fileUrl) {
-              const key = msg.fileUrl;
-              if (!filesMap.has(key)) {
-                filesMap.set(key, {
-                  id: `file-${this._makeHash(key)}`,
-                  name:
-                    msg.fileName || this._extractFilenameFromUrl(key) || "file",
-                  url: key,
-                  type: "file",
-                  sender:
-                    msg.author ||
-                    (msg.authorUid === this.userAuth.currentUser.uid
-                      ? "You"
-                      : msg.authorUid),
-                  senderUid: msg.authorUid || null,
-                  timestamp:
-                    msg.timestamp && msg.timestamp.toDate
-                      ? msg.timestamp.toDate().toISOString()
-                      : (msg.timestamp || new Date()).toString(),
-                  extension: this._extractExtension(msg.fileName || key),
-                });
-              }
+          const chatEl = document.getElementById("chatMessages");
+          const wasNearBottom = chatEl ? this._isNearBottom(chatEl) : true;
+
+          snapshot.docChanges().forEach((change) => {
+            // "removed" only means the message scrolled out of the live window
+            // (deletions are tombstones), so it stays in the loaded history.
+            if (change.type === "removed") return;
+            const msg = { id: change.doc.id, ...change.doc.data() };
+            if (
+              change.type === "added" &&
+              !firstSnapshot &&
+              !wasNearBottom &&
+              !msg.isSystem &&
+              msg.authorUid !== this.userAuth.currentUser.uid &&
+              !this._messageMap.has(msg.id)
+            ) {
+              this._newBelowCount++;
             }
-          }
-          this.sharedFiles = Array.from(filesMap.values()).reverse();
+            this._messageMap.set(msg.id, msg);
+          });
 
-          // Detect if user was near bottom before re-render
-          const chatEl = document.getElementById("chatMessages");
-          let wasNearBottom = true;
-          if (chatEl) {
-            wasNearBottom =
-              chatEl.scrollHeight - (chatEl.scrollTop + chatEl.clientHeight) <=
-              120;
+          if (firstSnapshot) {
+            if (!this._oldestCursor && snapshot.docs.length > 0) {
+              this._oldestCursor = snapshot.docs[snapshot.docs.length - 1];
+            }
+            if (!this._oldestCursor) this.hasMoreHistory = false;
+            else if (snapshot.docs.length < LIVE_WINDOW_SIZE)
+              this.hasMoreHistory = false;
+            firstSnapshot = false;
           }
 
+          this._syncMessages();
           this.renderMessages({ scrollIfNearBottom: wasNearBottom });
           this.updateFilesListInSettings();
 
@@ -286,6 +376,183 @@ export class ChatManager {
     subscribe();
   }
 
+  // ✅ NEW: Fetch the next page of history above the oldest loaded message
+  async loadOlderMessages() {
+    if (this._loadingOlder || !this.hasMoreHistory || !this._oldestCursor)
+      return;
+    this._loadingOlder = true;
+    this.renderMessages();
+
+    try {
+      const snapshot = await this._messagesRef()
+        .orderBy("timestamp", "desc")
+        .startAfter(this._oldestCursor)
+        .limit(HISTORY_PAGE_SIZE)
+        .get();
+      snapshot.forEach((doc) =>
+        this._messageMap.set(doc.id, { id: doc.id, ...doc.data() })
+      );
+      if (snapshot.docs.length > 0) {
+        this._oldestCursor = snapshot.docs[snapshot.docs.length - 1];
+      }
+      this.hasMoreHistory = snapshot.docs.length === HISTORY_PAGE_SIZE;
+    } catch (err) {
+      console.error("Failed to load older messages:", err);
+      showToast("Failed to load older messages", "error");
+    } finally {
+      this._loadingOlder = false;
+      this._syncMessages();
+      this.renderMessages();
+      this.updateFilesListInSettings();
+    }
+  }
+
+  // Rebuild the ordered message list (and shared files) from everything loaded
+  _syncMessages() {
+    this.messages = Array.from(this._messageMap.values()).sort(
+      (a, b) =>
+        this._toDate(a.timestamp).getTime() -
+        this._toDate(b.timestamp).getTime()
+    );
+
+    const filesMap = new Map();
+    for (const msg of this.messages) {
+      if (msg.isSystem) continue;
+      const key = msg.imageUrl || msg.fileUrl;
+      if (!key || filesMap.has(key)) continue;
+      filesMap.set(key, {
+        id: `file-${this._makeHash(key)}`,
+        name:
+          msg.fileName ||
+          this._extractFilenameFromUrl(key) ||
+          (msg.imageUrl ? "image" : "file"),
+        url: key,
+        type: msg.imageUrl ? "image" : "file",
+        sender:
+          msg.author ||
+          (msg.authorUid === this.userAuth.currentUser.uid
+            ? "You"
+            : msg.authorUid),
+        senderUid: msg.authorUid || null,
+        timestamp:
+          msg.timestamp && msg.timestamp.toDate
+            ? msg.timestamp.toDate().toISOString()
+            : (msg.timestamp || new Date()).toString(),
+        extension: this._extractExtension(msg.fileName || key),
+      });
+    }
+    this.sharedFiles = Array.from(filesMap.values()).reverse();
+  }
+
+  // ===== Unread tracking (last read message time per user + room) =====
+  _lastReadKey() {
+    const roomId =
+      this.roomManager.currentRoomData._id ||
+      this.roomManager.currentRoomData.id;
+    return `chatLastRead:${this.userAuth.currentUser.uid}:${roomId}`;
+  }
+
+  _readLastReadAt() {
+    try {
+      return parseInt(localStorage.getItem(this._lastReadKey()), 10) || 0;
+    } catch (e) {
+      return 0;
+    }
+  }
+
+  _isUnread(msg) {
+    return (
+      this._lastReadAt > 0 &&
+      !msg.isSystem &&
+      msg.authorUid !== this.userAuth.currentUser.uid &&
+      msg.timestamp &&
+      this._toDate(msg.timestamp).getTime() > this._lastReadAt
+    );
+  }
+
+  // Called when the newest message is on screen
+  _markRead() {
+    if (document.visibilityState === "hidden") return;
+    const newest = this.messages[this.messages.length - 1];
+    if (newest && newest.timestamp) {
+      const newestMs = this._toDate(newest.timestamp).getTime();
+      try {
+        const stored = this._readLastReadAt();
+        if (newestMs > stored)
+          localStorage.setItem(this._lastReadKey(), String(newestMs));
+      } catch (e) {
+        // storage unavailable (private mode) - unread tracking is best effort
+      }
+    }
+    const newestSent = this._latestSentMessage();
+    if (newestSent) {
+      this._presence?.setLastRead(
+        newestSent.id,
+        this._toDate(newestSent.timestamp).getTime()
+      );
+    }
+    if (this._newBelowCount > 0) {
+      this._newBelowCount = 0;
+      this._updateNewMessagesButton();
+    }
+  }
+
+  _latestSentMessage(authorUid = null) {
+    for (let i = this.messages.length - 1; i >= 0; i--) {
+      const msg = this.messages[i];
+      if (!msg.id || msg.id.startsWith("temp-") || !msg.timestamp) continue;
+      if (msg.isSystem) continue;
+      if (authorUid && msg.authorUid !== authorUid) continue;
+      return msg;
+    }
+    return null;
+  }
+
+  // ✅ NEW: "Seen by N" under the current user's latest message
+  _seenReceiptItem(msg) {
+    const presence = this._presence;
+    if (!presence) return null;
+    const msgMs = this._toDate(msg.timestamp).getTime();
+    const selfUid = this.userAuth.currentUser.uid;
+    const readers = [];
+    presence.getReadPointers().forEach((pointer, uid) => {
+      if (uid !== selfUid && pointer.timestamp >= msgMs) {
+        readers.push(this._participantName(uid));
+      }
+    });
+    if (readers.length === 0) return null;
+    return {
+      key: "seen-receipt",
+      className: "chat-seen-receipt",
+      markup: `<span title="${escapeHtml(
+        readers.join(", ")
+      )}"><i class="bi bi-check2-all"></i> Seen by ${readers.length}</span>`,
+    };
+  }
+
+  _updateNewMessagesButton() {
+    const btn = document.getElementById("chatNewMessagesBtn");
+    if (!btn) return;
+    if (this._newBelowCount > 0) {
+      btn.innerHTML = `<i class="bi bi-arrow-down"></i> ${
+        this._newBelowCount
+      } new message${this._newBelowCount === 1 ? "" : "s"}`;
+      btn.style.display = "inline-flex";
+    } else {
+      btn.style.display = "none";
+    }
+  }
+
+  scrollToLatest() {
+    const chatMessages = document.getElementById("chatMessages");
+    if (!chatMessages) return;
+    chatMessages.scrollTo({
+      top: chatMessages.scrollHeight,
+      behavior: "smooth",
+    });
+    this._markRead();
+  }
+
   // ✅ FIXED: Enrich author name from userAuth instead of using raw Firestore author
   async _getEnrichedAuthorName(msg) {
     // If it's the current user
@@ -316,7 +583,9 @@ export class ChatManager {
     }
   }
 
-  // Render messages with author name outside the bubble
+  // Render messages with author name outside the bubble.
+  // ✅ NEW: Incremental - existing nodes are reused when their markup is unchanged,
+  // and the first visible message keeps its position unless we stick to the bottom.
   renderMessages(options = {}) {
     const { scrollIfNearBottom = false, scrollForOwnMessage = false } = options;
     const chatMessages = document.getElementById("chatMessages");
@@ -328,25 +597,77 @@ export class ChatManager {
     }
 
     const wasNearBottomBefore =
-      scrollIfNearBottom ||
-      chatMessages.scrollHeight -
-        (chatMessages.scrollTop + chatMessages.clientHeight) <=
-        120;
+      scrollIfNearBottom || this._isNearBottom(chatMessages);
+    const anchor = this._captureScrollAnchor(chatMessages);
 
-    chatMessages.innerHTML = "";
-    let currentDate = "";
+    this._reconcileChildren(chatMessages, this._buildRenderItems());
+
+    this._attachScrollHandler();
+    this._scheduleVisibleUpdate(true);
+
+    try {
+      if (!this._initialScrollDone) {
+        this._initialScrollDone = true;
+        const divider = chatMessages.querySelector(".unread-divider");
+        if (divider) {
+          const dividerTop =
+            divider.getBoundingClientRect().top -
+            chatMessages.getBoundingClientRect().top +
+            chatMessages.scrollTop;
+          this._setScrollTop(chatMessages, dividerTop - 20);
+        } else {
+          this._setScrollTop(chatMessages, chatMessages.scrollHeight);
+        }
+      } else if (scrollForOwnMessage) {
+        chatMessages.scrollTo({
+          top: chatMessages.scrollHeight,
+          behavior: "smooth",
+        });
+      } else if (wasNearBottomBefore) {
+        this._setScrollTop(chatMessages, chatMessages.scrollHeight);
+      } else {
+        this._restoreScrollAnchor(chatMessages, anchor);
+      }
+    } catch (e) {
+      chatMessages.scrollTop = chatMessages.scrollHeight;
+    }
+
+    if (this._isNearBottom(chatMessages)) this._markRead();
+    this._updateNewMessagesButton();
+  }
+
+  // Keyed list of what the chat should contain: { key, markup, className, attrs }
+  _buildRenderItems() {
+    const items = [];
+    items.push(this._historyStatusItem());
 
+    let currentDate = "";
     let prevAuthorUid = null;
     let prevTimestampMs = 0;
+    let unreadMarked = false;
+    const unreadCount = this.messages.filter((m) => this._isUnread(m)).length;
+    const ownLatest = this._latestSentMessage(this.userAuth.currentUser.uid);
 
     for (const msg of this.messages) {
       const msgDate = this._toDate(msg.timestamp).toLocaleDateString();
       if (msgDate !== currentDate) {
         currentDate = msgDate;
-        const dateSeparator = document.createElement("div");
-        dateSeparator.className = "date-separator";
-        dateSeparator.innerHTML = `<span>${msgDate}</span>`;
-        chatMessages.appendChild(dateSeparator);
+        items.push({
+          key: `date-${msgDate}`,
+          className: "date-separator",
+          markup: `<span>${msgDate}</span>`,
+        });
+      }
+
+      if (!unreadMarked && this._isUnread(msg)) {
+        unreadMarked = true;
+        items.push({
+          key: "unread-divider",
+          className: "unread-divider",
+          markup: `<span>${
+            unreadCount >= LIVE_WINDOW_SIZE ? `${unreadCount}+` : unreadCount
+          } new message${unreadCount === 1 ? "" : "s"}</span>`,
+        });
       }
 
       const msgTs = this._toDate(msg.timestamp).getTime();
@@ -356,108 +677,187 @@ export class ChatManager {
         Math.abs(msgTs - prevTimestampMs) <= this._groupThresholdMs;
       const continued = sameAuthor && withinThreshold;
 
-      const messageElement = document.createElement("div");
-      messageElement.setAttribute("data-message-id", msg.id || "");
-      messageElement.setAttribute("data-author-uid", msg.authorUid || "");
-      const isSelf = msg.authorUid === this.userAuth.currentUser.uid;
-      messageElement.className = `chat-message ${isSelf ? "self" : ""} ${
-        continued ? "continued" : ""
-      }`;
-
-      const timeStr = this._toDate(msg.timestamp).toLocaleTimeString("en-US", {
-        hour: "2-digit",
-        minute: "2-digit",
-        hour12: true,
-      });
+      items.push(this._messageItem(msg, continued));
+      if (msg === ownLatest) {
+        const receipt = this._seenReceiptItem(msg);
+        if (receipt) items.push(receipt);
+      }
 
       if (msg.isSystem) {
-        messageElement.className = "chat-message system";
-        messageElement.innerHTML = `<div class="message-avatar" style="background:#999;"><i class="bi bi-info-circle"></i></div><div><div class="message-bubble system-bubble"><div class="message-content" style="font-style: italic; color: var(--medium-text);">${escapeHtml(
-          msg.text
-        )}</div><div class="message-meta"><span>System</span><span>${timeStr}</span></div></div></div>`;
-        chatMessages.appendChild(messageElement);
         prevAuthorUid = null;
         prevTimestampMs = 0;
-        continue;
-      }
-
-      let avatarHtml = "";
-      let authorNameHtml = "";
-      if (!continued) {
-        // ✅ FIXED: Use enriched author name
-        const enrichedAuthorName =
-          this._authorNamesCache[msg.authorUid] ||
-          msg.author ||
-          (msg.authorUid ? msg.authorUid.substring(0, 8) : "Unknown");
-
-        const placeholderAvatar =
-          enrichedAuthorName && enrichedAuthorName[0]
-            ? enrichedAuthorName[0].toUpperCase()
-            : "U";
-        avatarHtml = `<div class="message-avatar placeholder-avatar">${escapeHtml(
-          placeholderAvatar
-        )}</div>`;
-        authorNameHtml = `<div class="message-author">${escapeHtml(
-          enrichedAuthorName
-        )}</div>`;
       } else {
-        avatarHtml = `<div class="message-avatar message-avatar-placeholder"></div>`;
-        authorNameHtml = "";
+        prevAuthorUid = msg.authorUid || null;
+        prevTimestampMs = msgTs;
       }
+    }
+    return items;
+  }
 
-      let contentHtml = "";
-      if (msg.imageUrl) {
-        contentHtml = `<img src="${msg.imageUrl}" alt="Shared image" class="message-image" onclick="window.openImageModal('${msg.imageUrl}')">`;
-      } else if (msg.fileUrl && msg.fileName) {
-        const fileIcon = getFileIcon(
-          msg.fileName.split(".").pop().toLowerCase()
-        );
-        contentHtml = `<div class="d-flex align-items-center gap-2 mb-1"><i class="${fileIcon} fs-4"></i><div><div style="font-weight:500;">${escapeHtml(
-          msg.fileName
-        )}</div><div style="font-size:12px;color:var(--medium-text);">${
-          formatFileSize(msg.fileSize) || ""
-        }</div></div></div><a href="${msg.fileUrl}" download="${escapeHtml(
-          msg.fileName
-        )}" class="btn btn-sm btn-outline-success mt-2"><i class="bi bi-download"></i> Download</a>`;
-      } else {
-        contentHtml = escapeHtml(msg.text || "");
-      }
+  _historyStatusItem() {
+    let markup;
+    if (this._loadingOlder) {
+      markup = `<div class="spinner-border spinner-border-sm text-secondary" role="status"></div><span>Loading older messages...</span>`;
+    } else if (this.hasMoreHistory) {
+      markup = `<button type="button" class="btn btn-sm btn-link" data-history-action="load"><i class="bi bi-arrow-up-circle"></i> Load older messages</button>`;
+    } else {
+      markup = `<span>Beginning of the conversation</span>`;
+    }
+    return { key: "history-status", className: "chat-history-status", markup };
+  }
 
-      let statusHtml = "";
-      if (isSelf) {
-        if (msg.status === "sending")
-          statusHtml =
-            '<span class="message-status sending" title="Sending..."><i class="bi bi-clock"></i></span>';
-        else if (msg.status === "error")
-          statusHtml = `<span class="message-status error" title="Failed to send. Click to retry." onclick="chatModule.retryMessage('${msg.id}')"><i class="bi bi-exclamation-circle"></i></span>`;
-        else
-          statusHtml =
-            '<span class="message-status sent" title="Sent"><i class="bi bi-check2"></i></span>';
-      }
+  _messageItem(msg, continued) {
+    const isSelf = msg.authorUid === this.userAuth.currentUser.uid;
+    const attrs = {
+      "data-message-id": msg.id || "",
+      "data-author-uid": msg.authorUid || "",
+    };
+    const timeStr = this._toDate(msg.timestamp).toLocaleTimeString("en-US", {
+      hour: "2-digit",
+      minute: "2-digit",
+      hour12: true,
+    });
 
-      messageElement.innerHTML = `${avatarHtml}<div class="message-body">${authorNameHtml}<div class="message-bubble"><div class="message-content">${contentHtml}</div><div class="message-meta"><span class="message-time">${timeStr}</span>${statusHtml}</div></div></div>`;
+    if (msg.isSystem) {
+      return {
+        key: `msg-${msg.id}`,
+        className: "chat-message system",
+        attrs,
+        markup: `<div class="message-avatar" style="background:#999;"><i class="bi bi-info-circle"></i></div><div><div class="message-bubble system-bubble"><div class="message-content" style="font-style: italic; color: var(--medium-text);">${escapeHtml(
+          msg.text
+        )}</div><div class="message-meta"><span>System</span><span>${timeStr}</span></div></div></div>`,
+      };
+    }
 
-      chatMessages.appendChild(messageElement);
+    let avatarHtml = "";
+    let authorNameHtml = "";
+    if (!continued) {
+      // ✅ FIXED: Use enriched author name
+      const enrichedAuthorName =
+        this._authorNamesCache[msg.authorUid] ||
+        msg.author ||
+        (msg.authorUid ? msg.authorUid.substring(0, 8) : "Unknown");
+
+      const placeholderAvatar =
+        enrichedAuthorName && enrichedAuthorName[0]
+          ? enrichedAuthorName[0].toUpperCase()
+          : "U";
+      avatarHtml = `<div class="message-avatar placeholder-avatar">${escapeHtml(
+        placeholderAvatar
+      )}</div>`;
+      authorNameHtml = `<div class="message-author">${escapeHtml(
+        enrichedAuthorName
+      )}</div>`;
+    } else {
+      avatarHtml = `<div class="message-avatar message-avatar-placeholder"></div>`;
+      authorNameHtml = "";
+    }
 
-      prevAuthorUid = msg.authorUid || null;
-      prevTimestampMs = msgTs;
+    const contentHtml = this._renderMessageContent(msg);
+
+    let statusHtml = "";
+    if (isSelf) {
+      if (msg.status === "sending")
+        statusHtml =
+          '<span class="message-status sending" title="Sending..."><i class="bi bi-clock"></i></span>';
+      else if (msg.status === "error")
+        statusHtml = `<span class="message-status error" title="Failed to send. Click to retry." onclick="chatModule.retryMessage('${msg.id}')"><i class="bi bi-exclamation-circle"></i></span>`;
+      else
+        statusHtml =
+          '<span class="message-status sent" title="Sent"><i class="bi bi-check2"></i></span>';
     }
 
-    this._attachScrollHandler();
-    this._scheduleVisibleUpdate(true);
+    return {
+      key: `msg-${msg.id}`,
+      className: `chat-message ${isSelf ? "self" : ""} ${
+        continued ? "continued" : ""
+      } ${msg.deleted ? "deleted" : ""} ${msg.pinned ? "pinned" : ""}`,
+      attrs,
+      markup: `${avatarHtml}<div class="message-body">${authorNameHtml}<div class="message-bubble">${this._renderReplyQuote(
+        msg
+      )}<div class="message-content">${contentHtml}</div><div class="message-meta"><span class="message-time">${timeStr}${this._renderEditedMarker(
+        msg
+      )}${this._renderPinnedMarker(
+        msg
+      )}</span>${statusHtml}</div>${this._renderMessageActions(
+        msg,
+        isSelf
+      )}</div>${this._renderReactions(msg)}</div>`,
+    };
+  }
 
-    try {
-      if (scrollForOwnMessage) {
-        chatMessages.scrollTo({
-          top: chatMessages.scrollHeight,
-          behavior: "smooth",
-        });
-      } else if (wasNearBottomBefore) {
-        chatMessages.scrollTop = chatMessages.scrollHeight;
+  // Put `items` into `container` in order, reusing nodes whose markup is unchanged
+  _reconcileChildren(container, items) {
+    const existing = new Map();
+    Array.from(container.children).forEach((child) => {
+      const key = child.dataset.renderKey;
+      if (key && !existing.has(key)) existing.set(key, child);
+      else child.remove();
+    });
+
+    let cursor = container.firstElementChild;
+    for (const item of items) {
+      const signature = `${item.className}|${item.markup}`;
+      let el = existing.get(item.key);
+      existing.delete(item.key);
+      if (el && el._renderSignature !== signature) {
+        if (el === cursor) cursor = cursor.nextElementSibling;
+        el.remove();
+        el = null;
+      }
+      if (!el) {
+        el = document.createElement("div");
+        el.className = item.className;
+        Object.entries(item.attrs || {}).forEach(([name, value]) =>
+          el.setAttribute(name, value)
+        );
+        el.innerHTML = item.markup;
+        el.dataset.renderKey = item.key;
+        el._renderSignature = signature;
+      }
+      if (el === cursor) cursor = cursor.nextElementSibling;
+      else container.insertBefore(el, cursor);
+    }
+    existing.forEach((el) => el.remove());
+  }
+
+  _isNearBottom(container) {
+    return (
+      container.scrollHeight - (container.scrollTop + container.clientHeight) <=
+      NEAR_BOTTOM_PX
+    );
+  }
+
+  _setScrollTop(container, top) {
+    // .chat-messages scrolls smoothly by default; jumps must be instant
+    const previous = container.style.scrollBehavior;
+    container.style.scrollBehavior = "auto";
+    container.scrollTop = top;
+    container.style.scrollBehavior = previous;
+  }
+
+  // First message at least partly on screen, and its offset from the top
+  _captureScrollAnchor(container) {
+    const top = container.getBoundingClientRect().top;
+    for (const el of container.children) {
+      if (!el.dataset.renderKey?.startsWith("msg-")) continue;
+      const rect = el.getBoundingClientRect();
+      if (rect.bottom > top) {
+        return { key: el.dataset.renderKey, offset: rect.top - top };
       }
-    } catch (e) {
-      chatMessages.scrollTop = chatMessages.scrollHeight;
     }
+    return null;
+  }
+
+  _restoreScrollAnchor(container, anchor) {
+    if (!anchor) return;
+    const el = Array.from(container.children).find(
+      (child) => child.dataset.renderKey === anchor.key
+    );
+    if (!el) return;
+    const offset =
+      el.getBoundingClientRect().top - container.getBoundingClientRect().top;
+    this._setScrollTop(container, container.scrollTop + offset - anchor.offset);
   }
 
   _attachScrollHandler() {
@@ -466,6 +866,9 @@ export class ChatManager {
     if (this._scrollHandlerAttached) return;
     const onScroll = () => {
       this._scheduleVisibleUpdate();
+      if (chatMessages.scrollTop < LOAD_OLDER_THRESHOLD_PX)
+        this.loadOlderMessages();
+      if (this._isNearBottom(chatMessages)) this._markRead();
     };
     chatMessages.addEventListener("scroll", onScroll, { passive: true });
     this._scrollHandlerAttached = true;
@@ -664,6 +1067,126 @@ export class ChatManager {
     }
   }
 
+  // ===== Message parts (shared by renderMessages and addMessageToDOM) =====
+  _renderMessageContent(msg) {
+    if (msg.deleted) {
+      return `<span class="message-deleted"><i class="bi bi-slash-circle"></i> This message was deleted</span>`;
+    }
+    if (msg.imageUrl) {
+      return `<img src="${msg.imageUrl}" alt="Shared image" class="message-image" onclick="window.openImageModal('${msg.imageUrl}')">`;
+    }
+    if (msg.fileUrl && msg.fileName) {
+      const fileIcon = getFileIcon(msg.fileName.split(".").pop().toLowerCase());
+      return `<div class="d-flex align-items-center gap-2 mb-1"><i class="${fileIcon} fs-4"></i><div><div style="font-weight:500;">${escapeHtml(
+        msg.fileName
+      )}</div><div style="font-size:12px;color:var(--medium-text);">${
+        formatFileSize(msg.fileSize) || ""
+      }</div></div></div><a href="${msg.fileUrl}" download="${escapeHtml(
+        msg.fileName
+      )}" class="btn btn-sm btn-outline-success mt-2"><i class="bi bi-download"></i> Download</a>`;
+    }
+    return renderMentionsHtml(msg.text || "", msg.mentions);
+  }
+
+  _renderEditedMarker(msg) {
+    return msg.edited && !msg.deleted
+      ? ` <span class="message-edited" title="Edited">(edited)</span>`
+      : "";
+  }
+
+  _renderPinnedMarker(msg) {
+    return msg.pinned && !msg.deleted
+      ? `<i class="bi bi-pin-angle-fill message-pinned-marker" title="Pinned"></i>`
+      : "";
+  }
+
+  _previewText(msg) {
+    if (!msg) return "";
+    if (msg.deleted) return "This message was deleted";
+    if (msg.imageUrl) return "📷 Image";
+    if (msg.fileUrl) return `📎 ${msg.fileName || "File"}`;
+    return mentionsToPlainText(msg.text).substring(0, REPLY_PREVIEW_LENGTH);
+  }
+
+  _renderReplyQuote(msg) {
+    if (!msg.replyTo || !msg.replyTo.id) return "";
+    // Prefer the live parent so edits and deletions show in the quote
+    const parent = this.messages.find((m) => m.id === msg.replyTo.id);
+    const authorUid = parent?.authorUid || msg.replyTo.authorUid;
+    const authorName =
+      (authorUid && this._authorNamesCache[authorUid]) ||
+      parent?.author ||
+      msg.replyTo.author ||
+      "Unknown";
+    const text = parent ? this._previewText(parent) : msg.replyTo.text || "";
+    return `<div class="message-reply-quote" data-msg-action="jump" data-target-id="${escapeHtml(
+      msg.replyTo.id
+    )}" title="Go to message"><div class="message-reply-author">${escapeHtml(
+      authorName
+    )}</div><div class="message-reply-text">${escapeHtml(text)}</div></div>`;
+  }
+
+  _renderReactions(msg) {
+    const reactions = msg.reactions || {};
+    const uid = this.userAuth.currentUser.uid;
+    const chips = REACTIONS.filter(
+      (emoji) => Array.isArray(reactions[emoji]) && reactions[emoji].length > 0
+    ).map((emoji) => {
+      const users = reactions[emoji];
+      const mine = users.includes(uid);
+      return `<button type="button" class="message-reaction ${
+        mine ? "mine" : ""
+      }" data-msg-action="react" data-emoji="${emoji}" title="${
+        mine ? "Remove your reaction" : "React"
+      }">${emoji} <span>${users.length}</span></button>`;
+    });
+    return chips.length && !msg.deleted
+      ? `<div class="message-reactions">${chips.join("")}</div>`
+      : "";
+  }
+
+  _renderMessageActions(msg, isSelf) {
+    if (
+      msg.deleted ||
+      msg.isSystem ||
+      !msg.id ||
+      msg.id.startsWith("temp-") ||
+      this.roomManager.isReadOnly
+    ) {
+      return "";
+    }
+    const canEdit = isSelf && !msg.imageUrl && !msg.fileUrl;
+    const canDelete = isSelf || this.roomManager.isHost;
+    const picker = REACTIONS.map(
+      (emoji) =>
+        `<button type="button" data-msg-action="react" data-emoji="${emoji}">${emoji}</button>`
+    ).join("");
+    return `<div class="message-actions">
+      <button type="button" data-msg-action="reply" title="Reply"><i class="bi bi-reply"></i></button>
+      <button type="button" data-msg-action="picker" title="React"><i class="bi bi-emoji-smile"></i></button>
+      ${
+        canEdit
+          ? `<button type="button" data-msg-action="edit" title="Edit"><i class="bi bi-pencil"></i></button>`
+          : ""
+      }
+      ${
+        this.roomManager.isHost
+          ? `<button type="button" data-msg-action="pin" title="${
+              msg.pinned ? "Unpin" : "Pin"
+            }"><i class="bi ${
+              msg.pinned ? "bi-pin-angle-fill" : "bi-pin-angle"
+            }"></i></button>`
+          : ""
+      }
+      ${
+        canDelete
+          ? `<button type="button" data-msg-action="delete" title="Delete"><i class="bi bi-trash"></i></button>`
+          : ""
+      }
+      <div class="message-reaction-picker">${picker}</div>
+    </div>`;
+  }
+
   addMessageToDOM(container, msg) {
     const messageElement = document.createElement("div");
     messageElement.setAttribute("data-message-id", msg.id || "");
@@ -681,27 +1204,11 @@ export class ChatManager {
     } else {
       messageElement.className = `chat-message ${
         msg.isOwnMessage ? "self" : ""
-      }`;
+      } ${msg.deleted ? "deleted" : ""}`;
       const avatarHtml = msg.authorPhoto
         ? `<div class="message-avatar" style="background-image: url('${msg.authorPhoto}'); background-size: cover; background-position: center;"></div>`
         : `<div class="message-avatar">${escapeHtml(msg.authorAvatar)}</div>`;
-      let contentHtml = "";
-      if (msg.imageUrl) {
-        contentHtml = `<img src="${msg.imageUrl}" alt="Shared image" class="message-image" onclick="window.openImageModal('${msg.imageUrl}')">`;
-      } else if (msg.fileUrl && msg.fileName) {
-        const fileIcon = getFileIcon(
-          msg.fileName.split(".").pop().toLowerCase()
-        );
-        contentHtml = `<div class="d-flex align-items-center gap-2 mb-1"><i class="${fileIcon} fs-4"></i><div><div style="font-weight:500;">${escapeHtml(
-          msg.fileName
-        )}</div><div style="font-size:12px;color:var(--medium-text);">${
-          formatFileSize(msg.fileSize) || ""
-        }</div></div></div><a href="${msg.fileUrl}" download="${escapeHtml(
-          msg.fileName
-        )}" class="btn btn-sm btn-outline-success mt-2"><i class="bi bi-download"></i> Download</a>`;
-      } else {
-        contentHtml = escapeHtml(msg.text || "");
-      }
+      const contentHtml = this._renderMessageContent(msg);
 
       let statusHtml = "";
       if (msg.isOwnMessage) {
@@ -715,9 +1222,16 @@ export class ChatManager {
             '<span class="message-status sent" title="Sent"><i class="bi bi-check2"></i></span>';
       }
 
-      messageElement.innerHTML = `${avatarHtml}<div><div class="message-bubble"><div class="message-content">${contentHtml}</div><div class="message-meta"><span>${escapeHtml(
+      messageElement.innerHTML = `${avatarHtml}<div><div class="message-bubble">${this._renderReplyQuote(
+        msg
+      )}<div class="message-content">${contentHtml}</div><div class="message-meta"><span>${escapeHtml(
         msg.authorName
-      )}</span><span>${timeStr}</span>${statusHtml}</div></div></div>`;
+      )}</span><span>${timeStr}${this._renderEditedMarker(
+        msg
+      )}</span>${statusHtml}</div>${this._renderMessageActions(
+        msg,
+        msg.isOwnMessage
+      )}</div>${this._renderReactions(msg)}</div>`;
     }
     container.appendChild(messageElement);
   }
@@ -726,9 +1240,18 @@ export class ChatManager {
     const messageInput = document.getElementById("messageInput");
     const text = messageInput?.value.trim();
     if (!text) return;
-    const roomId =
-      this.roomManager.currentRoomData._id ||
-      this.roomManager.currentRoomData.id;
+    if (this._composeContext?.mode === "edit") {
+      await this.saveEdit(this._composeContext.messageId, text);
+      return;
+    }
+    const blocked = this.moderation?.getSendBlockReason();
+    if (blocked) {
+      showToast(blocked, "error");
+      return;
+    }
+    const replyTo = this._buildReplyTo();
+    this.cancelCompose();
+    this._stopTyping();
     const tempId = `temp-${Date.now()}`;
     const chatMessages = document.getElementById("chatMessages");
     if (chatMessages) {
@@ -739,6 +1262,7 @@ export class ChatManager {
         authorUid: this.userAuth.currentUser.uid,
         text,
         isSystem: false,
+        ...(replyTo ? { replyTo } : {}),
         status: "sending",
         timestamp: new Date(),
       });
@@ -746,27 +1270,28 @@ export class ChatManager {
     }
     const originalText = messageInput.value;
     messageInput.value = "";
-    const messagesRef = db
-      .collection("studyGroups")
-      .doc(roomId)
-      .collection("messages");
     try {
-      const docRef = await messagesRef.add({
-        authorUid: this.userAuth.currentUser.uid,
-        author:
-          this.userAuth.currentUser.name ||
-          this.userAuth.currentUser.displayName,
+      const data = await postJsonWithAuth(this._sendUrl(), {
         text,
-        isSystem: false,
-        timestamp: firebase.firestore.FieldValue.serverTimestamp(),
+        ...(replyTo ? { replyTo: { id: replyTo.id } } : {}),
       });
       const idx = this.messages.findIndex((m) => m.id === tempId);
-      if (idx !== -1) {
-        this.messages[idx].id = docRef.id;
+      if (idx !== -1 && data?.message) {
+        this.messages[idx].id = data.message.id;
+        this.messages[idx].text = data.message.text;
+        this.messages[idx].mentions = data.message.mentions || [];
         this.messages[idx].status = "sent";
       }
+      if (data?.message?.masked) {
+        showToast("Some words in your message were masked", "info");
+      }
+      this.moderation?.handleSent(data);
     } catch (err) {
       console.error("Failed to send message:", err);
+      if (this._handleModerationError(err, tempId)) {
+        messageInput.value = originalText;
+        return;
+      }
       const idx = this.messages.findIndex((m) => m.id === tempId);
       if (idx !== -1) {
         this.messages[idx].status = "error";
@@ -785,53 +1310,294 @@ export class ChatManager {
     if (!message) return;
     message.status = "sending";
     this.renderMessages();
-    const roomId =
-      this.roomManager.currentRoomData._id ||
-      this.roomManager.currentRoomData.id;
-    const messagesRef = db
-      .collection("studyGroups")
-      .doc(roomId)
-      .collection("messages");
     try {
-      await messagesRef.add({
-        authorUid: this.userAuth.currentUser.uid,
-        author:
-          this.userAuth.currentUser.name ||
-          this.userAuth.currentUser.displayName,
+      const data = await postJsonWithAuth(this._sendUrl(), {
         text: message.text,
-        isSystem: false,
-        imageUrl: message.imageUrl,
-        timestamp: firebase.firestore.FieldValue.serverTimestamp(),
+        ...(message.replyTo ? { replyTo: { id: message.replyTo.id } } : {}),
       });
       this.messages = this.messages.filter((m) => m.id !== messageId);
+      this.moderation?.handleSent(data);
       showToast("Message sent successfully", "success");
     } catch (err) {
       console.error("Failed to retry message:", err);
+      if (this._handleModerationError(err, messageId)) return;
       message.status = "error";
       this.renderMessages();
       showToast("Failed to send message. Please try again.", "error");
     }
   }
 
-  async sendSystemMessage(text) {
-    if (!this.roomManager.currentRoomData) return;
+  _sendUrl() {
+    return `${
+      window.__CONFIG__.apiBase
+    }/${this.roomManager._getRoomId()}/messages`;
+  }
+
+  // Mute / slow mode / banned words: drop the pending copy and explain why
+  _handleModerationError(err, tempId) {
+    const body = err?.body || {};
+    if (!body.mutedUntil && !body.retryAfterSeconds && !body.blockedWords) {
+      return false;
+    }
+    this.messages = this.messages.filter((m) => m.id !== tempId);
+    this.renderMessages();
+    this.moderation?.applySendError(body);
+    showToast(err.message, "error");
+    return true;
+  }
+
+  // ===== Replies, edits, deletions and reactions =====
+  _messageUrl(messageId) {
     const roomId =
       this.roomManager.currentRoomData._id ||
       this.roomManager.currentRoomData.id;
-    const messagesRef = db
-      .collection("studyGroups")
-      .doc(roomId)
-      .collection("messages");
+    return `${
+      window.__CONFIG__.apiBase
+    }/${roomId}/messages/${encodeURIComponent(messageId)}`;
+  }
+
+  _handleMessageAction(e) {
+    if (e.target.closest("[data-history-action]")) {
+      this.loadOlderMessages();
+      return;
+    }
+    const actionEl = e.target.closest("[data-msg-action]");
+    if (!actionEl) return;
+    const messageEl = actionEl.closest("[data-message-id]");
+    const messageId = messageEl?.getAttribute("data-message-id");
+    if (!messageId) return;
+
+    switch (actionEl.dataset.msgAction) {
+      case "reply":
+        this.startReply(messageId);
+        break;
+      case "edit":
+        this.startEdit(messageId);
+        break;
+      case "delete":
+        this.deleteMessage(messageId);
+        break;
+      case "picker":
+        actionEl.parentElement.classList.toggle("picker-open");
+        break;
+      case "react":
+        this.toggleReaction(messageId, actionEl.dataset.emoji);
+        break;
+      case "pin":
+        this.togglePin(messageId);
+        break;
+      case "jump":
+        this.jumpToMessage(actionEl.dataset.targetId);
+        break;
+    }
+  }
+
+  _showComposeContext(icon, label, preview) {
+    const bar = document.getElementById("chatComposeContext");
+    if (!bar) return;
+    document.getElementById("chatComposeIcon").className = `bi ${icon}`;
+    document.getElementById("chatComposeLabel").textContent = label;
+    document.getElementById("chatComposePreview").textContent = preview;
+    bar.style.display = "flex";
+  }
+
+  startReply(messageId) {
+    const msg = this.messages.find((m) => m.id === messageId);
+    if (!msg || msg.deleted) return;
+    const wasEditing = this._composeContext?.mode === "edit";
+    this._composeContext = { mode: "reply", messageId };
+    const authorName =
+      this._authorNamesCache[msg.authorUid] || msg.author || "Unknown";
+    this._showComposeContext(
+      "bi-reply",
+      `Replying to ${authorName}`,
+      this._previewText(msg)
+    );
+    const input = document.getElementById("messageInput");
+    if (input) {
+      if (wasEditing) input.value = "";
+      input.focus();
+    }
+  }
+
+  startEdit(messageId) {
+    const msg = this.messages.find((m) => m.id === messageId);
+    if (!msg || msg.deleted || msg.imageUrl || msg.fileUrl) return;
+    this._composeContext = { mode: "edit", messageId };
+    this._showComposeContext(
+      "bi-pencil",
+      "Editing message",
+      this._previewText(msg)
+    );
+    const input = document.getElementById("messageInput");
+    if (input) {
+      input.value = msg.text || "";
+      input.focus();
+    }
+  }
+
+  cancelCompose() {
+    const wasEditing = this._composeContext?.mode === "edit";
+    this._composeContext = null;
+    const bar = document.getElementById("chatComposeContext");
+    if (bar) bar.style.display = "none";
+    const input = document.getElementById("messageInput");
+    if (wasEditing && input) input.value = "";
+  }
+
+  // Snapshot of the quoted parent, used when it is not loaded client-side
+  _buildReplyTo() {
+    if (this._composeContext?.mode !== "reply") return null;
+    const parent = this.messages.find(
+      (m) => m.id === this._composeContext.messageId
+    );
+    if (!parent) return null;
+    return {
+      id: parent.id,
+      authorUid: parent.authorUid || null,
+      author: this._authorNamesCache[parent.authorUid] || parent.author || null,
+      text: this._previewText(parent),
+    };
+  }
+
+  async saveEdit(messageId, text) {
+    const msg = this.messages.find((m) => m.id === messageId);
+    this.cancelCompose();
+    if (!msg || msg.text === text) return;
+
+    const previous = { text: msg.text, edited: msg.edited };
+    msg.text = text;
+    msg.edited = true;
+    this.renderMessages();
     try {
-      await messagesRef.add({
-        authorUid: this.userAuth.currentUser.uid,
-        author: "system",
+      const data = await patchJsonWithAuth(this._messageUrl(messageId), {
         text,
-        isSystem: true,
-        timestamp: firebase.firestore.FieldValue.serverTimestamp(),
       });
+      msg.mentions = data?.mentions || [];
+      if (data?.text && data.text !== msg.text) msg.text = data.text;
+      this.renderMessages();
+    } catch (err) {
+      console.error("Failed to edit message:", err);
+      Object.assign(msg, previous);
+      this.renderMessages();
+      if (err?.body?.mutedUntil) this.moderation?.applySendError(err.body);
+      showToast(err.message || "Failed to edit message", "error");
+    }
+  }
+
+  async deleteMessage(messageId) {
+    const msg = this.messages.find((m) => m.id === messageId);
+    if (!msg) return;
+    const isOwn = msg.authorUid === this.userAuth.currentUser.uid;
+    if (
+      !confirm(
+        isOwn
+          ? "Delete this message for everyone?"
+          : "Delete this message as a room host?"
+      )
+    )
+      return;
+
+    try {
+      await deleteWithAuth(this._messageUrl(messageId));
+      if (this._composeContext?.messageId === messageId) this.cancelCompose();
+      showToast("Message deleted", "success");
+    } catch (err) {
+      console.error("Failed to delete message:", err);
+      showToast(err.message || "Failed to delete message", "error");
+    }
+  }
+
+  async toggleReaction(messageId, emoji) {
+    if (!REACTIONS.includes(emoji)) return;
+    try {
+      const result = await postJsonWithAuth(
+        `${this._messageUrl(messageId)}/reactions`,
+        { emoji }
+      );
+      const msg = this.messages.find((m) => m.id === messageId);
+      if (msg && result?.reactions) {
+        msg.reactions = result.reactions;
+        this.renderMessages();
+      }
+    } catch (err) {
+      console.error("Failed to update reaction:", err);
+      showToast(err.message || "Failed to update reaction", "error");
+    }
+  }
+
+  // ✅ NEW: Hosts only (the backend checks too). `isPinned` is for messages
+  // outside the loaded history (pinned drawer).
+  async togglePin(messageId, isPinned = false) {
+    const msg = this.messages.find((m) => m.id === messageId);
+    const pin = !(msg ? msg.pinned : isPinned);
+    try {
+      if (pin) await postJsonWithAuth(`${this._messageUrl(messageId)}/pin`, {});
+      else await deleteWithAuth(`${this._messageUrl(messageId)}/pin`);
+      if (msg) {
+        msg.pinned = pin;
+        this.renderMessages();
+      }
+      showToast(pin ? "Message pinned" : "Message unpinned", "success");
+    } catch (err) {
+      console.error("Failed to update pin:", err);
+      showToast(err.message || "Failed to update pin", "error");
+    }
+  }
+
+  // ✅ NEW: Scroll to a message (reply quotes, search results). Older messages
+  // are loaded first, from the oldest loaded one back to the target.
+  async jumpToMessage(messageId, timestamp = null) {
+    if (!this._messageMap.has(messageId)) {
+      const found = await this._loadHistoryUntil(messageId, timestamp);
+      if (!found) {
+        showToast("That message could not be loaded", "info");
+        return;
+      }
+    }
+    const chatMessages = document.getElementById("chatMessages");
+    const target = chatMessages?.querySelector(
+      `[data-message-id="${CSS.escape(messageId)}"]`
+    );
+    if (!target) return;
+    target.scrollIntoView({ behavior: "smooth", block: "center" });
+    target.classList.add("highlighted");
+    setTimeout(() => target.classList.remove("highlighted"), 1600);
+  }
+
+  async _loadHistoryUntil(messageId, timestamp) {
+    if (!this._oldestCursor) return false;
+    try {
+      let targetTimestamp;
+      if (timestamp) {
+        targetTimestamp = firebase.firestore.Timestamp.fromDate(
+          new Date(timestamp)
+        );
+      } else {
+        const doc = await this._messagesRef().doc(messageId).get();
+        if (!doc.exists || !doc.data().timestamp) return false;
+        targetTimestamp = doc.data().timestamp;
+      }
+
+      const snapshot = await this._messagesRef()
+        .orderBy("timestamp", "desc")
+        .startAfter(this._oldestCursor)
+        .endAt(targetTimestamp)
+        .limit(JUMP_MAX_MESSAGES)
+        .get();
+      snapshot.forEach((doc) =>
+        this._messageMap.set(doc.id, { id: doc.id, ...doc.data() })
+      );
+      if (snapshot.docs.length > 0) {
+        this._oldestCursor = snapshot.docs[snapshot.docs.length - 1];
+      }
+      this._syncMessages();
+      this.renderMessages();
+      this.updateFilesListInSettings();
+      return this._messageMap.has(messageId);
     } catch (err) {
-      console.error("Error sending system message:", err);
+      console.error("Failed to load history for message:", err);
+      return false;
     }
   }
 
@@ -0,0 +1,298 @@
+// ChatModerationManager class - Per-room chat moderation (slow mode, mutes, banned words)
+// Everything is enforced by the backend (POST /api/study-groups/:id/messages);
+// this keeps the composer in line with it (muted notice, slow mode countdown)
+// and gives hosts the settings form (Settings > General) and mute controls.
+
+import { showToast, escapeHtml } from "./utils.js";
+import {
+  fetchJsonWithAuth,
+  postJsonWithAuth,
+  putJsonWithAuth,
+  deleteWithAuth,
+} from "../apiClient.js";
+
+// Must match MAX_MUTE_MINUTES in backend/services/chatModerationService.js
+const MAX_MUTE_MINUTES = 7 * 24 * 60;
+const DEFAULT_MUTE_MINUTES = 15;
+const DEFAULT_PLACEHOLDER = "Type a message...";
+
+export class ChatModerationManager {
+  constructor(userAuth, roomManager, chatManager) {
+    this.userAuth = userAuth;
+    this.roomManager = roomManager;
+    this.chatManager = chatManager;
+    this.state = null; // GET /:id/moderation response
+    this._cooldownUntil = 0;
+    this._cooldownTimer = null;
+    this._unmuteTimer = null;
+  }
+
+  async init() {
+    if (!this.roomManager.currentRoomData) return;
+    if (this.roomManager.isReadOnly) return;
+    this.chatManager.moderation = this;
+    window.muteParticipant = (userId, name) =>
+      this.muteParticipant(userId, name);
+
+    document
+      .getElementById("chatModerationForm")
+      ?.addEventListener("submit", (e) => {
+        e.preventDefault();
+        this.saveSettings();
+      });
+    document.getElementById("chatMutesList")?.addEventListener("click", (e) => {
+      const unmute = e.target.closest("[data-unmute]");
+      if (unmute) this.unmute(unmute.dataset.unmute);
+    });
+
+    await this.refresh();
+  }
+
+  _apiUrl(path = "") {
+    return `${
+      window.__CONFIG__.apiBase
+    }/${this.roomManager._getRoomId()}/moderation${path}`;
+  }
+
+  async refresh() {
+    try {
+      this.state = await fetchJsonWithAuth(this._apiUrl());
+      this._applyComposerState();
+      if (this.roomManager.isHost) this.renderSettings();
+    } catch (err) {
+      console.error("[moderation] Failed to load moderation state:", err);
+    }
+  }
+
+  _mutedUntil() {
+    const until = this.state?.mutedUntil
+      ? new Date(this.state.mutedUntil)
+      : null;
+    return until && until.getTime() > Date.now() ? until : null;
+  }
+
+  _cooldownSeconds() {
+    return Math.max(0, Math.ceil((this._cooldownUntil - Date.now()) / 1000));
+  }
+
+  _formatTime(date) {
+    const sameDay = date.toDateString() === new Date().toDateString();
+    return sameDay
+      ? date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+      : date.toLocaleString([], { dateStyle: "medium", timeStyle: "short" });
+  }
+
+  // Used by chat-manager.js before sending; null when sending is allowed
+  getSendBlockReason() {
+    const mutedUntil = this._mutedUntil();
+    if (mutedUntil) {
+      return `You are muted in this room until ${this._formatTime(mutedUntil)}`;
+    }
+    const wait = this._cooldownSeconds();
+    if (wait > 0) return `Slow mode is on. Wait ${wait}s to send again.`;
+    return null;
+  }
+
+  // Successful send: start the slow mode countdown (0 for hosts)
+  handleSent(data) {
+    if (data?.slowModeSeconds > 0) this._startCooldown(data.slowModeSeconds);
+  }
+
+  // Rejected send: the backend tells us why (mutedUntil / retryAfterSeconds)
+  applySendError(body) {
+    if (body.mutedUntil) {
+      this.state = { ...(this.state || {}), mutedUntil: body.mutedUntil };
+      this._applyComposerState();
+    } else if (body.retryAfterSeconds) {
+      this._startCooldown(body.retryAfterSeconds);
+    }
+  }
+
+  _startCooldown(seconds) {
+    this._cooldownUntil = Date.now() + seconds * 1000;
+    clearInterval(this._cooldownTimer);
+    this._cooldownTimer = setInterval(() => {
+      if (this._cooldownSeconds() === 0) {
+        clearInterval(this._cooldownTimer);
+        this._cooldownTimer = null;
+      }
+      this._applyComposerState();
+    }, 1000);
+    this._applyComposerState();
+  }
+
+  _applyComposerState() {
+    const input = document.getElementById("messageInput");
+    const sendBtn = document.getElementById("sendMessageBtn");
+    const attachBtn = document.getElementById("attachBtn");
+    const notice = document.getElementById("chatComposerNotice");
+    const mutedUntil = this._mutedUntil();
+    const wait = this._cooldownSeconds();
+
+    if (input) {
+      input.disabled = !!mutedUntil;
+      input.placeholder = mutedUntil
+        ? "You are muted in this room"
+        : DEFAULT_PLACEHOLDER;
+    }
+    if (sendBtn) sendBtn.disabled = !!mutedUntil || wait > 0;
+    if (attachBtn) attachBtn.disabled = !!mutedUntil || wait > 0;
+
+    let text = "";
+    let tone = "";
+    if (mutedUntil) {
+      text = `<i class="bi bi-mic-mute"></i> A host muted you. You can chat again at ${escapeHtml(
+        this._formatTime(mutedUntil)
+      )}.`;
+      tone = "muted";
+    } else if (wait > 0) {
+      text = `<i class="bi bi-hourglass-split"></i> Slow mode - you can send again in ${wait}s`;
+    } else if (this.state?.slowModeSeconds > 0 && !this.roomManager.isHost) {
+      text = `<i class="bi bi-hourglass"></i> Slow mode: one message every ${this.state.slowModeSeconds}s`;
+    }
+    if (notice) {
+      notice.innerHTML = text;
+      notice.className = `chat-composer-notice${tone ? ` ${tone}` : ""}`;
+      notice.style.display = text ? "flex" : "none";
+    }
+
+    // Lift the mute locally when it ends (the backend already ignores it)
+    clearTimeout(this._unmuteTimer);
+    this._unmuteTimer = null;
+    const remaining = mutedUntil ? mutedUntil.getTime() - Date.now() : 0;
+    if (remaining > 0 && remaining < 2 ** 31 - 1) {
+      this._unmuteTimer = setTimeout(
+        () => this._applyComposerState(),
+        remaining + 500
+      );
+    }
+  }
+
+  // ===== Host controls =====
+  renderSettings() {
+    if (!this.state || !this.roomManager.isHost) return;
+    const slowMode = document.getElementById("moderationSlowMode");
+    const action = document.getElementById("moderationFilterAction");
+    const words = document.getElementById("moderationBannedWords");
+    if (slowMode) {
+      const value = String(this.state.slowModeSeconds || 0);
+      if (!Array.from(slowMode.options).some((o) => o.value === value)) {
+        slowMode.add(new Option(`${value} seconds`, value));
+      }
+      slowMode.value = value;
+    }
+    if (action) action.value = this.state.wordFilterAction || "mask";
+    if (words) words.value = (this.state.bannedWords || []).join(", ");
+    this._renderMutes();
+  }
+
+  _participantName(uid) {
+    const participant = (this.roomManager.participants || []).find(
+      (p) => p.id === uid
+    );
+    return participant?.name || uid.substring(0, 8);
+  }
+
+  _renderMutes() {
+    const list = document.getElementById("chatMutesList");
+    if (!list) return;
+    const mutes = (this.state?.mutes || []).filter(
+      (m) => new Date(m.until).getTime() > Date.now()
+    );
+    if (mutes.length === 0) {
+      list.innerHTML = `<small class="text-muted">Nobody is muted. Mute a participant from their menu in the participants list.</small>`;
+      return;
+    }
+    list.innerHTML = mutes
+      .map(
+        (m) => `<div class="chat-mute-item">
+          <span><strong>${escapeHtml(
+            this._participantName(m.userId)
+          )}</strong> until ${escapeHtml(this._formatTime(new Date(m.until)))}${
+          m.mutedByName ? ` · by ${escapeHtml(m.mutedByName)}` : ""
+        }</span>
+          <button type="button" class="btn btn-sm btn-outline-secondary" data-unmute="${escapeHtml(
+            m.userId
+          )}">Unmute</button>
+        </div>`
+      )
+      .join("");
+  }
+
+  async saveSettings() {
+    const bannedWords = (
+      document.getElementById("moderationBannedWords")?.value || ""
+    )
+      .split(/[,\n]/)
+      .map((w) => w.trim())
+      .filter(Boolean);
+    const body = {
+      slowModeSeconds: Number(
+        document.getElementById("moderationSlowMode")?.value || 0
+      ),
+      wordFilterAction:
+        document.getElementById("moderationFilterAction")?.value || "mask",
+      bannedWords,
+    };
+    try {
+      this.state = await putJsonWithAuth(this._apiUrl(), body);
+      this.renderSettings();
+      this._applyComposerState();
+      showToast("Chat moderation settings saved", "success");
+    } catch (err) {
+      console.error("[moderation] Failed to save settings:", err);
+      showToast(err.message || "Failed to save moderation settings", "error");
+    }
+  }
+
+  async muteParticipant(userId, name = "this participant") {
+    const answer = prompt(
+      `Mute ${name} in the chat for how many minutes? (1-${MAX_MUTE_MINUTES})`,
+      String(DEFAULT_MUTE_MINUTES)
+    );
+    if (answer === null) return;
+    const minutes = Number(answer);
+    if (
+      !Number.isInteger(minutes) ||
+      minutes < 1 ||
+      minutes > MAX_MUTE_MINUTES
+    ) {
+      showToast(
+        `Enter a whole number of minutes between 1 and ${MAX_MUTE_MINUTES}`,
+        "error"
+      );
+      return;
+    }
+    try {
+      await postJsonWithAuth(this._apiUrl("/mutes"), {
+        userId,
+        durationMinutes: minutes,
+      });
+      showToast(`${name} muted for ${minutes} min`, "success");
+      await this.refresh();
+    } catch (err) {
+      console.error("[moderation] Failed to mute participant:", err);
+      showToast(err.message || "Failed to mute participant", "error");
+    }
+  }
+
+  async unmute(userId) {
+    try {
+      await deleteWithAuth(
+        this._apiUrl(`/mutes/${encodeURIComponent(userId)}`)
+      );
+      showToast("Participant unmuted", "success");
+      await this.refresh();
+    } catch (err) {
+      console.error("[moderation] Failed to unmute participant:", err);
+      showToast(err.message || "Failed to unmute participant", "error");
+    }
+  }
+
+  destroy() {
+    clearInterval(this._cooldownTimer);
+    clearTimeout(this._unmuteTimer);
+    this._cooldownTimer = null;
+    this._unmuteTimer = null;
+  }
+}
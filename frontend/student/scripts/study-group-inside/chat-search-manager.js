@@ -0,0 +1,210 @@
+// ChatSearchManager class - Search the room chat history (chat sidebar search panel)
+// Searching runs on the backend (GET /api/study-groups/messages/search, rooms the
+// caller belongs to only); clicking a result jumps to it through ChatManager.
+
+import { showToast, escapeHtml } from "./utils.js";
+import { fetchJsonWithAuth } from "../apiClient.js";
+
+const RESULTS_PAGE_SIZE = 20;
+
+export class ChatSearchManager {
+  constructor(userAuth, roomManager, chatManager) {
+    this.userAuth = userAuth;
+    this.roomManager = roomManager;
+    this.chatManager = chatManager;
+    this.results = [];
+    this.nextBefore = null;
+    this._lastParams = null;
+    this._searching = false;
+  }
+
+  init() {
+    document
+      .getElementById("chatSearchBtn")
+      ?.addEventListener("click", () => this.toggle());
+    document
+      .getElementById("chatSearchForm")
+      ?.addEventListener("submit", (e) => {
+        e.preventDefault();
+        this.search();
+      });
+    document
+      .getElementById("chatSearchPanel")
+      ?.addEventListener("keydown", (e) => {
+        if (e.key === "Escape") this.toggle(false);
+      });
+    document
+      .getElementById("chatSearchResults")
+      ?.addEventListener("click", (e) => {
+        if (e.target.closest("[data-search-more]")) {
+          this.search({ append: true });
+          return;
+        }
+        const item = e.target.closest("[data-search-message]");
+        if (item) {
+          this.chatManager.jumpToMessage(
+            item.dataset.searchMessage,
+            item.dataset.searchTimestamp || null
+          );
+        }
+      });
+  }
+
+  toggle(show) {
+    const panel = document.getElementById("chatSearchPanel");
+    if (!panel) return;
+    const visible = show ?? panel.style.display === "none";
+    panel.style.display = visible ? "block" : "none";
+    document
+      .getElementById("chatSearchBtn")
+      ?.classList.toggle("active", visible);
+    if (visible) {
+      this._populateAuthors();
+      document.getElementById("chatSearchInput")?.focus();
+    }
+  }
+
+  _populateAuthors() {
+    const select = document.getElementById("chatSearchAuthor");
+    if (!select) return;
+    const current = select.value;
+    const participants = this.roomManager.participants || [];
+    select.innerHTML =
+      `<option value="">Anyone</option>` +
+      participants
+        .map(
+          (p) =>
+            `<option value="${escapeHtml(p.id)}">${escapeHtml(
+              p.id === this.userAuth.currentUser.uid ? "You" : p.name || p.id
+            )}</option>`
+        )
+        .join("");
+    select.value = current;
+  }
+
+  _readParams() {
+    const value = (id) => document.getElementById(id)?.value.trim() || "";
+    const params = new URLSearchParams({
+      roomId: this.roomManager._getRoomId(),
+      limit: String(RESULTS_PAGE_SIZE),
+    });
+    const q = value("chatSearchInput");
+    const author = value("chatSearchAuthor");
+    const has = value("chatSearchHas");
+    const from = value("chatSearchFrom");
+    const to = value("chatSearchTo");
+    if (q) params.set("q", q);
+    if (author) params.set("author", author);
+    if (has) params.set("has", has);
+    // Date inputs are local days
+    if (from) params.set("from", new Date(`${from}T00:00:00`).toISOString());
+    if (to) params.set("to", new Date(`${to}T23:59:59.999`).toISOString());
+    return params;
+  }
+
+  async search({ append = false } = {}) {
+    if (this._searching) return;
+    const params = append
+      ? new URLSearchParams(this._lastParams)
+      : this._readParams();
+    if (!params.get("q") && !params.get("author") && !params.get("has")) {
+      showToast("Enter something to search for", "info");
+      return;
+    }
+    if (append) {
+      if (!this.nextBefore) return;
+      params.set("before", this.nextBefore);
+    }
+
+    const list = document.getElementById("chatSearchResults");
+    this._searching = true;
+    if (!append && list)
+      list.innerHTML = `<div class="chat-search-status"><div class="spinner-border spinner-border-sm text-secondary"></div> Searching...</div>`;
+
+    try {
+      const data = await fetchJsonWithAuth(
+        `${window.__CONFIG__.apiBase}/messages/search?${params.toString()}`
+      );
+      if (!append) {
+        this.results = [];
+        this._lastParams = params.toString();
+      }
+      const seen = new Set(this.results.map((r) => r.messageId));
+      (data?.results || []).forEach((result) => {
+        if (!seen.has(result.messageId)) this.results.push(result);
+      });
+      this.nextBefore = data?.nextBefore || null;
+      this._renderResults();
+    } catch (err) {
+      console.error("[chat-search] Search failed:", err);
+      if (list && !append)
+        list.innerHTML = `<div class="chat-search-status text-danger">${escapeHtml(
+          err.message || "Search failed"
+        )}</div>`;
+      else showToast(err.message || "Search failed", "error");
+    } finally {
+      this._searching = false;
+    }
+  }
+
+  _renderResults() {
+    const list = document.getElementById("chatSearchResults");
+    if (!list) return;
+    if (this.results.length === 0) {
+      list.innerHTML = `<div class="chat-search-status">No messages found</div>`;
+      return;
+    }
+
+    list.innerHTML =
+      this.results
+        .map((result) => {
+          const participant = (this.roomManager.participants || []).find(
+            (p) => p.id === result.authorUid
+          );
+          const author =
+            result.authorUid === this.userAuth.currentUser.uid
+              ? "You"
+              : participant?.name || result.author || "Unknown";
+          const when = result.timestamp
+            ? new Date(result.timestamp).toLocaleString([], {
+                dateStyle: "medium",
+                timeStyle: "short",
+              })
+            : "";
+          const badge = result.hasImage
+            ? `<i class="bi bi-image" title="Image"></i>`
+            : result.hasFile
+            ? `<i class="bi bi-paperclip" title="File"></i>`
+            : "";
+          return `<button type="button" class="chat-search-result" data-search-message="${escapeHtml(
+            result.messageId
+          )}" data-search-timestamp="${escapeHtml(result.timestamp || "")}">
+            <div class="chat-search-result-meta"><strong>${escapeHtml(
+              author
+            )}</strong><span>${badge} ${escapeHtml(when)}</span></div>
+            <div class="chat-search-snippet">${highlightSnippet(
+              result.snippet,
+              result.highlights
+            )}</div>
+          </button>`;
+        })
+        .join("") +
+      (this.nextBefore
+        ? `<button type="button" class="btn btn-sm btn-link w-100" data-search-more>Load more results</button>`
+        : "");
+  }
+}
+
+// Escape the snippet and wrap the matched [start, end) ranges in <mark>
+function highlightSnippet(snippet, highlights = []) {
+  const text = String(snippet || "");
+  let html = "";
+  let position = 0;
+  highlights.forEach(([start, end]) => {
+    if (start < position || end > text.length) return;
+    html += escapeHtml(text.slice(position, start));
+    html += `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+    position = end;
+  });
+  return html + escapeHtml(text.slice(position));
+}
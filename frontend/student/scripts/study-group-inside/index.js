@@ -4,8 +4,15 @@ import { db, auth } from "./firebase-init.js";
 import { UserAuth } from "./user-auth.js";
 import { RoomManager } from "./room-manager.js";
 import { ChatManager } from "./chat-manager.js";
+import { ChatSearchManager } from "./chat-search-manager.js";
+import { PinnedMessagesManager } from "./pinned-messages-manager.js";
+import { AnnouncementsManager } from "./announcements-manager.js";
+import { ChatModerationManager } from "./chat-moderation-manager.js";
 import { VideoManager } from "./video-manager.js";
 import { UiManager } from "./ui-manager.js";
+import { TimerManager } from "./timer-manager.js";
+import { WhiteboardManager } from "./whiteboard-manager.js";
+import { NotesManager } from "./notes-manager.js";
 import { showToast, closeToast } from "./utils.js";
 import { openReportModal } from "../reportModal.js";
 
@@ -19,7 +26,18 @@ window.__CONFIG__ = {
 };
 
 // module level instances
-let userModule, roomModule, chatModule, videoModule, uiModule;
+let userModule,
+  roomModule,
+  chatModule,
+  videoModule,
+  uiModule,
+  timerModule,
+  whiteboardModule,
+  notesModule,
+  chatSearchModule,
+  pinnedModule,
+  announcementsModule,
+  moderationModule;
 
 async function initializeApp() {
   try {
@@ -62,6 +80,43 @@ async function initializeApp() {
     uiModule = new UiManager(userModule, roomModule);
     console.log("[index.js] UiManager created");
 
+    timerModule = new TimerManager(userModule, roomModule);
+    console.log("[index.js] TimerManager created");
+
+    whiteboardModule = new WhiteboardManager(
+      userModule,
+      roomModule,
+      chatModule
+    );
+    console.log("[index.js] WhiteboardManager created");
+
+    notesModule = new NotesManager(userModule, roomModule);
+    console.log("[index.js] NotesManager created");
+
+    chatSearchModule = new ChatSearchManager(
+      userModule,
+      roomModule,
+      chatModule
+    );
+    console.log("[index.js] ChatSearchManager created");
+
+    pinnedModule = new PinnedMessagesManager(
+      userModule,
+      roomModule,
+      chatModule
+    );
+    console.log("[index.js] PinnedMessagesManager created");
+
+    announcementsModule = new AnnouncementsManager(userModule, roomModule);
+    console.log("[index.js] AnnouncementsManager created");
+
+    moderationModule = new ChatModerationManager(
+      userModule,
+      roomModule,
+      chatModule
+    );
+    console.log("[index.js] ChatModerationManager created");
+
     // attach to window for legacy HTML handlers and debugging
     window.userModule = userModule;
     window.roomModule = roomModule;
@@ -69,6 +124,13 @@ async function initializeApp() {
     window.videoModule = videoModule;
     // expose the UiManager instance so the bridge and console see the same instance
     window.uiModule = uiModule;
+    window.timerModule = timerModule;
+    window.whiteboardModule = whiteboardModule;
+    window.notesModule = notesModule;
+    window.chatSearchModule = chatSearchModule;
+    window.pinnedModule = pinnedModule;
+    window.announcementsModule = announcementsModule;
+    window.moderationModule = moderationModule;
     window.UiManager = UiManager;
     window.closeToast = closeToast;
 
@@ -84,6 +146,11 @@ async function initializeApp() {
     roomModule.updateParticipantsList();
     console.log("[index.js] Participants list updated");
 
+    // Scheduled sessions (next session banner + countdown)
+    if (!roomModule.isRoomDeactivated) {
+      roomModule.loadSessions();
+    }
+
     // init modules
     chatModule.init();
     console.log("[index.js] ChatManager initialized");
@@ -94,36 +161,33 @@ async function initializeApp() {
     uiModule.init();
     console.log("[index.js] UiManager initialized");
 
+    // Shared focus timer (synced through Realtime Database)
+    await timerModule.init();
+    console.log("[index.js] TimerManager initialized");
+
+    whiteboardModule.init();
+    console.log("[index.js] WhiteboardManager initialized");
+
+    notesModule.init();
+    console.log("[index.js] NotesManager initialized");
+
+    chatSearchModule.init();
+    console.log("[index.js] ChatSearchManager initialized");
+
+    pinnedModule.init();
+    console.log("[index.js] PinnedMessagesManager initialized");
+
+    announcementsModule.init();
+    console.log("[index.js] AnnouncementsManager initialized");
+
+    moderationModule.init();
+    console.log("[index.js] ChatModerationManager initialized");
+
     setTimeout(() => {
       showToast(
         `Welcome to ${roomModule.currentRoomData?.name || "the study room"}!`,
         "success"
       );
-      if (
-        roomModule.isOwner &&
-        !chatModule.messages.some(
-          (m) =>
-            m.isSystem &&
-            m.text === `Room created by ${userModule.currentUser.displayName}`
-        )
-      ) {
-        chatModule.sendSystemMessage(
-          `Room created by ${userModule.currentUser.displayName}`
-        );
-      }
-      if (
-        roomModule.isOwner &&
-        !chatModule.messages.some(
-          (m) =>
-            m.isSystem &&
-            m.text ===
-              "Click the camera button to start a video call. Double-click the video header for fullscreen mode."
-        )
-      ) {
-        chatModule.sendSystemMessage(
-          "Click the camera button to start a video call. Double-click the video header for fullscreen mode."
-        );
-      }
     }, 800);
 
     console.log(
@@ -183,6 +247,53 @@ window.addEventListener("beforeunload", () => {
     console.warn("Error unsubscribing chat messages:", e);
   }
 
+  try {
+    if (timerModule && typeof timerModule.destroy === "function") {
+      timerModule.destroy();
+    }
+  } catch (e) {
+    console.warn("Error stopping focus timer:", e);
+  }
+
+  try {
+    if (whiteboardModule && typeof whiteboardModule.destroy === "function") {
+      whiteboardModule.destroy();
+    }
+  } catch (e) {
+    console.warn("Error closing whiteboard:", e);
+  }
+
+  try {
+    if (notesModule && typeof notesModule.destroy === "function") {
+      notesModule.destroy();
+    }
+  } catch (e) {
+    console.warn("Error closing notes:", e);
+  }
+
+  try {
+    if (pinnedModule && typeof pinnedModule.destroy === "function") {
+      pinnedModule.destroy();
+    }
+  } catch (e) {
+    console.warn("Error closing pinned messages:", e);
+  }
+
+  try {
+    if (moderationModule && typeof moderationModule.destroy === "function") {
+      moderationModule.destroy();
+    }
+  } catch (e) {
+    console.warn("Error stopping chat moderation timers:", e);
+  }
+
+  try {
+    // Close the attendance visit; keepalive lets the request outlive the page
+    roomModule?.attendanceTracker?.stop({ keepalive: true });
+  } catch (e) {
+    console.warn("Error closing attendance visit:", e);
+  }
+
   try {
     if (uiModule && typeof uiModule.cleanup === "function") {
       uiModule.cleanup();
@@ -0,0 +1,935 @@
+// NotesManager class - Live shared notes document for a study room (Settings > Notes)
+// The document is a list of markdown blocks in Firestore (studyGroups/{roomId}/notesBlocks).
+// Edits never clobber each other:
+//   - a block can only be edited by one person at a time (short lease taken in a transaction)
+//   - saves, lease refreshes, release and delete are transactions that abort once the
+//     lease has passed to someone else (firestore.rules enforces the same lease)
+//   - new blocks get a fractional `order` between their neighbours, so concurrent inserts merge
+//   - checklist ticks are applied in a transaction against the latest text
+// Version snapshots / restore go through the backend (hosts only).
+
+import { db } from "./firebase-init.js";
+import { showToast, escapeHtml } from "./utils.js";
+import { fetchJsonWithAuth, postJsonWithAuth } from "../apiClient.js";
+
+const LEASE_MS = 30 * 1000; // an abandoned edit lease expires after this long
+const LEASE_REFRESH_MS = 10 * 1000;
+const SAVE_DEBOUNCE_MS = 500;
+const MAX_BLOCK_LENGTH = 4000;
+const ORDER_STEP = 1024;
+
+const BLOCK_TEMPLATES = {
+  text: "",
+  heading: "## ",
+  checklist: "- [ ] ",
+  code: "```\n\n```",
+};
+
+const CHECKLIST_REGEX = /^(\s*[-*] \[)( |x|X)(\])/;
+
+export class NotesManager {
+  constructor(userAuth, roomManager) {
+    this.userAuth = userAuth;
+    this.roomManager = roomManager;
+    this.blocks = new Map(); // blockId -> block
+    this.editingBlockId = null;
+    this.readOnly = false;
+    this._unsubscribeBlocks = null;
+    this._saveTimer = null;
+    this._leaseTimer = null;
+    this._versionsVisible = false;
+  }
+
+  init() {
+    if (!this.roomManager.currentRoomData) return;
+    // Deactivated and archived rooms keep their notes readable
+    this.readOnly = !!this.roomManager.isReadOnly;
+
+    document
+      .getElementById("notes-tab")
+      ?.addEventListener("shown.bs.tab", () => this.open());
+    document
+      .getElementById("settingsModal")
+      ?.addEventListener("hidden.bs.modal", () => this.close());
+
+    document.querySelectorAll("[data-notes-insert]").forEach((btn) => {
+      btn.addEventListener("click", () =>
+        this.insertBlock(this.editingBlockId, btn.dataset.notesInsert)
+      );
+    });
+    document.querySelectorAll("[data-notes-export]").forEach((btn) => {
+      btn.addEventListener("click", () =>
+        btn.dataset.notesExport === "pdf"
+          ? this.exportPdf()
+          : this.exportMarkdown()
+      );
+    });
+    document
+      .getElementById("notesVersionsBtn")
+      ?.addEventListener("click", () => this.toggleVersions());
+    document
+      .getElementById("notesSaveVersionForm")
+      ?.addEventListener("submit", (e) => {
+        e.preventDefault();
+        this.saveVersion();
+      });
+
+    const container = document.getElementById("notesBlocks");
+    container?.addEventListener("click", (e) => this._handleBlocksClick(e));
+    container?.addEventListener("change", (e) => {
+      const checkbox = e.target.closest("input[data-check-index]");
+      if (!checkbox) return;
+      const blockEl = checkbox.closest("[data-block-id]");
+      this.toggleChecklistItem(
+        blockEl.dataset.blockId,
+        parseInt(checkbox.dataset.checkIndex, 10)
+      );
+    });
+
+    const insertGroup = document.getElementById("notesInsertGroup");
+    if (insertGroup && this.readOnly) insertGroup.style.display = "none";
+  }
+
+  _getRoomId() {
+    return this.roomManager._getRoomId();
+  }
+
+  _blocksRef() {
+    return db
+      .collection("studyGroups")
+      .doc(this._getRoomId())
+      .collection("notesBlocks");
+  }
+
+  _orderedBlocks() {
+    return Array.from(this.blocks.values()).sort(
+      (a, b) => (a.order || 0) - (b.order || 0)
+    );
+  }
+
+  // ===== Live sync =====
+  open() {
+    if (this._unsubscribeBlocks) return;
+    const container = document.getElementById("notesBlocks");
+    if (container)
+      container.innerHTML = `<div class="text-center p-3 text-muted"><div class="spinner-border spinner-border-sm"></div> Loading notes...</div>`;
+
+    this._unsubscribeBlocks = this._blocksRef().onSnapshot(
+      (snapshot) => {
+        snapshot.docChanges().forEach((change) => {
+          if (change.type === "removed") this.blocks.delete(change.doc.id);
+          else
+            this.blocks.set(change.doc.id, {
+              id: change.doc.id,
+              ...change.doc.data(),
+            });
+        });
+
+        // Our block was deleted (or restored over) while we were editing it
+        if (this.editingBlockId && !this.blocks.has(this.editingBlockId)) {
+          this._clearEditingState();
+        }
+        this.render();
+      },
+      (err) => {
+        console.error("[notes] Failed to load notes:", err);
+        if (container)
+          container.innerHTML = `<div class="text-center p-3 text-danger">Failed to load notes</div>`;
+      }
+    );
+  }
+
+  async close() {
+    await this.stopEditing();
+    try {
+      this._unsubscribeBlocks?.();
+    } catch (e) {
+      // ignore
+    }
+    this._unsubscribeBlocks = null;
+    this.blocks.clear();
+  }
+
+  // ===== Rendering =====
+  render() {
+    const container = document.getElementById("notesBlocks");
+    if (!container) return;
+
+    const blocks = this._orderedBlocks();
+    if (blocks.length === 0) {
+      container.innerHTML = `<div class="notes-empty"><i class="bi bi-journal"></i><p>No notes yet.${
+        this.readOnly ? "" : " Use the buttons above to add a block."
+      }</p></div>`;
+      return;
+    }
+
+    // Keep the textarea being typed in; rebuild everything else
+    const editingEl = this.editingBlockId
+      ? container.querySelector(`[data-block-id="${this.editingBlockId}"]`)
+      : null;
+    container.querySelector(".notes-empty")?.remove();
+
+    const existing = new Map(
+      Array.from(container.querySelectorAll("[data-block-id]")).map((el) => [
+        el.dataset.blockId,
+        el,
+      ])
+    );
+    existing.forEach((el, id) => {
+      if (!this.blocks.has(id)) el.remove();
+    });
+
+    blocks.forEach((block) => {
+      let el = existing.get(block.id);
+      if (el && el === editingEl && el.querySelector("textarea")) {
+        container.appendChild(el);
+        return;
+      }
+      if (!el) {
+        el = document.createElement("div");
+        el.dataset.blockId = block.id;
+      }
+      el.className = "notes-block";
+      el.innerHTML = this._renderBlockView(block);
+      container.appendChild(el);
+    });
+  }
+
+  _leaseHolder(block) {
+    if (!block.editingBy || block.editingBy === this.userAuth.currentUser.uid)
+      return null;
+    if (Date.now() - (block.editingAt || 0) > LEASE_MS) return null;
+    return block.editingName || "Someone";
+  }
+
+  _renderBlockView(block) {
+    const holder = this._leaseHolder(block);
+    const body = block.text?.trim()
+      ? renderMarkdown(block.text)
+      : `<p class="notes-placeholder">Empty block</p>`;
+    return `${
+      holder
+        ? `<span class="notes-lock"><i class="bi bi-pencil"></i> ${escapeHtml(
+            holder
+          )} is editing</span>`
+        : ""
+    }<div class="notes-block-view${holder ? " locked" : ""}">${body}</div>`;
+  }
+
+  _handleBlocksClick(e) {
+    if (this.readOnly) return;
+    if (e.target.closest("input[data-check-index]") || e.target.closest("a"))
+      return;
+
+    const actionBtn = e.target.closest("[data-notes-action]");
+    if (actionBtn) {
+      const blockId = actionBtn.closest("[data-block-id]")?.dataset.blockId;
+      const action = actionBtn.dataset.notesAction;
+      if (action === "done") this.stopEditing();
+      else if (action === "delete") this.deleteBlock(blockId);
+      else if (action === "add-below") this.insertBlock(blockId, "text");
+      return;
+    }
+
+    const blockEl = e.target.closest("[data-block-id]");
+    if (blockEl && !blockEl.querySelector("textarea")) {
+      this.startEditing(blockEl.dataset.blockId);
+    }
+  }
+
+  // ===== Editing (lease per block) =====
+  async _acquireLease(blockId) {
+    const uid = this.userAuth.currentUser.uid;
+    const ref = this._blocksRef().doc(blockId);
+    return db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      if (!doc.exists) return { ok: false, reason: "This block was deleted" };
+      const data = doc.data();
+      if (
+        data.editingBy &&
+        data.editingBy !== uid &&
+        Date.now() - (data.editingAt || 0) < LEASE_MS
+      ) {
+        return {
+          ok: false,
+          reason: `${data.editingName || "Someone"} is editing this block`,
+        };
+      }
+      tx.update(ref, {
+        editingBy: uid,
+        editingName: this._currentUserName(),
+        editingAt: Date.now(),
+      });
+      return { ok: true };
+    });
+  }
+
+  _currentUserName() {
+    const user = this.userAuth.currentUser;
+    return user.name || user.displayName || "Someone";
+  }
+
+  async startEditing(blockId) {
+    if (this.readOnly || blockId === this.editingBlockId) return;
+    await this.stopEditing();
+
+    try {
+      const lease = await this._acquireLease(blockId);
+      if (!lease.ok) {
+        showToast(lease.reason, "info");
+        return;
+      }
+    } catch (err) {
+      console.error("[notes] Failed to start editing:", err);
+      showToast("Could not edit this block", "error");
+      return;
+    }
+
+    this.editingBlockId = blockId;
+    this._showEditor(blockId);
+    this._leaseTimer = setInterval(
+      () => this._saveBlock(blockId, { refreshOnly: true }),
+      LEASE_REFRESH_MS
+    );
+  }
+
+  _showEditor(blockId) {
+    const el = document.querySelector(
+      `#notesBlocks [data-block-id="${blockId}"]`
+    );
+    const block = this.blocks.get(blockId);
+    if (!el || !block) return;
+
+    el.className = "notes-block editing";
+    el.innerHTML = `<textarea class="form-control notes-editor" maxlength="${MAX_BLOCK_LENGTH}" spellcheck="true"></textarea>
+      <div class="notes-editor-actions">
+        <small class="text-muted">Ctrl+Enter to finish</small>
+        <div class="d-flex gap-1">
+          <button type="button" class="btn btn-sm btn-outline-secondary" data-notes-action="add-below" title="Add block below"><i class="bi bi-plus-lg"></i></button>
+          <button type="button" class="btn btn-sm btn-outline-danger" data-notes-action="delete" title="Delete block"><i class="bi bi-trash"></i></button>
+          <button type="button" class="btn btn-sm btn-primary" data-notes-action="done">Done</button>
+        </div>
+      </div>`;
+
+    const textarea = el.querySelector("textarea");
+    textarea.value = block.text || "";
+    this._autoGrow(textarea);
+    textarea.addEventListener("input", () => {
+      this._autoGrow(textarea);
+      clearTimeout(this._saveTimer);
+      this._saveTimer = setTimeout(
+        () => this._saveBlock(blockId),
+        SAVE_DEBOUNCE_MS
+      );
+    });
+    textarea.addEventListener("keydown", (e) => {
+      if ((e.ctrlKey || e.metaKey) && e.key === "Enter") {
+        e.preventDefault();
+        this.stopEditing();
+      } else if (e.key === "Escape") {
+        // Keep the settings modal open; just leave the block
+        e.preventDefault();
+        e.stopPropagation();
+        this.stopEditing();
+      }
+    });
+    textarea.focus();
+    textarea.setSelectionRange(textarea.value.length, textarea.value.length);
+  }
+
+  _autoGrow(textarea) {
+    textarea.style.height = "auto";
+    textarea.style.height = `${Math.min(textarea.scrollHeight + 2, 480)}px`;
+  }
+
+  _editorValue(blockId) {
+    return document.querySelector(
+      `#notesBlocks [data-block-id="${blockId}"] textarea`
+    )?.value;
+  }
+
+  // Update (or delete, when update is null) a block only while we still hold
+  // its lease. Returns { ok } or { ok: false, reason } without writing.
+  async _writeLeased(blockId, update) {
+    const uid = this.userAuth.currentUser.uid;
+    const ref = this._blocksRef().doc(blockId);
+    return db.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      if (!doc.exists) return { ok: false, reason: "This block was deleted" };
+      const data = doc.data();
+      if (data.editingBy !== uid) {
+        return {
+          ok: false,
+          reason: data.editingBy
+            ? `${data.editingName || "Someone"} took over this block`
+            : "Your edit lease on this block expired",
+        };
+      }
+      if (update) tx.update(ref, update);
+      else tx.delete(ref);
+      return { ok: true };
+    });
+  }
+
+  // The lease passed to someone else: drop the editor, keep their text
+  _leaseLost(blockId, reason) {
+    if (this.editingBlockId === blockId) {
+      this._clearEditingState();
+      this.render();
+    }
+    showToast(`${reason}; your unsaved changes were discarded`, "info");
+  }
+
+  async _saveBlock(blockId, { refreshOnly = false } = {}) {
+    const text = this._editorValue(blockId);
+    const update = { editingAt: Date.now() };
+    if (!refreshOnly && typeof text === "string") {
+      update.text = text.substring(0, MAX_BLOCK_LENGTH);
+      update.updatedBy = this.userAuth.currentUser.uid;
+      update.updatedAt = firebase.firestore.FieldValue.serverTimestamp();
+    }
+
+    try {
+      const result = await this._writeLeased(blockId, update);
+      if (!result.ok) this._leaseLost(blockId, result.reason);
+    } catch (err) {
+      console.warn("[notes] Failed to save block:", err);
+    }
+  }
+
+  _clearEditingState() {
+    clearTimeout(this._saveTimer);
+    clearInterval(this._leaseTimer);
+    this._saveTimer = null;
+    this._leaseTimer = null;
+    this.editingBlockId = null;
+  }
+
+  async stopEditing() {
+    const blockId = this.editingBlockId;
+    if (!blockId) return;
+
+    const hadPendingSave = !!this._saveTimer;
+    const text = this._editorValue(blockId);
+    this._clearEditingState();
+
+    // Flush the last keystrokes and release the lease in one write
+    if (hadPendingSave || typeof text === "string") {
+      const update = {
+        editingBy: null,
+        editingName: null,
+        editingAt: null,
+      };
+      if (typeof text === "string") {
+        update.text = text.substring(0, MAX_BLOCK_LENGTH);
+        update.updatedBy = this.userAuth.currentUser.uid;
+        update.updatedAt = firebase.firestore.FieldValue.serverTimestamp();
+      }
+      try {
+        const result = await this._writeLeased(blockId, update);
+        if (result.ok) {
+          const block = this.blocks.get(blockId);
+          if (block) Object.assign(block, update, { updatedAt: null });
+        } else {
+          showToast(
+            `${result.reason}; your unsaved changes were discarded`,
+            "info"
+          );
+        }
+      } catch (err) {
+        console.warn("[notes] Failed to release block:", err);
+      }
+    }
+
+    // Swap the editor back to the rendered view
+    const el = document.querySelector(
+      `#notesBlocks [data-block-id="${blockId}"]`
+    );
+    if (el) el.innerHTML = "";
+    this.render();
+  }
+
+  // ===== Block operations =====
+  _orderAfter(blockId) {
+    const blocks = this._orderedBlocks();
+    if (blocks.length === 0) return ORDER_STEP;
+
+    const index = blockId ? blocks.findIndex((b) => b.id === blockId) : -1;
+    if (index === -1)
+      return (blocks[blocks.length - 1].order || 0) + ORDER_STEP;
+
+    const current = blocks[index].order || 0;
+    const next = blocks[index + 1];
+    return next ? (current + (next.order || 0)) / 2 : current + ORDER_STEP;
+  }
+
+  async insertBlock(afterBlockId, type = "text") {
+    if (this.readOnly) return;
+    await this.stopEditing();
+
+    const ref = this._blocksRef().doc();
+    const uid = this.userAuth.currentUser.uid;
+    const block = {
+      text: BLOCK_TEMPLATES[type] ?? "",
+      order: this._orderAfter(afterBlockId),
+      // Created already leased to us so nobody else grabs it first
+      editingBy: uid,
+      editingName: this._currentUserName(),
+      editingAt: Date.now(),
+      updatedBy: uid,
+      updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+    };
+
+    try {
+      this.blocks.set(ref.id, { id: ref.id, ...block });
+      this.render();
+      await ref.set(block);
+      this.editingBlockId = ref.id;
+      this._showEditor(ref.id);
+      this._leaseTimer = setInterval(
+        () => this._saveBlock(ref.id, { refreshOnly: true }),
+        LEASE_REFRESH_MS
+      );
+    } catch (err) {
+      console.error("[notes] Failed to add block:", err);
+      showToast("Failed to add block", "error");
+      this.blocks.delete(ref.id);
+      this.render();
+    }
+  }
+
+  async deleteBlock(blockId) {
+    if (!blockId || blockId !== this.editingBlockId) return;
+    if (
+      !confirm(
+        "Delete this block? Hosts can still restore it from a saved version."
+      )
+    )
+      return;
+
+    this._clearEditingState();
+    try {
+      const result = await this._writeLeased(blockId, null);
+      if (!result.ok) {
+        showToast(result.reason, "info");
+        this.render();
+      }
+    } catch (err) {
+      console.error("[notes] Failed to delete block:", err);
+      showToast("Failed to delete block", "error");
+    }
+  }
+
+  async toggleChecklistItem(blockId, index) {
+    if (this.readOnly) return;
+    const ref = this._blocksRef().doc(blockId);
+    const uid = this.userAuth.currentUser.uid;
+
+    try {
+      const result = await db.runTransaction(async (tx) => {
+        const doc = await tx.get(ref);
+        if (!doc.exists) return { ok: false, reason: "This block was deleted" };
+        const data = doc.data();
+        if (
+          data.editingBy &&
+          data.editingBy !== uid &&
+          Date.now() - (data.editingAt || 0) < LEASE_MS
+        ) {
+          return {
+            ok: false,
+            reason: `${data.editingName || "Someone"} is editing this block`,
+          };
+        }
+        tx.update(ref, {
+          text: toggleChecklistLine(data.text || "", index),
+          updatedBy: uid,
+          updatedAt: firebase.firestore.FieldValue.serverTimestamp(),
+        });
+        return { ok: true };
+      });
+      if (!result.ok) {
+        showToast(result.reason, "info");
+        this.render();
+      }
+    } catch (err) {
+      console.error("[notes] Failed to update checklist:", err);
+      showToast("Failed to update checklist", "error");
+      this.render();
+    }
+  }
+
+  // ===== Export =====
+  _markdown() {
+    return this._orderedBlocks()
+      .map((block) => this._editorValue(block.id) ?? block.text ?? "")
+      .filter((text) => text.trim().length > 0)
+      .join("\n\n");
+  }
+
+  async _loadMarkdown() {
+    if (this._unsubscribeBlocks) return this._markdown();
+    const data = await fetchJsonWithAuth(
+      `${window.__CONFIG__.apiBase}/${this._getRoomId()}/notes`
+    );
+    return data?.markdown || "";
+  }
+
+  _exportFileName(ext) {
+    const roomName = (this.roomManager.currentRoomData?.name || "room")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 40);
+    return `notes-${roomName || "room"}.${ext}`;
+  }
+
+  async exportMarkdown() {
+    try {
+      const markdown = await this._loadMarkdown();
+      const blob = new Blob([markdown], { type: "text/markdown" });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = this._exportFileName("md");
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (err) {
+      console.error("[notes] Markdown export failed:", err);
+      showToast("Failed to export notes", "error");
+    }
+  }
+
+  // Opens a print view; the browser's "Save as PDF" produces the file
+  async exportPdf() {
+    const printWindow = window.open("", "_blank");
+    if (!printWindow) {
+      showToast("Allow pop-ups to export the notes as PDF", "warning");
+      return;
+    }
+
+    try {
+      const markdown = await this._loadMarkdown();
+      const title = `${
+        this.roomManager.currentRoomData?.name || "Study Room"
+      } - Notes`;
+      printWindow.document
+        .write(`<!DOCTYPE html><html><head><meta charset="UTF-8"><title>${escapeHtml(
+        title
+      )}</title><style>
+        body { font-family: -apple-system, "Segoe UI", Roboto, sans-serif; max-width: 760px; margin: 32px auto; color: #212121; line-height: 1.5; }
+        pre { background: #f5f5f5; padding: 12px; border-radius: 6px; white-space: pre-wrap; }
+        code { font-family: Consolas, monospace; }
+        blockquote { border-left: 3px solid #ccc; margin: 0; padding-left: 12px; color: #555; }
+        ul.notes-checklist { list-style: none; padding-left: 4px; }
+      </style></head><body><h1>${escapeHtml(title)}</h1>${renderMarkdown(
+        markdown,
+        { interactive: false }
+      )}</body></html>`);
+      printWindow.document.close();
+      printWindow.focus();
+      printWindow.print();
+    } catch (err) {
+      printWindow.close();
+      console.error("[notes] PDF export failed:", err);
+      showToast("Failed to export notes", "error");
+    }
+  }
+
+  // ===== Versions =====
+  async toggleVersions() {
+    const panel = document.getElementById("notesVersionsPanel");
+    if (!panel) return;
+    this._versionsVisible = !this._versionsVisible;
+    panel.style.display = this._versionsVisible ? "block" : "none";
+    if (!this._versionsVisible) return;
+
+    const saveRow = document.getElementById("notesSaveVersionRow");
+    if (saveRow)
+      saveRow.style.display =
+        this.roomManager.isHost && !this.readOnly ? "block" : "none";
+    await this.loadVersions();
+  }
+
+  async loadVersions() {
+    const list = document.getElementById("notesVersionsList");
+    if (!list) return;
+    list.innerHTML = `<div class="text-muted small p-2">Loading versions...</div>`;
+
+    try {
+      const data = await fetchJsonWithAuth(
+        `${window.__CONFIG__.apiBase}/${this._getRoomId()}/notes/versions`
+      );
+      const versions = data?.versions || [];
+      if (versions.length === 0) {
+        list.innerHTML = `<div class="text-muted small p-2">No saved versions yet.</div>`;
+        return;
+      }
+
+      const canRestore = this.roomManager.isHost && !this.readOnly;
+      list.innerHTML = versions
+        .map(
+          (v) => `<div class="notes-version-item">
+            <div>
+              <div class="fw-semibold">${escapeHtml(v.label)}</div>
+              <small class="text-muted">${escapeHtml(
+                v.createdByName || "Unknown"
+              )} · ${
+            v.createdAt ? new Date(v.createdAt).toLocaleString() : ""
+          } · ${v.blockCount} block(s)</small>
+            </div>
+            <div class="d-flex gap-1">
+              <button type="button" class="btn btn-sm btn-outline-secondary" data-version-preview="${escapeHtml(
+                v.id
+              )}">Preview</button>
+              ${
+                canRestore
+                  ? `<button type="button" class="btn btn-sm btn-outline-primary" data-version-restore="${escapeHtml(
+                      v.id
+                    )}">Restore</button>`
+                  : ""
+              }
+            </div>
+          </div>`
+        )
+        .join("");
+
+      list.querySelectorAll("[data-version-preview]").forEach((btn) => {
+        btn.addEventListener("click", () =>
+          this.previewVersion(btn.dataset.versionPreview)
+        );
+      });
+      list.querySelectorAll("[data-version-restore]").forEach((btn) => {
+        btn.addEventListener("click", () =>
+          this.restoreVersion(btn.dataset.versionRestore)
+        );
+      });
+    } catch (err) {
+      console.error("[notes] Failed to load versions:", err);
+      list.innerHTML = `<div class="text-danger small p-2">Failed to load versions</div>`;
+    }
+  }
+
+  async saveVersion() {
+    const input = document.getElementById("notesVersionLabelInput");
+    try {
+      await this.stopEditing();
+      await postJsonWithAuth(
+        `${window.__CONFIG__.apiBase}/${this._getRoomId()}/notes/versions`,
+        { label: input?.value || "" }
+      );
+      if (input) input.value = "";
+      showToast("Notes snapshot saved", "success");
+      await this.loadVersions();
+    } catch (err) {
+      console.error("[notes] Failed to save version:", err);
+      showToast(err.message || "Failed to save snapshot", "error");
+    }
+  }
+
+  async previewVersion(versionId) {
+    const preview = document.getElementById("notesVersionPreview");
+    if (!preview) return;
+
+    try {
+      const data = await fetchJsonWithAuth(
+        `${
+          window.__CONFIG__.apiBase
+        }/${this._getRoomId()}/notes/versions/${encodeURIComponent(versionId)}`
+      );
+      preview.style.display = "block";
+      preview.innerHTML = `<div class="d-flex justify-content-between align-items-center mb-2">
+          <strong>${escapeHtml(data.version?.label || "Version")}</strong>
+          <button type="button" class="btn-close" aria-label="Close preview"></button>
+        </div>${
+          data.markdown
+            ? renderMarkdown(data.markdown, { interactive: false })
+            : '<p class="text-muted">This version is empty.</p>'
+        }`;
+      preview.querySelector(".btn-close")?.addEventListener("click", () => {
+        preview.style.display = "none";
+      });
+    } catch (err) {
+      console.error("[notes] Failed to load version:", err);
+      showToast("Failed to load version", "error");
+    }
+  }
+
+  async restoreVersion(versionId) {
+    if (
+      !confirm(
+        "Replace the current notes with this version for everyone? The current notes are saved as a new version first."
+      )
+    )
+      return;
+
+    try {
+      await this.stopEditing();
+      await postJsonWithAuth(
+        `${
+          window.__CONFIG__.apiBase
+        }/${this._getRoomId()}/notes/versions/${encodeURIComponent(
+          versionId
+        )}/restore`,
+        {}
+      );
+      showToast("Notes restored", "success");
+      await this.loadVersions();
+    } catch (err) {
+      console.error("[notes] Failed to restore version:", err);
+      showToast(err.message || "Failed to restore version", "error");
+    }
+  }
+
+  destroy() {
+    this.close();
+  }
+}
+
+/* ===== Markdown ===== */
+
+// Flip the nth checklist marker (outside code fences)
+function toggleChecklistLine(text, index) {
+  let count = 0;
+  let inCode = false;
+  return text
+    .split("\n")
+    .map((line) => {
+      if (line.trim().startsWith("```")) {
+        inCode = !inCode;
+        return line;
+      }
+      if (inCode || !CHECKLIST_REGEX.test(line)) return line;
+      if (count++ !== index) return line;
+      return line.replace(
+        CHECKLIST_REGEX,
+        (_, open, mark, close) => `${open}${mark === " " ? "x" : " "}${close}`
+      );
+    })
+    .join("\n");
+}
+
+function renderInline(text) {
+  // Pull out code spans first so their contents stay literal
+  const codeSpans = [];
+  let html = escapeHtml(text).replace(/`([^`]+)`/g, (_, code) => {
+    codeSpans.push(code);
+    return `\u0000${codeSpans.length - 1}\u0000`;
+  });
+
+  html = html
+    .replace(/\*\*([^*]+)\*\*/g, "<strong>$1</strong>")
+    .replace(/(^|[^*])\*([^*]+)\*/g, "$1<em>$2</em>")
+    .replace(/~~([^~]+)~~/g, "<del>$1</del>")
+    .replace(
+      /\[([^\]]+)\]\((https?:\/\/[^\s)]+)\)/g,
+      '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>'
+    );
+
+  return html.replace(
+    /\u0000(\d+)\u0000/g,
+    (_, i) => `<code>${codeSpans[i]}</code>`
+  );
+}
+
+/**
+ * Small markdown renderer for notes: headings, paragraphs, lists, checklists,
+ * quotes, rules, fenced code and inline formatting. Input is escaped first.
+ */
+function renderMarkdown(markdown, { interactive = true } = {}) {
+  const lines = String(markdown || "").split("\n");
+  const out = [];
+  let list = null; // "ul" | "ol" | "check"
+  let paragraph = [];
+  let checkIndex = 0;
+
+  const closeParagraph = () => {
+    if (paragraph.length)
+      out.push(`<p>${paragraph.map(renderInline).join("<br>")}</p>`);
+    paragraph = [];
+  };
+  const closeList = () => {
+    if (list) out.push(list === "ol" ? "</ol>" : "</ul>");
+    list = null;
+  };
+  const openList = (type) => {
+    if (list === type) return;
+    closeList();
+    out.push(
+      type === "ol"
+        ? "<ol>"
+        : type === "check"
+        ? '<ul class="notes-checklist">'
+        : "<ul>"
+    );
+    list = type;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (line.trim().startsWith("```")) {
+      closeParagraph();
+      closeList();
+      const code = [];
+      i++;
+      while (i < lines.length && !lines[i].trim().startsWith("```")) {
+        code.push(lines[i]);
+        i++;
+      }
+      out.push(`<pre><code>${escapeHtml(code.join("\n"))}</code></pre>`);
+      continue;
+    }
+
+    const heading = line.match(/^(#{1,6})\s+(.*)$/);
+    const check = line.match(/^\s*[-*] \[( |x|X)\]\s?(.*)$/);
+    const bullet = line.match(/^\s*[-*]\s+(.*)$/);
+    const numbered = line.match(/^\s*\d+[.)]\s+(.*)$/);
+
+    if (!line.trim()) {
+      closeParagraph();
+      closeList();
+    } else if (heading) {
+      closeParagraph();
+      closeList();
+      const level = heading[1].length;
+      out.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+    } else if (/^\s*(-{3,}|\*{3,})\s*$/.test(line)) {
+      closeParagraph();
+      closeList();
+      out.push("<hr>");
+    } else if (check) {
+      closeParagraph();
+      openList("check");
+      const checked = check[1] !== " ";
+      out.push(
+        `<li class="${checked ? "checked" : ""}"><input type="checkbox" ${
+          interactive ? `data-check-index="${checkIndex}"` : "disabled"
+        } ${checked ? "checked" : ""}> ${renderInline(check[2])}</li>`
+      );
+      checkIndex++;
+    } else if (bullet) {
+      closeParagraph();
+      openList("ul");
+      out.push(`<li>${renderInline(bullet[1])}</li>`);
+    } else if (numbered) {
+      closeParagraph();
+      openList("ol");
+      out.push(`<li>${renderInline(numbered[1])}</li>`);
+    } else if (line.startsWith(">")) {
+      closeParagraph();
+      closeList();
+      out.push(
+        `<blockquote>${renderInline(line.replace(/^>\s?/, ""))}</blockquote>`
+      );
+    } else {
+      closeList();
+      paragraph.push(line);
+    }
+  }
+
+  closeParagraph();
+  closeList();
+  return out.join("");
+}
@@ -0,0 +1,156 @@
+// PinnedMessagesManager class - Pinned messages drawer in the chat sidebar
+// Hosts pin / unpin from the message actions (chat-manager.js, via the backend);
+// this keeps a live list of pinned messages and jumps to one when clicked.
+
+import { db } from "./firebase-init.js";
+import { showToast, escapeHtml } from "./utils.js";
+import { mentionsToPlainText } from "../mentions.js";
+
+const PREVIEW_LENGTH = 160;
+
+export class PinnedMessagesManager {
+  constructor(userAuth, roomManager, chatManager) {
+    this.userAuth = userAuth;
+    this.roomManager = roomManager;
+    this.chatManager = chatManager;
+    this.pinned = [];
+    this._unsubscribe = null;
+  }
+
+  init() {
+    if (!this.roomManager.currentRoomData) return;
+
+    document
+      .getElementById("chatPinnedBtn")
+      ?.addEventListener("click", () => this.toggle());
+    document
+      .getElementById("chatPinnedList")
+      ?.addEventListener("click", (e) => {
+        const unpin = e.target.closest("[data-pinned-unpin]");
+        if (unpin) {
+          e.stopPropagation();
+          this.chatManager.togglePin(unpin.dataset.pinnedUnpin, true);
+          return;
+        }
+        const item = e.target.closest("[data-pinned-message]");
+        if (item) {
+          this.chatManager.jumpToMessage(
+            item.dataset.pinnedMessage,
+            item.dataset.pinnedTimestamp || null
+          );
+        }
+      });
+
+    this._listen();
+  }
+
+  _listen() {
+    const roomId = this.roomManager._getRoomId();
+    this._unsubscribe = db
+      .collection("studyGroups")
+      .doc(roomId)
+      .collection("messages")
+      .where("pinned", "==", true)
+      .onSnapshot(
+        (snapshot) => {
+          this.pinned = snapshot.docs
+            .map((doc) => ({ id: doc.id, ...doc.data() }))
+            .sort(
+              (a, b) =>
+                this._millis(b.pinnedAt || b.timestamp) -
+                this._millis(a.pinnedAt || a.timestamp)
+            );
+          this._updateCount();
+          this.render();
+        },
+        (err) => {
+          console.error("[pinned] Failed to load pinned messages:", err);
+          showToast("Could not load pinned messages", "error");
+        }
+      );
+  }
+
+  _millis(ts) {
+    if (!ts) return 0;
+    if (typeof ts.toMillis === "function") return ts.toMillis();
+    const parsed = new Date(ts).getTime();
+    return Number.isNaN(parsed) ? 0 : parsed;
+  }
+
+  toggle(show) {
+    const panel = document.getElementById("chatPinnedPanel");
+    if (!panel) return;
+    const visible = show ?? panel.style.display === "none";
+    panel.style.display = visible ? "block" : "none";
+    document
+      .getElementById("chatPinnedBtn")
+      ?.classList.toggle("active", visible);
+    if (visible) this.render();
+  }
+
+  _updateCount() {
+    const badge = document.getElementById("chatPinnedCount");
+    if (!badge) return;
+    badge.textContent = String(this.pinned.length);
+    badge.style.display = this.pinned.length > 0 ? "" : "none";
+  }
+
+  render() {
+    const list = document.getElementById("chatPinnedList");
+    if (!list) return;
+    if (this.pinned.length === 0) {
+      list.innerHTML = `<div class="chat-board-empty">No pinned messages${
+        this.roomManager.isHost ? " - pin one from its message actions" : ""
+      }</div>`;
+      return;
+    }
+
+    const canUnpin = this.roomManager.isHost && !this.roomManager.isReadOnly;
+    list.innerHTML = this.pinned
+      .map((msg) => {
+        const participant = (this.roomManager.participants || []).find(
+          (p) => p.id === msg.authorUid
+        );
+        const author =
+          msg.authorUid === this.userAuth.currentUser.uid
+            ? "You"
+            : participant?.name || msg.author || "Unknown";
+        const date = msg.timestamp
+          ? new Date(this._millis(msg.timestamp))
+          : null;
+        const when = date
+          ? date.toLocaleString([], { dateStyle: "medium", timeStyle: "short" })
+          : "";
+        const plain = mentionsToPlainText(msg.text);
+        const text = plain
+          ? plain.length > PREVIEW_LENGTH
+            ? `${plain.slice(0, PREVIEW_LENGTH)}…`
+            : plain
+          : msg.fileName || (msg.imageUrl ? "Image" : "");
+        return `<div class="chat-board-item" role="button" data-pinned-message="${escapeHtml(
+          msg.id
+        )}" data-pinned-timestamp="${escapeHtml(
+          date ? date.toISOString() : ""
+        )}">
+          <div class="chat-board-item-meta"><strong>${escapeHtml(
+            author
+          )}</strong><span>${escapeHtml(when)}${
+          canUnpin
+            ? ` <button type="button" class="chat-board-item-remove" data-pinned-unpin="${escapeHtml(
+                msg.id
+              )}" title="Unpin"><i class="bi bi-x-lg"></i></button>`
+            : ""
+        }</span></div>
+          <div class="chat-board-item-text">${escapeHtml(text)}</div>
+        </div>`;
+      })
+      .join("");
+  }
+
+  destroy() {
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+  }
+}
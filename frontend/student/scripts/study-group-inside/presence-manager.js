@@ -1,5 +1,11 @@
 // PresenceManager class - Tracks online/offline status of participants in a study room
 // Uses Firebase Realtime Database for real-time presence tracking
+// ✅ NEW: Ephemeral "is typing" state and per-user last-read message pointers
+//   rooms/{roomId}/typing/{uid} = { name, at }           (removed on disconnect)
+//   rooms/{roomId}/reads/{uid}  = { messageId, timestamp } (kept across visits)
+
+// A typing entry older than this is ignored (tab closed mid-sentence, etc.)
+export const TYPING_TTL_MS = 6000;
 
 export class PresenceManager {
   constructor(roomId, userId) {
@@ -12,6 +18,17 @@ export class PresenceManager {
     this.onlineUsers = new Map(); // Map of userId -> boolean (online status)
     this.listeners = []; // Callbacks to notify when presence changes
     this._unsubscribers = [];
+
+    // ✅ NEW: Typing + read pointers
+    this.typingRef = null;
+    this.readRef = null;
+    this.typingUsers = new Map(); // userId -> { name, at }
+    this.readPointers = new Map(); // userId -> { messageId, timestamp }
+    this.typingListeners = [];
+    this.readListeners = [];
+    this.serverTimeOffset = 0;
+    this._isTyping = false;
+    this._lastReadTimestamp = 0;
   }
 
   async initialize() {
@@ -35,12 +52,24 @@ export class PresenceManager {
       // Reference to the special ".info/connected" path
       this.connectedRef = this.database.ref(".info/connected");
 
+      this.typingRef = this.database.ref(
+        `rooms/${this.roomId}/typing/${this.userId}`
+      );
+      this.readRef = this.database.ref(
+        `rooms/${this.roomId}/reads/${this.userId}`
+      );
+
       // Set up connection state listener
       this._setupConnectionListener();
 
       // Listen to room presence changes
       this._listenToRoomPresence();
 
+      // ✅ NEW: Typing + read pointers
+      this._listenToServerTimeOffset();
+      this._listenToTyping();
+      this._listenToReads();
+
       console.log("[presence] Initialized for room:", this.roomId);
       return true;
     } catch (err) {
@@ -103,6 +132,129 @@ export class PresenceManager {
     });
   }
 
+  // ✅ NEW: Local clock correction so typing entries expire consistently
+  _listenToServerTimeOffset() {
+    const offsetRef = this.database.ref(".info/serverTimeOffset");
+    const handler = offsetRef.on("value", (snapshot) => {
+      this.serverTimeOffset = snapshot.val() || 0;
+    });
+    this._unsubscribers.push(() => offsetRef.off("value", handler));
+  }
+
+  _listenToTyping() {
+    const roomTypingRef = this.database.ref(`rooms/${this.roomId}/typing`);
+    const handler = roomTypingRef.on("value", (snapshot) => {
+      const data = snapshot.val() || {};
+      this.typingUsers.clear();
+      Object.keys(data).forEach((uid) => {
+        if (uid === this.userId) return;
+        this.typingUsers.set(uid, {
+          name: data[uid].name || null,
+          at: data[uid].at || 0,
+        });
+      });
+      this._notify(this.typingListeners, this.typingUsers);
+    });
+    this._unsubscribers.push(() => roomTypingRef.off("value", handler));
+  }
+
+  _listenToReads() {
+    const roomReadsRef = this.database.ref(`rooms/${this.roomId}/reads`);
+    const handler = roomReadsRef.on("value", (snapshot) => {
+      const data = snapshot.val() || {};
+      this.readPointers.clear();
+      Object.keys(data).forEach((uid) => {
+        this.readPointers.set(uid, {
+          messageId: data[uid].messageId,
+          timestamp: data[uid].timestamp || 0,
+        });
+      });
+      const own = this.readPointers.get(this.userId);
+      if (own && own.timestamp > this._lastReadTimestamp) {
+        this._lastReadTimestamp = own.timestamp;
+      }
+      this._notify(this.readListeners, this.readPointers);
+    });
+    this._unsubscribers.push(() => roomReadsRef.off("value", handler));
+  }
+
+  // Other users currently typing (stale entries filtered out)
+  getTypingUsers() {
+    const now = Date.now() + this.serverTimeOffset;
+    return Array.from(this.typingUsers.entries())
+      .filter(([_, entry]) => now - entry.at < TYPING_TTL_MS)
+      .map(([uid, entry]) => ({ uid, name: entry.name }));
+  }
+
+  // Call on every keystroke; writes at most once per TYPING_TTL_MS / 2
+  async setTyping(isTyping, name = null) {
+    if (!this.typingRef) return;
+    try {
+      if (!isTyping) {
+        if (!this._isTyping) return;
+        this._isTyping = false;
+        this._lastTypingWrite = 0;
+        await this.typingRef.remove();
+        return;
+      }
+      const now = Date.now();
+      if (this._isTyping && now - this._lastTypingWrite < TYPING_TTL_MS / 2) {
+        return;
+      }
+      this._isTyping = true;
+      this._lastTypingWrite = now;
+      await this.typingRef.onDisconnect().remove();
+      await this.typingRef.set({
+        name: name ? String(name).substring(0, 100) : null,
+        at: firebase.database.ServerValue.TIMESTAMP,
+      });
+    } catch (err) {
+      console.error("[presence] Error updating typing state:", err);
+    }
+  }
+
+  // Move this user's read pointer forward (never backwards)
+  async setLastRead(messageId, timestamp) {
+    if (!this.readRef || !messageId || !timestamp) return;
+    if (timestamp <= this._lastReadTimestamp) return;
+    this._lastReadTimestamp = timestamp;
+    try {
+      await this.readRef.set({ messageId, timestamp });
+    } catch (err) {
+      console.error("[presence] Error updating read pointer:", err);
+    }
+  }
+
+  getReadPointers() {
+    return this.readPointers;
+  }
+
+  onTypingChange(callback) {
+    return this._subscribe(this.typingListeners, callback);
+  }
+
+  onReadsChange(callback) {
+    return this._subscribe(this.readListeners, callback);
+  }
+
+  _subscribe(list, callback) {
+    list.push(callback);
+    return () => {
+      const index = list.indexOf(callback);
+      if (index > -1) list.splice(index, 1);
+    };
+  }
+
+  _notify(list, value) {
+    list.forEach((callback) => {
+      try {
+        callback(value);
+      } catch (err) {
+        console.error("[presence] Error in listener callback:", err);
+      }
+    });
+  }
+
   // Check if a specific user is online
   isUserOnline(userId) {
     return this.onlineUsers.get(userId) === true;
@@ -176,11 +328,16 @@ export class PresenceManager {
     });
     this._unsubscribers = [];
     this.listeners = [];
+    this.typingListeners = [];
+    this.readListeners = [];
 
     // Set offline before destroying
     if (this.presenceRef) {
       this.presenceRef.remove().catch(() => {});
     }
+    if (this.typingRef) {
+      this.typingRef.remove().catch(() => {});
+    }
 
     console.log("[presence] Destroyed");
   }
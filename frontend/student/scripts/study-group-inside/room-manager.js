@@ -7,21 +7,48 @@
 // ✅ UPDATED: Bulletproof URL construction for password reset
 // ✅ NEW: Room deactivation check with UI lockdown
 // ✅ NEW: Online/Offline presence tracking for participants
+// ✅ NEW: Scheduled sessions (next session banner, countdown, RSVP)
+// ✅ NEW: Room roles (owner / co-host / member), promote, demote, transfer ownership
+// ✅ NEW: Room bans and join-request approval
+// ✅ NEW: Signed invite links (expiry, max uses, target email, role)
+// ✅ NEW: Chat export download (hosts)
+// ✅ NEW: "Mute in chat" in the participant menu (hosts, members only)
+// ✅ NEW: Attendance visits (time in room / in call) and the host attendance report
 
 import { db } from "./firebase-init.js";
-import { fetchJsonWithAuth, postJsonWithAuth } from "../apiClient.js";
+import {
+  fetchWithAuth,
+  fetchJsonWithAuth,
+  postJsonWithAuth,
+  putJsonWithAuth,
+  deleteWithAuth,
+} from "../apiClient.js";
 import { PresenceManager } from "./presence-manager.js";
+import { AttendanceTracker } from "./attendance-tracker.js";
 
 export class RoomManager {
   constructor(userAuth) {
     this.userAuth = userAuth;
     this.currentRoomData = null;
     this.isOwner = false;
+    this.isHost = false; // ✅ NEW: Owner or co-host
+    this.role = "member";
     this.participants = [];
     this.isLoading = true;
     this.isRoomDeactivated = false;
+    this.isRoomArchived = false; // ✅ NEW: Archived rooms are read-only
     this._isUpdatingParticipants = false; // ✅ NEW: Prevent concurrent updates
     this.presenceManager = null; // ✅ NEW: Presence manager instance
+    this.attendanceTracker = null; // ✅ NEW: Attendance visit for this tab
+    this.sessions = []; // ✅ NEW: Scheduled sessions
+    this.nextSession = null;
+    this._countdownTimer = null;
+    this._roomCatalog = null; // GET /catalog (course / year level options)
+  }
+
+  // Deactivated (admin) or archived: history stays readable, nothing can change
+  get isReadOnly() {
+    return this.isRoomDeactivated || this.isRoomArchived;
   }
 
   async loadRoomData() {
@@ -64,8 +91,7 @@ export class RoomManager {
       });
 
       this.currentRoomData = data;
-      this.isOwner =
-        this.currentRoomData.creator === this.userAuth.currentUser.uid;
+      this.applyRoles();
 
       // ✅ NEW: Check if room is deactivated
       this.isRoomDeactivated = this.currentRoomData.isActive === false;
@@ -76,6 +102,7 @@ export class RoomManager {
         isActive: this.currentRoomData.isActive,
         isDeactivated: this.isRoomDeactivated,
         isOwner: this.isOwner,
+        role: this.role,
       });
 
       // ✅ NEW: If room is deactivated, show lock and return early
@@ -85,12 +112,28 @@ export class RoomManager {
         return this.currentRoomData;
       }
 
+      // ✅ NEW: Archived rooms are read-only and closed to new members
+      this.isRoomArchived = this.currentRoomData.archived === true;
+      if (this.isRoomArchived) {
+        const uid = this.userAuth.currentUser?.uid;
+        if (!(this.currentRoomData.participants || []).includes(uid)) {
+          throw new Error("This room is archived and can no longer be joined");
+        }
+        await this.loadParticipantsInfo();
+        this.isLoading = false;
+        return this.currentRoomData;
+      }
+
       // ✅ AUTO-JOIN: Add user to participants if not already
       await this.autoJoinRoom();
 
       // ✅ NEW: Initialize presence tracking
       await this.initializePresence();
 
+      // ✅ NEW: Attendance (not awaited - never blocks loading the room)
+      this.attendanceTracker = new AttendanceTracker(this._getRoomId());
+      this.attendanceTracker.start();
+
       // ✅ CRITICAL: Load participants with new stable approach
       await this.loadParticipantsInfo();
       this.isLoading = false;
@@ -100,7 +143,9 @@ export class RoomManager {
       this.isLoading = false;
 
       if (typeof window.showToast === "function") {
-        window.showToast(`Failed to load room: ${err.message}`, "error");
+        // ✅ NEW: Waiting for host approval is not an error
+        if (err.pending) window.showToast(err.message, "info");
+        else window.showToast(`Failed to load room: ${err.message}`, "error");
       }
 
       setTimeout(() => {
@@ -111,6 +156,27 @@ export class RoomManager {
     }
   }
 
+  // ✅ NEW: Resolve the current user's role from the room's role map
+  applyRoles() {
+    const uid = this.userAuth.currentUser?.uid;
+    this.role = this.getParticipantRole(uid);
+    this.isOwner = this.role === "owner";
+    this.isHost = this.isOwner || this.role === "co-host";
+  }
+
+  getParticipantRole(uid) {
+    if (!this.currentRoomData || !uid) return "member";
+    if (this.currentRoomData.creator === uid) return "owner";
+    return this.currentRoomData.roles?.[uid] || "member";
+  }
+
+  // Owners can moderate anyone, co-hosts only members
+  canModerate(uid) {
+    if (uid === this.userAuth.currentUser?.uid) return false;
+    if (this.isOwner) return true;
+    return this.isHost && this.getParticipantRole(uid) === "member";
+  }
+
   // ✅ AUTO-JOIN: Add user to room participants if not already present
   async autoJoinRoom() {
     try {
@@ -129,11 +195,27 @@ export class RoomManager {
       const roomId = this.currentRoomData._id || this.currentRoomData.id;
       console.log(`[room-manager] Auto-joining room: ${roomId}`);
 
+      // ✅ NEW: Redeem a signed invite link (?invite=<token>) if present
+      const inviteToken = new URLSearchParams(window.location.search).get(
+        "invite"
+      );
+      const joinBody =
+        inviteToken && inviteToken !== "true" ? { inviteToken } : {};
+
       const joinResponse = await postJsonWithAuth(
         `${window.__CONFIG__.apiBase}/${roomId}/join`,
-        {}
+        joinBody
       );
 
+      // ✅ NEW: Approval-required rooms queue a join request instead
+      if (joinResponse?.pending) {
+        const pendingErr = new Error(
+          joinResponse.message || "Your join request is waiting for approval"
+        );
+        pendingErr.pending = true;
+        throw pendingErr;
+      }
+
       console.log(
         `[room-manager] Successfully joined room. Participants count:`,
         joinResponse.participantCount
@@ -142,6 +224,10 @@ export class RoomManager {
       // Update local room data with new participants
       this.currentRoomData.participants = [...participants, currentUid];
     } catch (err) {
+      // ✅ NEW: Banned or still waiting for approval - don't enter the room
+      if (err?.pending || err?.body?.banned || err?.body?.invalidInvite)
+        throw err;
+
       console.warn(
         "[room-manager] Auto-join failed (may already be member):",
         err
@@ -218,7 +304,8 @@ export class RoomManager {
               this.userAuth.currentUser.photo ||
               null,
             status: "member",
-            isHost: this.isOwner,
+            role: this.role,
+            isHost: this.isHost,
             inCall: false,
           },
         ];
@@ -265,13 +352,15 @@ export class RoomManager {
             photo = info.photo || null;
           }
 
+          const role = this.getParticipantRole(uid);
           const participant = {
             id: uid,
             name: info.displayName || uid.substring(0, 8),
             avatar: info.avatar || "U",
             photo: photo,
             status: "member",
-            isHost: this.currentRoomData.creator === uid,
+            role,
+            isHost: role !== "member",
             inCall: false,
           };
 
@@ -290,7 +379,8 @@ export class RoomManager {
             avatar: "U",
             photo: null,
             status: "member",
-            isHost: this.currentRoomData.creator === uid,
+            role: this.getParticipantRole(uid),
+            isHost: this.getParticipantRole(uid) !== "member",
             inCall: false,
           };
         }
@@ -323,8 +413,9 @@ export class RoomManager {
     participantsList.innerHTML = this.participants
       .map((p) => {
         const isCurrent = p.id === this.userAuth.currentUser.uid;
-        const canKick = this.isOwner && !isCurrent;
+        const canKick = this.canModerate(p.id);
         const canReport = !isCurrent; // Can report anyone except self
+        const canManageRole = this.isOwner && !isCurrent; // ✅ NEW: Owner only
 
         // ✅ NEW: Check if user is online using presence manager
         const isOnline = this.presenceManager?.isUserOnline(p.id) || isCurrent;
@@ -340,7 +431,7 @@ export class RoomManager {
 
         // Build actions menu
         let actionsHtml = "";
-        if (canReport || canKick) {
+        if (canReport || canKick || canManageRole) {
           actionsHtml = `<div class="participant-actions" style="position: relative;">
             <button class="participant-menu-btn" data-user-id="${
               p.id
@@ -348,9 +439,41 @@ export class RoomManager {
               <i class="bi bi-three-dots-vertical"></i>
             </button>
             <div class="participant-dropdown" id="dropdown-${p.id}">
+              ${
+                canManageRole
+                  ? `<div class="dropdown-item role-item" data-user-id="${
+                      p.id
+                    }" data-role="${
+                      p.role === "co-host" ? "member" : "co-host"
+                    }"><i class="bi bi-${
+                      p.role === "co-host" ? "person-dash" : "person-plus"
+                    }"></i> ${
+                      p.role === "co-host" ? "Remove co-host" : "Make co-host"
+                    }</div><div class="dropdown-item transfer-item" data-user-id="${
+                      p.id
+                    }" data-user-name="${this._escapeHtml(
+                      p.name
+                    )}"><i class="bi bi-award"></i> Make owner</div>`
+                  : ""
+              }
+              ${
+                canKick && p.role === "member"
+                  ? `<div class="dropdown-item mute-item" data-user-id="${
+                      p.id
+                    }" data-user-name="${this._escapeHtml(
+                      p.name
+                    )}"><i class="bi bi-mic-mute"></i> Mute in chat</div>`
+                  : ""
+              }
               ${
                 canKick
-                  ? `<div class="dropdown-item kick-item" data-user-id="${p.id}"><i class="bi bi-x-lg"></i> Kick</div>`
+                  ? `<div class="dropdown-item kick-item" data-user-id="${
+                      p.id
+                    }"><i class="bi bi-x-lg"></i> Kick</div><div class="dropdown-item ban-item" data-user-id="${
+                      p.id
+                    }" data-user-name="${this._escapeHtml(
+                      p.name
+                    )}"><i class="bi bi-slash-circle"></i> Ban</div>`
                   : ""
               }
               ${
@@ -369,13 +492,16 @@ export class RoomManager {
         }
 
         // ✅ UPDATED: Show online/offline status in participant status
-        const statusText = p.isHost
-          ? "Host"
-          : p.inCall
-          ? "In Call"
-          : isOnline
-          ? "Online"
-          : "Offline";
+        const statusText =
+          p.role === "owner"
+            ? "Host"
+            : p.role === "co-host"
+            ? "Co-host"
+            : p.inCall
+            ? "In Call"
+            : isOnline
+            ? "Online"
+            : "Offline";
 
         return `<div class="participant-item" data-user-id="${
           p.id
@@ -438,6 +564,50 @@ export class RoomManager {
       });
     });
 
+    // ✅ NEW: Mute in chat (chat-moderation-manager.js)
+    container.querySelectorAll(".mute-item").forEach((item) => {
+      item.addEventListener("click", (e) => {
+        e.stopPropagation();
+        document
+          .querySelectorAll(".participant-dropdown.active")
+          .forEach((d) => d.classList.remove("active"));
+        window.muteParticipant?.(item.dataset.userId, item.dataset.userName);
+      });
+    });
+
+    // ✅ NEW: Ban action
+    container.querySelectorAll(".ban-item").forEach((item) => {
+      item.addEventListener("click", (e) => {
+        e.stopPropagation();
+        document
+          .querySelectorAll(".participant-dropdown.active")
+          .forEach((d) => d.classList.remove("active"));
+        this.banParticipant(item.dataset.userId, item.dataset.userName);
+      });
+    });
+
+    // ✅ NEW: Promote / demote co-host
+    container.querySelectorAll(".role-item").forEach((item) => {
+      item.addEventListener("click", (e) => {
+        e.stopPropagation();
+        document
+          .querySelectorAll(".participant-dropdown.active")
+          .forEach((d) => d.classList.remove("active"));
+        this.setParticipantRole(item.dataset.userId, item.dataset.role);
+      });
+    });
+
+    // ✅ NEW: Transfer ownership
+    container.querySelectorAll(".transfer-item").forEach((item) => {
+      item.addEventListener("click", (e) => {
+        e.stopPropagation();
+        document
+          .querySelectorAll(".participant-dropdown.active")
+          .forEach((d) => d.classList.remove("active"));
+        this.transferOwnership(item.dataset.userId, item.dataset.userName);
+      });
+    });
+
     // Report action
     container.querySelectorAll(".report-item").forEach((item) => {
       item.addEventListener("click", (e) => {
@@ -473,6 +643,10 @@ export class RoomManager {
 
   // ✅ UPDATE: Mark participant as in/out of call
   updateParticipantCallStatus(userId, inCall) {
+    // ✅ NEW: Call time for attendance / study stats
+    if (userId === this.userAuth.currentUser?.uid) {
+      this.attendanceTracker?.setInCall(inCall);
+    }
     const p = this.participants.find((x) => x.id === userId);
     if (p) {
       p.inCall = inCall;
@@ -573,15 +747,55 @@ export class RoomManager {
         return;
       }
 
+      const updates = { name: newName, description: newDesc };
+
+      // ✅ NEW: Room rules (editable by hosts)
+      const roomRulesInput = document.getElementById("roomRulesInput");
+      if (roomRulesInput && this.isHost) {
+        updates.rules = roomRulesInput.value.trim();
+      }
+
+      // ✅ NEW: Join approval mode (only shown to hosts)
+      const joinApprovalToggle = document.getElementById("joinApprovalToggle");
+      if (joinApprovalToggle && this.isHost) {
+        updates.joinMode = joinApprovalToggle.checked ? "approval" : "open";
+      }
+
+      // ✅ NEW: Subject / course / year level / tags (hosts)
+      if (this.isHost && document.getElementById("roomSubjectInput")) {
+        updates.subject =
+          document.getElementById("roomSubjectInput").value.trim() || null;
+        updates.courseCode =
+          document.getElementById("roomCourseInput")?.value || null;
+        updates.yearLevel =
+          document.getElementById("roomYearLevelInput")?.value || null;
+        updates.tags = (document.getElementById("roomTagsInput")?.value || "")
+          .split(",")
+          .map((tag) => tag.trim())
+          .filter(Boolean);
+      }
+
       const roomId = this.currentRoomData._id || this.currentRoomData.id;
-      await fetchJsonWithAuth(`${window.__CONFIG__.apiBase}/${roomId}`, {
-        method: "PUT",
-        body: JSON.stringify({ name: newName, description: newDesc }),
-        headers: { "Content-Type": "application/json" },
-      });
+      const updatedRoom = await fetchJsonWithAuth(
+        `${window.__CONFIG__.apiBase}/${roomId}`,
+        {
+          method: "PUT",
+          body: JSON.stringify(updates),
+          headers: { "Content-Type": "application/json" },
+        }
+      );
 
       this.currentRoomData.name = newName;
       this.currentRoomData.description = newDesc;
+      if (updates.joinMode) this.currentRoomData.joinMode = updates.joinMode;
+      if (updates.rules !== undefined)
+        this.currentRoomData.rules = updates.rules;
+      // Tags come back normalized (lowercase, deduplicated)
+      ["subject", "courseCode", "yearLevel", "tags"].forEach((field) => {
+        if (updatedRoom && field in updatedRoom) {
+          this.currentRoomData[field] = updatedRoom[field];
+        }
+      });
 
       this.updateRoomDisplay();
 
@@ -640,11 +854,118 @@ export class RoomManager {
     }
   }
 
-  // ✅ KICK: Remove participant from room (owner only)
-  async kickParticipant(userId) {
+  // ✅ NEW: Archive / unarchive (owner only; admins use the admin panel)
+  async setArchived(archived) {
     if (!this.isOwner) {
       window.showToast?.(
-        "Only the room owner can remove participants.",
+        "Only the room owner can archive or unarchive this room.",
+        "error"
+      );
+      return;
+    }
+    if (
+      archived &&
+      !confirm(
+        "Archive this room? It becomes read-only: chat history, notes and files stay viewable, but nobody can post or join until you unarchive it."
+      )
+    )
+      return;
+    try {
+      const roomId = this._getRoomId();
+      await postJsonWithAuth(
+        `${window.__CONFIG__.apiBase}/${roomId}/${
+          archived ? "archive" : "unarchive"
+        }`,
+        {}
+      );
+
+      window.showToast?.(
+        archived
+          ? "Room archived. Reloading..."
+          : "Room unarchived. Reloading...",
+        "success"
+      );
+      // Every manager decides read-only mode on load
+      setTimeout(() => window.location.reload(), 1000);
+    } catch (err) {
+      console.error("Error changing archive state:", err);
+      const msg = err?.body?.error || err?.message || "unknown error";
+      window.showToast?.(
+        `Could not ${archived ? "archive" : "unarchive"} room: ${msg}`,
+        "error"
+      );
+    }
+  }
+
+  // ✅ NEW: Save this room's setup as a reusable template (hosts only)
+  async saveAsTemplate() {
+    if (!this.isHost) {
+      window.showToast?.("Only room hosts can save templates.", "error");
+      return;
+    }
+    const name = prompt(
+      "Template name (settings, rules, pinned resources and the session schedule are saved):",
+      this.currentRoomData?.name || ""
+    );
+    if (name === null) return;
+    try {
+      const data = await postJsonWithAuth(
+        `${window.__CONFIG__.backendBase}/api/room-templates`,
+        { roomId: this._getRoomId(), name: name.trim() }
+      );
+      window.showToast?.(
+        `Template "${
+          data.template?.name || name
+        }" saved. Pick it when creating a room.`,
+        "success"
+      );
+    } catch (err) {
+      console.error("Error saving template:", err);
+      const msg = err?.body?.error || err?.message || "unknown error";
+      window.showToast?.("Could not save template: " + msg, "error");
+    }
+  }
+
+  // ✅ NEW: Duplicate this room and open the copy (hosts only)
+  async duplicateRoom() {
+    if (!this.isHost) {
+      window.showToast?.("Only room hosts can duplicate this room.", "error");
+      return;
+    }
+    const name = prompt(
+      "Name for the new room (members, chat and notes are not copied):",
+      `${this.currentRoomData?.name || "Study Room"} (copy)`
+    );
+    if (name === null) return;
+    // The password is only copied when the host asks for it
+    const copyPassword =
+      !!this.currentRoomData?.hasPassword &&
+      confirm(
+        "Use the same password for the new room?\n\nCancel creates it without a password (you can set one in the room settings)."
+      );
+    try {
+      const room = await postJsonWithAuth(
+        `${window.__CONFIG__.apiBase}/${this._getRoomId()}/duplicate`,
+        { name: name.trim(), copyPassword }
+      );
+      window.showToast?.("Room duplicated. Opening the new room...", "success");
+      setTimeout(() => {
+        window.location.href = `study-room-inside.html?room=${encodeURIComponent(
+          room.id
+        )}`;
+      }, 1000);
+    } catch (err) {
+      console.error("Error duplicating room:", err);
+      const msg = err?.body?.error || err?.message || "unknown error";
+      window.showToast?.("Could not duplicate room: " + msg, "error");
+    }
+  }
+
+  // ✅ KICK: Remove participant from room (hosts only)
+  async kickParticipant(userId) {
+    if (!this.canModerate(userId)) {
+      window.showToast?.(
+        "Only room hosts can remove participants (co-hosts can only remove members).",
         "error"
       );
       return;
@@ -682,6 +1003,201 @@ export class RoomManager {
     }
   }
 
+  // ✅ NEW: Ban a participant (removes them and blocks rejoining)
+  async banParticipant(userId, userName = "this participant") {
+    if (!this.canModerate(userId)) {
+      window.showToast?.("You cannot ban this participant.", "error");
+      return;
+    }
+
+    if (
+      !confirm(
+        `Ban ${userName} from this room? They will be removed and cannot rejoin until unbanned.`
+      )
+    )
+      return;
+
+    try {
+      const roomId = this._getRoomId();
+      await postJsonWithAuth(`${window.__CONFIG__.apiBase}/${roomId}/bans`, {
+        userId,
+      });
+
+      this.currentRoomData.participants = (
+        this.currentRoomData.participants || []
+      ).filter((uid) => uid !== userId);
+      this.participants = this.participants.filter((p) => p.id !== userId);
+      this.updateParticipantsList();
+
+      window.showToast?.(`${userName} has been banned`, "success");
+    } catch (err) {
+      console.error("[room-manager] Error banning participant:", err);
+      window.showToast?.(
+        "Could not ban participant: " + (err.message || "unknown error"),
+        "error"
+      );
+    }
+  }
+
+  // ✅ NEW: Banned users (hosts only)
+  async fetchBans() {
+    const data = await fetchJsonWithAuth(
+      `${window.__CONFIG__.apiBase}/${this._getRoomId()}/bans`
+    );
+    return data?.bans || [];
+  }
+
+  async unbanUser(userId) {
+    await deleteWithAuth(
+      `${
+        window.__CONFIG__.apiBase
+      }/${this._getRoomId()}/bans/${encodeURIComponent(userId)}`
+    );
+  }
+
+  // ✅ NEW: Pending join requests (hosts only)
+  async fetchJoinRequests() {
+    const data = await fetchJsonWithAuth(
+      `${window.__CONFIG__.apiBase}/${this._getRoomId()}/join-requests`
+    );
+    return data?.requests || [];
+  }
+
+  // decision: "approve" | "deny"
+  async reviewJoinRequest(userId, decision) {
+    const response = await postJsonWithAuth(
+      `${
+        window.__CONFIG__.apiBase
+      }/${this._getRoomId()}/join-requests/${encodeURIComponent(
+        userId
+      )}/${decision}`,
+      {}
+    );
+
+    if (decision === "approve") {
+      this.currentRoomData.participants = Array.from(
+        new Set([...(this.currentRoomData.participants || []), userId])
+      );
+      await this.loadParticipantsInfo();
+    }
+    return response;
+  }
+
+  // ✅ NEW: Create a signed invite link (hosts only)
+  async createInvite({ expiresInHours, maxUses, targetEmail, role }) {
+    const body = { role: role || "member" };
+    if (expiresInHours) body.expiresInHours = Number(expiresInHours);
+    if (maxUses) body.maxUses = parseInt(maxUses, 10);
+    if (targetEmail) body.targetEmail = targetEmail;
+
+    const response = await postJsonWithAuth(
+      `${window.__CONFIG__.apiBase}/${this._getRoomId()}/invites`,
+      body
+    );
+    return { ...response, url: this.buildInviteUrl(response.token) };
+  }
+
+  async fetchInvites() {
+    const data = await fetchJsonWithAuth(
+      `${window.__CONFIG__.apiBase}/${this._getRoomId()}/invites`
+    );
+    return (data?.invites || []).map((invite) => ({
+      ...invite,
+      url: invite.token ? this.buildInviteUrl(invite.token) : "",
+    }));
+  }
+
+  async revokeInvite(inviteId) {
+    await deleteWithAuth(
+      `${
+        window.__CONFIG__.apiBase
+      }/${this._getRoomId()}/invites/${encodeURIComponent(inviteId)}`
+    );
+  }
+
+  buildInviteUrl(token) {
+    const baseUrl = window.location.origin + window.location.pathname;
+    return `${baseUrl}?room=${encodeURIComponent(
+      this._getRoomId()
+    )}&invite=${encodeURIComponent(token)}`;
+  }
+
+  // ✅ NEW: Promote a participant to co-host or demote back to member (owner only)
+  async setParticipantRole(userId, role) {
+    if (!this.isOwner) {
+      window.showToast?.("Only the room owner can change roles.", "error");
+      return;
+    }
+
+    try {
+      const roomId = this.currentRoomData._id || this.currentRoomData.id;
+      const response = await putJsonWithAuth(
+        `${window.__CONFIG__.apiBase}/${roomId}/roles/${encodeURIComponent(
+          userId
+        )}`,
+        { role }
+      );
+
+      this._applyRoomUpdate(response.room);
+      window.showToast?.(response.message || "Role updated", "success");
+    } catch (err) {
+      console.error("[room-manager] Error changing role:", err);
+      window.showToast?.(
+        "Could not change role: " + (err.message || "unknown error"),
+        "error"
+      );
+    }
+  }
+
+  // ✅ NEW: Hand the room over to another participant (owner only)
+  async transferOwnership(userId, userName = "this participant") {
+    if (!this.isOwner) {
+      window.showToast?.(
+        "Only the room owner can transfer ownership.",
+        "error"
+      );
+      return;
+    }
+
+    if (
+      !confirm(
+        `Make ${userName} the owner of this room? You will become a co-host.`
+      )
+    )
+      return;
+
+    try {
+      const roomId = this.currentRoomData._id || this.currentRoomData.id;
+      const response = await postJsonWithAuth(
+        `${window.__CONFIG__.apiBase}/${roomId}/transfer-ownership`,
+        { userId }
+      );
+
+      this._applyRoomUpdate(response.room);
+      await this.updateRoomDisplay();
+      window.showToast?.("Room ownership transferred", "success");
+    } catch (err) {
+      console.error("[room-manager] Error transferring ownership:", err);
+      window.showToast?.(
+        "Could not transfer ownership: " + (err.message || "unknown error"),
+        "error"
+      );
+    }
+  }
+
+  // Merge an updated room from the API and re-derive roles
+  _applyRoomUpdate(room) {
+    if (!room) return;
+    this.currentRoomData = { ...this.currentRoomData, ...room };
+    this.applyRoles();
+    this.participants = this.participants.map((p) => {
+      const role = this.getParticipantRole(p.id);
+      return { ...p, role, isHost: role !== "member" };
+    });
+    this.updateParticipantsList();
+    this.renderSessionsList();
+  }
+
   // ✅ LEAVE: Leave room functionality
   async leaveRoom() {
     if (!this.currentRoomData) {
@@ -709,6 +1225,7 @@ export class RoomManager {
         this.presenceManager.destroy();
         this.presenceManager = null;
       }
+      this.attendanceTracker?.stop();
 
       await fetchJsonWithAuth(
         `${
@@ -740,8 +1257,8 @@ export class RoomManager {
   // ✅ NEW: Reset room password - OPTION A (Private rooms only)
   async resetRoomPassword(newPassword) {
     // Validation
-    if (!this.isOwner) {
-      throw new Error("Only the room owner can reset the password");
+    if (!this.isHost) {
+      throw new Error("Only room hosts can reset the password");
     }
 
     // ✅ FIXED: Check privacy property as fallback since isPrivate might be undefined
@@ -754,7 +1271,7 @@ export class RoomManager {
     console.log("[room-manager] Password reset validation:", {
       roomPrivacy,
       isPrivateRoom,
-      isOwner: this.isOwner,
+      isHost: this.isHost,
     });
 
     if (!isPrivateRoom) {
@@ -830,4 +1347,365 @@ export class RoomManager {
       throw new Error(err.message || "Failed to reset room password");
     }
   }
+
+  // ===== SCHEDULED SESSIONS =====
+
+  _getRoomId() {
+    return this.currentRoomData?._id || this.currentRoomData?.id;
+  }
+
+  // ✅ NEW: Load scheduled sessions and refresh the next-session banner
+  async loadSessions() {
+    const roomId = this._getRoomId();
+    if (!roomId || this.isRoomDeactivated) return [];
+
+    try {
+      const data = await fetchJsonWithAuth(
+        `${window.__CONFIG__.apiBase}/${roomId}/sessions`
+      );
+      this.sessions = data?.sessions || [];
+      this.nextSession = data?.nextSession || null;
+    } catch (err) {
+      console.warn("[room-manager] Failed to load sessions:", err);
+      this.sessions = [];
+      this.nextSession = null;
+    }
+
+    this.renderNextSession();
+    this.renderSessionsList();
+    return this.sessions;
+  }
+
+  // ✅ NEW: Header banner with a live countdown to the next session
+  renderNextSession() {
+    const banner = document.getElementById("nextSessionBanner");
+    const titleEl = document.getElementById("nextSessionTitle");
+    if (!banner || !titleEl) return;
+
+    if (this._countdownTimer) {
+      clearInterval(this._countdownTimer);
+      this._countdownTimer = null;
+    }
+
+    const occurrence = this.nextSession?.nextOccurrence;
+    if (!occurrence) {
+      banner.style.display = "none";
+      return;
+    }
+
+    titleEl.textContent = this.nextSession.title;
+    banner.title = `${this.nextSession.title} • ${this._formatSessionTime(
+      occurrence.start
+    )}`;
+    banner.style.display = "flex";
+
+    this._updateCountdown();
+    this._countdownTimer = setInterval(() => this._updateCountdown(), 1000);
+  }
+
+  _updateCountdown() {
+    const banner = document.getElementById("nextSessionBanner");
+    const countdownEl = document.getElementById("nextSessionCountdown");
+    const occurrence = this.nextSession?.nextOccurrence;
+    if (!banner || !countdownEl || !occurrence) return;
+
+    const now = Date.now();
+    const start = new Date(occurrence.start).getTime();
+    const end = new Date(occurrence.end).getTime();
+
+    if (now >= end) {
+      // Occurrence finished - fetch the next one
+      clearInterval(this._countdownTimer);
+      this._countdownTimer = null;
+      this.loadSessions();
+      return;
+    }
+
+    if (now >= start) {
+      banner.classList.add("live");
+      countdownEl.textContent = "• Live now";
+      return;
+    }
+
+    banner.classList.remove("live");
+    countdownEl.textContent = `• starts in ${this._formatCountdown(
+      start - now
+    )}`;
+  }
+
+  _formatCountdown(ms) {
+    const totalSeconds = Math.max(0, Math.floor(ms / 1000));
+    const days = Math.floor(totalSeconds / 86400);
+    const hours = Math.floor((totalSeconds % 86400) / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+
+    if (days > 0) return `${days}d ${hours}h`;
+    if (hours > 0) return `${hours}h ${minutes}m`;
+    return `${minutes}m ${String(seconds).padStart(2, "0")}s`;
+  }
+
+  _formatSessionTime(iso) {
+    if (!iso) return "";
+    return new Date(iso).toLocaleString([], {
+      weekday: "short",
+      month: "short",
+      day: "numeric",
+      hour: "numeric",
+      minute: "2-digit",
+    });
+  }
+
+  _describeRecurrence(recurrence) {
+    const dayNames = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+    if (!recurrence || recurrence.frequency === "none") return "One-time";
+
+    const every =
+      recurrence.intervalWeeks > 1
+        ? `Every ${recurrence.intervalWeeks} weeks`
+        : "Weekly";
+    const days =
+      recurrence.frequency === "custom"
+        ? ` on ${recurrence.daysOfWeek.map((d) => dayNames[d]).join(", ")}`
+        : "";
+    const until = recurrence.until
+      ? ` until ${new Date(recurrence.until).toLocaleDateString()}`
+      : "";
+    return `${every}${days}${until}`;
+  }
+
+  // ✅ NEW: Sessions list in the settings modal
+  renderSessionsList() {
+    const list = document.getElementById("sessionsList");
+    if (!list) return;
+
+    const form = document.getElementById("sessionForm");
+    if (form) form.style.display = this.isHost ? "block" : "none";
+
+    if (this.sessions.length === 0) {
+      list.innerHTML = `<p class="text-muted mb-0">No sessions scheduled yet.</p>`;
+      return;
+    }
+
+    list.innerHTML = this.sessions
+      .map((session) => {
+        const when = session.nextOccurrence
+          ? this._formatSessionTime(session.nextOccurrence.start)
+          : "Ended";
+        const counts = session.rsvpCounts || {};
+        const rsvpButtons = session.nextOccurrence
+          ? `<div class="btn-group btn-group-sm session-rsvp-group" role="group">
+              ${["going", "maybe", "declined"]
+                .map(
+                  (status) =>
+                    `<button type="button" class="btn btn-outline-secondary ${
+                      session.myRsvp === status ? "active" : ""
+                    }" data-session-id="${session.id}" data-rsvp="${status}">${
+                      status === "declined"
+                        ? "Can't go"
+                        : status.charAt(0).toUpperCase() + status.slice(1)
+                    }</button>`
+                )
+                .join("")}
+            </div>`
+          : "";
+        const deleteBtn = this.isHost
+          ? `<button type="button" class="btn btn-sm btn-outline-danger" data-delete-session="${session.id}" title="Delete session"><i class="bi bi-trash"></i></button>`
+          : "";
+
+        return `<div class="session-card">
+          <div class="d-flex justify-content-between align-items-start gap-2">
+            <div>
+              <div class="session-card-title">${this._escapeHtml(
+                session.title
+              )}</div>
+              <div class="session-card-meta"><i class="bi bi-clock"></i> ${when} • ${this._describeRecurrence(
+          session.recurrence
+        )}</div>
+              <div class="session-card-meta"><i class="bi bi-people"></i> ${
+                counts.going || 0
+              } going • ${counts.maybe || 0} maybe</div>
+            </div>
+            ${deleteBtn}
+          </div>
+          ${
+            session.agenda
+              ? `<div class="session-card-agenda">${this._escapeHtml(
+                  session.agenda
+                )}</div>`
+              : ""
+          }
+          <div class="mt-2">${rsvpButtons}</div>
+        </div>`;
+      })
+      .join("");
+
+    list.querySelectorAll("[data-rsvp]").forEach((btn) => {
+      btn.addEventListener("click", () =>
+        this.rsvpSession(btn.dataset.sessionId, btn.dataset.rsvp)
+      );
+    });
+    list.querySelectorAll("[data-delete-session]").forEach((btn) => {
+      btn.addEventListener("click", () =>
+        this.deleteSession(btn.dataset.deleteSession)
+      );
+    });
+  }
+
+  // ✅ NEW: Schedule a session (hosts only)
+  async createSession(sessionData) {
+    if (!this.isHost) {
+      throw new Error("Only room hosts can schedule sessions");
+    }
+
+    const roomId = this._getRoomId();
+    const created = await postJsonWithAuth(
+      `${window.__CONFIG__.apiBase}/${roomId}/sessions`,
+      {
+        ...sessionData,
+        // Recurrence days are interpreted in the host's local time
+        utcOffsetMinutes: -new Date().getTimezoneOffset(),
+      }
+    );
+
+    await this.loadSessions();
+    return created;
+  }
+
+  // ✅ NEW: RSVP to a session
+  async rsvpSession(sessionId, status) {
+    try {
+      const roomId = this._getRoomId();
+      await putJsonWithAuth(
+        `${window.__CONFIG__.apiBase}/${roomId}/sessions/${encodeURIComponent(
+          sessionId
+        )}/rsvp`,
+        { status }
+      );
+      await this.loadSessions();
+    } catch (err) {
+      console.error("[room-manager] Error updating RSVP:", err);
+      window.showToast?.(
+        "Could not update RSVP: " + (err.message || "unknown error"),
+        "error"
+      );
+    }
+  }
+
+  // ✅ NEW: Delete a scheduled session (hosts only)
+  async deleteSession(sessionId) {
+    if (!this.isHost) return;
+    if (!confirm("Delete this session for everyone?")) return;
+
+    try {
+      const roomId = this._getRoomId();
+      await deleteWithAuth(
+        `${window.__CONFIG__.apiBase}/${roomId}/sessions/${encodeURIComponent(
+          sessionId
+        )}`
+      );
+      window.showToast?.("Session deleted", "success");
+      await this.loadSessions();
+    } catch (err) {
+      console.error("[room-manager] Error deleting session:", err);
+      window.showToast?.(
+        "Could not delete session: " + (err.message || "unknown error"),
+        "error"
+      );
+    }
+  }
+
+  // ✅ NEW: Course / year level options for the room classification fields
+  async fetchRoomCatalog() {
+    if (!this._roomCatalog) {
+      this._roomCatalog = fetchJsonWithAuth(
+        `${window.__CONFIG__.apiBase}/catalog`
+      ).catch((err) => {
+        this._roomCatalog = null;
+        throw err;
+      });
+    }
+    return this._roomCatalog;
+  }
+
+  // ✅ NEW: Personal calendar feed (rotates the feed token)
+  async getCalendarFeed() {
+    return postJsonWithAuth(`${window.__CONFIG__.apiBase}/calendar/token`, {});
+  }
+
+  // ✅ NEW: Download the room chat as markdown / html / json (hosts).
+  // `from` / `to` are ISO timestamps or null for the whole history.
+  async downloadChatExport({ format, from = null, to = null }) {
+    const params = new URLSearchParams({
+      format,
+      utcOffsetMinutes: String(-new Date().getTimezoneOffset()),
+    });
+    if (from) params.set("from", from);
+    if (to) params.set("to", to);
+
+    await this._downloadFile(
+      `${
+        window.__CONFIG__.apiBase
+      }/${this._getRoomId()}/messages/export?${params.toString()}`,
+      `room-chat.${format}`
+    );
+  }
+
+  // ✅ NEW: Attendance report for hosts. `from` / `to` are local YYYY-MM-DD
+  // days (null = last 30 days).
+  _attendanceParams({ from = null, to = null, format = "json" } = {}) {
+    const params = new URLSearchParams({
+      format,
+      utcOffsetMinutes: String(-new Date().getTimezoneOffset()),
+    });
+    if (from) params.set("from", from);
+    if (to) params.set("to", to);
+    return params;
+  }
+
+  async fetchAttendance(range = {}) {
+    return fetchJsonWithAuth(
+      `${
+        window.__CONFIG__.apiBase
+      }/${this._getRoomId()}/attendance?${this._attendanceParams(
+        range
+      ).toString()}`
+    );
+  }
+
+  async downloadAttendanceCsv(range = {}) {
+    const params = this._attendanceParams({ ...range, format: "csv" });
+    await this._downloadFile(
+      `${
+        window.__CONFIG__.apiBase
+      }/${this._getRoomId()}/attendance?${params.toString()}`,
+      "room-attendance.csv"
+    );
+  }
+
+  // Save a file response, using the server's Content-Disposition name
+  async _downloadFile(url, fallbackName) {
+    const res = await fetchWithAuth(url, { timeout: 120000 });
+    if (!res.ok) {
+      const body = await res.json().catch(() => null);
+      throw new Error(body?.error || `Download failed (${res.status})`);
+    }
+
+    const disposition = res.headers.get("Content-Disposition") || "";
+    const match = disposition.match(/filename="([^"]+)"/);
+    const blob = await res.blob();
+    const objectUrl = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = objectUrl;
+    link.download = match ? match[1] : fallbackName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(objectUrl), 1000);
+  }
+
+  stopSessionCountdown() {
+    if (this._countdownTimer) clearInterval(this._countdownTimer);
+    this._countdownTimer = null;
+  }
 }
@@ -0,0 +1,322 @@
+// TimerManager class - Shared Pomodoro / focus timer for a study room
+// State lives on the room (backend) and is mirrored to Firebase Realtime Database
+// at rooms/{roomId}/timer, next to presence, so every participant sees the same countdown.
+// Hosts control the timer; whichever client sees a phase end first reports it.
+
+import {
+  fetchJsonWithAuth,
+  postJsonWithAuth,
+  putJsonWithAuth,
+} from "../apiClient.js";
+
+export class TimerManager {
+  constructor(userAuth, roomManager) {
+    this.userAuth = userAuth;
+    this.roomManager = roomManager;
+    this.timer = null;
+    this.database = null;
+    this.timerRef = null;
+    this.serverOffsetMs = 0; // Local clock correction from .info/serverTimeOffset
+    this._tickInterval = null;
+    this._reportedStartedAt = null; // Phase we already reported as finished
+    this._lastMode = null;
+    this._renderedAsHost = null;
+    this._unsubscribers = [];
+  }
+
+  async init() {
+    if (!this.roomManager.currentRoomData || this.roomManager.isReadOnly)
+      return;
+
+    this.timer = this.roomManager.currentRoomData.timer || null;
+    this._lastMode = this.timer?.mode || null;
+    this._bindControls();
+
+    if (typeof firebase !== "undefined" && firebase.database) {
+      this._listenToTimer();
+    } else {
+      // No Realtime Database: fall back to the REST snapshot
+      console.warn("[timer] Realtime Database not available, using REST state");
+      await this.refresh();
+    }
+
+    this._tickInterval = setInterval(() => this._tick(), 1000);
+    this.render();
+  }
+
+  _getRoomId() {
+    return this.roomManager._getRoomId();
+  }
+
+  _listenToTimer() {
+    this.database = firebase.database();
+    this.timerRef = this.database.ref(`rooms/${this._getRoomId()}/timer`);
+
+    const offsetRef = this.database.ref(".info/serverTimeOffset");
+    const offsetHandler = offsetRef.on("value", (snapshot) => {
+      this.serverOffsetMs = snapshot.val() || 0;
+    });
+
+    const timerHandler = this.timerRef.on(
+      "value",
+      (snapshot) => this._applyTimer(snapshot.val()),
+      (err) => console.warn("[timer] Listener error:", err)
+    );
+
+    this._unsubscribers.push(() => offsetRef.off("value", offsetHandler));
+    this._unsubscribers.push(() => this.timerRef.off("value", timerHandler));
+  }
+
+  async refresh() {
+    try {
+      const data = await fetchJsonWithAuth(
+        `${window.__CONFIG__.apiBase}/${this._getRoomId()}/timer`
+      );
+      if (data?.serverTime) this.serverOffsetMs = data.serverTime - Date.now();
+      this._applyTimer(data?.timer || null);
+    } catch (err) {
+      console.warn("[timer] Failed to load timer:", err);
+    }
+  }
+
+  _applyTimer(timer) {
+    const previousMode = this._lastMode;
+    this.timer = timer;
+    this._lastMode = timer?.mode || null;
+
+    // Phase transition (everyone gets this, not just the client that reported it)
+    if (timer && previousMode && previousMode !== timer.mode) {
+      window.showToast?.(
+        timer.mode === "break"
+          ? "Focus session done - time for a break!"
+          : "Break is over - back to focus!",
+        "info"
+      );
+    }
+
+    this.render();
+  }
+
+  _now() {
+    return Date.now() + this.serverOffsetMs;
+  }
+
+  isRunning() {
+    return !!this.timer?.startedAt && !this.timer.paused;
+  }
+
+  getRemainingSeconds() {
+    if (!this.timer) return 0;
+    if (!this.isRunning())
+      return Math.max(0, this.timer.remaining ?? this.timer.duration);
+    const elapsed = (this._now() - this.timer.startedAt) / 1000;
+    return Math.max(0, Math.ceil(this.timer.duration - elapsed));
+  }
+
+  _tick() {
+    // Role changes (promote / transfer) show or hide the host controls
+    if (this._renderedAsHost !== this.roomManager.isHost) this.render();
+    if (!this.timer) return;
+    this._renderClock();
+
+    if (
+      this.isRunning() &&
+      this.getRemainingSeconds() === 0 &&
+      this._reportedStartedAt !== this.timer.startedAt
+    ) {
+      const startedAt = this.timer.startedAt;
+      this._reportedStartedAt = startedAt;
+      // Small random delay so every client doesn't report at the same instant
+      setTimeout(
+        () => this.reportPhaseComplete(startedAt),
+        Math.random() * 1500
+      );
+    }
+  }
+
+  // Tell the server the running phase ended; the first report advances the timer
+  async reportPhaseComplete(startedAt) {
+    try {
+      const data = await postJsonWithAuth(
+        `${window.__CONFIG__.apiBase}/${this._getRoomId()}/timer/complete`,
+        { startedAt }
+      );
+      if (!data?.completed) return;
+
+      // The server posts the phase change to the chat
+      if (!this.database) this._applyTimer(data.timer);
+    } catch (err) {
+      console.warn("[timer] Failed to report completed phase:", err);
+    }
+  }
+
+  // ===== Host controls =====
+  async sendAction(action) {
+    try {
+      const data = await postJsonWithAuth(
+        `${window.__CONFIG__.apiBase}/${this._getRoomId()}/timer/${action}`,
+        {}
+      );
+      if (!this.database) this._applyTimer(data?.timer || null);
+    } catch (err) {
+      console.error(`[timer] Failed to ${action} timer:`, err);
+      window.showToast?.(err.message || "Failed to update timer", "error");
+    }
+  }
+
+  async saveSettings(focusMinutes, breakMinutes) {
+    try {
+      const data = await putJsonWithAuth(
+        `${window.__CONFIG__.apiBase}/${this._getRoomId()}/timer`,
+        {
+          focusMinutes,
+          breakMinutes,
+        }
+      );
+      if (!this.database) this._applyTimer(data?.timer || null);
+      window.showToast?.("Timer settings saved", "success");
+      return true;
+    } catch (err) {
+      console.error("[timer] Failed to save settings:", err);
+      window.showToast?.(
+        err.message || "Failed to save timer settings",
+        "error"
+      );
+      return false;
+    }
+  }
+
+  _bindControls() {
+    document
+      .getElementById("focusTimerToggleBtn")
+      ?.addEventListener("click", () => {
+        if (this.isRunning()) this.sendAction("pause");
+        else if (this.timer?.paused) this.sendAction("resume");
+        else this.sendAction("start");
+      });
+    document
+      .getElementById("focusTimerSkipBtn")
+      ?.addEventListener("click", () => this.sendAction("skip"));
+    document
+      .getElementById("focusTimerResetBtn")
+      ?.addEventListener("click", () => {
+        if (confirm("Reset the focus timer for everyone?"))
+          this.sendAction("reset");
+      });
+    document
+      .getElementById("focusTimerSettingsForm")
+      ?.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        const focusMinutes = parseInt(
+          document.getElementById("focusMinutesInput")?.value,
+          10
+        );
+        const breakMinutes = parseInt(
+          document.getElementById("breakMinutesInput")?.value,
+          10
+        );
+        const saved = await this.saveSettings(focusMinutes, breakMinutes);
+        if (saved && typeof bootstrap !== "undefined") {
+          bootstrap.Dropdown.getInstance(
+            document.getElementById("focusTimerSettingsBtn")
+          )?.hide();
+        }
+      });
+  }
+
+  // ===== Rendering =====
+  _formatClock(totalSeconds) {
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const mm = String(minutes).padStart(2, "0");
+    const ss = String(seconds).padStart(2, "0");
+    return hours > 0 ? `${hours}:${mm}:${ss}` : `${mm}:${ss}`;
+  }
+
+  _renderClock() {
+    const clockEl = document.getElementById("focusTimerClock");
+    if (clockEl)
+      clockEl.textContent = this._formatClock(this.getRemainingSeconds());
+  }
+
+  render() {
+    const container = document.getElementById("focusTimer");
+    if (!container) return;
+
+    const isHost = this.roomManager.isHost;
+    this._renderedAsHost = isHost;
+    // Members only see the timer once a host has set it up
+    if (!this.timer && !isHost) {
+      container.style.display = "none";
+      return;
+    }
+    container.style.display = "flex";
+
+    const timer = this.timer || {
+      mode: "focus",
+      duration: 25 * 60,
+      remaining: 25 * 60,
+      focusDuration: 25 * 60,
+      breakDuration: 5 * 60,
+      cycle: 0,
+    };
+    const running = this.isRunning();
+
+    container.classList.toggle("is-break", timer.mode === "break");
+    container.classList.toggle("is-running", running);
+    container.classList.toggle("is-paused", !!timer.paused);
+
+    const modeEl = document.getElementById("focusTimerMode");
+    if (modeEl) {
+      modeEl.textContent = `${timer.mode === "break" ? "Break" : "Focus"}${
+        timer.paused ? " (paused)" : ""
+      }`;
+    }
+
+    const cycleEl = document.getElementById("focusTimerCycle");
+    if (cycleEl) {
+      cycleEl.textContent = timer.cycle > 0 ? `#${timer.cycle}` : "";
+      cycleEl.title = `${timer.cycle || 0} focus session(s) completed`;
+    }
+
+    const controls = document.getElementById("focusTimerControls");
+    if (controls) controls.style.display = isHost ? "flex" : "none";
+
+    const toggleBtn = document.getElementById("focusTimerToggleBtn");
+    if (toggleBtn) {
+      toggleBtn.innerHTML = running
+        ? '<i class="bi bi-pause-fill"></i>'
+        : '<i class="bi bi-play-fill"></i>';
+      toggleBtn.title = running
+        ? "Pause timer"
+        : timer.paused
+        ? "Resume timer"
+        : "Start timer";
+    }
+
+    const focusInput = document.getElementById("focusMinutesInput");
+    const breakInput = document.getElementById("breakMinutesInput");
+    if (focusInput && document.activeElement !== focusInput) {
+      focusInput.value = Math.round(timer.focusDuration / 60);
+    }
+    if (breakInput && document.activeElement !== breakInput) {
+      breakInput.value = Math.round(timer.breakDuration / 60);
+    }
+
+    this._renderClock();
+  }
+
+  destroy() {
+    if (this._tickInterval) clearInterval(this._tickInterval);
+    this._tickInterval = null;
+    this._unsubscribers.forEach((unsub) => {
+      try {
+        unsub();
+      } catch (e) {
+        // ignore
+      }
+    });
+    this._unsubscribers = [];
+  }
+}
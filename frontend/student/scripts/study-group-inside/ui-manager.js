@@ -4,8 +4,13 @@
 // ✅ UPDATED: Password reset form with validation
 // ✅ UPDATED: Fixed Security tab visibility with proper initialization order
 // ✅ NEW: Room deactivation lock functionality
+// ✅ NEW: Sessions tab (schedule, RSVP, calendar subscription)
+// ✅ NEW: Co-hosts get the same settings/moderation access as the owner (except delete)
+// ✅ NEW: Requests tab - approve/deny join requests, lift bans, approval mode toggle
+// ✅ NEW: Secure invite links in the invite modal (create, copy, revoke)
+// ✅ NEW: Chat export (hosts) in the General tab
 
-import { showToast, closeToast } from "./utils.js";
+import { showToast, closeToast, formatDuration } from "./utils.js";
 
 export class UiManager {
   constructor(userAuth, roomManager) {
@@ -24,10 +29,17 @@ export class UiManager {
       return;
     }
 
+    // ✅ NEW: Archived rooms are read-only; warned rooms show when they archive
+    if (this.roomManager.isRoomArchived) this.applyArchivedState();
+    this.renderArchiveBanner();
+
     this.initializeSettingsModal();
     this.initializeInviteSystem();
     this.initializeLeaveRoom();
     this.initializePasswordReset();
+    this.initializeSessions();
+    this.initializeChatExport();
+    this.initializeAttendance();
     this.initializeSidebar();
     this.setupKeyboardShortcuts();
     this.initializeAutoSave();
@@ -137,6 +149,62 @@ export class UiManager {
     console.log("[ui-manager] ✅ All interactive elements disabled");
   }
 
+  // ✅ NEW: Archived room - history stays readable, nothing can be posted
+  applyArchivedState() {
+    const disable = (el, title) => {
+      if (!el) return;
+      el.disabled = true;
+      el.title = title;
+      el.style.opacity = "0.5";
+      el.style.cursor = "not-allowed";
+    };
+    const reason = "This room is archived";
+
+    const messageInput = document.getElementById("messageInput");
+    disable(messageInput, reason);
+    if (messageInput)
+      messageInput.placeholder = "This room is archived - chat is read-only";
+    disable(document.getElementById("sendMessageBtn"), reason);
+    disable(document.getElementById("attachBtn"), reason);
+    disable(document.getElementById("videoCallBtn"), reason);
+    disable(document.getElementById("inviteBtn"), reason);
+  }
+
+  // Archived, or (for hosts) warned that the room will be archived soon
+  renderArchiveBanner() {
+    const banner = document.getElementById("roomArchiveBanner");
+    const textEl = document.getElementById("roomArchiveText");
+    const unarchiveBtn = document.getElementById("unarchiveRoomBtn");
+    if (!banner || !textEl) return;
+
+    const room = this.roomManager.currentRoomData || {};
+    if (this.roomManager.isRoomArchived) {
+      textEl.textContent =
+        room.archiveReason === "inactive"
+          ? "Archived after a period of inactivity - read-only"
+          : "Archived - read-only";
+      if (unarchiveBtn)
+        unarchiveBtn.style.display = this.roomManager.isOwner
+          ? "inline-block"
+          : "none";
+      banner.classList.remove("warning");
+      banner.style.display = "flex";
+      return;
+    }
+
+    if (room.archiveScheduledAt && this.roomManager.isHost) {
+      textEl.textContent = `Inactive - will be archived on ${new Date(
+        room.archiveScheduledAt
+      ).toLocaleDateString()} unless someone is active here`;
+      if (unarchiveBtn) unarchiveBtn.style.display = "none";
+      banner.classList.add("warning");
+      banner.style.display = "flex";
+      return;
+    }
+
+    banner.style.display = "none";
+  }
+
   // ✅ NEW: Show room deactivated modal
   showRoomDeactivatedModal() {
     try {
@@ -220,6 +288,19 @@ export class UiManager {
       deleteRoomBtn.addEventListener("click", () =>
         this.roomManager.deleteRoom()
       );
+
+    document
+      .getElementById("archiveRoomBtn")
+      ?.addEventListener("click", () => this.roomManager.setArchived(true));
+    document
+      .getElementById("unarchiveRoomBtn")
+      ?.addEventListener("click", () => this.roomManager.setArchived(false));
+    document
+      .getElementById("saveTemplateBtn")
+      ?.addEventListener("click", () => this.roomManager.saveAsTemplate());
+    document
+      .getElementById("duplicateRoomBtn")
+      ?.addEventListener("click", () => this.roomManager.duplicateRoom());
   }
 
   openSettingsModal() {
@@ -240,6 +321,60 @@ export class UiManager {
       // Update character count
       this.updateDescCharCount();
 
+      // ✅ NEW: Room rules (everyone reads them, hosts edit them)
+      const roomRulesInput = document.getElementById("roomRulesInput");
+      if (roomRulesInput) {
+        roomRulesInput.value = this.roomManager.currentRoomData.rules || "";
+        roomRulesInput.readOnly = !this.roomManager.isHost;
+      }
+
+      // ✅ NEW: Save as template / duplicate (hosts only)
+      const roomTemplateGroup = document.getElementById("roomTemplateGroup");
+      if (roomTemplateGroup)
+        roomTemplateGroup.style.display = this.roomManager.isHost
+          ? "block"
+          : "none";
+
+      // ✅ NEW: Join approval mode (hosts only)
+      const joinModeGroup = document.getElementById("joinModeGroup");
+      const joinApprovalToggle = document.getElementById("joinApprovalToggle");
+      if (joinModeGroup)
+        joinModeGroup.style.display = this.roomManager.isHost
+          ? "block"
+          : "none";
+      if (joinApprovalToggle)
+        joinApprovalToggle.checked =
+          this.roomManager.currentRoomData.joinMode === "approval";
+
+      // ✅ NEW: Subject / course / year level / tags (hosts only)
+      const classificationGroup = document.getElementById(
+        "roomClassificationGroup"
+      );
+      if (classificationGroup) {
+        classificationGroup.style.display = this.roomManager.isHost
+          ? "block"
+          : "none";
+        if (this.roomManager.isHost) this.populateRoomClassification();
+      }
+
+      // ✅ NEW: Chat export (hosts only)
+      const chatExportGroup = document.getElementById("chatExportGroup");
+      if (chatExportGroup)
+        chatExportGroup.style.display = this.roomManager.isHost
+          ? "block"
+          : "none";
+
+      // ✅ NEW: Chat moderation - slow mode, banned words, mutes (hosts only)
+      const chatModerationGroup = document.getElementById(
+        "chatModerationGroup"
+      );
+      if (chatModerationGroup)
+        chatModerationGroup.style.display =
+          this.roomManager.isHost && !this.roomManager.isReadOnly
+            ? "block"
+            : "none";
+      if (this.roomManager.isHost) window.moderationModule?.refresh();
+
       // ✅ DEBUG: Log room data before checking visibility
       console.log("[ui-manager] openSettingsModal - Current Room Data:", {
         name: this.roomManager.currentRoomData.name,
@@ -248,6 +383,7 @@ export class UiManager {
         creator: this.roomManager.currentRoomData.creator,
         currentUser: this.userAuth.currentUser?.uid,
         isOwner: this.roomManager.isOwner,
+        role: this.roomManager.role,
       });
 
       // Reset password form
@@ -259,21 +395,38 @@ export class UiManager {
       // ✅ NEW: Show/hide Security tab based on owner + private room
       this.updateSecurityTabVisibility();
 
+      // ✅ NEW: Requests tab (hosts only)
+      const requestsTabItem = document.getElementById("requests-tab-item");
+      if (requestsTabItem)
+        requestsTabItem.style.display = this.roomManager.isHost
+          ? "block"
+          : "none";
+      if (this.roomManager.isHost) this.loadRequestsTab();
+
+      // ✅ NEW: Attendance tab (hosts only, loaded when opened)
+      const attendanceTabItem = document.getElementById("attendance-tab-item");
+      if (attendanceTabItem)
+        attendanceTabItem.style.display = this.roomManager.isHost
+          ? "block"
+          : "none";
+
       const participantsList2 = document.getElementById("participantsList2");
       if (participantsList2) {
-        // ✅ FIXED: Only show kick button if user is OWNER
+        // ✅ UPDATED: Owner can kick anyone, co-hosts only members
         participantsList2.innerHTML = this.roomManager.participants
           .map((participant) => {
             const isCurrent = participant.id === this.userAuth.currentUser.uid;
-            const canKick = this.roomManager.isOwner && !isCurrent;
+            const canKick = this.roomManager.canModerate(participant.id);
 
             return `<div class="d-flex justify-content-between align-items-center p-2 border rounded mb-2"><div class="d-flex align-items-center gap-2"><div class="participant-avatar" style="width:24px;height:24px;font-size:12px;">${
               participant.avatar
             }</div><span>${participant.name}${
               isCurrent ? " (You)" : ""
             }</span>${
-              participant.isHost
+              participant.role === "owner"
                 ? '<span class="badge bg-primary">Host</span>'
+                : participant.role === "co-host"
+                ? '<span class="badge bg-info">Co-host</span>'
                 : ""
             }</div>${
               canKick
@@ -285,11 +438,26 @@ export class UiManager {
       }
 
       if (window.chatModule) window.chatModule.updateFilesListInSettings();
+      this.roomManager.renderSessionsList();
       const deleteBtn = document.getElementById("deleteRoomBtn");
       if (deleteBtn)
         deleteBtn.style.display = this.roomManager.isOwner
           ? "inline-block"
           : "none";
+      // ✅ NEW: Archiving (owner); archived rooms can't be edited
+      const archiveBtn = document.getElementById("archiveRoomBtn");
+      if (archiveBtn)
+        archiveBtn.style.display =
+          this.roomManager.isOwner && !this.roomManager.isRoomArchived
+            ? "inline-block"
+            : "none";
+      const saveBtn = document.getElementById("saveSettingsBtn");
+      if (saveBtn) {
+        saveBtn.disabled = this.roomManager.isRoomArchived;
+        saveBtn.title = this.roomManager.isRoomArchived
+          ? "Unarchive the room to change its settings"
+          : "";
+      }
       modal.show();
     } catch (err) {
       console.error("Error opening settings modal:", err);
@@ -324,26 +492,26 @@ export class UiManager {
         this.roomManager.currentRoomData?.privacy || "public"
       ).toLowerCase() === "private";
 
-    const isOwner = this.roomManager.isOwner;
+    const isHost = this.roomManager.isHost;
 
     console.log("[ui-manager] Security tab visibility check:", {
       roomPrivacy: this.roomManager.currentRoomData?.privacy,
       roomIsPrivate: this.roomManager.currentRoomData?.isPrivate,
       calculatedIsPrivateRoom: isPrivateRoom,
-      isOwner: isOwner,
-      willShow: isOwner && isPrivateRoom,
+      isHost: isHost,
+      willShow: isHost && isPrivateRoom,
       securityTabItemExists: !!securityTabItem,
     });
 
     if (securityTabItem) {
-      if (isOwner && isPrivateRoom) {
+      if (isHost && isPrivateRoom) {
         securityTabItem.style.display = "block";
         console.log(
-          "[ui-manager] ✅ Security tab VISIBLE (owner + private room)"
+          "[ui-manager] ✅ Security tab VISIBLE (host + private room)"
         );
       } else {
         securityTabItem.style.display = "none";
-        const reason = !isOwner ? "not owner" : "not private";
+        const reason = !isHost ? "not host" : "not private";
         console.log(`[ui-manager] ❌ Security tab hidden (reason: ${reason})`);
       }
     } else {
@@ -559,16 +727,563 @@ export class UiManager {
     }
   }
 
+  // ✅ NEW: Show the secure invite section to hosts and load active invites
+  prepareSecureInvites() {
+    const section = document.getElementById("secureInviteSection");
+    if (!section) return;
+
+    section.style.display = this.roomManager.isHost ? "block" : "none";
+    if (!this.roomManager.isHost) return;
+
+    // Only the owner can hand out co-host invites
+    const roleInput = document.getElementById("inviteRoleInput");
+    const coHostOption = roleInput?.querySelector('option[value="co-host"]');
+    if (coHostOption) coHostOption.disabled = !this.roomManager.isOwner;
+    if (roleInput && !this.roomManager.isOwner) roleInput.value = "member";
+
+    this.renderActiveInvites();
+  }
+
+  async handleCreateInvite(form) {
+    const submitBtn = form.querySelector('button[type="submit"]');
+    if (submitBtn) submitBtn.disabled = true;
+
+    try {
+      const invite = await this.roomManager.createInvite({
+        expiresInHours: document.getElementById("inviteExpiryInput").value,
+        maxUses: document.getElementById("inviteMaxUsesInput").value,
+        targetEmail: document.getElementById("inviteEmailInput").value.trim(),
+        role: document.getElementById("inviteRoleInput").value,
+      });
+
+      await this.copyToClipboard(invite.url);
+      showToast("Invite link created and copied to clipboard", "success");
+      form.reset();
+      this.renderActiveInvites();
+    } catch (err) {
+      console.error("[ui-manager] Error creating invite:", err);
+      const msg =
+        (err && err.body && (err.body.details?.[0] || err.body.error)) ||
+        err.message ||
+        "unknown error";
+      showToast("Could not create invite: " + msg, "error");
+    } finally {
+      if (submitBtn) submitBtn.disabled = false;
+    }
+  }
+
+  async renderActiveInvites() {
+    const list = document.getElementById("activeInvitesList");
+    if (!list) return;
+
+    try {
+      const invites = await this.roomManager.fetchInvites();
+      if (invites.length === 0) {
+        list.innerHTML = `<p class="text-muted small mb-0">No active invite links.</p>`;
+        return;
+      }
+
+      list.innerHTML = invites
+        .map((invite) => {
+          const details = [
+            invite.role === "co-host" ? "Co-host" : "Member",
+            invite.maxUses
+              ? `${invite.uses}/${invite.maxUses} uses`
+              : `${invite.uses} uses`,
+            invite.expiresAt
+              ? `expires ${new Date(invite.expiresAt).toLocaleString()}`
+              : "never expires",
+            invite.targetEmail
+              ? `for ${this.escapeHtml(invite.targetEmail)}`
+              : "",
+          ].filter(Boolean);
+
+          return `<div class="invite-item d-flex justify-content-between align-items-center gap-2">
+            <div class="invite-item-meta">${details.join(" • ")}</div>
+            <div class="d-flex gap-1">
+              ${
+                invite.url
+                  ? `<button class="btn btn-outline-primary btn-sm" data-copy-invite="${this.escapeHtml(
+                      invite.url
+                    )}" title="Copy link"><i class="bi bi-clipboard"></i></button>`
+                  : ""
+              }
+              <button class="btn btn-outline-danger btn-sm" data-revoke-invite="${
+                invite.id
+              }" title="Revoke"><i class="bi bi-x-lg"></i></button>
+            </div>
+          </div>`;
+        })
+        .join("");
+
+      list.querySelectorAll("[data-copy-invite]").forEach((btn) => {
+        btn.addEventListener("click", async () => {
+          await this.copyToClipboard(btn.dataset.copyInvite);
+          showToast("Invite link copied to clipboard", "success");
+        });
+      });
+      list.querySelectorAll("[data-revoke-invite]").forEach((btn) => {
+        btn.addEventListener("click", async () => {
+          if (!confirm("Revoke this invite link?")) return;
+          try {
+            await this.roomManager.revokeInvite(btn.dataset.revokeInvite);
+            showToast("Invite link revoked", "success");
+          } catch (err) {
+            showToast(
+              "Could not revoke invite: " + (err.message || "unknown error"),
+              "error"
+            );
+          }
+          this.renderActiveInvites();
+        });
+      });
+    } catch (err) {
+      console.error("[ui-manager] Error loading invites:", err);
+      list.innerHTML = `<p class="text-danger small mb-0">Failed to load invite links.</p>`;
+    }
+  }
+
+  async copyToClipboard(text) {
+    try {
+      await navigator.clipboard.writeText(text);
+    } catch (err) {
+      console.warn("Clipboard API failed, falling back:", err);
+      const temp = document.createElement("textarea");
+      temp.value = text;
+      document.body.appendChild(temp);
+      temp.select();
+      document.execCommand("copy");
+      temp.remove();
+    }
+  }
+
+  // ✅ NEW: Requests tab - pending join requests and banned users
+  async loadRequestsTab() {
+    const requestsList = document.getElementById("joinRequestsList");
+    const bannedList = document.getElementById("bannedUsersList");
+    const countBadge = document.getElementById("joinRequestsCount");
+    if (!requestsList || !bannedList) return;
+
+    requestsList.innerHTML = `<p class="text-muted mb-0">Loading...</p>`;
+    bannedList.innerHTML = "";
+
+    try {
+      const [requests, bans] = await Promise.all([
+        this.roomManager.fetchJoinRequests(),
+        this.roomManager.fetchBans(),
+      ]);
+
+      if (countBadge) {
+        countBadge.textContent = String(requests.length);
+        countBadge.style.display = requests.length > 0 ? "inline" : "none";
+      }
+
+      requestsList.innerHTML =
+        requests.length === 0
+          ? `<p class="text-muted mb-0">No pending requests.</p>`
+          : requests
+              .map(
+                (r) => `<div class="join-request-item">
+                  <div>
+                    <div class="join-request-name">${this.escapeHtml(
+                      r.name
+                    )}</div>
+                    <div class="join-request-meta">${this.escapeHtml(
+                      r.email || ""
+                    )}${
+                  r.createdAt
+                    ? ` • ${new Date(r.createdAt).toLocaleString()}`
+                    : ""
+                }</div>
+                  </div>
+                  <div class="d-flex gap-2">
+                    <button class="btn btn-success btn-sm" data-request-user="${
+                      r.uid
+                    }" data-decision="approve"><i class="bi bi-check-lg"></i> Approve</button>
+                    <button class="btn btn-outline-danger btn-sm" data-request-user="${
+                      r.uid
+                    }" data-decision="deny"><i class="bi bi-x-lg"></i> Deny</button>
+                  </div>
+                </div>`
+              )
+              .join("");
+
+      bannedList.innerHTML =
+        bans.length === 0
+          ? `<p class="text-muted mb-0">No banned users.</p>`
+          : bans
+              .map(
+                (b) => `<div class="banned-user-item">
+                  <div>
+                    <div class="join-request-name">${this.escapeHtml(
+                      b.name
+                    )}</div>
+                    <div class="join-request-meta">${this.escapeHtml(
+                      b.email || ""
+                    )}</div>
+                  </div>
+                  <button class="btn btn-outline-secondary btn-sm" data-unban-user="${
+                    b.uid
+                  }"><i class="bi bi-unlock"></i> Unban</button>
+                </div>`
+              )
+              .join("");
+
+      requestsList.querySelectorAll("[data-request-user]").forEach((btn) => {
+        btn.addEventListener("click", () =>
+          this.handleJoinRequestDecision(
+            btn.dataset.requestUser,
+            btn.dataset.decision
+          )
+        );
+      });
+      bannedList.querySelectorAll("[data-unban-user]").forEach((btn) => {
+        btn.addEventListener("click", () =>
+          this.handleUnban(btn.dataset.unbanUser)
+        );
+      });
+    } catch (err) {
+      console.error("[ui-manager] Error loading requests tab:", err);
+      requestsList.innerHTML = `<p class="text-danger mb-0">Failed to load join requests.</p>`;
+    }
+  }
+
+  async handleJoinRequestDecision(userId, decision) {
+    try {
+      await this.roomManager.reviewJoinRequest(userId, decision);
+      showToast(
+        decision === "approve"
+          ? "Join request approved"
+          : "Join request denied",
+        "success"
+      );
+    } catch (err) {
+      console.error("[ui-manager] Error reviewing join request:", err);
+      showToast(
+        "Could not review request: " + (err.message || "unknown error"),
+        "error"
+      );
+    }
+    this.loadRequestsTab();
+  }
+
+  async handleUnban(userId) {
+    try {
+      await this.roomManager.unbanUser(userId);
+      showToast("Ban lifted", "success");
+    } catch (err) {
+      console.error("[ui-manager] Error lifting ban:", err);
+      showToast(
+        "Could not lift ban: " + (err.message || "unknown error"),
+        "error"
+      );
+    }
+    this.loadRequestsTab();
+  }
+
+  escapeHtml(str) {
+    return this.roomManager._escapeHtml(str);
+  }
+
+  // ✅ NEW: Sessions tab - schedule form and calendar subscription
+  initializeSessions() {
+    const form = document.getElementById("sessionForm");
+    const recurrenceInput = document.getElementById("sessionRecurrenceInput");
+    const daysGroup = document.getElementById("sessionDaysGroup");
+    const subscribeBtn = document.getElementById("subscribeCalendarBtn");
+
+    recurrenceInput?.addEventListener("change", () => {
+      if (daysGroup)
+        daysGroup.style.display =
+          recurrenceInput.value === "custom" ? "flex" : "none";
+    });
+
+    form?.addEventListener("submit", (e) => {
+      e.preventDefault();
+      this.handleCreateSession(form);
+    });
+
+    subscribeBtn?.addEventListener("click", () =>
+      this.handleCalendarSubscribe(subscribeBtn)
+    );
+  }
+
+  async handleCreateSession(form) {
+    const title = document.getElementById("sessionTitleInput").value.trim();
+    const start = document.getElementById("sessionStartInput").value;
+    const end = document.getElementById("sessionEndInput").value;
+    const frequency = document.getElementById("sessionRecurrenceInput").value;
+    const until = document.getElementById("sessionUntilInput").value;
+    const agenda = document.getElementById("sessionAgendaInput").value.trim();
+
+    if (!title || !start || !end) {
+      showToast("Please fill in the title, start and end time", "error");
+      return;
+    }
+
+    const startDate = new Date(start);
+    const endDate = new Date(end);
+    if (endDate <= startDate) {
+      showToast("The session must end after it starts", "error");
+      return;
+    }
+
+    const recurrence = { frequency };
+    if (frequency === "custom") {
+      recurrence.daysOfWeek = Array.from(
+        document.querySelectorAll("#sessionDaysGroup input:checked")
+      ).map((input) => parseInt(input.value, 10));
+      if (recurrence.daysOfWeek.length === 0) {
+        showToast("Pick at least one day for the session to repeat", "error");
+        return;
+      }
+    }
+    if (frequency !== "none" && until) {
+      // Include the whole "until" day in local time
+      recurrence.until = new Date(`${until}T23:59:59`).toISOString();
+    }
+
+    const submitBtn = form.querySelector('button[type="submit"]');
+    if (submitBtn) submitBtn.disabled = true;
+
+    try {
+      await this.roomManager.createSession({
+        title,
+        agenda,
+        startTime: startDate.toISOString(),
+        endTime: endDate.toISOString(),
+        recurrence,
+      });
+      form.reset();
+      const daysGroup = document.getElementById("sessionDaysGroup");
+      if (daysGroup) daysGroup.style.display = "none";
+      showToast("Session scheduled", "success");
+    } catch (err) {
+      console.error("[ui-manager] Error scheduling session:", err);
+      const msg =
+        (err && err.body && (err.body.details?.[0] || err.body.error)) ||
+        err.message ||
+        "unknown error";
+      showToast("Could not schedule session: " + msg, "error");
+    } finally {
+      if (submitBtn) submitBtn.disabled = false;
+    }
+  }
+
+  async handleCalendarSubscribe(button) {
+    const feedBox = document.getElementById("calendarFeedBox");
+    if (!feedBox) return;
+
+    button.disabled = true;
+    try {
+      const feed = await this.roomManager.getCalendarFeed();
+      const roomId =
+        this.roomManager.currentRoomData._id ||
+        this.roomManager.currentRoomData.id;
+      const roomFeedUrl = feed.roomFeedUrlTemplate.replace(
+        "{roomId}",
+        encodeURIComponent(roomId)
+      );
+
+      feedBox.innerHTML = `<p class="mb-2 small">Paste one of these URLs into Google Calendar or Outlook ("Add calendar from URL"). Generating a new link disables the old one.</p>
+        <label class="form-label small mb-1">This room</label>
+        <input type="text" class="form-control form-control-sm mb-2" readonly value="${roomFeedUrl}" />
+        <label class="form-label small mb-1">All my rooms</label>
+        <input type="text" class="form-control form-control-sm" readonly value="${feed.userFeedUrl}" />`;
+      feedBox.style.display = "block";
+      feedBox
+        .querySelectorAll("input")
+        .forEach((input) =>
+          input.addEventListener("focus", () => input.select())
+        );
+    } catch (err) {
+      console.error("[ui-manager] Error creating calendar feed:", err);
+      showToast("Could not create calendar link", "error");
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  initializeChatExport() {
+    const form = document.getElementById("chatExportForm");
+    form?.addEventListener("submit", (e) => {
+      e.preventDefault();
+      this.handleChatExport(form);
+    });
+  }
+
+  async handleChatExport(form) {
+    const format = document.getElementById("chatExportFormat").value;
+    const from = document.getElementById("chatExportFrom").value;
+    const to = document.getElementById("chatExportTo").value;
+    if (from && to && from > to) {
+      showToast("The start date must be before the end date", "error");
+      return;
+    }
+
+    const submitBtn = form.querySelector('button[type="submit"]');
+    if (submitBtn) submitBtn.disabled = true;
+    try {
+      // Date inputs are local days
+      await this.roomManager.downloadChatExport({
+        format,
+        from: from ? new Date(`${from}T00:00:00`).toISOString() : null,
+        to: to ? new Date(`${to}T23:59:59.999`).toISOString() : null,
+      });
+      showToast("Chat exported", "success");
+    } catch (err) {
+      console.error("[ui-manager] Error exporting chat:", err);
+      showToast(err.message || "Could not export chat", "error");
+    } finally {
+      if (submitBtn) submitBtn.disabled = false;
+    }
+  }
+
+  async populateRoomClassification() {
+    const room = this.roomManager.currentRoomData;
+    const courseSelect = document.getElementById("roomCourseInput");
+    const yearSelect = document.getElementById("roomYearLevelInput");
+    document.getElementById("roomSubjectInput").value = room.subject || "";
+    document.getElementById("roomTagsInput").value = (room.tags || []).join(
+      ", "
+    );
+
+    try {
+      const catalog = await this.roomManager.fetchRoomCatalog();
+      const fill = (select, values, current) => {
+        if (!select) return;
+        select.length = 1; // keep the "Any" option
+        values.forEach((value) => select.add(new Option(value, value)));
+        select.value = current || "";
+      };
+      fill(courseSelect, catalog.courses || [], room.courseCode);
+      fill(yearSelect, catalog.yearLevels || [], room.yearLevel);
+    } catch (err) {
+      console.error("[ui-manager] Error loading room catalog:", err);
+    }
+  }
+
+  // ✅ NEW: Attendance report (Settings > Attendance, hosts)
+  initializeAttendance() {
+    const form = document.getElementById("attendanceRangeForm");
+    form?.addEventListener("submit", (e) => {
+      e.preventDefault();
+      this.loadAttendanceTab();
+    });
+    document
+      .getElementById("attendance-tab")
+      ?.addEventListener("shown.bs.tab", () => this.loadAttendanceTab());
+    document
+      .getElementById("attendanceCsvBtn")
+      ?.addEventListener("click", (e) => this.downloadAttendanceCsv(e.target));
+  }
+
+  _getAttendanceRange() {
+    const from = document.getElementById("attendanceFrom")?.value || null;
+    const to = document.getElementById("attendanceTo")?.value || null;
+    if (from && to && from > to) {
+      showToast("The start date must be before the end date", "error");
+      return null;
+    }
+    return { from, to };
+  }
+
+  async loadAttendanceTab() {
+    const summary = document.getElementById("attendanceSummary");
+    const members = document.getElementById("attendanceMembers");
+    if (!summary || !members || !this.roomManager.isHost) return;
+    const range = this._getAttendanceRange();
+    if (!range) return;
+
+    summary.innerHTML = "";
+    members.innerHTML = `<p class="text-muted mb-0">Loading...</p>`;
+    try {
+      const report = await this.roomManager.fetchAttendance(range);
+      const fromLabel = new Date(report.range.from).toLocaleDateString();
+      const toLabel = new Date(report.range.to).toLocaleDateString();
+      summary.innerHTML = `<div class="attendance-stat"><strong>${
+        report.members.length
+      }</strong><span>members</span></div>
+        <div class="attendance-stat"><strong>${
+          report.totals.visits
+        }</strong><span>visits</span></div>
+        <div class="attendance-stat"><strong>${formatDuration(
+          report.totals.roomSeconds
+        )}</strong><span>in room</span></div>
+        <div class="attendance-stat"><strong>${formatDuration(
+          report.totals.callSeconds
+        )}</strong><span>in call</span></div>
+        <small class="text-muted w-100">${this.escapeHtml(
+          fromLabel
+        )} – ${this.escapeHtml(toLabel)}${
+        report.truncated ? " · showing the most recent visits only" : ""
+      }</small>`;
+
+      if (report.members.length === 0) {
+        members.innerHTML = `<p class="text-muted mb-0">No visits in this period.</p>`;
+        return;
+      }
+      members.innerHTML = `<table class="table table-sm attendance-table mb-0">
+        <thead><tr><th>Member</th><th>Days</th><th>Visits</th><th>In room</th><th>In call</th><th>Last seen</th></tr></thead>
+        <tbody>${report.members
+          .map(
+            (m) => `<tr>
+              <td>${this.escapeHtml(m.name)}</td>
+              <td>${m.daysPresent}</td>
+              <td>${m.visits}</td>
+              <td>${formatDuration(m.roomSeconds)}</td>
+              <td>${formatDuration(m.callSeconds)}</td>
+              <td>${
+                m.lastSeenAt
+                  ? this.escapeHtml(new Date(m.lastSeenAt).toLocaleString())
+                  : "—"
+              }</td>
+            </tr>`
+          )
+          .join("")}</tbody>
+      </table>`;
+    } catch (err) {
+      console.error("[ui-manager] Error loading attendance:", err);
+      members.innerHTML = `<p class="text-danger mb-0">${this.escapeHtml(
+        err.message || "Could not load attendance"
+      )}</p>`;
+    }
+  }
+
+  async downloadAttendanceCsv(button) {
+    const range = this._getAttendanceRange();
+    if (!range) return;
+    const btn = button?.closest("button");
+    if (btn) btn.disabled = true;
+    try {
+      await this.roomManager.downloadAttendanceCsv(range);
+    } catch (err) {
+      console.error("[ui-manager] Error exporting attendance:", err);
+      showToast(err.message || "Could not export attendance", "error");
+    } finally {
+      if (btn) btn.disabled = false;
+    }
+  }
+
   initializeInviteSystem() {
     const inviteBtn = document.getElementById("inviteBtn");
     const copyLinkBtn = document.getElementById("copyLinkBtn");
     inviteBtn?.addEventListener("click", () => {
       const modalEl = document.getElementById("inviteModal");
       if (modalEl) {
+        this.prepareSecureInvites();
         const modal = new bootstrap.Modal(modalEl);
         modal.show();
       }
     });
+
+    // ✅ NEW: Secure invite link form (hosts only)
+    document
+      .getElementById("createInviteForm")
+      ?.addEventListener("submit", (e) => {
+        e.preventDefault();
+        this.handleCreateInvite(e.target);
+      });
     copyLinkBtn?.addEventListener("click", () => {
       const inviteLink = document.getElementById("inviteLink");
       if (!inviteLink) return;
@@ -778,6 +1493,7 @@ export class UiManager {
 
   cleanup() {
     if (this.autoSaveInterval) clearInterval(this.autoSaveInterval);
+    this.roomManager.stopSessionCountdown?.();
   }
 }
 
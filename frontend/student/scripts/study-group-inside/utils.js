@@ -56,6 +56,15 @@ export function formatFileSize(bytes) {
   return (bytes / 1048576).toFixed(1) + " MB";
 }
 
+// Seconds as "1h 25m" / "40m" (attendance and study time)
+export function formatDuration(seconds) {
+  const minutes = Math.round((seconds || 0) / 60);
+  if (minutes < 60) return `${minutes}m`;
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  return rest ? `${hours}h ${rest}m` : `${hours}h`;
+}
+
 export function getFileIcon(ext) {
   switch ((ext || "").toLowerCase()) {
     case "pdf":
@@ -118,9 +118,12 @@ export class VideoManager {
           roomID: this.roomID,
         });
 
-        console.log("[VideoManager] ZegoCloud token response:", data);
+        console.log(
+          "[VideoManager] ZegoCloud token received, expires at:",
+          data?.expiresAt
+        );
 
-        if (!data || !data.appID) {
+        if (!data || !data.appID || !data.token) {
           throw new Error(data?.error || "No token data in response");
         }
 
@@ -166,10 +169,10 @@ export class VideoManager {
           this.roomID
         );
 
-        // Generate kit token using ZegoCloud method
-        const kitToken = window.ZegoUIKitPrebuilt.generateKitTokenForTest(
+        // Wrap the server-issued (room-scoped, expiring) token into a kit token
+        const kitToken = window.ZegoUIKitPrebuilt.generateKitTokenForProduction(
           tokenData.appID,
-          tokenData.serverSecret,
+          tokenData.token,
           tokenData.roomID,
           tokenData.userID,
           tokenData.userName
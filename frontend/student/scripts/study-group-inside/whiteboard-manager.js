@@ -0,0 +1,966 @@
+// WhiteboardManager class - Collaborative whiteboard for a study room
+// Boards are persisted in Firestore next to the room chat:
+//   studyGroups/{roomId}/whiteboardPages/{pageId}           { order, createdBy, createdAt }
+//   studyGroups/{roomId}/whiteboardPages/{pageId}/elements/{elementId}
+//     { type: "stroke" | "line" | "rect" | "ellipse" | "text",
+//       points: [x1, y1, x2, y2, ...], color, width, text, fontSize,
+//       authorUid, order, erased, erasedBy, createdAt }
+// Coordinates use a fixed logical board (BOARD_WIDTH x BOARD_HEIGHT) so every client
+// renders the same board whatever its screen size. Erase and undo/redo flip the
+// `erased` flag instead of deleting documents, so any operation can be replayed.
+
+import { db } from "./firebase-init.js";
+import { showToast } from "./utils.js";
+
+const BOARD_WIDTH = 1600;
+const BOARD_HEIGHT = 1000;
+const MAX_STROKE_POINTS = 2000;
+const MIN_POINT_DISTANCE = 2; // board units between recorded stroke points
+const ERASER_RADIUS = 12;
+const MAX_HISTORY = 100;
+const BATCH_LIMIT = 450; // Firestore allows 500 writes per batch
+const FIRST_PAGE_ID = "page-1";
+const TOOL_SHORTCUTS = {
+  p: "pen",
+  l: "line",
+  r: "rect",
+  o: "ellipse",
+  t: "text",
+  e: "eraser",
+};
+
+export class WhiteboardManager {
+  constructor(userAuth, roomManager, chatManager) {
+    this.userAuth = userAuth;
+    this.roomManager = roomManager;
+    this.chatManager = chatManager;
+
+    this.pages = []; // [{ id, order }]
+    this.currentPageId = null;
+    this.elements = new Map(); // elementId -> element (current page)
+
+    this.tool = "pen";
+    this.color = "#212121";
+    this.width = 4;
+
+    this.undoStack = []; // [{ type: "add" | "erase", pageId, ids }]
+    this.redoStack = [];
+
+    this.isOpen = false;
+    this.canvas = null;
+    this.ctx = null;
+    this.scale = 1;
+    this._baseCanvas = document.createElement("canvas"); // committed elements
+    this._draft = null; // element being drawn
+    this._erasing = null; // Set of element ids hit by the current eraser drag
+    this._textInput = null;
+    this._unsubscribePages = null;
+    this._unsubscribeElements = null;
+  }
+
+  init() {
+    const openBtn = document.getElementById("whiteboardBtn");
+    if (!this.roomManager.currentRoomData || this.roomManager.isReadOnly) {
+      if (openBtn) openBtn.style.display = "none";
+      return;
+    }
+
+    this.canvas = document.getElementById("whiteboardCanvas");
+    this.ctx = this.canvas?.getContext("2d");
+    if (!this.canvas || !this.ctx) return;
+
+    openBtn?.addEventListener("click", () => this.open());
+
+    const modalEl = document.getElementById("whiteboardModal");
+    modalEl?.addEventListener("shown.bs.modal", () => this._onShown());
+    modalEl?.addEventListener("hidden.bs.modal", () => this._onHidden());
+
+    this._bindToolbar();
+    this._bindCanvas();
+
+    window.addEventListener("resize", () => {
+      if (this.isOpen) this._resize();
+    });
+    document.addEventListener("keydown", (e) => this._handleKeydown(e));
+  }
+
+  open() {
+    const modalEl = document.getElementById("whiteboardModal");
+    if (!modalEl || typeof bootstrap === "undefined") return;
+    bootstrap.Modal.getOrCreateInstance(modalEl).show();
+  }
+
+  _getRoomId() {
+    return this.roomManager._getRoomId();
+  }
+
+  _pagesRef() {
+    return db
+      .collection("studyGroups")
+      .doc(this._getRoomId())
+      .collection("whiteboardPages");
+  }
+
+  _elementsRef(pageId) {
+    return this._pagesRef().doc(pageId).collection("elements");
+  }
+
+  _onShown() {
+    this.isOpen = true;
+    this._resize();
+    this._subscribePages();
+  }
+
+  _onHidden() {
+    this.isOpen = false;
+    this._cancelTextInput();
+    this._draft = null;
+    this._erasing = null;
+    this._unsubscribe();
+  }
+
+  _unsubscribe() {
+    [this._unsubscribePages, this._unsubscribeElements].forEach((unsub) => {
+      try {
+        unsub?.();
+      } catch (e) {
+        // ignore
+      }
+    });
+    this._unsubscribePages = null;
+    this._unsubscribeElements = null;
+    this.currentPageId = null;
+    this.elements.clear();
+  }
+
+  // ===== Pages =====
+  _subscribePages() {
+    this._unsubscribePages = this._pagesRef()
+      .orderBy("order", "asc")
+      .onSnapshot(
+        (snapshot) => {
+          this.pages = snapshot.docs.map((doc) => ({
+            id: doc.id,
+            ...doc.data(),
+          }));
+
+          if (this.pages.length === 0) {
+            this._ensureFirstPage();
+            return;
+          }
+          if (
+            !this.currentPageId ||
+            !this.pages.some((p) => p.id === this.currentPageId)
+          ) {
+            this.showPage(this.pages[0].id);
+          }
+          this._renderPageLabel();
+        },
+        (err) => {
+          console.error("[whiteboard] Failed to load pages:", err);
+          showToast("Failed to load the whiteboard", "error");
+        }
+      );
+  }
+
+  // Fixed id so two people opening an empty board don't create two first pages
+  _ensureFirstPage() {
+    return this._pagesRef()
+      .doc(FIRST_PAGE_ID)
+      .set(
+        {
+          order: 0,
+          createdBy: this.userAuth.currentUser.uid,
+          createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+        },
+        { merge: true }
+      )
+      .catch((err) =>
+        console.error("[whiteboard] Failed to create first page:", err)
+      );
+  }
+
+  async addPage() {
+    try {
+      const ref = await this._pagesRef().add({
+        order: Date.now(),
+        createdBy: this.userAuth.currentUser.uid,
+        createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+      });
+      this.showPage(ref.id);
+    } catch (err) {
+      console.error("[whiteboard] Failed to add page:", err);
+      showToast("Failed to add page", "error");
+    }
+  }
+
+  goToPage(delta) {
+    const index = this.pages.findIndex((p) => p.id === this.currentPageId);
+    const target = this.pages[index + delta];
+    if (target) this.showPage(target.id);
+  }
+
+  showPage(pageId) {
+    if (pageId === this.currentPageId) return;
+
+    this._cancelTextInput();
+    try {
+      this._unsubscribeElements?.();
+    } catch (e) {
+      // ignore
+    }
+    this.currentPageId = pageId;
+    this.elements.clear();
+    this._renderBase();
+    this._renderPageLabel();
+
+    this._unsubscribeElements = this._elementsRef(pageId).onSnapshot(
+      (snapshot) => {
+        snapshot.docChanges().forEach((change) => {
+          if (change.type === "removed") this.elements.delete(change.doc.id);
+          else
+            this.elements.set(change.doc.id, {
+              id: change.doc.id,
+              ...change.doc.data(),
+            });
+        });
+        this._renderBase();
+      },
+      (err) => console.error("[whiteboard] Failed to load page elements:", err)
+    );
+  }
+
+  _renderPageLabel() {
+    const label = document.getElementById("whiteboardPageLabel");
+    const index = this.pages.findIndex((p) => p.id === this.currentPageId);
+    if (label)
+      label.textContent = `Page ${index + 1} / ${Math.max(
+        this.pages.length,
+        1
+      )}`;
+
+    const prevBtn = document.getElementById("whiteboardPrevPageBtn");
+    const nextBtn = document.getElementById("whiteboardNextPageBtn");
+    if (prevBtn) prevBtn.disabled = index <= 0;
+    if (nextBtn)
+      nextBtn.disabled = index === -1 || index >= this.pages.length - 1;
+  }
+
+  // ===== Toolbar =====
+  _bindToolbar() {
+    document.querySelectorAll("[data-wb-tool]").forEach((btn) => {
+      btn.addEventListener("click", () => this.setTool(btn.dataset.wbTool));
+    });
+    document
+      .getElementById("whiteboardColor")
+      ?.addEventListener("input", (e) => {
+        this.color = e.target.value;
+      });
+    document
+      .getElementById("whiteboardWidth")
+      ?.addEventListener("change", (e) => {
+        this.width = parseInt(e.target.value, 10) || 4;
+      });
+    document
+      .getElementById("whiteboardUndoBtn")
+      ?.addEventListener("click", () => this.undo());
+    document
+      .getElementById("whiteboardRedoBtn")
+      ?.addEventListener("click", () => this.redo());
+    document
+      .getElementById("whiteboardClearBtn")
+      ?.addEventListener("click", () => this.clearPage());
+    document
+      .getElementById("whiteboardPrevPageBtn")
+      ?.addEventListener("click", () => this.goToPage(-1));
+    document
+      .getElementById("whiteboardNextPageBtn")
+      ?.addEventListener("click", () => this.goToPage(1));
+    document
+      .getElementById("whiteboardAddPageBtn")
+      ?.addEventListener("click", () => this.addPage());
+    document.querySelectorAll("[data-wb-export]").forEach((btn) => {
+      btn.addEventListener("click", () =>
+        this.handleExport(btn.dataset.wbExport)
+      );
+    });
+  }
+
+  setTool(tool) {
+    this._commitTextInput();
+    this.tool = tool;
+    document.querySelectorAll("[data-wb-tool]").forEach((btn) => {
+      btn.classList.toggle("active", btn.dataset.wbTool === tool);
+    });
+    if (this.canvas) this.canvas.dataset.tool = tool;
+  }
+
+  _handleKeydown(e) {
+    if (!this.isOpen) return;
+    const target = e.target;
+    if (
+      target &&
+      (target.tagName === "INPUT" ||
+        target.tagName === "TEXTAREA" ||
+        target.isContentEditable)
+    ) {
+      return;
+    }
+
+    const key = e.key.toLowerCase();
+    if ((e.ctrlKey || e.metaKey) && key === "z") {
+      e.preventDefault();
+      if (e.shiftKey) this.redo();
+      else this.undo();
+    } else if ((e.ctrlKey || e.metaKey) && key === "y") {
+      e.preventDefault();
+      this.redo();
+    } else if (!e.ctrlKey && !e.metaKey && !e.altKey && TOOL_SHORTCUTS[key]) {
+      this.setTool(TOOL_SHORTCUTS[key]);
+    }
+  }
+
+  // ===== Canvas input =====
+  _bindCanvas() {
+    this.canvas.addEventListener("pointerdown", (e) => this._onPointerDown(e));
+    this.canvas.addEventListener("pointermove", (e) => this._onPointerMove(e));
+    this.canvas.addEventListener("pointerup", (e) => this._onPointerUp(e));
+    this.canvas.addEventListener("pointercancel", () => {
+      this._draft = null;
+      this._erasing = null;
+      this._renderBase();
+    });
+  }
+
+  _toBoardPoint(e) {
+    const rect = this.canvas.getBoundingClientRect();
+    return {
+      x:
+        Math.round(((e.clientX - rect.left) / rect.width) * BOARD_WIDTH * 10) /
+        10,
+      y:
+        Math.round(((e.clientY - rect.top) / rect.height) * BOARD_HEIGHT * 10) /
+        10,
+    };
+  }
+
+  _onPointerDown(e) {
+    if (!this.currentPageId || e.button > 0) return;
+    const point = this._toBoardPoint(e);
+
+    if (this.tool === "text") {
+      e.preventDefault();
+      this._commitTextInput();
+      this._startTextInput(point);
+      return;
+    }
+
+    this.canvas.setPointerCapture(e.pointerId);
+    if (this.tool === "eraser") {
+      this._erasing = new Set();
+      this._eraseAt(point);
+      return;
+    }
+
+    this._draft = {
+      type: this.tool === "pen" ? "stroke" : this.tool,
+      points: [point.x, point.y],
+      color: this.color,
+      width: this.width,
+    };
+    this._present();
+  }
+
+  _onPointerMove(e) {
+    if (!this._draft && !this._erasing) return;
+    const point = this._toBoardPoint(e);
+
+    if (this._erasing) {
+      this._eraseAt(point);
+      return;
+    }
+
+    const points = this._draft.points;
+    if (this._draft.type === "stroke") {
+      const lastX = points[points.length - 2];
+      const lastY = points[points.length - 1];
+      if (
+        Math.hypot(point.x - lastX, point.y - lastY) >= MIN_POINT_DISTANCE &&
+        points.length < MAX_STROKE_POINTS * 2
+      ) {
+        points.push(point.x, point.y);
+      }
+    } else {
+      this._draft.points = [points[0], points[1], point.x, point.y];
+    }
+    this._present();
+  }
+
+  _onPointerUp() {
+    if (this._erasing) {
+      const ids = Array.from(this._erasing);
+      this._erasing = null;
+      if (ids.length > 0) this._commitErase(ids);
+      return;
+    }
+
+    const draft = this._draft;
+    this._draft = null;
+    if (!draft) return;
+
+    const [x1, y1, x2, y2] = draft.points;
+    if (
+      draft.type !== "stroke" &&
+      (x2 === undefined || (x1 === x2 && y1 === y2))
+    ) {
+      this._present();
+      return;
+    }
+    this._commitElement(draft);
+  }
+
+  _eraseAt(point) {
+    let changed = false;
+    this.elements.forEach((el) => {
+      if (el.erased || this._erasing.has(el.id)) return;
+      if (this._hitTest(el, point, ERASER_RADIUS + (el.width || 0) / 2)) {
+        this._erasing.add(el.id);
+        changed = true;
+      }
+    });
+    if (changed) this._renderBase();
+  }
+
+  // ===== Text tool =====
+  _startTextInput(point) {
+    const stage = document.getElementById("whiteboardStage");
+    if (!stage) return;
+
+    const fontSize = this._fontSizeForWidth(this.width);
+    const input = document.createElement("input");
+    input.type = "text";
+    input.className = "whiteboard-text-input";
+    input.maxLength = 200;
+    input.style.left = `${
+      this.canvas.offsetLeft + point.x * this._cssScale()
+    }px`;
+    input.style.top = `${this.canvas.offsetTop + point.y * this._cssScale()}px`;
+    input.style.fontSize = `${fontSize * this._cssScale()}px`;
+    input.style.color = this.color;
+
+    this._textInput = { input, point, fontSize, color: this.color };
+    input.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") {
+        e.preventDefault();
+        this._commitTextInput();
+      } else if (e.key === "Escape") {
+        e.preventDefault();
+        e.stopPropagation();
+        this._cancelTextInput();
+      }
+    });
+    input.addEventListener("blur", () => this._commitTextInput());
+
+    stage.appendChild(input);
+    setTimeout(() => input.focus(), 0);
+  }
+
+  _commitTextInput() {
+    if (!this._textInput) return;
+    const { input, point, fontSize, color } = this._textInput;
+    this._textInput = null;
+    const text = input.value.trim();
+    input.remove();
+
+    if (text) {
+      this._commitElement({
+        type: "text",
+        points: [point.x, point.y],
+        text,
+        fontSize,
+        color,
+        width: 0,
+      });
+    }
+  }
+
+  _cancelTextInput() {
+    if (!this._textInput) return;
+    this._textInput.input.remove();
+    this._textInput = null;
+  }
+
+  _fontSizeForWidth(width) {
+    return 12 + width * 4;
+  }
+
+  // ===== Persistence + undo/redo =====
+  async _commitElement(draft) {
+    const pageId = this.currentPageId;
+    const ref = this._elementsRef(pageId).doc();
+    const element = {
+      ...draft,
+      authorUid: this.userAuth.currentUser.uid,
+      order: Date.now(),
+      erased: false,
+      createdAt: firebase.firestore.FieldValue.serverTimestamp(),
+    };
+
+    // Show it straight away; the snapshot listener will confirm it
+    this.elements.set(ref.id, { id: ref.id, ...element });
+    this._renderBase();
+    this._pushHistory({ type: "add", pageId, ids: [ref.id] });
+
+    try {
+      await ref.set(element);
+    } catch (err) {
+      console.error("[whiteboard] Failed to save element:", err);
+      showToast("Failed to save drawing", "error");
+      this.elements.delete(ref.id);
+      this._renderBase();
+    }
+  }
+
+  async _commitErase(ids) {
+    const pageId = this.currentPageId;
+    this._pushHistory({ type: "erase", pageId, ids });
+    await this._setErased(pageId, ids, true);
+  }
+
+  async _setErased(pageId, ids, erased) {
+    if (pageId === this.currentPageId) {
+      ids.forEach((id) => {
+        const el = this.elements.get(id);
+        if (el) el.erased = erased;
+      });
+      this._renderBase();
+    }
+
+    try {
+      for (let i = 0; i < ids.length; i += BATCH_LIMIT) {
+        const batch = db.batch();
+        ids.slice(i, i + BATCH_LIMIT).forEach((id) => {
+          batch.update(this._elementsRef(pageId).doc(id), {
+            erased,
+            erasedBy: erased ? this.userAuth.currentUser.uid : null,
+          });
+        });
+        await batch.commit();
+      }
+    } catch (err) {
+      console.error("[whiteboard] Failed to update elements:", err);
+      showToast("Failed to update the whiteboard", "error");
+    }
+  }
+
+  _pushHistory(entry) {
+    this.undoStack.push(entry);
+    if (this.undoStack.length > MAX_HISTORY) this.undoStack.shift();
+    this.redoStack = [];
+    this._updateHistoryButtons();
+  }
+
+  async undo() {
+    const entry = this.undoStack.pop();
+    if (!entry) return;
+    this.redoStack.push(entry);
+    this._updateHistoryButtons();
+    if (entry.pageId !== this.currentPageId) this.showPage(entry.pageId);
+    await this._setErased(entry.pageId, entry.ids, entry.type === "add");
+  }
+
+  async redo() {
+    const entry = this.redoStack.pop();
+    if (!entry) return;
+    this.undoStack.push(entry);
+    this._updateHistoryButtons();
+    if (entry.pageId !== this.currentPageId) this.showPage(entry.pageId);
+    await this._setErased(entry.pageId, entry.ids, entry.type === "erase");
+  }
+
+  _updateHistoryButtons() {
+    const undoBtn = document.getElementById("whiteboardUndoBtn");
+    const redoBtn = document.getElementById("whiteboardRedoBtn");
+    if (undoBtn) undoBtn.disabled = this.undoStack.length === 0;
+    if (redoBtn) redoBtn.disabled = this.redoStack.length === 0;
+  }
+
+  clearPage() {
+    const ids = this._visibleElements().map((el) => el.id);
+    if (ids.length === 0) return;
+    if (
+      !confirm("Clear everything on this page for everyone? You can undo this.")
+    )
+      return;
+    this._commitErase(ids);
+  }
+
+  // ===== Rendering =====
+  _cssScale() {
+    return this.canvas.clientWidth / BOARD_WIDTH;
+  }
+
+  _resize() {
+    const stage = document.getElementById("whiteboardStage");
+    if (!stage || !this.canvas) return;
+
+    // Fit the board into the stage, keeping its aspect ratio
+    const ratio = BOARD_WIDTH / BOARD_HEIGHT;
+    let cssWidth = stage.clientWidth;
+    let cssHeight = cssWidth / ratio;
+    if (cssHeight > stage.clientHeight) {
+      cssHeight = stage.clientHeight;
+      cssWidth = cssHeight * ratio;
+    }
+
+    const dpr = window.devicePixelRatio || 1;
+    this.canvas.style.width = `${cssWidth}px`;
+    this.canvas.style.height = `${cssHeight}px`;
+    this.canvas.width = Math.max(1, Math.round(cssWidth * dpr));
+    this.canvas.height = Math.max(1, Math.round(cssHeight * dpr));
+    this._baseCanvas.width = this.canvas.width;
+    this._baseCanvas.height = this.canvas.height;
+    this.scale = this.canvas.width / BOARD_WIDTH;
+
+    this._renderBase();
+  }
+
+  _visibleElements(elements = this.elements) {
+    return Array.from(elements.values())
+      .filter(
+        (el) => !el.erased && !(this._erasing && this._erasing.has(el.id))
+      )
+      .sort((a, b) => (a.order || 0) - (b.order || 0));
+  }
+
+  _renderBase() {
+    if (!this.canvas) return;
+    const ctx = this._baseCanvas.getContext("2d");
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, this._baseCanvas.width, this._baseCanvas.height);
+    ctx.setTransform(this.scale, 0, 0, this.scale, 0, 0);
+    this._visibleElements().forEach((el) => drawElement(ctx, el));
+    this._present();
+  }
+
+  _present() {
+    const ctx = this.ctx;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, this.canvas.width, this.canvas.height);
+    ctx.drawImage(this._baseCanvas, 0, 0);
+    if (this._draft) {
+      ctx.setTransform(this.scale, 0, 0, this.scale, 0, 0);
+      drawElement(ctx, this._draft);
+    }
+  }
+
+  _hitTest(el, point, tolerance) {
+    const p = el.points || [];
+    switch (el.type) {
+      case "stroke":
+      case "line":
+        if (p.length === 2)
+          return Math.hypot(point.x - p[0], point.y - p[1]) <= tolerance;
+        for (let i = 0; i + 3 < p.length; i += 2) {
+          if (
+            distanceToSegment(point, p[i], p[i + 1], p[i + 2], p[i + 3]) <=
+            tolerance
+          )
+            return true;
+        }
+        return false;
+      case "rect": {
+        const [x1, y1, x2, y2] = p;
+        const edges = [
+          [x1, y1, x2, y1],
+          [x2, y1, x2, y2],
+          [x2, y2, x1, y2],
+          [x1, y2, x1, y1],
+        ];
+        return edges.some(
+          ([ax, ay, bx, by]) =>
+            distanceToSegment(point, ax, ay, bx, by) <= tolerance
+        );
+      }
+      case "ellipse": {
+        const { cx, cy, rx, ry } = ellipseBounds(p);
+        if (rx === 0 || ry === 0) return false;
+        const normalized = Math.hypot((point.x - cx) / rx, (point.y - cy) / ry);
+        return Math.abs(normalized - 1) * Math.min(rx, ry) <= tolerance;
+      }
+      case "text": {
+        const lineHeight = el.fontSize * 1.2;
+        const width = (el.text || "").length * el.fontSize * 0.6;
+        return (
+          point.x >= p[0] - tolerance &&
+          point.x <= p[0] + width + tolerance &&
+          point.y >= p[1] - tolerance &&
+          point.y <= p[1] + lineHeight + tolerance
+        );
+      }
+      default:
+        return false;
+    }
+  }
+
+  // ===== Export =====
+  async _getPageElements(pageId) {
+    if (pageId === this.currentPageId) return this._visibleElements();
+    const snapshot = await this._elementsRef(pageId).get();
+    const elements = new Map();
+    snapshot.forEach((doc) =>
+      elements.set(doc.id, { id: doc.id, ...doc.data() })
+    );
+    return this._visibleElements(elements);
+  }
+
+  _renderToImageCanvas(elements) {
+    const canvas = document.createElement("canvas");
+    canvas.width = BOARD_WIDTH;
+    canvas.height = BOARD_HEIGHT;
+    const ctx = canvas.getContext("2d");
+    ctx.fillStyle = "#ffffff";
+    ctx.fillRect(0, 0, BOARD_WIDTH, BOARD_HEIGHT);
+    elements.forEach((el) => drawElement(ctx, el));
+    return canvas;
+  }
+
+  _exportBaseName() {
+    const roomName = (this.roomManager.currentRoomData?.name || "room")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 40);
+    return `whiteboard-${roomName || "room"}`;
+  }
+
+  async exportPng() {
+    const index = this.pages.findIndex((p) => p.id === this.currentPageId);
+    const canvas = this._renderToImageCanvas(
+      await this._getPageElements(this.currentPageId)
+    );
+    const blob = await new Promise((resolve) =>
+      canvas.toBlob(resolve, "image/png")
+    );
+    return new File([blob], `${this._exportBaseName()}-page-${index + 1}.png`, {
+      type: "image/png",
+    });
+  }
+
+  async exportPdf() {
+    const images = [];
+    for (const page of this.pages) {
+      const canvas = this._renderToImageCanvas(
+        await this._getPageElements(page.id)
+      );
+      const dataUrl = canvas.toDataURL("image/jpeg", 0.92);
+      images.push({
+        bytes: dataUrlToBytes(dataUrl),
+        width: canvas.width,
+        height: canvas.height,
+      });
+    }
+    return new File([buildImagePdf(images)], `${this._exportBaseName()}.pdf`, {
+      type: "application/pdf",
+    });
+  }
+
+  async handleExport(kind) {
+    if (!this.currentPageId) return;
+    this._commitTextInput();
+
+    try {
+      const file = kind.startsWith("pdf")
+        ? await this.exportPdf()
+        : await this.exportPng();
+
+      if (kind.endsWith("-chat")) {
+        const shared = await this.chatManager.shareFile(file);
+        if (shared) {
+          const modalEl = document.getElementById("whiteboardModal");
+          bootstrap.Modal.getInstance(modalEl)?.hide();
+        }
+        return;
+      }
+
+      const url = URL.createObjectURL(file);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = file.name;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      setTimeout(() => URL.revokeObjectURL(url), 1000);
+    } catch (err) {
+      console.error("[whiteboard] Export failed:", err);
+      showToast("Failed to export the whiteboard", "error");
+    }
+  }
+
+  destroy() {
+    this._unsubscribe();
+  }
+}
+
+/* ===== Drawing helpers ===== */
+
+function ellipseBounds(points) {
+  const [x1, y1, x2, y2] = points;
+  return {
+    cx: (x1 + x2) / 2,
+    cy: (y1 + y2) / 2,
+    rx: Math.abs(x2 - x1) / 2,
+    ry: Math.abs(y2 - y1) / 2,
+  };
+}
+
+function distanceToSegment(point, ax, ay, bx, by) {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  let t =
+    lengthSq === 0 ? 0 : ((point.x - ax) * dx + (point.y - ay) * dy) / lengthSq;
+  t = Math.max(0, Math.min(1, t));
+  return Math.hypot(point.x - (ax + t * dx), point.y - (ay + t * dy));
+}
+
+// Draw one element in board coordinates
+function drawElement(ctx, el) {
+  const p = el.points || [];
+  ctx.save();
+  ctx.strokeStyle = el.color || "#212121";
+  ctx.fillStyle = el.color || "#212121";
+  ctx.lineWidth = el.width || 1;
+  ctx.lineCap = "round";
+  ctx.lineJoin = "round";
+
+  switch (el.type) {
+    case "stroke":
+      if (p.length === 2) {
+        ctx.beginPath();
+        ctx.arc(p[0], p[1], (el.width || 1) / 2, 0, Math.PI * 2);
+        ctx.fill();
+        break;
+      }
+      ctx.beginPath();
+      ctx.moveTo(p[0], p[1]);
+      for (let i = 2; i + 1 < p.length; i += 2) ctx.lineTo(p[i], p[i + 1]);
+      ctx.stroke();
+      break;
+    case "line":
+      if (p.length < 4) break;
+      ctx.beginPath();
+      ctx.moveTo(p[0], p[1]);
+      ctx.lineTo(p[2], p[3]);
+      ctx.stroke();
+      break;
+    case "rect":
+      if (p.length < 4) break;
+      ctx.strokeRect(
+        Math.min(p[0], p[2]),
+        Math.min(p[1], p[3]),
+        Math.abs(p[2] - p[0]),
+        Math.abs(p[3] - p[1])
+      );
+      break;
+    case "ellipse": {
+      if (p.length < 4) break;
+      const { cx, cy, rx, ry } = ellipseBounds(p);
+      ctx.beginPath();
+      ctx.ellipse(cx, cy, rx, ry, 0, 0, Math.PI * 2);
+      ctx.stroke();
+      break;
+    }
+    case "text":
+      ctx.font = `${el.fontSize || 20}px sans-serif`;
+      ctx.textBaseline = "top";
+      ctx.fillText(el.text || "", p[0], p[1]);
+      break;
+    default:
+      break;
+  }
+  ctx.restore();
+}
+
+/* ===== PDF export ===== */
+
+function dataUrlToBytes(dataUrl) {
+  const binary = atob(dataUrl.split(",")[1]);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Build a minimal PDF with one full-page JPEG per page.
+ * @param {{ bytes: Uint8Array, width: number, height: number }[]} images
+ * @returns {Blob}
+ */
+function buildImagePdf(images) {
+  const encoder = new TextEncoder();
+  const chunks = [];
+  const offsets = [];
+  let length = 0;
+
+  const write = (data) => {
+    const bytes = typeof data === "string" ? encoder.encode(data) : data;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  const startObject = (num) => {
+    offsets[num] = length;
+    write(`${num} 0 obj\n`);
+  };
+
+  // Half the board size in points keeps pages close to A4 landscape
+  const pageWidth = BOARD_WIDTH / 2;
+  const pageHeight = BOARD_HEIGHT / 2;
+  const objectCount = 2 + images.length * 3;
+
+  write("%PDF-1.4\n");
+  startObject(1);
+  write("<< /Type /Catalog /Pages 2 0 R >>\nendobj\n");
+
+  const kids = images.map((_, i) => `${3 + i * 3} 0 R`).join(" ");
+  startObject(2);
+  write(`<< /Type /Pages /Kids [${kids}] /Count ${images.length} >>\nendobj\n`);
+
+  images.forEach((image, i) => {
+    const pageObj = 3 + i * 3;
+    const contentObj = pageObj + 1;
+    const imageObj = pageObj + 2;
+    const content = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im${i} Do Q`;
+
+    startObject(pageObj);
+    write(
+      `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+        `/Resources << /XObject << /Im${i} ${imageObj} 0 R >> >> /Contents ${contentObj} 0 R >>\nendobj\n`
+    );
+
+    startObject(contentObj);
+    write(
+      `<< /Length ${content.length} >>\nstream\n${content}\nendstream\nendobj\n`
+    );
+
+    startObject(imageObj);
+    write(
+      `<< /Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} ` +
+        `/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.bytes.length} >>\nstream\n`
+    );
+    write(image.bytes);
+    write("\nendstream\nendobj\n");
+  });
+
+  const xrefOffset = length;
+  write(`xref\n0 ${objectCount + 1}\n0000000000 65535 f \n`);
+  for (let num = 1; num <= objectCount; num++) {
+    write(`${String(offsets[num]).padStart(10, "0")} 00000 n \n`);
+  }
+  write(
+    `trailer\n<< /Size ${
+      objectCount + 1
+    } /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`
+  );
+
+  return new Blob(chunks, { type: "application/pdf" });
+}
@@ -11,6 +11,10 @@
 // - ADDED: Password visibility toggle with eye icon
 // - ADDED: Real-time password requirements validation
 // - ADDED: Room deactivation check - prevents actions on deactivated rooms
+// - ADDED: Join requests for approval-required rooms
+// - ADDED: Subject / course / year level / tags with a filter sidebar; filtering,
+//   sorting and paging happen on the server (GET /api/study-groups)
+// - ADDED: Create a room from a saved template (GET /api/room-templates)
 
 import { auth, db } from "../../config/firebase.js";
 import {
@@ -22,13 +26,19 @@ import {
   signOut,
 } from "https://www.gstatic.com/firebasejs/9.22.2/firebase-auth.js";
 import { apiUrl } from "../../config/appConfig.js";
-import { postJsonWithAuth, fetchJsonWithAuth } from "./apiClient.js";
+import {
+  postJsonWithAuth,
+  fetchJsonWithAuth,
+  deleteWithAuth,
+} from "./apiClient.js";
 
 const STUDY_GROUPS_API = apiUrl("/api/study-groups");
+const ROOM_TEMPLATES_API = apiUrl("/api/room-templates");
 
 // ===== SECURITY: Constants =====
 const MAX_ROOM_NAME_LENGTH = 100;
 const MAX_DESCRIPTION_LENGTH = 500;
+const MAX_RULES_LENGTH = 2000;
 
 // ===== STATE MANAGEMENT =====
 let CURRENT_SESSION = null;
@@ -40,6 +50,37 @@ let filteredRooms = [];
 let displayedRooms = [];
 let currentTab = "all-rooms";
 let pendingPrivateRoomId = null;
+let roomTemplates = [];
+
+// ===== FILTERS / PAGING (server side) =====
+const TAB_SCOPES = {
+  "all-rooms": "all",
+  "public-rooms": "public",
+  "private-rooms": "private",
+  "joined-rooms": "joined",
+  "created-rooms": "created",
+};
+const FACET_PARAMS = {
+  courses: "course",
+  yearLevels: "year",
+  subjects: "subject",
+  tags: "tag",
+};
+const SEARCH_DEBOUNCE_MS = 300;
+let roomFilters = {
+  q: "",
+  sort: "activity",
+  courses: [],
+  yearLevels: [],
+  subjects: [],
+  tags: [],
+};
+let roomCatalog = null; // GET /api/study-groups/catalog
+let roomFacets = null;
+let nextRoomsCursor = null;
+let totalMatchingRooms = null;
+let roomsRequestId = 0;
+let searchDebounceTimer = null;
 
 // ===== ONLINE PRESENCE TRACKING =====
 let roomOnlineCounts = new Map(); // Map of roomId -> online count
@@ -414,6 +455,17 @@ async function handlePrivateRoomPasswordSubmit() {
       { password }
     );
 
+    // ✅ NEW: Approval-required room - request queued for the hosts
+    if (response && response.pending) {
+      if (passwordModal) passwordModal.hide();
+      passwordInput.value = "";
+      showToast(response.message || "Join request sent", "info");
+      logSecurityEvent("PRIVATE_ROOM_JOIN_REQUESTED", {
+        roomId: pendingPrivateRoomId,
+      });
+      return;
+    }
+
     if (response && response.success) {
       showToast("Password verified! Entering room...", "success");
       logSecurityEvent("PRIVATE_ROOM_ACCESS_GRANTED", {
@@ -478,6 +530,35 @@ function createRoomCardElement(room) {
     room.description || "No description provided."
   );
 
+  const chips = [
+    room.archived
+      ? `<span class="room-tag room-tag-archived" title="Read-only - can't be joined"><i class="bi bi-archive"></i> Archived</span>`
+      : "",
+    room.courseCode
+      ? `<span class="room-tag room-tag-course">${escapeHtml(
+          room.courseCode
+        )}</span>`
+      : "",
+    room.yearLevel
+      ? `<span class="room-tag room-tag-year">${escapeHtml(
+          room.yearLevel
+        )}</span>`
+      : "",
+    room.subject
+      ? `<span class="room-tag room-tag-subject">${escapeHtml(
+          room.subject
+        )}</span>`
+      : "",
+    ...(room.tags || []).map(
+      (tag) =>
+        `<button type="button" class="room-tag" data-filter-tag="${escapeHtml(
+          tag
+        )}" title="Show rooms tagged #${escapeHtml(tag)}">#${escapeHtml(
+          tag
+        )}</button>`
+    ),
+  ].join("");
+
   const newRoom = document.createElement("div");
   newRoom.className = "room-card";
   newRoom.setAttribute("data-room-id", room.id);
@@ -491,6 +572,7 @@ function createRoomCardElement(room) {
         <p class="room-description">
           ${roomDescEscaped}
         </p>
+        ${chips ? `<div class="room-tags">${chips}</div>` : ""}
       </div>
       <div class="privacy-badge-container">
         ${privacyBadgeHtml}
@@ -500,9 +582,9 @@ function createRoomCardElement(room) {
       <span class="participant-count"><i class="bi bi-people"></i> <span class="online-count">0</span> Online</span>
       <button class="join-btn" onclick="window.handleRoomJoin('${escapeHtml(
         room.id
-      )}', '${escapeHtml(room.name)}', '${room.privacy}', ${
-    room.isActive
-  })">Enter Now</button>
+      )}', '${escapeHtml(room.name)}', '${room.privacy}', ${room.isActive})">${
+    room.archived ? "View" : "Enter Now"
+  }</button>
     </div>
   `;
   return newRoom;
@@ -543,6 +625,13 @@ export function handleRoomJoin(roomId, roomName, privacy, isActive) {
     `User ${currentUserId} | Already member: ${isAlreadyMember} | Privacy: ${privacy}`
   );
 
+  // ===== Archived rooms: members can still read them, nobody can join =====
+  if (room.archived) {
+    if (isAlreadyMember) enterRoom(roomId);
+    else showToast("This room is archived and can't be joined", "error");
+    return;
+  }
+
   if (privacy === "private" && !isAlreadyMember) {
     logSecurityEvent("PRIVATE_ROOM_JOIN_ATTEMPT", {
       roomId,
@@ -586,6 +675,13 @@ async function attemptJoinPublicRoom(roomId) {
       {}
     );
 
+    // ✅ NEW: Approval-required room - request queued for the hosts
+    if (response && response.pending) {
+      showToast(response.message || "Join request sent", "info");
+      logSecurityEvent("PUBLIC_ROOM_JOIN_REQUESTED", { roomId });
+      return;
+    }
+
     if (response && response.success) {
       showToast("Joined room successfully!", "success");
       logSecurityEvent("PUBLIC_ROOM_JOINED", { roomId });
@@ -618,59 +714,10 @@ async function attemptJoinPublicRoom(roomId) {
   }
 }
 
-/* ===== TAB FILTERING LOGIC ===== */
-function filterRoomsByTab(tab) {
-  if (!Array.isArray(allRooms)) {
-    debugLog("allRooms is not an array");
-    return [];
-  }
-
-  const currentUserId = auth.currentUser?.uid;
-  debugLog(`Filtering by tab: ${tab} | Total rooms: ${allRooms.length}`);
-
-  let filtered = [];
-
-  switch (tab) {
-    case "all-rooms":
-      filtered = allRooms;
-      break;
-
-    case "public-rooms":
-      filtered = allRooms.filter((room) => room.privacy === "public");
-      break;
-
-    case "private-rooms":
-      filtered = allRooms.filter((room) => room.privacy === "private");
-      break;
-
-    case "joined-rooms":
-      filtered = allRooms.filter((room) => {
-        const participants = room.participants || [];
-        const createdBy = room.creator || room.createdBy;
-        return (
-          participants.includes(currentUserId) && createdBy !== currentUserId
-        );
-      });
-      break;
-
-    case "created-rooms":
-      filtered = allRooms.filter((room) => {
-        const createdBy = room.creator || room.createdBy;
-        return createdBy === currentUserId;
-      });
-      break;
-
-    default:
-      filtered = allRooms;
-  }
-
-  debugLog(`Filtered results: ${filtered.length} rooms for tab ${tab}`);
-  return filtered;
-}
-
-/* ===== RENDER ALL ROOMS AT ONCE ===== */
+/* ===== RENDER ROOMS ===== */
 function renderAllRooms() {
   debugLog("Rendering all rooms");
+  displayedRooms = [];
 
   const roomsContainer = document.getElementById("roomContainer");
   if (!roomsContainer) {
@@ -686,6 +733,7 @@ function renderAllRooms() {
 
   hideLoadingIndicator();
   hideEndOfListMessage();
+  document.getElementById("roomLoadMore")?.remove();
   const emptyState = document.getElementById("emptyState");
   if (emptyState) {
     debugLog("Removing old empty state");
@@ -700,7 +748,7 @@ function renderAllRooms() {
     emptyStateDiv.innerHTML = `
       <div class="empty-state-icon"><i class="bi bi-door-closed"></i></div>
       <h3>No Study Rooms</h3>
-      <p>No rooms match the selected filter. Try selecting a different tab or create a new room.</p>
+      <p>No rooms match the selected filters. Try a different tab, clear some filters, or create a new room.</p>
       <div class="empty-state-action">
         <button class="btn btn-success" id="createFirstRoomButton"><i class="bi bi-plus-lg"></i> Create Room</button>
       </div>
@@ -731,10 +779,57 @@ function renderAllRooms() {
     `Grid now has ${roomGrid.children.length} room cards | Total displayed: ${displayedRooms.length}`
   );
 
+  renderLoadMore();
+
   // Subscribe to presence updates for all displayed rooms
   subscribeToAllDisplayedRoomsPresence();
 }
 
+// Next page from the cursor; cards are appended to the current grid
+function renderLoadMore({ appended = false } = {}) {
+  const roomsContainer = document.getElementById("roomContainer");
+  if (!roomsContainer) return;
+  document.getElementById("roomLoadMore")?.remove();
+
+  if (!nextRoomsCursor) {
+    if (appended) showEndOfListMessage();
+    return;
+  }
+  hideEndOfListMessage();
+
+  const wrapper = document.createElement("div");
+  wrapper.id = "roomLoadMore";
+  wrapper.className = "room-load-more";
+  wrapper.innerHTML = `<button class="btn btn-outline-success btn-sm" type="button">
+      <i class="bi bi-arrow-down-circle"></i> Load more rooms
+      ${
+        totalMatchingRooms !== null
+          ? `<span class="text-muted">(${displayedRooms.length} of ${totalMatchingRooms})</span>`
+          : ""
+      }
+    </button>`;
+  wrapper
+    .querySelector("button")
+    .addEventListener("click", () =>
+      fetchAndRenderStudyRooms({ append: true })
+    );
+  roomsContainer.appendChild(wrapper);
+}
+
+function appendRooms(rooms) {
+  const roomGrid = document.getElementById("roomGrid");
+  if (!roomGrid) {
+    renderAllRooms();
+    return;
+  }
+  rooms.forEach((room) => {
+    roomGrid.appendChild(createRoomCardElement(room));
+    displayedRooms.push(room);
+  });
+  renderLoadMore({ appended: true });
+  subscribeToAllDisplayedRoomsPresence();
+}
+
 /* ===== LOADING INDICATORS ===== */
 function showLoadingIndicator() {
   let loader = document.getElementById("roomGridLoader");
@@ -783,6 +878,8 @@ function showEndOfListMessage() {
     roomsContainer.appendChild(endMessage);
     debugLog("Created end-of-list message");
   }
+  // Keep it below the grid and any appended pages
+  endMessage.parentNode?.appendChild(endMessage);
   endMessage.style.display = "block";
 }
 
@@ -797,17 +894,13 @@ function hideEndOfListMessage() {
 function applyTabFilter(tab) {
   debugLog(`Applying tab filter: ${tab}`);
 
-  currentTab = tab;
-  displayedRooms = [];
-  filteredRooms = filterRoomsByTab(tab);
-
-  debugLog(`Filtered rooms count: ${filteredRooms.length} for tab ${tab}`);
+  currentTab = TAB_SCOPES[tab] ? tab : "all-rooms";
 
   try {
-    localStorage.setItem("lastActiveTab", tab);
+    localStorage.setItem("lastActiveTab", currentTab);
   } catch {}
 
-  renderAllRooms();
+  fetchAndRenderStudyRooms();
 }
 
 /* ===== Notifications ===== */
@@ -931,6 +1024,7 @@ document.addEventListener("DOMContentLoaded", function () {
   initializePasswordRequirements();
 
   initializeTabSystem();
+  initializeFilterSidebar();
 
   const searchInput = document.getElementById("searchInput");
   if (searchInput) {
@@ -1130,6 +1224,19 @@ function initializeAuthenticatedUI() {
     createRoomBtn.addEventListener("click", handleCreateRoom);
   }
 
+  const templateSelect = document.getElementById("roomTemplate");
+  if (templateSelect) {
+    templateSelect.addEventListener("change", () =>
+      applyTemplateToForm(templateSelect.value)
+    );
+  }
+
+  const deleteTemplateBtn = document.getElementById("deleteTemplateBtn");
+  if (deleteTemplateBtn) {
+    deleteTemplateBtn.addEventListener("click", handleDeleteTemplate);
+  }
+
+  loadRoomCatalog();
   fetchAndRenderStudyRooms();
 
   setTimeout(() => {
@@ -1158,6 +1265,7 @@ function openCreateRoomModal() {
       createRoomModal = new bootstrap.Modal(modalElement);
     }
 
+    loadRoomTemplates();
     createRoomModal.show();
   } catch (err) {
     console.error("Failed to open create room modal:", err);
@@ -1181,8 +1289,25 @@ async function handleCreateRoom() {
     roomDescEl ? roomDescEl.value : "",
     MAX_DESCRIPTION_LENGTH
   );
+  const rules = sanitizeString(
+    document.getElementById("roomRules")?.value || "",
+    MAX_RULES_LENGTH
+  );
   const privacy = privacyEl ? privacyEl.value : "public";
   const password = roomPasswordEl ? roomPasswordEl.value : null;
+  const templateId = document.getElementById("roomTemplate")?.value || "";
+  const subject = sanitizeString(
+    document.getElementById("roomSubject")?.value || "",
+    roomCatalog?.maxSubjectLength || 80
+  );
+  const courseCode = document.getElementById("roomCourse")?.value || "";
+  const yearLevel = document.getElementById("roomYearLevel")?.value || "";
+  const tags = parseTagInput(document.getElementById("roomTags")?.value);
+  const maxTags = roomCatalog?.maxTags || 8;
+  if (tags.length > maxTags) {
+    showToast(`A room can have at most ${maxTags} tags`, "error");
+    return;
+  }
 
   if (!roomName) {
     showToast("Room name is required", "error");
@@ -1240,13 +1365,22 @@ async function handleCreateRoom() {
     const payload = {
       name: roomName,
       description: description,
+      rules,
       privacy: privacy,
+      subject: subject || null,
+      courseCode: courseCode || null,
+      yearLevel: yearLevel || null,
+      tags,
     };
 
     if (privacy === "private" && password) {
       payload.password = password;
     }
 
+    if (templateId) {
+      payload.templateId = templateId;
+    }
+
     debugLog("Creating room with payload:", payload);
 
     const createBtn = document.getElementById("createRoomBtn");
@@ -1298,6 +1432,7 @@ async function handleCreateRoom() {
 function resetCreateRoomForm() {
   const form = document.getElementById("createRoomForm");
   if (form) form.reset();
+  updateTemplateControls(null);
 
   const passwordField = document.getElementById("privateRoomPasswordField");
   if (passwordField) {
@@ -1327,41 +1462,357 @@ function resetCreateRoomForm() {
 
 /* ===== Search ===== */
 function handleSearch() {
-  const searchTerm = this.value.trim().toLowerCase();
-  const roomCards = document.querySelectorAll(".room-card");
-  if (roomCards.length === 0) return;
-
-  roomCards.forEach((room) => {
-    const titleEl = room.querySelector(".room-title");
-    const descEl = room.querySelector(".room-description");
-    const title = titleEl ? titleEl.textContent.toLowerCase() : "";
-    const description = descEl ? descEl.textContent.toLowerCase() : "";
-
-    if (title.includes(searchTerm) || description.includes(searchTerm)) {
-      room.style.display = "block";
-    } else {
-      room.style.display = "none";
+  const searchTerm = sanitizeString(this.value, 100);
+  clearTimeout(searchDebounceTimer);
+  searchDebounceTimer = setTimeout(() => {
+    if (searchTerm === roomFilters.q) return;
+    roomFilters.q = searchTerm;
+    fetchAndRenderStudyRooms();
+  }, SEARCH_DEBOUNCE_MS);
+}
+
+// "#java, Midterm exam" -> ["java", "midterm-exam"] (the server normalizes too)
+function parseTagInput(value) {
+  return [
+    ...new Set(
+      String(value || "")
+        .split(",")
+        .map((tag) =>
+          tag.trim().replace(/^#+/, "").toLowerCase().replace(/\s+/g, "-")
+        )
+        .filter(Boolean)
+    ),
+  ];
+}
+
+/* ===== Filter Sidebar ===== */
+function buildRoomsQuery(cursor = null) {
+  const params = new URLSearchParams({
+    scope: TAB_SCOPES[currentTab] || "all",
+    sort: roomFilters.sort,
+  });
+  if (roomFilters.q) params.set("q", roomFilters.q);
+  Object.entries(FACET_PARAMS).forEach(([key, param]) => {
+    if (roomFilters[key].length > 0) {
+      params.set(param, roomFilters[key].join(","));
     }
   });
+  if (cursor) params.set("cursor", cursor);
+  return params.toString();
+}
+
+/* ===== Room Templates ===== */
+async function loadRoomTemplates() {
+  const select = document.getElementById("roomTemplate");
+  if (!select) return;
+
+  try {
+    const data = await fetchJsonWithAuth(ROOM_TEMPLATES_API);
+    roomTemplates = data.templates || [];
+  } catch (err) {
+    console.warn("Could not load room templates:", err);
+    roomTemplates = [];
+  }
+
+  const selected = select.value;
+  select.length = 1; // keep "Blank room"
+  roomTemplates.forEach((template) =>
+    select.add(new Option(template.name, template.id))
+  );
+  select.value = roomTemplates.some((t) => t.id === selected) ? selected : "";
+  updateTemplateControls(
+    roomTemplates.find((t) => t.id === select.value) || null
+  );
+}
+
+function updateTemplateControls(template) {
+  const deleteBtn = document.getElementById("deleteTemplateBtn");
+  if (deleteBtn) deleteBtn.disabled = !template;
+
+  const summary = document.getElementById("roomTemplateSummary");
+  if (!summary) return;
+  if (!template) {
+    summary.textContent = "";
+    return;
+  }
+  const parts = [];
+  if (template.pinnedResourceCount > 0) {
+    parts.push(
+      `${template.pinnedResourceCount} pinned resource${
+        template.pinnedResourceCount === 1 ? "" : "s"
+      }`
+    );
+  }
+  if (template.sessionCount > 0) {
+    parts.push(
+      `${template.sessionCount} session${
+        template.sessionCount === 1 ? "" : "s"
+      } (moved to upcoming dates)`
+    );
+  }
+  summary.textContent = parts.length
+    ? `Also copies ${parts.join(" and ")}.`
+    : "Copies the room settings.";
+}
+
+// Prefill the form; the user can still change anything before creating
+function applyTemplateToForm(templateId) {
+  const template = roomTemplates.find((t) => t.id === templateId) || null;
+  updateTemplateControls(template);
+  if (!template) return;
+
+  const setValue = (id, value) => {
+    const el = document.getElementById(id);
+    if (el) el.value = value || "";
+  };
+  setValue("roomDescription", template.description);
+  setValue("roomRules", template.rules);
+  setValue("roomSubject", template.subject);
+  setValue("roomCourse", template.courseCode);
+  setValue("roomYearLevel", template.yearLevel);
+  setValue("roomTags", (template.tags || []).join(", "));
+
+  const privacyInput = document.getElementById(
+    template.privacy === "private" ? "privacyPrivate" : "privacyPublic"
+  );
+  if (privacyInput && !privacyInput.checked) {
+    privacyInput.checked = true;
+    privacyInput.dispatchEvent(new Event("change"));
+  }
+}
+
+async function handleDeleteTemplate() {
+  const select = document.getElementById("roomTemplate");
+  const template = roomTemplates.find((t) => t.id === select?.value);
+  if (!template) return;
+
+  if (!confirm(`Delete template "${template.name}"?`)) return;
+
+  try {
+    await deleteWithAuth(
+      `${ROOM_TEMPLATES_API}/${encodeURIComponent(template.id)}`
+    );
+    showToast("Template deleted", "success");
+    select.value = "";
+    await loadRoomTemplates();
+  } catch (err) {
+    console.error("Error deleting template:", err);
+    showToast(err.message || "Could not delete template", "error");
+  }
+}
+
+async function loadRoomCatalog() {
+  try {
+    roomCatalog = await fetchJsonWithAuth(`${STUDY_GROUPS_API}/catalog`);
+  } catch (err) {
+    console.warn("Could not load room catalog:", err);
+    roomCatalog = { courses: [], yearLevels: [] };
+  }
+
+  const fillSelect = (id, values) => {
+    const select = document.getElementById(id);
+    if (!select) return;
+    values.forEach((value) => select.add(new Option(value, value)));
+  };
+  fillSelect("roomCourse", roomCatalog.courses || []);
+  fillSelect("roomYearLevel", roomCatalog.yearLevels || []);
+  renderFilterSidebar();
+}
+
+function toggleFacetValue(key, value) {
+  const values = roomFilters[key];
+  const index = values.indexOf(value);
+  if (index === -1) values.push(value);
+  else values.splice(index, 1);
+  fetchAndRenderStudyRooms();
+}
+
+function clearRoomFilters() {
+  roomFilters = {
+    ...roomFilters,
+    courses: [],
+    yearLevels: [],
+    subjects: [],
+    tags: [],
+  };
+  fetchAndRenderStudyRooms();
+}
+
+function renderFacetGroup(key, title, icon, options) {
+  if (options.length === 0) return "";
+  const selected = roomFilters[key];
+  return `<div class="room-filter-group">
+    <div class="room-filter-title"><i class="bi ${icon}"></i> ${title}</div>
+    ${options
+      .map(({ value, count }) => {
+        // Subjects are matched case-insensitively on the server
+        const filterValue = key === "subjects" ? value.toLowerCase() : value;
+        const isChecked = selected.includes(filterValue);
+        return `<label class="room-filter-option${
+          count === 0 && !isChecked ? " empty" : ""
+        }">
+          <input type="checkbox" class="form-check-input" data-facet="${key}" value="${escapeHtml(
+          filterValue
+        )}" ${isChecked ? "checked" : ""} />
+          <span>${escapeHtml(value)}</span>
+          <span class="room-filter-count">${count}</span>
+        </label>`;
+      })
+      .join("")}
+  </div>`;
+}
+
+function renderFilterSidebar() {
+  const container = document.getElementById("roomFiltersBody");
+  if (!container) return;
+
+  // Course and year level always list every option, with 0 when nothing matches
+  const withCounts = (values, facet) => {
+    const counts = new Map(
+      (roomFacets?.[facet] || []).map((f) => [f.value, f.count])
+    );
+    return values.map((value) => ({ value, count: counts.get(value) || 0 }));
+  };
+  const courseOptions = withCounts(roomCatalog?.courses || [], "courses");
+  const yearOptions = withCounts(roomCatalog?.yearLevels || [], "yearLevels");
+  const subjectOptions = roomFacets?.subjects || [];
+  const tagOptions = [...(roomFacets?.tags || [])];
+  // Keep selected tags visible even when no room in the results has them
+  roomFilters.tags.forEach((tag) => {
+    if (!tagOptions.some((t) => t.value === tag)) {
+      tagOptions.push({ value: tag, count: 0 });
+    }
+  });
+
+  const activeCount = Object.keys(FACET_PARAMS).reduce(
+    (sum, key) => sum + roomFilters[key].length,
+    0
+  );
+  const sortOption = (value, label) =>
+    `<option value="${value}" ${
+      roomFilters.sort === value ? "selected" : ""
+    }>${label}</option>`;
+
+  container.innerHTML = `
+    <div class="room-filter-group">
+      <label class="room-filter-title" for="roomSort"><i class="bi bi-sort-down"></i> Sort by</label>
+      <select class="form-select form-select-sm" id="roomSort">
+        ${sortOption("activity", "Most active")}
+        ${sortOption("size", "Most members")}
+        ${sortOption("newest", "Newest")}
+      </select>
+    </div>
+    ${renderFacetGroup("courses", "Course", "bi-mortarboard", courseOptions)}
+    ${renderFacetGroup(
+      "yearLevels",
+      "Year level",
+      "bi-bar-chart-steps",
+      yearOptions
+    )}
+    ${renderFacetGroup("subjects", "Subject", "bi-book", subjectOptions)}
+    ${
+      tagOptions.length
+        ? `<div class="room-filter-group">
+            <div class="room-filter-title"><i class="bi bi-tags"></i> Tags</div>
+            <div class="room-tags">${tagOptions
+              .map(
+                ({ value, count }) =>
+                  `<button type="button" class="room-tag${
+                    roomFilters.tags.includes(value) ? " active" : ""
+                  }" data-filter-tag="${escapeHtml(value)}">#${escapeHtml(
+                    value
+                  )} <span class="room-filter-count">${count}</span></button>`
+              )
+              .join("")}</div>
+          </div>`
+        : ""
+    }
+    ${
+      activeCount
+        ? `<button type="button" class="btn btn-link btn-sm p-0" id="clearRoomFilters"><i class="bi bi-x-circle"></i> Clear filters</button>`
+        : ""
+    }
+  `;
+
+  const countBadge = document.getElementById("roomFiltersCount");
+  if (countBadge) {
+    countBadge.textContent = String(activeCount);
+    countBadge.style.display = activeCount ? "inline" : "none";
+  }
+}
+
+function initializeFilterSidebar() {
+  const sidebar = document.getElementById("roomFilters");
+  if (!sidebar) return;
+
+  sidebar.addEventListener("change", (e) => {
+    if (e.target.id === "roomSort") {
+      roomFilters.sort = e.target.value;
+      fetchAndRenderStudyRooms();
+      return;
+    }
+    const facet = e.target.dataset.facet;
+    if (facet) toggleFacetValue(facet, e.target.value);
+  });
+
+  // Tag chips in the sidebar and on room cards
+  document.getElementById("roomsBrowse")?.addEventListener("click", (e) => {
+    if (e.target.closest("#clearRoomFilters")) {
+      clearRoomFilters();
+      return;
+    }
+    const chip = e.target.closest("[data-filter-tag]");
+    if (chip) toggleFacetValue("tags", chip.dataset.filterTag);
+  });
+
+  document
+    .getElementById("roomFiltersToggle")
+    ?.addEventListener("click", () => sidebar.classList.toggle("open"));
 }
 
 /* ===== Fetch & Render ===== */
-async function fetchAndRenderStudyRooms() {
+async function fetchAndRenderStudyRooms({ append = false } = {}) {
+  const requestId = ++roomsRequestId;
   try {
-    showLoadingIndicator();
+    if (!append) showLoadingIndicator();
     debugLog("Fetching rooms from API");
-    const rooms = await fetchJsonWithAuth(STUDY_GROUPS_API, { method: "GET" });
-    allRooms = Array.isArray(rooms) ? rooms : [];
-
-    debugLog(`Fetched ${allRooms.length} total rooms`, allRooms);
+    const data = await fetchJsonWithAuth(
+      `${STUDY_GROUPS_API}?${buildRoomsQuery(append ? nextRoomsCursor : null)}`,
+      { method: "GET" }
+    );
+    // A newer tab / filter change already replaced this request
+    if (requestId !== roomsRequestId) return;
+
+    const rooms = Array.isArray(data?.rooms) ? data.rooms : [];
+    nextRoomsCursor = data?.nextCursor || null;
+    // null when the server couldn't count the matches (e.g. text search)
+    totalMatchingRooms = data?.total ?? null;
+    roomFacets = data?.facets || null;
+
+    if (append) {
+      allRooms = allRooms.concat(rooms);
+      filteredRooms = allRooms;
+      appendRooms(rooms);
+    } else {
+      allRooms = rooms;
+      filteredRooms = rooms;
+      renderAllRooms();
+    }
+    renderFilterSidebar();
 
-    applyTabFilter(currentTab);
+    debugLog(
+      `Fetched ${rooms.length} rooms (${totalMatchingRooms} matching)`,
+      allRooms
+    );
 
     window._backendRooms = allRooms;
     hideLoadingIndicator();
   } catch (err) {
     console.error("Error fetching rooms:", err);
-    showToast("Unable to load study rooms. Please try again later.", "error");
+    showToast(
+      err?.body?.error || "Unable to load study rooms. Please try again later.",
+      "error"
+    );
     hideLoadingIndicator();
   }
 }
@@ -0,0 +1,169 @@
+// frontend/student/scripts/threadFollow.js
+// Follow / mute / unfollow buttons for a topic or post page.
+// - Followers get notified about new posts (topic) or comments (post);
+//   posting or commenting follows automatically (backend/routes/subscriptions.js)
+// - Opening a thread resets its unread count on the discussion "Following" tab
+
+import { apiUrl } from "../../config/appConfig.js";
+import {
+  fetchJsonWithAuth,
+  postJsonWithAuth,
+  putJsonWithAuth,
+  deleteWithAuth,
+} from "./apiClient.js";
+
+function subscriptionUrl(type, targetId, suffix = "") {
+  return apiUrl(
+    `/api/subscriptions/${type}/${encodeURIComponent(targetId)}${suffix}`
+  );
+}
+
+let stylesInjected = false;
+
+function injectStyles() {
+  if (stylesInjected) return;
+  stylesInjected = true;
+  const style = document.createElement("style");
+  style.textContent = `
+    .follow-controls {
+      display: inline-flex;
+      gap: 6px;
+      align-items: center;
+    }
+    .follow-btn {
+      display: inline-flex;
+      align-items: center;
+      gap: 6px;
+      border: 1px solid #4caf50;
+      background: #fff;
+      color: #2e7d32;
+      border-radius: 16px;
+      padding: 4px 12px;
+      font-size: 13px;
+      font-weight: 500;
+      cursor: pointer;
+      transition: all 0.2s ease;
+    }
+    .follow-btn:hover {
+      background: #e8f5e9;
+    }
+    .follow-btn.following {
+      background: #4caf50;
+      color: #fff;
+    }
+    .follow-btn.mute-btn {
+      border-color: #ccc;
+      color: #666;
+    }
+    .follow-btn.mute-btn.muted {
+      background: #f5f5f5;
+    }
+    .follow-btn:disabled {
+      opacity: 0.6;
+      cursor: default;
+    }
+    body.dark-mode .follow-btn {
+      background: #2a2a2a;
+      color: #81c784;
+    }
+    body.dark-mode .follow-btn.following {
+      background: #388e3c;
+      color: #fff;
+    }
+    body.dark-mode .follow-btn.mute-btn {
+      border-color: #444;
+      color: #bbb;
+    }
+  `;
+  document.head.appendChild(style);
+}
+
+/**
+ * Reset the unread count of a followed thread (ignored when not followed).
+ * @param {"topic"|"post"} type
+ * @param {string} targetId
+ */
+export async function markThreadRead(type, targetId) {
+  try {
+    await postJsonWithAuth(subscriptionUrl(type, targetId, "/read"), {});
+  } catch (err) {
+    console.warn("[follow] Failed to mark thread read:", err);
+  }
+}
+
+/**
+ * Render Follow / Mute buttons into container and mark the thread read.
+ * @param {HTMLElement} container
+ * @param {"topic"|"post"} type
+ * @param {string} targetId
+ */
+export async function attachFollowControls(container, type, targetId) {
+  if (!container || !targetId) return;
+  injectStyles();
+
+  let state = { subscribed: false, muted: false };
+  const label = type === "topic" ? "topic" : "post";
+
+  const render = () => {
+    container.classList.add("follow-controls");
+    container.innerHTML = `
+      <button type="button" class="follow-btn ${
+        state.subscribed ? "following" : ""
+      }" data-action="follow" title="${
+      state.subscribed
+        ? `Unfollow this ${label}`
+        : `Get notified about new ${type === "topic" ? "posts" : "comments"}`
+    }">
+        <i class="bi bi-${state.subscribed ? "bell-fill" : "bell"}"></i>
+        ${state.subscribed ? "Following" : "Follow"}
+      </button>
+      ${
+        state.subscribed
+          ? `<button type="button" class="follow-btn mute-btn ${
+              state.muted ? "muted" : ""
+            }" data-action="mute" title="${
+              state.muted ? "Turn notifications back on" : "Stop notifications"
+            }">
+              <i class="bi bi-${state.muted ? "volume-up" : "volume-mute"}"></i>
+              ${state.muted ? "Unmute" : "Mute"}
+            </button>`
+          : ""
+      }
+    `;
+  };
+
+  container.addEventListener("click", async (e) => {
+    const btn = e.target.closest(".follow-btn");
+    if (!btn) return;
+    container.querySelectorAll(".follow-btn").forEach((b) => {
+      b.disabled = true;
+    });
+    try {
+      if (btn.dataset.action === "follow" && state.subscribed) {
+        state = await deleteWithAuth(subscriptionUrl(type, targetId));
+      } else if (btn.dataset.action === "follow") {
+        state = await putJsonWithAuth(subscriptionUrl(type, targetId), {
+          muted: false,
+        });
+      } else {
+        state = await putJsonWithAuth(subscriptionUrl(type, targetId), {
+          muted: !state.muted,
+        });
+      }
+    } catch (err) {
+      console.error("[follow] Failed to update subscription:", err);
+    }
+    render();
+  });
+
+  render();
+  try {
+    state = await fetchJsonWithAuth(subscriptionUrl(type, targetId), {
+      method: "GET",
+    });
+    render();
+    if (state.subscribed) await markThreadRead(type, targetId);
+  } catch (err) {
+    console.warn("[follow] Failed to load subscription:", err);
+  }
+}
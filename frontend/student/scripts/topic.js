@@ -10,6 +10,8 @@
 // ✅ FIXED: Footer avatar always shows current user's profile picture
 // ✅ FIXED: Comment scroll now respects comments order (newest-first vs oldest-first)
 // ✅ NEW: Contextual report buttons for topics, posts, and comments
+// Q&A: in "question" topics posts are answers with up/down votes, and the
+// asker can accept one
 
 import { auth, db } from "../../config/firebase.js";
 import {
@@ -25,10 +27,21 @@ import {
   deletePostApi,
   getTopicComments as apiGetTopicComments,
   postComment as apiPostComment,
+  getPostVotes as apiGetPostVotes,
+  votePost as apiVotePost,
+  setAcceptedAnswer as apiSetAcceptedAnswer,
 } from "./topicsClient.js";
 import { postJsonWithAuth } from "./apiClient.js";
 import { apiUrl } from "../../config/appConfig.js";
 import { openReportModal } from "./reportModal.js";
+import {
+  safeMarkdownHtml,
+  enhanceRenderedMarkdown,
+  attachMarkdownPreview,
+  resetMarkdownPreview,
+} from "./markdownPreview.js";
+import { attachMentionAutocomplete } from "./mentions.js";
+import { attachFollowControls, markThreadRead } from "./threadFollow.js";
 
 // Utilities
 function delay(ms) {
@@ -197,6 +210,24 @@ function initializeTopicPage() {
   }
 
   let currentTab = "all-posts";
+  let currentTopic = null;
+
+  function isQuestionTopic() {
+    return (
+      !!currentTopic &&
+      String(currentTopic.category || "").toLowerCase() === "question"
+    );
+  }
+
+  // Same order as the server: accepted answer, then score, then oldest
+  function sortAnswers(posts) {
+    return posts.sort((a, b) => {
+      if (a.accepted !== b.accepted) return a.accepted ? -1 : 1;
+      if ((b.score || 0) !== (a.score || 0))
+        return (b.score || 0) - (a.score || 0);
+      return new Date(a.created) - new Date(b.created);
+    });
+  }
 
   function syncPostsToLocalStorage() {
     if (!window.currentTopicId) return;
@@ -239,6 +270,17 @@ function initializeTopicPage() {
 
         syncPostsToLocalStorage();
 
+        if (isQuestionTopic()) {
+          const votes = await apiGetPostVotes(posts.map((p) => p.id));
+          posts.forEach((p) => {
+            const vote = votes[String(p.id)];
+            if (vote) {
+              p.score = vote.score;
+              p.userVote = vote.userVote;
+            }
+          });
+        }
+
         console.log(`[getPosts] ✅ Loaded ${posts.length} posts`);
       }
 
@@ -319,8 +361,19 @@ function initializeTopicPage() {
     document.getElementById("topicViews").textContent = `${
       topic.viewCount || 0
     } view${topic.viewCount !== 1 ? "s" : ""}`;
+    currentTopic = topic;
     document.getElementById("topicCategory").textContent =
       topic.category || "Discussion";
+    const solvedBadge = document.getElementById("topicSolvedBadge");
+    if (solvedBadge) {
+      solvedBadge.hidden = !isQuestionTopic();
+      solvedBadge.className = `qa-status-badge ${
+        topic.solved ? "solved" : "unsolved"
+      }`;
+      solvedBadge.innerHTML = topic.solved
+        ? '<i class="bi bi-check-circle-fill"></i> Solved'
+        : '<i class="bi bi-question-circle"></i> Unsolved';
+    }
     document.getElementById("topicDescription").textContent =
       topic.description || "No description provided.";
     const tagsContainer = document.getElementById("topicTags");
@@ -407,8 +460,47 @@ function initializeTopicPage() {
       </button>`
       : "";
 
+    const isQuestion = isQuestionTopic();
+    const isAsker =
+      isQuestion &&
+      String(currentTopic.authorId || currentTopic.userId) ===
+        String(CURRENT_USER_ID);
+    const acceptedBadgeHtml =
+      isQuestion && post.accepted
+        ? `<span class="accepted-answer-badge"><i class="bi bi-check-circle-fill"></i> Accepted answer</span>`
+        : "";
+    const votesHtml = isQuestion
+      ? `
+      <div class="answer-votes" data-post-id="${post.id}">
+        <button class="answer-vote-btn ${
+          post.userVote === 1 ? "active" : ""
+        }" data-vote="1" title="Upvote" ${isOwnPost ? "disabled" : ""}>
+          <i class="bi bi-arrow-up"></i>
+        </button>
+        <span class="answer-score">${post.score || 0}</span>
+        <button class="answer-vote-btn ${
+          post.userVote === -1 ? "active" : ""
+        }" data-vote="-1" title="Downvote" ${isOwnPost ? "disabled" : ""}>
+          <i class="bi bi-arrow-down"></i>
+        </button>
+      </div>`
+      : "";
+    const acceptBtnHtml = isAsker
+      ? `
+      <button class="accept-answer-btn ${
+        post.accepted ? "accepted" : ""
+      }" data-post-id="${post.id}" title="${
+          post.accepted ? "Unmark accepted answer" : "Mark as accepted answer"
+        }">
+        <i class="bi bi-check-lg"></i>
+        ${post.accepted ? "Accepted" : "Accept"}
+      </button>`
+      : "";
+
     return `
-      <div class="post-card" data-post-id="${post.id}">
+      <div class="post-card ${
+        isQuestion && post.accepted ? "accepted" : ""
+      }" data-post-id="${post.id}">
         <div class="post-card-content">
           <div class="post-card-header">
             <div class="post-title-container">
@@ -416,6 +508,7 @@ function initializeTopicPage() {
                 ${avatarHtml}
                 <span>${escapeHtml(post.author || "Anonymous")}</span>
               </div>
+              ${acceptedBadgeHtml}
               ${reportBtnHtml}
             </div>
           </div>
@@ -424,10 +517,12 @@ function initializeTopicPage() {
           )}${(post.content || "").length > 150 ? "..." : ""}</div>
           <div class="post-meta">
             <div class="post-meta-left">
+              ${votesHtml}
               <span class="post-date">
                 <i class="bi bi-clock"></i>
                 ${formatRelativeTime(post.created_at || post.created)}
               </span>
+              ${acceptBtnHtml}
             </div>
             <button class="view-post-btn" onclick="window.openCommentModal('${
               post.id
@@ -455,6 +550,8 @@ function initializeTopicPage() {
 
       window.currentCommentingPostId = postId;
       window.currentCommentingPost = post;
+      // Reading the comments here counts as visiting the post
+      markThreadRead("post", postId);
 
       const initials = getInitials(post.author);
       const authorAvatar = document.getElementById("commentModalAuthorAvatar");
@@ -473,8 +570,13 @@ function initializeTopicPage() {
         post.author || "Anonymous";
       document.getElementById("commentModalPostDate").textContent =
         formatRelativeTime(post.created_at || post.created);
-      document.getElementById("commentModalPostContent").textContent =
-        escapeHtml(post.content);
+      const modalContentEl = document.getElementById("commentModalPostContent");
+      if (post.contentHtml) {
+        modalContentEl.innerHTML = safeMarkdownHtml(post.contentHtml);
+        enhanceRenderedMarkdown(modalContentEl);
+      } else {
+        modalContentEl.textContent = post.content || "";
+      }
 
       const isAuthor =
         String(post.authorId) === String(CURRENT_USER_ID) ||
@@ -572,9 +674,11 @@ function initializeTopicPage() {
             <div class="comment-author" style="font-weight: bold; font-size: 13px;">${escapeHtml(
               comment.author
             )}</div>
-            <div class="comment-text" style="font-size: 13px; margin: 5px 0;">${escapeHtml(
-              comment.text || comment.content
-            )}</div>
+            <div class="comment-text markdown-body" style="font-size: 13px; margin: 5px 0;">${
+              comment.content_html
+                ? safeMarkdownHtml(comment.content_html)
+                : escapeHtml(comment.text || comment.content)
+            }</div>
             <div style="font-size: 12px; color: #888;">${formatRelativeTime(
               comment.created || comment.created_at
             )}</div>
@@ -583,6 +687,7 @@ function initializeTopicPage() {
       `;
       })
       .join("");
+    enhanceRenderedMarkdown(commentsList);
   }
 
   // Close comment modal
@@ -761,7 +866,10 @@ function initializeTopicPage() {
       }
 
       document.getElementById("modalTitle").textContent = "Edit Post";
-      document.getElementById("postContent").value = post.content || "";
+      const postContentInput = document.getElementById("postContent");
+      postContentInput.value = post.content || "";
+      // Show the preview for the existing content right away
+      postContentInput.dispatchEvent(new Event("input"));
       document.getElementById("postId").value = post.id;
       document.getElementById("isEdit").value = "true";
       document.getElementById("savePostBtn").textContent = "Save Changes";
@@ -846,6 +954,18 @@ function initializeTopicPage() {
   const cancelModalBtn = document.getElementById("cancelModalBtn");
   const postForm = document.getElementById("postForm");
 
+  attachMarkdownPreview(
+    document.getElementById("postContent"),
+    document.getElementById("postContentPreview")
+  );
+  attachMentionAutocomplete(document.getElementById("postContent"));
+  attachMentionAutocomplete(
+    document.getElementById("commentModalCommentInput")
+  );
+  postForm.addEventListener("reset", () =>
+    resetMarkdownPreview(document.getElementById("postContent"))
+  );
+
   function openCreateModal() {
     document.getElementById("modalTitle").textContent = "Create New Post";
     document.getElementById("postId").value = "";
@@ -884,7 +1004,7 @@ function initializeTopicPage() {
 
     try {
       if (isEdit) {
-        await apiEditPost(window.currentTopicId, postId, {
+        const editResp = await apiEditPost(window.currentTopicId, postId, {
           content: postContent,
         });
         const post =
@@ -892,6 +1012,8 @@ function initializeTopicPage() {
           window.myTopicPosts.find((p) => p.id === postId);
         if (post) {
           post.content = postContent;
+          post.contentHtml =
+            (editResp && editResp.post && editResp.post.content_html) || null;
         }
         showNotification("Post updated successfully");
       } else {
@@ -987,6 +1109,82 @@ function initializeTopicPage() {
     });
   }
 
+  function rerenderPosts() {
+    if (currentTab === "all-posts") {
+      renderAllPosts();
+    } else {
+      renderMyPosts();
+    }
+  }
+
+  // Both tabs' copies of a post
+  function findPostCopies(postId) {
+    return [...window.allTopicPosts, ...window.myTopicPosts].filter(
+      (p) => String(p.id) === String(postId)
+    );
+  }
+
+  // Q&A: answer votes (delegated)
+  document.addEventListener("click", async function (event) {
+    const voteBtn = event.target.closest(".answer-vote-btn");
+    if (!voteBtn || voteBtn.disabled) return;
+    event.stopPropagation();
+    const postId = voteBtn.closest(".answer-votes").dataset.postId;
+    voteBtn.disabled = true;
+    try {
+      const result = await apiVotePost(postId, Number(voteBtn.dataset.vote));
+      findPostCopies(postId).forEach((post) => {
+        post.score = result.score;
+        post.userVote = result.userVote;
+      });
+      rerenderPosts();
+    } catch (err) {
+      console.error("[vote] Error:", err);
+      showNotification(
+        err.status === 403
+          ? "You can't vote on your own answer"
+          : "Could not save your vote",
+        true
+      );
+      voteBtn.disabled = false;
+    }
+  });
+
+  // Q&A: the asker accepts / unmarks an answer (delegated)
+  document.addEventListener("click", async function (event) {
+    const acceptBtn = event.target.closest(".accept-answer-btn");
+    if (!acceptBtn) return;
+    event.stopPropagation();
+    const postId = acceptBtn.dataset.postId;
+    const post = findPostCopies(postId)[0];
+    acceptBtn.disabled = true;
+    try {
+      const result = await apiSetAcceptedAnswer(
+        window.currentTopicId,
+        post && post.accepted ? null : postId
+      );
+      const acceptedId = result && result.acceptedPostId;
+      [...window.allTopicPosts, ...window.myTopicPosts].forEach((p) => {
+        p.accepted = acceptedId != null && String(p.id) === String(acceptedId);
+      });
+      sortAnswers(window.allTopicPosts);
+      sortAnswers(window.myTopicPosts);
+      await renderTopicHeader({
+        ...currentTopic,
+        acceptedPostId: acceptedId || null,
+        solved: !!acceptedId,
+      });
+      rerenderPosts();
+      showNotification(
+        acceptedId ? "Answer marked as accepted" : "Accepted answer removed"
+      );
+    } catch (err) {
+      console.error("[acceptAnswer] Error:", err);
+      showNotification("Could not update the accepted answer", true);
+      acceptBtn.disabled = false;
+    }
+  });
+
   // ✅ Post report button handler (delegated)
   document.addEventListener("click", function (event) {
     const reportBtn = event.target.closest(".post-report-btn");
@@ -1033,6 +1231,11 @@ function initializeTopicPage() {
       return goBackToForum();
     }
     await renderTopicHeader(topic);
+    attachFollowControls(
+      document.getElementById("topicFollowControls"),
+      "topic",
+      window.currentTopicId
+    );
     await getPosts(window.currentTopicId);
     window.myTopicPosts = window.allTopicPosts.filter(
       (p) =>
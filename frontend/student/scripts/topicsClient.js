@@ -7,7 +7,11 @@
 
 import { API_BASE } from "../../config/appConfig.js";
 import { auth } from "../../config/firebase.js";
-import { fetchJsonWithAuth, postJsonWithAuth } from "./apiClient.js";
+import {
+  fetchJsonWithAuth,
+  postJsonWithAuth,
+  putJsonWithAuth,
+} from "./apiClient.js";
 
 // Safe JSON parse helper: returns null for no JSON body
 async function parseJsonSafe(res) {
@@ -22,10 +26,15 @@ async function parseJsonSafe(res) {
   return res.json();
 }
 
-// GET /api/topics
-export async function getTopics() {
+// GET /api/topics (options.filter: "unanswered" for open questions only)
+export async function getTopics(options = {}) {
   try {
-    return await fetchJsonWithAuth(`${API_BASE}/api/topics`, { method: "GET" });
+    const query = options.filter
+      ? `?filter=${encodeURIComponent(options.filter)}`
+      : "";
+    return await fetchJsonWithAuth(`${API_BASE}/api/topics${query}`, {
+      method: "GET",
+    });
   } catch (err) {
     throw new Error(
       "Failed to load topics: " + (err && err.message ? err.message : err)
@@ -155,6 +164,7 @@ export async function getTopicPosts(topicId) {
           id: p.id,
           title: p.title || "",
           content: p.content || "",
+          contentHtml: p.contentHtml || p.content_html || null,
           author: p.author || "Anonymous",
           author_id: p.author_id || p.authorId || null,
           userId: p.userId || p.author_id || null,
@@ -164,6 +174,9 @@ export async function getTopicPosts(topicId) {
           likes: typeof p.likes === "number" ? p.likes : 0,
           comments: p.comments || 0,
           author_avatar: p.author_avatar || null,
+          // Answers in question topics
+          score: typeof p.score === "number" ? p.score : 0,
+          accepted: p.accepted === true,
         };
       })
       .filter((p) => p !== null);
@@ -283,6 +296,7 @@ export async function getTopicComments(topicId, postId, options = {}) {
           author_avatar: c.author_avatar || null, // ✅ KEY: Avatar from DB
           text: c.content || "",
           content: c.content || "",
+          content_html: c.content_html || null,
           created: c.created_at || new Date().toISOString(),
           created_at: c.created_at || new Date().toISOString(),
           edited_at: c.edited_at || null,
@@ -375,3 +389,53 @@ export async function togglePostLike(postId) {
     throw e;
   }
 }
+
+// GET /api/posts/votes?ids= - Answer scores and the current user's votes
+export async function getPostVotes(postIds) {
+  if (!postIds || postIds.length === 0) return {};
+  try {
+    const resp = await fetchJsonWithAuth(
+      `${API_BASE}/api/posts/votes?ids=${postIds
+        .map((id) => encodeURIComponent(id))
+        .join(",")}`,
+      { method: "GET" }
+    );
+    return (resp && resp.votes) || {};
+  } catch (err) {
+    console.warn(
+      "getPostVotes failed: " + (err && err.message ? err.message : "")
+    );
+    return {};
+  }
+}
+
+// POST /api/posts/:postId/vote - value 1 / -1; repeating a vote removes it
+export async function votePost(postId, value) {
+  if (!postId) throw new Error("postId required");
+  try {
+    const resp = await postJsonWithAuth(
+      `${API_BASE}/api/posts/${encodeURIComponent(postId)}/vote`,
+      { value }
+    );
+    return {
+      score: typeof resp.score === "number" ? resp.score : 0,
+      userVote: typeof resp.userVote === "number" ? resp.userVote : 0,
+      post_id: resp.post_id || postId,
+    };
+  } catch (err) {
+    const e = new Error(
+      "Vote failed: " + (err && err.message ? err.message : "")
+    );
+    if (err && err.status) e.status = err.status;
+    throw e;
+  }
+}
+
+// PUT /api/topics/:id/accepted-answer - postId null unmarks the answer
+export async function setAcceptedAnswer(topicId, postId) {
+  if (!topicId) throw new Error("topicId required");
+  return putJsonWithAuth(
+    `${API_BASE}/api/topics/${encodeURIComponent(topicId)}/accepted-answer`,
+    { postId }
+  );
+}